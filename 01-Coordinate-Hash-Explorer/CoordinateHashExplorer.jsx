@@ -1,4 +1,6 @@
 import React, { useState, useMemo, useCallback } from 'react';
+import { deriveSalt, hashCoords, wordsToFloat as hashToFloat, wordsToInt as hashToInt, wordsToHex as hashToHex } from '../shared/hash.js';
+import { COORDINATE_HASH_EXPLORER as SALTS } from '../shared/generator-salts.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // COORDINATE HASH EXPLORER
@@ -6,51 +8,21 @@ import React, { useState, useMemo, useCallback } from 'react';
 // No iteration. No state machine. Pure functions of spatial position.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────────
-// HASH FUNCTIONS: The foundation of deterministic procedural generation
-// ─────────────────────────────────────────────────────────────────────────────────
-
-// SplitMix64-inspired hash - bijective, excellent distribution
-// Every input maps to a unique output with maximum entropy
-const splitmix64 = (seed) => {
-  let z = (seed + 0x9e3779b97f4a7c15n) & 0xffffffffffffffffn;
-  z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & 0xffffffffffffffffn;
-  z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & 0xffffffffffffffffn;
-  return z ^ (z >> 31n);
-};
-
-// Coordinate hash: transforms (x, y, salt) into deterministic pseudo-random value
-// This is the CORE INSIGHT: position itself becomes the seed
-const coordHash = (x, y, salt = 0) => {
-  // Pack coordinates into 64-bit space
-  const packed = BigInt(x) * 0x1f1f1f1fn + BigInt(y) * 0x3d3d3d3dn + BigInt(salt) * 0x7f7f7f7fn;
-  return splitmix64(packed & 0xffffffffffffffffn);
-};
-
-// Convert hash to normalized float [0, 1)
-const hashToFloat = (hash) => {
-  return Number(hash & 0xffffffn) / 0x1000000;
-};
-
-// Convert hash to integer in range [0, max)
-const hashToInt = (hash, max) => {
-  return Number(hash % BigInt(max));
-};
-
 // ─────────────────────────────────────────────────────────────────────────────────
 // MULTI-LAYER PROPERTY EXTRACTION
 // Different salts = statistically independent property streams
 // ─────────────────────────────────────────────────────────────────────────────────
 
-const LAYERS = {
-  EXISTENCE: 0,      // Does anything exist here?
-  TYPE: 1,           // What category?
-  TEMPERATURE: 2,    // Thermal properties
-  DENSITY: 3,        // Material density
-  RESOURCES: 4,      // Resource richness
-  DANGER: 5,         // Hazard level
-  SPECIAL: 6,        // Rare phenomena
-};
+// How a layer salt meets the world seed. 'legacy' adds them, as this demo
+// always has, so streams alias across seeds: seed 42's cell.type is seed 43's
+// cell.existence. 'derived' mixes the seed through deriveSalt first and keeps
+// every (seed, layer) stream distinct. Legacy stays the default so existing
+// seeds keep their cells.
+const SALT_MODES = ['legacy', 'derived'];
+
+const streamSalt = (name, worldSeed, saltMode) => saltMode === 'derived'
+  ? deriveSalt(worldSeed, SALTS.get(name))
+  : SALTS.get(name) + worldSeed;
 
 const CELL_TYPES = [
   { name: 'Void', color: '#0a0a12', symbol: '·', description: 'Empty space' },
@@ -67,9 +39,9 @@ const RESOURCES = ['None', 'Carbon', 'Silicon', 'Iron', 'Titanium', 'Platinum',
 const DANGER_LEVELS = ['Safe', 'Low', 'Moderate', 'High', 'Extreme'];
 
 // Generate all properties for a cell - O(1) complexity regardless of position
-const generateCellProperties = (x, y, worldSeed, densityThreshold) => {
+const generateCellProperties = (x, y, worldSeed, densityThreshold, saltMode = 'legacy') => {
   // Layer 0: Existence check
-  const existenceHash = coordHash(x, y, LAYERS.EXISTENCE + worldSeed);
+  const existenceHash = hashCoords([x, y], streamSalt('cell.existence', worldSeed, saltMode));
   const existenceValue = hashToFloat(existenceHash);
   const exists = existenceValue > densityThreshold;
   
@@ -86,7 +58,7 @@ const generateCellProperties = (x, y, worldSeed, densityThreshold) => {
       dangerIndex: 0,
       special: false,
       rawHashes: {
-        existence: existenceHash.toString(16).padStart(16, '0'),
+        existence: hashToHex(existenceHash),
       },
       coordinates: { x, y },
       existenceValue: existenceValue.toFixed(4),
@@ -94,27 +66,27 @@ const generateCellProperties = (x, y, worldSeed, densityThreshold) => {
   }
   
   // Layer 1: Type determination
-  const typeHash = coordHash(x, y, LAYERS.TYPE + worldSeed);
+  const typeHash = hashCoords([x, y], streamSalt('cell.type', worldSeed, saltMode));
   const typeIndex = hashToInt(typeHash, CELL_TYPES.length - 1) + 1; // Skip void
   
   // Layer 2: Temperature (Kelvin, scaled 10-10000)
-  const tempHash = coordHash(x, y, LAYERS.TEMPERATURE + worldSeed);
+  const tempHash = hashCoords([x, y], streamSalt('cell.temperature', worldSeed, saltMode));
   const temperature = Math.floor(10 + hashToFloat(tempHash) * 9990);
   
   // Layer 3: Density (g/cm³, scaled 0.1-20)
-  const densityHash = coordHash(x, y, LAYERS.DENSITY + worldSeed);
+  const densityHash = hashCoords([x, y], streamSalt('cell.density', worldSeed, saltMode));
   const density = (0.1 + hashToFloat(densityHash) * 19.9).toFixed(2);
   
   // Layer 4: Resources
-  const resourceHash = coordHash(x, y, LAYERS.RESOURCES + worldSeed);
+  const resourceHash = hashCoords([x, y], streamSalt('cell.resources', worldSeed, saltMode));
   const resourceIndex = hashToInt(resourceHash, RESOURCES.length);
   
   // Layer 5: Danger
-  const dangerHash = coordHash(x, y, LAYERS.DANGER + worldSeed);
+  const dangerHash = hashCoords([x, y], streamSalt('cell.danger', worldSeed, saltMode));
   const dangerIndex = hashToInt(dangerHash, DANGER_LEVELS.length);
   
   // Layer 6: Special phenomena (rare)
-  const specialHash = coordHash(x, y, LAYERS.SPECIAL + worldSeed);
+  const specialHash = hashCoords([x, y], streamSalt('cell.special', worldSeed, saltMode));
   const special = hashToFloat(specialHash) > 0.95;
   
   return {
@@ -129,13 +101,13 @@ const generateCellProperties = (x, y, worldSeed, densityThreshold) => {
     dangerIndex,
     special,
     rawHashes: {
-      existence: existenceHash.toString(16).padStart(16, '0'),
-      type: typeHash.toString(16).padStart(16, '0'),
-      temperature: tempHash.toString(16).padStart(16, '0'),
-      density: densityHash.toString(16).padStart(16, '0'),
-      resources: resourceHash.toString(16).padStart(16, '0'),
-      danger: dangerHash.toString(16).padStart(16, '0'),
-      special: specialHash.toString(16).padStart(16, '0'),
+      existence: hashToHex(existenceHash),
+      type: hashToHex(typeHash),
+      temperature: hashToHex(tempHash),
+      density: hashToHex(densityHash),
+      resources: hashToHex(resourceHash),
+      danger: hashToHex(dangerHash),
+      special: hashToHex(specialHash),
     },
     coordinates: { x, y },
     existenceValue: existenceValue.toFixed(4),
@@ -154,6 +126,7 @@ export default function CoordinateHashExplorer() {
   const [selectedCell, setSelectedCell] = useState(null);
   const [viewportOffset, setViewportOffset] = useState({ x: 0, y: 0 });
   const [showHashes, setShowHashes] = useState(false);
+  const [saltMode, setSaltMode] = useState('legacy');
   const [hoveredCell, setHoveredCell] = useState(null);
   
   // Generate grid data - memoized for performance
@@ -164,12 +137,12 @@ export default function CoordinateHashExplorer() {
       for (let x = 0; x < gridSize; x++) {
         const worldX = x + viewportOffset.x;
         const worldY = y + viewportOffset.y;
-        row.push(generateCellProperties(worldX, worldY, worldSeed, densityThreshold));
+        row.push(generateCellProperties(worldX, worldY, worldSeed, densityThreshold, saltMode));
       }
       data.push(row);
     }
     return data;
-  }, [gridSize, worldSeed, densityThreshold, viewportOffset]);
+  }, [gridSize, worldSeed, densityThreshold, viewportOffset, saltMode]);
   
   // Statistics
   const stats = useMemo(() => {
@@ -214,7 +187,8 @@ export default function CoordinateHashExplorer() {
       x + Math.floor(gridSize / 2),
       y + Math.floor(gridSize / 2),
       worldSeed,
-      densityThreshold
+      densityThreshold,
+      saltMode
     );
     setSelectedCell(centerCell);
   };
@@ -383,6 +357,34 @@ export default function CoordinateHashExplorer() {
             </div>
           </div>
           
+          {/* Salt Mode */}
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '6px', fontSize: '12px', color: '#888' }}>
+              Seed + Salt: {saltMode === 'derived' ? 'deriveSalt(seed, salt)' : 'salt + seed'}
+            </label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {SALT_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => setSaltMode(mode)}
+                  style={{
+                    flex: 1,
+                    background: saltMode === mode ? '#3b82f6' : '#1a1a2e',
+                    border: '1px solid #333',
+                    borderRadius: '6px',
+                    padding: '8px',
+                    color: '#fff',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                    textTransform: 'capitalize',
+                  }}
+                >
+                  {mode}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Show Hashes Toggle */}
           <div style={{ marginBottom: '20px' }}>
             <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', cursor: 'pointer' }}>
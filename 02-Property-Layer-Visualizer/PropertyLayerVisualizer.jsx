@@ -1,46 +1,32 @@
 import React, { useState, useMemo, useCallback } from 'react';
-
-// PCG-style hash function - deterministic, high quality
-const pcgHash = (x, y, salt, seed) => {
-  let state = ((x * 374761393) + (y * 668265263) + (salt * 2147483647) + seed) >>> 0;
-  state = ((state ^ (state >> 16)) * 2246822519) >>> 0;
-  state = ((state ^ (state >> 13)) * 3266489917) >>> 0;
-  state = (state ^ (state >> 16)) >>> 0;
-  return state / 4294967296; // normalize to 0-1
-};
-
-// Secondary hash for more entropy
-const mixHash = (x, y, salt, seed) => {
-  const h1 = pcgHash(x, y, salt, seed);
-  const h2 = pcgHash(y * 31, x * 17, salt + 12345, seed);
-  return (h1 + h2) / 2;
-};
+import { pcgHash2D as pcgHash, mixHash2D as mixHash } from '../shared/hash.js';
+import { PROPERTY_LAYER_VISUALIZER as SALTS } from '../shared/generator-salts.js';
 
 // Layer configurations with distinct salts
 const LAYER_CONFIGS = {
   existence: {
-    salt: 0x1A2B3C4D,
+    salt: SALTS.get('feature.existence'),
     name: 'Existence',
     description: 'Whether a feature exists at this location',
     color: 'rgba(0, 255, 136, VAR)',
     icon: '◆',
   },
   type: {
-    salt: 0x5E6F7A8B,
+    salt: SALTS.get('feature.type'),
     name: 'Type Class',
     description: 'Classification category (1-4)',
     color: 'rgba(255, 107, 107, VAR)',
     icon: '▲',
   },
   resource: {
-    salt: 0x9C0D1E2F,
+    salt: SALTS.get('feature.resource'),
     name: 'Resource',
     description: 'Resource density value',
     color: 'rgba(78, 205, 255, VAR)',
     icon: '●',
   },
   danger: {
-    salt: 0x3A4B5C6D,
+    salt: SALTS.get('feature.danger'),
     name: 'Danger Level',
     description: 'Threat intensity',
     color: 'rgba(255, 193, 7, VAR)',
@@ -1,4 +1,8 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { xxUnit2D as hash } from '../shared/hash.js';
+import {
+  axisPerlin2D, angleSimplex2D, openSimplex2, openSimplex2S, worley2D, WORLEY_FEATURE_NAMES, WORLEY_METRIC_NAMES
+} from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // NOISE COMPARISON GRID
@@ -6,23 +10,6 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 // Three-panel comparison with artifact highlighting and interactive seed control
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────────
-// HASH FUNCTIONS - Pure deterministic randomness
-// ─────────────────────────────────────────────────────────────────────────────────
-
-const hash = (x, y, seed) => {
-  // SplitMix64-inspired hash for deterministic noise
-  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
-  h = Math.imul(h ^ (h >>> 15), 2246822519);
-  h = Math.imul(h ^ (h >>> 13), 3266489917);
-  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
-};
-
-const hash2D = (x, y, seed) => {
-  const n = Math.sin(x * 127.1 + y * 311.7 + seed * 113.5) * 43758.5453123;
-  return n - Math.floor(n);
-};
-
 // ─────────────────────────────────────────────────────────────────────────────────
 // WHITE NOISE - Pure random, no spatial correlation
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -35,125 +22,40 @@ const whiteNoise = (x, y, seed) => {
 // PERLIN NOISE - Classic implementation with visible axis artifacts
 // ─────────────────────────────────────────────────────────────────────────────────
 
-const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
-const lerp = (a, b, t) => a + t * (b - a);
+// Axis-aligned gradients (the source of the artifacts) live in shared/noise.js
+const perlinNoise = (x, y, seed) => axisPerlin2D(x * 4, y * 4, seed);
 
-// Gradient vectors aligned to axes (causes artifacts)
-const perlinGradients = [
-  [1, 0], [-1, 0], [0, 1], [0, -1],
-  [1, 1], [-1, 1], [1, -1], [-1, -1]
-];
+// ─────────────────────────────────────────────────────────────────────────────────
+// SIMPLEX NOISE - Modern implementation, artifact-free
+// ─────────────────────────────────────────────────────────────────────────────────
 
-const getPerlinGradient = (ix, iy, seed) => {
-  const idx = Math.floor(hash(ix, iy, seed) * perlinGradients.length);
-  return perlinGradients[idx % perlinGradients.length];
-};
+// Gradients evenly distributed on the unit circle
+const simplexNoise = (x, y, seed) => angleSimplex2D(x * 4, y * 4, seed);
 
-const dotGridGradient = (ix, iy, x, y, seed) => {
-  const gradient = getPerlinGradient(ix, iy, seed);
-  const dx = x - ix;
-  const dy = y - iy;
-  return dx * gradient[0] + dy * gradient[1];
-};
+// ─────────────────────────────────────────────────────────────────────────────────
+// OPENSIMPLEX2 - Patent-free successors: 24 gradient directions, and the
+// smoother four-corner 2S variant
+// ─────────────────────────────────────────────────────────────────────────────────
 
-const perlinNoise = (x, y, seed) => {
-  const scale = 4;
-  x *= scale;
-  y *= scale;
-  
-  const x0 = Math.floor(x);
-  const x1 = x0 + 1;
-  const y0 = Math.floor(y);
-  const y1 = y0 + 1;
-  
-  const sx = fade(x - x0);
-  const sy = fade(y - y0);
-  
-  const n00 = dotGridGradient(x0, y0, x, y, seed);
-  const n10 = dotGridGradient(x1, y0, x, y, seed);
-  const n01 = dotGridGradient(x0, y1, x, y, seed);
-  const n11 = dotGridGradient(x1, y1, x, y, seed);
-  
-  const nx0 = lerp(n00, n10, sx);
-  const nx1 = lerp(n01, n11, sx);
-  
-  return lerp(nx0, nx1, sy);
-};
+const openSimplex2Noise = (x, y, seed) => openSimplex2(x * 4, y * 4, seed);
+
+const openSimplex2SNoise = (x, y, seed) => openSimplex2S(x * 4, y * 4, seed);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SIMPLEX NOISE - Modern implementation, artifact-free
+// WORLEY NOISE - Cellular, distance to position-hashed feature points
 // ─────────────────────────────────────────────────────────────────────────────────
 
-const F2 = 0.5 * (Math.sqrt(3) - 1);
-const G2 = (3 - Math.sqrt(3)) / 6;
-
-// Simplex gradients - evenly distributed on unit circle
-const simplexGrad = (hash) => {
-  const angle = (hash % 12) * Math.PI / 6;
-  return [Math.cos(angle), Math.sin(angle)];
-};
+// 8 × 8 cells across the panel; feature and metric come from the panel controls
+const createWorleyNoise = (feature, metric) => (x, y, seed) => worley2D(x * 8, y * 8, seed, { feature, metric });
 
-const simplexNoise = (x, y, seed) => {
-  const scale = 4;
-  x *= scale;
-  y *= scale;
-  
-  // Skew input space
-  const s = (x + y) * F2;
-  const i = Math.floor(x + s);
-  const j = Math.floor(y + s);
-  
-  // Unskew cell origin
-  const t = (i + j) * G2;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  
-  // Determine simplex
-  const i1 = x0 > y0 ? 1 : 0;
-  const j1 = x0 > y0 ? 0 : 1;
-  
-  const x1 = x0 - i1 + G2;
-  const y1 = y0 - j1 + G2;
-  const x2 = x0 - 1 + 2 * G2;
-  const y2 = y0 - 1 + 2 * G2;
-  
-  // Hash coordinates
-  const ii = i & 255;
-  const jj = j & 255;
-  
-  const gi0 = Math.floor(hash(ii, jj, seed) * 12);
-  const gi1 = Math.floor(hash(ii + i1, jj + j1, seed) * 12);
-  const gi2 = Math.floor(hash(ii + 1, jj + 1, seed) * 12);
-  
-  const g0 = simplexGrad(gi0);
-  const g1 = simplexGrad(gi1);
-  const g2 = simplexGrad(gi2);
-  
-  // Corner contributions
-  let n0 = 0, n1 = 0, n2 = 0;
-  
-  let t0 = 0.5 - x0 * x0 - y0 * y0;
-  if (t0 >= 0) {
-    t0 *= t0;
-    n0 = t0 * t0 * (g0[0] * x0 + g0[1] * y0);
-  }
-  
-  let t1 = 0.5 - x1 * x1 - y1 * y1;
-  if (t1 >= 0) {
-    t1 *= t1;
-    n1 = t1 * t1 * (g1[0] * x1 + g1[1] * y1);
-  }
-  
-  let t2 = 0.5 - x2 * x2 - y2 * y2;
-  if (t2 >= 0) {
-    t2 *= t2;
-    n2 = t2 * t2 * (g2[0] * x2 + g2[1] * y2);
-  }
-  
-  return 70 * (n0 + n1 + n2);
-};
+// Panel order; Worley is added in the component from its controls
+const FIXED_ALGORITHMS = [
+  { id: 'white', name: 'White Noise', color: '#9ca3af', noise: whiteNoise },
+  { id: 'perlin', name: 'Perlin', color: '#f87171', noise: perlinNoise },
+  { id: 'simplex', name: 'Simplex', color: '#4ade80', noise: simplexNoise },
+  { id: 'openSimplex2', name: 'OpenSimplex2', color: '#22d3ee', noise: openSimplex2Noise },
+  { id: 'openSimplex2S', name: 'OpenSimplex2S', color: '#a78bfa', noise: openSimplex2SNoise }
+];
 
 // ─────────────────────────────────────────────────────────────────────────────────
 // ARTIFACT DETECTION - Highlights axis-aligned patterns in Perlin
@@ -178,6 +80,237 @@ const detectAxisArtifact = (x, y, seed, noiseFunc) => {
   return Math.max(0, axisGrad - diagGrad) * 3;
 };
 
+// Mean detectAxisArtifact over an n × n grid of pixel centres across the panel.
+// The raw score grows with gradient magnitude, so the mean axis gradient (on
+// the same ×3 scale) is returned too and the table reports their ratio.
+const meanArtifactScore = (noiseFunc, seed, n = 64) => {
+  const epsilon = 0.02;
+  let score = 0;
+  let gradient = 0;
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const px = (x + 0.5) / n;
+      const py = (y + 0.5) / n;
+      const center = noiseFunc(px, py, seed);
+      score += detectAxisArtifact(px, py, seed, noiseFunc);
+      gradient += (Math.abs(noiseFunc(px + epsilon, py, seed) - center) +
+        Math.abs(noiseFunc(px, py + epsilon, seed) - center)) * 3;
+    }
+  }
+  score /= n * n;
+  gradient /= n * n;
+  return { score, normalized: gradient > 0 ? score / gradient : 0 };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// VALUE DISTRIBUTION - What each function actually outputs, and a remap that
+// stretches the sampled range onto [-1, 1] for a fair colour comparison
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const STATS_SIZE = 256;          // Samples per side
+const STATS_SPAN = 4;            // Panel widths sampled
+const HISTOGRAM_BINS = 48;       // Over [-1, 1]; out-of-range values land in the end bins
+
+// Histogram and moments over a STATS_SIZE² grid. Kurtosis is excess kurtosis,
+// so a Gaussian reads 0 and a uniform distribution −1.2.
+const valueStatistics = (noiseFunc, seed) => {
+  const n = STATS_SIZE;
+  const count = n * n;
+  const values = new Float64Array(count);
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const value = noiseFunc((x + 0.5) / n * STATS_SPAN, (y + 0.5) / n * STATS_SPAN, seed);
+      values[y * n + x] = value;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value;
+      const bin = Math.floor((value + 1) / 2 * HISTOGRAM_BINS);
+      histogram[Math.max(0, Math.min(HISTOGRAM_BINS - 1, bin))]++;
+    }
+  }
+  
+  const mean = sum / count;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (const value of values) {
+    const d = value - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  const variance = m2 / count;
+  const skew = variance > 0 ? (m3 / count) / variance ** 1.5 : 0;
+  const kurtosis = variance > 0 ? (m4 / count) / (variance * variance) - 3 : 0;
+  
+  return { histogram, min, max, mean, variance, skew, kurtosis };
+};
+
+// Map the sampled [min, max] linearly onto [-1, 1], clamping values the
+// sample never reached
+const normalizeToRange = (noiseFunc, { min, max }) => {
+  if (!(max > min)) return noiseFunc;
+  return (x, y, seed) => Math.max(-1, Math.min(1, (noiseFunc(x, y, seed) - min) / (max - min) * 2 - 1));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SPECTRAL ANALYSIS - 2D FFT of each field: radial power spectrum, angular
+// energy, and the share of that energy lying along the x and y axes
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const SPECTRUM_SIZE = 128;       // FFT size, power of two
+const SPECTRUM_SPAN = 4;         // Panel widths analysed; one panel is too few cells for stable statistics
+const ANGULAR_BINS = 36;         // 5° bins over [0°, 180°)
+const AXIS_SECTOR = 5;           // Degrees either side of 0° and 90° counted as axis-aligned
+
+// In-place iterative radix-2 FFT over parallel real and imaginary arrays
+const fft1D = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = -2 * Math.PI / size;
+    for (let k = 0; k < half; k++) {
+      const wr = Math.cos(step * k);
+      const wi = Math.sin(step * k);
+      for (let a = k; a < n; a += size) {
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+// Power spectrum of noiseFunc over SPECTRUM_SPAN panel widths. The field is
+// mean-removed and Hann-windowed so its hard edges don't leak energy onto the
+// axes. Returns:
+//   radial     - mean power per integer frequency radius (index = cycles per window)
+//   angular    - energy per ANGULAR_BINS direction bin, mean 1
+//   anisotropy - mean axis-sector energy over mean energy (1 = isotropic)
+// Angular energy is whitened (each frequency divided by its ring's mean power)
+// so every ring counts equally. Otherwise the few frequencies around the
+// spectral peak would swamp the lattice harmonics, where axis bias shows up.
+const powerSpectrum = (noiseFunc, seed) => {
+  const n = SPECTRUM_SIZE;
+  const half = n / 2;
+  const re = new Float64Array(n * n);
+  const im = new Float64Array(n * n);
+  
+  let mean = 0;
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const value = noiseFunc((x + 0.5) / n * SPECTRUM_SPAN, (y + 0.5) / n * SPECTRUM_SPAN, seed);
+      re[y * n + x] = value;
+      mean += value;
+    }
+  }
+  mean /= n * n;
+  
+  const hann = Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / n));
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      re[y * n + x] = (re[y * n + x] - mean) * hann[x] * hann[y];
+    }
+  }
+  
+  // Rows, then columns
+  const lineRe = new Float64Array(n);
+  const lineIm = new Float64Array(n);
+  for (let y = 0; y < n; y++) {
+    lineRe.set(re.subarray(y * n, (y + 1) * n));
+    lineIm.fill(0);
+    fft1D(lineRe, lineIm);
+    re.set(lineRe, y * n);
+    im.set(lineIm, y * n);
+  }
+  for (let x = 0; x < n; x++) {
+    for (let y = 0; y < n; y++) {
+      lineRe[y] = re[y * n + x];
+      lineIm[y] = im[y * n + x];
+    }
+    fft1D(lineRe, lineIm);
+    for (let y = 0; y < n; y++) {
+      re[y * n + x] = lineRe[y];
+      im[y * n + x] = lineIm[y];
+    }
+  }
+  
+  // Visit every frequency inside the Nyquist circle, skipping DC
+  const eachFrequency = (visit) => {
+    for (let v = 0; v < n; v++) {
+      for (let u = 0; u < n; u++) {
+        const fu = u < half ? u : u - n;
+        const fv = v < half ? v : v - n;
+        const radius = Math.hypot(fu, fv);
+        if (radius >= 1 && radius < half) {
+          visit(fu, fv, Math.floor(radius), re[v * n + u] ** 2 + im[v * n + u] ** 2);
+        }
+      }
+    }
+  };
+  
+  const radial = new Float64Array(half);
+  const ringCounts = new Float64Array(half);
+  eachFrequency((fu, fv, ring, power) => {
+    radial[ring] += power;
+    ringCounts[ring]++;
+  });
+  for (let ring = 1; ring < half; ring++) radial[ring] /= ringCounts[ring];
+  
+  const angular = new Float64Array(ANGULAR_BINS);
+  const binCounts = new Float64Array(ANGULAR_BINS);
+  let axisEnergy = 0;
+  let axisCount = 0;
+  let totalEnergy = 0;
+  let totalCount = 0;
+  eachFrequency((fu, fv, ring, power) => {
+    const energy = radial[ring] > 0 ? power / radial[ring] : 0;
+    // The spectrum of a real field is symmetric, so fold angles into [0°, 180°)
+    const degrees = (Math.atan2(fv, fu) * 180 / Math.PI + 180) % 180;
+    const bin = Math.min(ANGULAR_BINS - 1, Math.floor(degrees / (180 / ANGULAR_BINS)));
+    angular[bin] += energy;
+    binCounts[bin]++;
+    totalEnergy += energy;
+    totalCount++;
+    const offAxis = Math.min(degrees % 90, 90 - degrees % 90);
+    if (offAxis <= AXIS_SECTOR) {
+      axisEnergy += energy;
+      axisCount++;
+    }
+  });
+  const meanEnergy = totalEnergy / totalCount;
+  for (let bin = 0; bin < ANGULAR_BINS; bin++) {
+    angular[bin] = binCounts[bin] > 0 ? angular[bin] / binCounts[bin] / meanEnergy : 0;
+  }
+  
+  return { radial, angular, anisotropy: (axisEnergy / axisCount) / meanEnergy };
+};
+
+// Everything the panels report for one algorithm entry, each merged with the entry
+const measureAlgorithm = (entry, seed) => ({
+  statistics: { ...entry, ...valueStatistics(entry.noise, seed) },
+  artifactScore: { ...entry, ...meanArtifactScore(entry.noise, seed) },
+  spectrum: { ...entry, ...powerSpectrum(entry.noise, seed) }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // MAIN COMPONENT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -188,10 +321,18 @@ export default function NoiseComparisonGrid() {
   const [resolution, setResolution] = useState(256);
   const [animateSeed, setAnimateSeed] = useState(false);
   const [colorMode, setColorMode] = useState('grayscale');
+  const [worleyFeature, setWorleyFeature] = useState('F1');
+  const [worleyMetric, setWorleyMetric] = useState('euclidean');
+  const [normalizeRange, setNormalizeRange] = useState(false);
   
   const whiteCanvasRef = useRef(null);
   const perlinCanvasRef = useRef(null);
   const simplexCanvasRef = useRef(null);
+  const worleyCanvasRef = useRef(null);
+  const openSimplex2CanvasRef = useRef(null);
+  const openSimplex2SCanvasRef = useRef(null);
+  const radialSpectrumRef = useRef(null);
+  const angularEnergyRef = useRef(null);
   const animationRef = useRef(null);
   
   // Color mapping functions
@@ -273,6 +414,30 @@ export default function NoiseComparisonGrid() {
     ctx.putImageData(imageData, 0, 0);
   }, [seed, showArtifacts, valueToColor]);
   
+  // The five fixed algorithms are measured apart from Worley, so changing a
+  // Worley control only re-measures Worley
+  const worleyAlgorithm = useMemo(() => ({
+    id: 'worley', name: `Worley ${worleyFeature}`, color: '#fbbf24', noise: createWorleyNoise(worleyFeature, worleyMetric)
+  }), [worleyFeature, worleyMetric]);
+  
+  // Scores, spectra and statistics use the current whole seed, so seed
+  // animation only recomputes them when the integer part changes
+  const scoreSeed = Math.floor(seed);
+  const fixedMeasurements = useMemo(() => FIXED_ALGORITHMS.map(entry => measureAlgorithm(entry, scoreSeed)), [scoreSeed]);
+  const worleyMeasurement = useMemo(() => measureAlgorithm(worleyAlgorithm, scoreSeed), [worleyAlgorithm, scoreSeed]);
+  const measurements = useMemo(() => [...fixedMeasurements, worleyMeasurement], [fixedMeasurements, worleyMeasurement]);
+  
+  const statistics = useMemo(() => measurements.map(entry => entry.statistics), [measurements]);
+  const artifactScores = useMemo(() => measurements.map(entry => entry.artifactScore), [measurements]);
+  const spectra = useMemo(() => measurements.map(entry => entry.spectrum), [measurements]);
+  
+  // What the panels draw: raw output, or remapped by the measured range
+  const fields = useMemo(() => Object.fromEntries(statistics.map(entry => [
+    entry.id, normalizeRange ? normalizeToRange(entry.noise, entry) : entry.noise
+  ])), [statistics, normalizeRange]);
+  
+  const maxNormalized = Math.max(...artifactScores.map(entry => entry.normalized));
+  
   // Animation loop
   useEffect(() => {
     if (animateSeed) {
@@ -294,10 +459,67 @@ export default function NoiseComparisonGrid() {
   
   // Render all canvases
   useEffect(() => {
-    renderNoise(whiteCanvasRef.current, whiteNoise, false);
-    renderNoise(perlinCanvasRef.current, perlinNoise, true);
-    renderNoise(simplexCanvasRef.current, simplexNoise, false);
-  }, [seed, showArtifacts, resolution, colorMode, renderNoise]);
+    renderNoise(whiteCanvasRef.current, fields.white, false);
+    renderNoise(perlinCanvasRef.current, fields.perlin, true);
+    renderNoise(simplexCanvasRef.current, fields.simplex, false);
+    renderNoise(worleyCanvasRef.current, fields.worley, false);
+    renderNoise(openSimplex2CanvasRef.current, fields.openSimplex2, true);
+    renderNoise(openSimplex2SCanvasRef.current, fields.openSimplex2S, true);
+  }, [seed, showArtifacts, resolution, colorMode, renderNoise, fields]);
+  
+  // Draw the radial spectrum (dB below each curve's peak) and angular energy plots
+  useEffect(() => {
+    const plot = (canvas, xMax, yMin, yMax, curveOf, markers) => {
+      if (!canvas) return;
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const toX = (x) => x / xMax * width;
+      const toY = (y) => height - (y - yMin) / (yMax - yMin) * height;
+      
+      ctx.fillStyle = '#0a0a0f';
+      ctx.fillRect(0, 0, width, height);
+      ctx.strokeStyle = 'rgba(156, 163, 175, 0.25)';
+      ctx.setLineDash([4, 4]);
+      for (const { x, y } of markers) {
+        ctx.beginPath();
+        if (x !== undefined) {
+          ctx.moveTo(toX(x), 0);
+          ctx.lineTo(toX(x), height);
+        } else {
+          ctx.moveTo(0, toY(y));
+          ctx.lineTo(width, toY(y));
+        }
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+      
+      ctx.lineWidth = 1.5;
+      for (const entry of spectra) {
+        const points = curveOf(entry);
+        ctx.strokeStyle = entry.color;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => {
+          const py = toY(Math.max(yMin, Math.min(yMax, y)));
+          if (i === 0) ctx.moveTo(toX(x), py);
+          else ctx.lineTo(toX(x), py);
+        });
+        ctx.stroke();
+      }
+    };
+    
+    const half = SPECTRUM_SIZE / 2;
+    plot(radialSpectrumRef.current, (half - 1) / SPECTRUM_SPAN, -60, 0, ({ radial }) => {
+      const peak = Math.max(...radial);
+      return Array.from(radial.subarray(1), (power, i) =>
+        [(i + 1) / SPECTRUM_SPAN, 10 * Math.log10(Math.max(power / peak, 1e-6))]);
+    }, [{ y: -20 }, { y: -40 }]);
+    
+    const binWidth = 180 / ANGULAR_BINS;
+    const angularMax = Math.max(2, ...spectra.map(({ angular }) => Math.max(...angular)));
+    plot(angularEnergyRef.current, 180, 0, angularMax, ({ angular }) =>
+      Array.from(angular, (energy, bin) => [(bin + 0.5) * binWidth, energy]),
+      [{ x: 90 }, { y: 1 }]);
+  }, [spectra]);
   
   return (
     <div style={{
@@ -333,7 +555,7 @@ export default function NoiseComparisonGrid() {
           marginTop: '8px',
           letterSpacing: '2px'
         }}>
-          WHITE NOISE • PERLIN (1985) • SIMPLEX (2001)
+          WHITE NOISE • PERLIN (1985) • SIMPLEX (2001) • OPENSIMPLEX2 (2019) • WORLEY (1996)
         </p>
       </div>
       
@@ -478,6 +700,25 @@ export default function NoiseComparisonGrid() {
           >
             {animateSeed ? '▮▮' : '▶'} Animate
           </button>
+          <button
+            onClick={() => setNormalizeRange(!normalizeRange)}
+            title="Stretch each noise's measured [min, max] onto [-1, 1] before colouring"
+            style={{
+              flex: 1,
+              padding: '10px 16px',
+              background: normalizeRange ? 'rgba(45, 212, 191, 0.2)' : 'rgba(74, 158, 255, 0.1)',
+              border: `1px solid ${normalizeRange ? '#2dd4bf' : '#334155'}`,
+              borderRadius: '6px',
+              color: normalizeRange ? '#2dd4bf' : '#9ca3af',
+              fontSize: '11px',
+              textTransform: 'uppercase',
+              letterSpacing: '1px',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease'
+            }}
+          >
+            {normalizeRange ? '◉' : '○'} Normalize
+          </button>
         </div>
       </div>
       
@@ -707,6 +948,463 @@ export default function NoiseComparisonGrid() {
             </div>
           </div>
         </div>
+        
+        {/* OpenSimplex2 Panel */}
+        <div style={{
+          background: 'rgba(20, 20, 30, 0.6)',
+          border: '1px solid rgba(34,211,238, 0.3)',
+          borderRadius: '12px',
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            padding: '16px 20px',
+            borderBottom: '1px solid rgba(34,211,238, 0.2)',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}>
+            <div>
+              <h3 style={{
+                margin: 0,
+                fontSize: '14px',
+                fontWeight: 500,
+                color: '#22d3ee'
+              }}>OpenSimplex2</h3>
+              <p style={{
+                margin: '4px 0 0 0',
+                fontSize: '11px',
+                color: '#6b7280'
+              }}>K.jpg, 2019 • O(n²)</p>
+            </div>
+            <span style={{
+              fontSize: '10px',
+              padding: '4px 8px',
+              background: 'rgba(34,211,238, 0.2)',
+              borderRadius: '4px',
+              color: '#22d3ee'
+            }}>PATENT-FREE</span>
+          </div>
+          <div style={{ padding: '16px', textAlign: 'center' }}>
+            <canvas
+              ref={openSimplex2CanvasRef}
+              width={resolution}
+              height={resolution}
+              style={{
+                width: '100%',
+                maxWidth: '300px',
+                height: 'auto',
+                aspectRatio: '1',
+                borderRadius: '4px',
+                imageRendering: 'auto'
+              }}
+            />
+          </div>
+          <div style={{
+            padding: '12px 20px',
+            background: 'rgba(34,211,238, 0.1)',
+            fontSize: '11px',
+            color: '#6b7280'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+              <span>Gradient Set:</span>
+              <span style={{ color: '#22d3ee' }}>24 directions</span>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Kernel Radius:</span>
+              <span style={{ color: '#22d3ee' }}>r² = 1/2 (3 corners)</span>
+            </div>
+          </div>
+        </div>
+        
+        {/* OpenSimplex2S Panel */}
+        <div style={{
+          background: 'rgba(20, 20, 30, 0.6)',
+          border: '1px solid rgba(167,139,250, 0.3)',
+          borderRadius: '12px',
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            padding: '16px 20px',
+            borderBottom: '1px solid rgba(167,139,250, 0.2)',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}>
+            <div>
+              <h3 style={{
+                margin: 0,
+                fontSize: '14px',
+                fontWeight: 500,
+                color: '#a78bfa'
+              }}>OpenSimplex2S</h3>
+              <p style={{
+                margin: '4px 0 0 0',
+                fontSize: '11px',
+                color: '#6b7280'
+              }}>K.jpg, 2019 • SuperSimplex</p>
+            </div>
+            <span style={{
+              fontSize: '10px',
+              padding: '4px 8px',
+              background: 'rgba(167,139,250, 0.2)',
+              borderRadius: '4px',
+              color: '#a78bfa'
+            }}>SMOOTH</span>
+          </div>
+          <div style={{ padding: '16px', textAlign: 'center' }}>
+            <canvas
+              ref={openSimplex2SCanvasRef}
+              width={resolution}
+              height={resolution}
+              style={{
+                width: '100%',
+                maxWidth: '300px',
+                height: 'auto',
+                aspectRatio: '1',
+                borderRadius: '4px',
+                imageRendering: 'auto'
+              }}
+            />
+          </div>
+          <div style={{
+            padding: '12px 20px',
+            background: 'rgba(167,139,250, 0.1)',
+            fontSize: '11px',
+            color: '#6b7280'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+              <span>Gradient Set:</span>
+              <span style={{ color: '#a78bfa' }}>24 directions</span>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Kernel Radius:</span>
+              <span style={{ color: '#a78bfa' }}>r² = 2/3 (4 corners)</span>
+            </div>
+          </div>
+        </div>
+        
+        {/* Worley Noise Panel */}
+        <div style={{
+          background: 'rgba(20, 20, 30, 0.6)',
+          border: '1px solid rgba(251, 191, 36, 0.3)',
+          borderRadius: '12px',
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            padding: '16px 20px',
+            borderBottom: '1px solid rgba(251, 191, 36, 0.2)',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}>
+            <div>
+              <h3 style={{
+                margin: 0,
+                fontSize: '14px',
+                fontWeight: 500,
+                color: '#fbbf24'
+              }}>Worley Noise</h3>
+              <p style={{
+                margin: '4px 0 0 0',
+                fontSize: '11px',
+                color: '#6b7280'
+              }}>Steven Worley, 1996 • O(3ⁿ)</p>
+            </div>
+            <span style={{
+              fontSize: '10px',
+              padding: '4px 8px',
+              background: 'rgba(251, 191, 36, 0.2)',
+              borderRadius: '4px',
+              color: '#fbbf24'
+            }}>CELLULAR</span>
+          </div>
+          <div style={{ padding: '16px', textAlign: 'center' }}>
+            <canvas
+              ref={worleyCanvasRef}
+              width={resolution}
+              height={resolution}
+              style={{
+                width: '100%',
+                maxWidth: '300px',
+                height: 'auto',
+                aspectRatio: '1',
+                borderRadius: '4px',
+                imageRendering: 'auto'
+              }}
+            />
+          </div>
+          <div style={{
+            padding: '12px 20px',
+            background: 'rgba(251, 191, 36, 0.08)',
+            fontSize: '11px',
+            color: '#6b7280',
+            display: 'flex',
+            gap: '8px'
+          }}>
+            {[
+              { value: worleyFeature, set: setWorleyFeature, options: WORLEY_FEATURE_NAMES },
+              { value: worleyMetric, set: setWorleyMetric, options: WORLEY_METRIC_NAMES }
+            ].map(({ value, set, options }) => (
+              <select
+                key={options[0]}
+                value={value}
+                onChange={(e) => set(e.target.value)}
+                style={{
+                  flex: 1,
+                  padding: '6px 8px',
+                  background: '#1e293b',
+                  border: '1px solid #334155',
+                  borderRadius: '6px',
+                  color: '#e0e0e8',
+                  fontSize: '11px',
+                  textTransform: 'capitalize',
+                  cursor: 'pointer'
+                }}
+              >
+                {options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ))}
+          </div>
+        </div>
+      </div>
+      
+      {/* Artifact Score Table */}
+      <div style={{
+        background: 'rgba(20, 20, 30, 0.8)',
+        border: '1px solid rgba(74, 158, 255, 0.2)',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        marginBottom: '40px'
+      }}>
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid rgba(74, 158, 255, 0.1)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'baseline'
+        }}>
+          <span style={{
+            fontSize: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '2px',
+            color: '#9ca3af'
+          }}>
+            Mean Axis-Artifact Score
+          </span>
+          <span style={{ fontSize: '11px', color: '#6b7280' }}>
+            detectAxisArtifact · 64 × 64 samples · seed {scoreSeed}
+          </span>
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{
+            width: '100%',
+            borderCollapse: 'collapse',
+            fontSize: '12px'
+          }}>
+            <thead>
+              <tr style={{ background: 'rgba(0, 0, 0, 0.3)' }}>
+                <th style={{ padding: '12px 16px', textAlign: 'left', color: '#9ca3af', fontWeight: 500 }}>Algorithm</th>
+                <th style={{ padding: '12px 16px', textAlign: 'right', color: '#9ca3af', fontWeight: 500 }}>Mean Score</th>
+                <th style={{ padding: '12px 16px', textAlign: 'right', color: '#9ca3af', fontWeight: 500 }}>Per Unit Gradient</th>
+                <th style={{ padding: '12px 16px', textAlign: 'left', color: '#9ca3af', fontWeight: 500, width: '40%' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {artifactScores.map(({ name, color, score, normalized }) => (
+                <tr key={name} style={{ borderTop: '1px solid rgba(74, 158, 255, 0.1)' }}>
+                  <td style={{ padding: '10px 16px', color }}>{name}</td>
+                  <td style={{ padding: '10px 16px', textAlign: 'right', color: '#e0e0e8' }}>{score.toFixed(4)}</td>
+                  <td style={{ padding: '10px 16px', textAlign: 'right', color: '#9ca3af' }}>{normalized.toFixed(3)}</td>
+                  <td style={{ padding: '10px 16px' }}>
+                    <div style={{
+                      height: '6px',
+                      width: `${maxNormalized > 0 ? normalized / maxNormalized * 100 : 0}%`,
+                      background: color,
+                      borderRadius: '3px',
+                      opacity: 0.7
+                    }} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      
+      {/* Value Distribution Panel */}
+      <div style={{
+        background: 'rgba(20, 20, 30, 0.8)',
+        border: '1px solid rgba(74, 158, 255, 0.2)',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        marginBottom: '40px'
+      }}>
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid rgba(74, 158, 255, 0.1)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'baseline'
+        }}>
+          <span style={{
+            fontSize: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '2px',
+            color: '#9ca3af'
+          }}>
+            Value Distribution
+          </span>
+          <span style={{ fontSize: '11px', color: '#6b7280' }}>
+            raw output · {STATS_SIZE}² samples · {STATS_SPAN} panel widths · seed {scoreSeed}
+            {normalizeRange && ' · panels remapped [min, max] → [-1, 1]'}
+          </span>
+        </div>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+          gap: '16px',
+          padding: '16px 20px'
+        }}>
+          {statistics.map(({ name, color, histogram, min, max, mean, variance, skew, kurtosis }) => {
+            const peak = Math.max(...histogram);
+            return (
+              <div key={name} style={{
+                background: 'rgba(0, 0, 0, 0.3)',
+                borderRadius: '8px',
+                padding: '12px'
+              }}>
+                <div style={{ fontSize: '12px', color, marginBottom: '8px' }}>{name}</div>
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'flex-end',
+                  height: '64px',
+                  gap: '1px',
+                  borderBottom: '1px solid #334155'
+                }}>
+                  {histogram.map((count, bin) => (
+                    <div key={bin} style={{
+                      flex: 1,
+                      height: `${peak > 0 ? count / peak * 100 : 0}%`,
+                      background: color,
+                      opacity: 0.7
+                    }} />
+                  ))}
+                </div>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  fontSize: '10px',
+                  color: '#6b7280',
+                  margin: '4px 0 8px 0'
+                }}>
+                  <span>-1</span>
+                  <span>0</span>
+                  <span>+1</span>
+                </div>
+                {[
+                  ['Min / Max', `${min.toFixed(3)} / ${max.toFixed(3)}`],
+                  ['Mean', mean.toFixed(4)],
+                  ['Variance', variance.toFixed(4)],
+                  ['Skew', skew.toFixed(3)],
+                  ['Excess Kurtosis', kurtosis.toFixed(3)]
+                ].map(([label, value]) => (
+                  <div key={label} style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    fontSize: '11px',
+                    color: '#6b7280',
+                    marginBottom: '2px'
+                  }}>
+                    <span>{label}:</span>
+                    <span style={{ color: '#e0e0e8' }}>{value}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      {/* Power Spectrum Panel */}
+      <div style={{
+        background: 'rgba(20, 20, 30, 0.8)',
+        border: '1px solid rgba(74, 158, 255, 0.2)',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        marginBottom: '40px'
+      }}>
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid rgba(74, 158, 255, 0.1)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'baseline'
+        }}>
+          <span style={{
+            fontSize: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '2px',
+            color: '#9ca3af'
+          }}>
+            Power Spectrum & Anisotropy
+          </span>
+          <span style={{ fontSize: '11px', color: '#6b7280' }}>
+            {SPECTRUM_SIZE}² FFT · Hann window · {SPECTRUM_SPAN} panel widths · seed {scoreSeed}
+          </span>
+        </div>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+          gap: '16px',
+          padding: '16px 20px'
+        }}>
+          {[
+            { ref: angularEnergyRef, title: 'Angular Energy', axis: ['0° (x)', '90° (y)', '180°'], note: 'whitened, mean 1 (dashed); axis bias shows as spikes at 0°, 90° and 180°' },
+            { ref: radialSpectrumRef, title: 'Radial Power Spectrum', axis: ['0', 'cycles per panel', `${(SPECTRUM_SIZE / 2 - 1) / SPECTRUM_SPAN}`], note: 'dB below each curve\'s peak; dashed at −20 and −40 dB' }
+          ].map(({ ref, title, axis, note }) => (
+            <div key={title}>
+              <div style={{ fontSize: '11px', color: '#9ca3af', marginBottom: '8px' }}>{title}</div>
+              <canvas
+                ref={ref}
+                width={480}
+                height={200}
+                style={{
+                  width: '100%',
+                  height: 'auto',
+                  borderRadius: '4px',
+                  border: '1px solid rgba(74, 158, 255, 0.1)'
+                }}
+              />
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '10px',
+                color: '#6b7280',
+                marginTop: '4px'
+              }}>
+                {axis.map(label => <span key={label}>{label}</span>)}
+              </div>
+              <div style={{ fontSize: '10px', color: '#6b7280', marginTop: '4px' }}>{note}</div>
+            </div>
+          ))}
+        </div>
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '12px',
+          padding: '12px 20px',
+          background: 'rgba(0, 0, 0, 0.3)',
+          fontSize: '11px'
+        }}>
+          <span style={{ color: '#9ca3af' }}>Anisotropy ratio (axis ±{AXIS_SECTOR}° energy / mean, 1 = isotropic):</span>
+          {spectra.map(({ name, color, anisotropy }) => (
+            <span key={name} style={{ color }}>
+              {name} <strong>{anisotropy.toFixed(2)}</strong>
+            </span>
+          ))}
+        </div>
       </div>
       
       {/* Comparison Table */}
@@ -738,22 +1436,24 @@ export default function NoiseComparisonGrid() {
                 <th style={{ padding: '12px 16px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}>White Noise</th>
                 <th style={{ padding: '12px 16px', textAlign: 'center', color: '#f87171', fontWeight: 500 }}>Perlin</th>
                 <th style={{ padding: '12px 16px', textAlign: 'center', color: '#4ade80', fontWeight: 500 }}>Simplex</th>
+                <th style={{ padding: '12px 16px', textAlign: 'center', color: '#fbbf24', fontWeight: 500 }}>Worley</th>
               </tr>
             </thead>
             <tbody>
               {[
-                ['Spatial Coherence', '✗ None', '◐ Moderate', '✓ Excellent'],
-                ['Axis Artifacts', '✗ N/A', '✗ Visible', '✓ Minimal'],
-                ['Complexity (nD)', 'O(1)', 'O(2ⁿ)', 'O(n²)'],
-                ['Gradient Continuity', 'None', 'C¹', 'C²'],
-                ['GPU Efficiency', '✓ Excellent', '◐ Moderate', '✓ Excellent'],
-                ['Visual Quality', '◐ Chaotic', '◐ Good', '✓ Superior']
-              ].map(([prop, white, perlin, simplex], i) => (
+                ['Spatial Coherence', '✗ None', '◐ Moderate', '✓ Excellent', '◐ Cellular'],
+                ['Axis Artifacts', '✗ N/A', '✗ Visible', '✓ Minimal', '◐ Metric-shaped'],
+                ['Complexity (nD)', 'O(1)', 'O(2ⁿ)', 'O(n²)', 'O(3ⁿ)'],
+                ['Gradient Continuity', 'None', 'C¹', 'C²', 'C⁰ (creased)'],
+                ['GPU Efficiency', '✓ Excellent', '◐ Moderate', '✓ Excellent', '◐ Moderate'],
+                ['Visual Quality', '◐ Chaotic', '◐ Good', '✓ Superior', '✓ Cells, cracks']
+              ].map(([prop, white, perlin, simplex, worley], i) => (
                 <tr key={i} style={{ borderTop: '1px solid rgba(74, 158, 255, 0.1)' }}>
                   <td style={{ padding: '10px 16px', color: '#e0e0e8' }}>{prop}</td>
                   <td style={{ padding: '10px 16px', textAlign: 'center', color: '#9ca3af' }}>{white}</td>
                   <td style={{ padding: '10px 16px', textAlign: 'center', color: '#9ca3af' }}>{perlin}</td>
                   <td style={{ padding: '10px 16px', textAlign: 'center', color: '#9ca3af' }}>{simplex}</td>
+                  <td style={{ padding: '10px 16px', textAlign: 'center', color: '#9ca3af' }}>{worley}</td>
                 </tr>
               ))}
             </tbody>
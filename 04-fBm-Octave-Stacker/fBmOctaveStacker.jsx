@@ -1,4 +1,8 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+  hashedValue2D, hashedValue2DDeriv, periodicHashedValue2D, periodicHashedValue2DDeriv,
+  periodicFrequency, traceFractal, FRACTAL_MODES, lerp
+} from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // fBm OCTAVE STACKER
@@ -7,100 +11,146 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // ─────────────────────────────────────────────────────────────────────────────
-// HASH & NOISE PRIMITIVES
-// Position-as-seed paradigm: coordinates deterministically produce values
+// VALUE NOISE
+// Position-as-seed paradigm: coordinates deterministically produce values.
+// Quintic value noise on mulXorHash2D, shared/noise.js hashedValue2D.
 // ─────────────────────────────────────────────────────────────────────────────
 
-// SplitMix64-inspired hash for deterministic pseudo-random values
-const hash = (x, y, seed = 0) => {
-  let h = (x * 374761393 + y * 668265263 + seed * 1013904223) >>> 0;
-  h = ((h ^ (h >>> 13)) * 1274126177) >>> 0;
-  h = ((h ^ (h >>> 16)) * 2654435769) >>> 0;
-  return (h ^ (h >>> 16)) >>> 0;
+const valueNoise2D = hashedValue2D;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FRACTAL BROWNIAN MOTION
+// Octave stacking with persistence (amplitude decay) and lacunarity (frequency growth)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// One octave. With a period the lattice wraps so the octave repeats every
+// `period` units; its frequency is rounded to fit a whole number of cells.
+const octaveNoise = (x, y, frequency, octaveIndex, seed, period = 0) => {
+  const octaveSeed = seed + octaveIndex * 1337;
+  if (!period) return valueNoise2D(x * frequency, y * frequency, octaveSeed);
+  const f = periodicFrequency(frequency, period);
+  return periodicHashedValue2D(x * f, y * f, octaveSeed, Math.round(f * period));
+};
+
+// octaveNoise with its gradient in the octave's own coordinates, for 'swiss'
+const octaveNoiseDeriv = (x, y, frequency, octaveIndex, seed, period, out) => {
+  const octaveSeed = seed + octaveIndex * 1337;
+  if (!period) return hashedValue2DDeriv(x * frequency, y * frequency, octaveSeed, out);
+  const f = periodicFrequency(frequency, period);
+  const cells = Math.round(f * period);
+  return periodicHashedValue2DDeriv(x * f, y * f, octaveSeed, cells, cells, out);
 };
 
-// Convert hash to float in range [0, 1]
-const hashToFloat = (x, y, seed = 0) => {
-  return (hash(x, y, seed) & 0x7FFFFFFF) / 0x7FFFFFFF;
+const FRACTAL_MODE_LABELS = {
+  fbm: 'fBm',
+  billow: 'Billow',
+  ridged: 'Ridged',
+  hybrid: 'Hybrid',
+  swiss: 'Swiss / IQ'
 };
 
-// Smooth interpolation (quintic curve for C² continuity)
-const smoothstep = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+// Per-octave signal for the formula panel, in terms of n = noise(pos × lacunarity^i)
+const FRACTAL_MODE_FORMULAS = {
+  fbm: 'n',
+  billow: '2|n| − 1',
+  ridged: '2w · (1 − |n|)² − 1',
+  hybrid: 'w · (n + 1) − 1',
+  swiss: 'n / (1 + |Σ∇n|²)'
+};
 
-// Linear interpolation
-const lerp = (a, b, t) => a + t * (b - a);
+// { value (normalized to [-1, 1]), maxValue, contributions }. Each
+// contribution's `signal` is what that octave adds in the chosen mode. A
+// `schedule` of { amplitude, frequency } per octave overrides persistence
+// and lacunarity.
+const fbm = (x, y, octaves, persistence, lacunarity, seed = 42, period = 0, mode = 'fbm', schedule = null) =>
+  traceFractal(
+    mode === 'swiss'
+      ? (frequency, i, out) => octaveNoiseDeriv(x, y, frequency, i, seed, period, out)
+      : (frequency, i, out) => { out[0] = octaveNoise(x, y, frequency, i, seed, period); },
+    octaves, persistence, lacunarity, mode, schedule
+  );
 
 // ─────────────────────────────────────────────────────────────────────────────
-// VALUE NOISE IMPLEMENTATION
-// Gradient-free coherent noise suitable for real-time demonstration
+// OCTAVE CURVES
+// A per-octave { amplitude, frequency, muted } curve replaces the geometric
+// persistence/lacunarity falloff. Curves are plain JSON, so presets are too.
 // ─────────────────────────────────────────────────────────────────────────────
 
-const valueNoise2D = (x, y, seed = 0) => {
-  const xi = Math.floor(x);
-  const yi = Math.floor(y);
-  const xf = x - xi;
-  const yf = y - yi;
-  
-  // Smoothed interpolation factors
-  const u = smoothstep(xf);
-  const v = smoothstep(yf);
-  
-  // Corner values (deterministic from position)
-  const n00 = hashToFloat(xi, yi, seed) * 2 - 1;
-  const n10 = hashToFloat(xi + 1, yi, seed) * 2 - 1;
-  const n01 = hashToFloat(xi, yi + 1, seed) * 2 - 1;
-  const n11 = hashToFloat(xi + 1, yi + 1, seed) * 2 - 1;
-  
-  // Bilinear interpolation
-  const nx0 = lerp(n00, n10, u);
-  const nx1 = lerp(n01, n11, u);
-  
-  return lerp(nx0, nx1, v);
-};
+const MAX_OCTAVES = 12;
+const MIN_FREQUENCY = 0.5;
+const MAX_FREQUENCY = 4096;
+const PRESET_STORAGE_KEY = 'beyond-tribonacci.fbm-octave-stacker.curves';
 
-// ─────────────────────────────────────────────────────────────────────────────
-// FRACTAL BROWNIAN MOTION
-// Octave stacking with persistence (amplitude decay) and lacunarity (frequency growth)
-// ─────────────────────────────────────────────────────────────────────────────
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 
-const fbm = (x, y, octaves, persistence, lacunarity, seed = 42) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  const octaveContributions = [];
-  
-  for (let i = 0; i < octaves; i++) {
-    const noiseValue = valueNoise2D(x * frequency, y * frequency, seed + i * 1337);
-    const contribution = amplitude * noiseValue;
-    
-    octaveContributions.push({
-      octave: i + 1,
-      frequency,
-      amplitude,
-      rawNoise: noiseValue,
-      contribution,
-      runningTotal: value + contribution
-    });
-    
-    value += contribution;
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
+const geometricCurve = (persistence, lacunarity) =>
+  Array.from({ length: MAX_OCTAVES }, (_, i) => ({
+    amplitude: Math.pow(persistence, i),
+    frequency: clamp(Math.pow(lacunarity, i), MIN_FREQUENCY, MAX_FREQUENCY),
+    muted: false
+  }));
+
+// Coerce a stored or hand-edited curve into MAX_OCTAVES in-range entries;
+// anything missing or malformed falls back to the ½ · 2 geometric curve
+const sanitizeCurve = (curve) => geometricCurve(0.5, 2).map((fallback, i) => {
+  const entry = Array.isArray(curve) ? curve[i] : null;
+  if (!entry || typeof entry !== 'object') return fallback;
   return {
-    value: value / maxValue, // Normalized to [-1, 1]
-    maxValue,
-    contributions: octaveContributions
+    amplitude: Number.isFinite(entry.amplitude) ? clamp(entry.amplitude, 0, 1) : fallback.amplitude,
+    frequency: Number.isFinite(entry.frequency) ? clamp(entry.frequency, MIN_FREQUENCY, MAX_FREQUENCY) : fallback.frequency,
+    muted: entry.muted === true
   };
+});
+
+// What traceFractal consumes: a muted octave keeps its place at zero amplitude
+const curveSchedule = (curve) =>
+  curve.map(({ amplitude, frequency, muted }) => ({ amplitude: muted ? 0 : amplitude, frequency }));
+
+const BUILT_IN_PRESETS = [
+  { name: 'Geometric ½ · 2', curve: geometricCurve(0.5, 2) },
+  { name: 'Brown 1/f²', curve: geometricCurve(0.25, 2) },
+  { name: 'Flat', curve: geometricCurve(1, 2) },
+  {
+    name: 'Boost 3 · Mute 5',
+    curve: geometricCurve(0.5, 2).map((octave, i) =>
+      i === 2 ? { ...octave, amplitude: 1 } : i === 4 ? { ...octave, muted: true } : octave)
+  }
+];
+
+const loadSavedPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .filter(preset => preset && typeof preset.name === 'string')
+      .map(preset => ({ name: preset.name, curve: sanitizeCurve(preset.curve) }));
+  } catch {
+    return [];
+  }
 };
 
-// Generate single octave for visualization
-const singleOctave = (x, y, octaveIndex, lacunarity, seed = 42) => {
-  const frequency = Math.pow(lacunarity, octaveIndex);
-  return valueNoise2D(x * frequency, y * frequency, seed + octaveIndex * 1337);
+const storeSavedPresets = (presets) => {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch {
+    // Storage unavailable (private mode, sandboxed frame): presets last for the session
+  }
+};
+
+// Cross-section profile: samples along the line, and how close (in CSS
+// pixels) a press must land to grab an endpoint or the line itself
+const PROFILE_SAMPLES = 256;
+const HANDLE_RADIUS = 12;
+const LINE_GRAB_DISTANCE = 8;
+
+// Curve editor geometry, in SVG units: an amplitude lane over a log2 frequency lane
+const CURVE_EDITOR = {
+  width: 480,
+  height: 264,
+  padding: 36,
+  amplitudeLane: { top: 16, bottom: 112 },
+  frequencyLane: { top: 140, bottom: 236 },
+  labelY: 256
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -119,12 +169,31 @@ export default function FBMOctaveStacker() {
   const [scale, setScale] = useState(4);
   const [highlightedOctave, setHighlightedOctave] = useState(null);
   const [showContributions, setShowContributions] = useState(true);
+  const [tileable, setTileable] = useState(false);
+  const [fractalMode, setFractalMode] = useState('fbm');
+  const [curveEnabled, setCurveEnabled] = useState(false);
+  const [octaveCurve, setOctaveCurve] = useState(() => geometricCurve(0.5, 2));
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [selectedPreset, setSelectedPreset] = useState(BUILT_IN_PRESETS[0].name);
+  const [presetName, setPresetName] = useState('');
+  const [showCrossSection, setShowCrossSection] = useState(false);
+  // Endpoints in canvas-normalised [0, 1] coordinates
+  const [crossSection, setCrossSection] = useState({ x0: 0.05, y0: 0.5, x1: 0.95, y1: 0.5 });
   const [isAnimating, setIsAnimating] = useState(false);
   const [animationOctave, setAnimationOctave] = useState(1);
   
   const mainCanvasRef = useRef(null);
   const stripCanvasRef = useRef(null);
+  const tileCanvasRef = useRef(null);
   const animationRef = useRef(null);
+  const curveEditorRef = useRef(null);
+  const curveDrag = useRef(null);
+  const crossSectionCanvasRef = useRef(null);
+  const profileCanvasRef = useRef(null);
+  const crossSectionDrag = useRef(null);
+  
+  // Per-octave { amplitude, frequency } when the curve is on, else geometric
+  const schedule = useMemo(() => curveEnabled ? curveSchedule(octaveCurve) : null, [curveEnabled, octaveCurve]);
   
   // ─────────────────────────────────────────────────────────────────────────────
   // TERRAIN RENDERING
@@ -227,13 +296,15 @@ export default function FBMOctaveStacker() {
     const data = imageData.data;
     
     const effectiveOctaves = isAnimating ? animationOctave : octaves;
+    // The view spans `scale` units on both axes, so that is the tile period
+    const period = tileable ? scale : 0;
     
     for (let py = 0; py < height; py++) {
       for (let px = 0; px < width; px++) {
         const x = (px / width) * scale;
         const y = (py / height) * scale;
         
-        const result = fbm(x, y, effectiveOctaves, persistence, lacunarity, seed);
+        const result = fbm(x, y, effectiveOctaves, persistence, lacunarity, seed, period, fractalMode, schedule);
         const color = heightToColor(result.value);
         
         const idx = (py * width + px) * 4;
@@ -245,7 +316,20 @@ export default function FBMOctaveStacker() {
     }
     
     ctx.putImageData(imageData, 0, 0);
-  }, [octaves, persistence, lacunarity, seed, scale, heightToColor, isAnimating, animationOctave]);
+    
+    // 2×2 repeat of the texture: any seam shows up as a cross through the middle
+    const tileCanvas = tileCanvasRef.current;
+    if (tileable && tileCanvas) {
+      const tileCtx = tileCanvas.getContext('2d');
+      const tw = tileCanvas.width / 2;
+      const th = tileCanvas.height / 2;
+      for (let ty = 0; ty < 2; ty++) {
+        for (let tx = 0; tx < 2; tx++) {
+          tileCtx.drawImage(canvas, tx * tw, ty * th, tw, th);
+        }
+      }
+    }
+  }, [octaves, persistence, lacunarity, seed, scale, heightToColor, isAnimating, animationOctave, tileable, fractalMode, schedule]);
   
   const renderOctaveStrip = useCallback(() => {
     const canvas = stripCanvasRef.current;
@@ -260,21 +344,21 @@ export default function FBMOctaveStacker() {
     const stripHeight = Math.floor(height / Math.max(octaves, 1));
     const effectiveOctaves = isAnimating ? animationOctave : octaves;
     
-    for (let octaveIdx = 0; octaveIdx < effectiveOctaves; octaveIdx++) {
-      const yStart = octaveIdx * stripHeight;
-      const yEnd = Math.min((octaveIdx + 1) * stripHeight, height);
+    // One trace per column along a fixed-y 1D slice; each band shows that
+    // octave's signal in the current mode (its raw noise for plain fBm)
+    for (let px = 0; px < width; px++) {
+      const x = (px / width) * scale;
+      const y = 0.5 * scale;
+      const { contributions } = fbm(x, y, effectiveOctaves, persistence, lacunarity, seed, tileable ? scale : 0, fractalMode, schedule);
       
-      for (let py = yStart; py < yEnd; py++) {
-        for (let px = 0; px < width; px++) {
-          const x = (px / width) * scale;
-          const y = 0.5 * scale; // Fixed y for 1D slice
-          
-          const noiseValue = singleOctave(x, y, octaveIdx, lacunarity, seed);
-          const color = octaveToColor(noiseValue, octaveIdx);
-          
-          // Dim non-highlighted octaves
-          const dim = highlightedOctave !== null && highlightedOctave !== octaveIdx ? 0.3 : 1;
-          
+      for (let octaveIdx = 0; octaveIdx < effectiveOctaves; octaveIdx++) {
+        const color = octaveToColor(contributions[octaveIdx].signal, octaveIdx);
+        
+        // Dim non-highlighted octaves
+        const dim = highlightedOctave !== null && highlightedOctave !== octaveIdx ? 0.3 : 1;
+        
+        const yEnd = Math.min((octaveIdx + 1) * stripHeight, height);
+        for (let py = octaveIdx * stripHeight; py < yEnd; py++) {
           const idx = (py * width + px) * 4;
           data[idx] = Math.floor(color.r * dim);
           data[idx + 1] = Math.floor(color.g * dim);
@@ -302,17 +386,17 @@ export default function FBMOctaveStacker() {
     ctx.textBaseline = 'middle';
     for (let i = 0; i < effectiveOctaves; i++) {
       const y = i * stripHeight + stripHeight / 2;
-      const freq = Math.pow(lacunarity, i).toFixed(1);
-      const amp = Math.pow(persistence, i).toFixed(3);
+      const freq = (schedule ? schedule[i].frequency : Math.pow(lacunarity, i)).toFixed(1);
+      const amp = (schedule ? schedule[i].amplitude : Math.pow(persistence, i)).toFixed(3);
       
       ctx.fillStyle = highlightedOctave === i ? '#fff' : 'rgba(255,255,255,0.7)';
       ctx.fillText(`Oct ${i + 1}`, 8, y - 8);
       ctx.fillStyle = highlightedOctave === i ? '#aaa' : 'rgba(255,255,255,0.4)';
       ctx.font = '9px "JetBrains Mono", monospace';
-      ctx.fillText(`f×${freq} a×${amp}`, 8, y + 8);
+      ctx.fillText(curveEnabled && octaveCurve[i].muted ? `f×${freq} muted` : `f×${freq} a×${amp}`, 8, y + 8);
       ctx.font = '11px "JetBrains Mono", monospace';
     }
-  }, [octaves, persistence, lacunarity, seed, scale, highlightedOctave, octaveToColor, isAnimating, animationOctave]);
+  }, [octaves, persistence, lacunarity, seed, scale, highlightedOctave, octaveToColor, isAnimating, animationOctave, tileable, fractalMode, schedule, curveEnabled, octaveCurve]);
   
   // ─────────────────────────────────────────────────────────────────────────────
   // ANIMATION: Progressive octave reveal
@@ -336,6 +420,228 @@ export default function FBMOctaveStacker() {
     }
   }, [isAnimating, animationOctave, octaves]);
   
+  // ─────────────────────────────────────────────────────────────────────────────
+  // OCTAVE CURVE EDITOR: drag points to set amplitude and frequency, click an
+  // octave label to mute it
+  // ─────────────────────────────────────────────────────────────────────────────
+  
+  const updateOctave = useCallback((index, changes) => {
+    setOctaveCurve(curve => curve.map((octave, i) => i === index ? { ...octave, ...changes } : octave));
+  }, []);
+  
+  const handleCurveMouseMove = useCallback((e) => {
+    const drag = curveDrag.current;
+    const svg = curveEditorRef.current;
+    if (!drag || !svg) return;
+    
+    const rect = svg.getBoundingClientRect();
+    const y = (e.clientY - rect.top) * CURVE_EDITOR.height / rect.height;
+    const lane = CURVE_EDITOR[drag.lane];
+    const t = clamp((lane.bottom - y) / (lane.bottom - lane.top), 0, 1);
+    
+    if (drag.lane === 'amplitudeLane') {
+      updateOctave(drag.octave, { amplitude: t, muted: false });
+    } else {
+      updateOctave(drag.octave, { frequency: MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, t) });
+    }
+  }, [updateOctave]);
+  
+  const handleCurveMouseUp = useCallback(() => {
+    curveDrag.current = null;
+  }, []);
+  
+  const presetOptions = [...BUILT_IN_PRESETS, ...savedPresets];
+  const isSavedPreset = savedPresets.some(preset => preset.name === selectedPreset);
+  const trimmedPresetName = presetName.trim();
+  const canSavePreset = trimmedPresetName !== '' && !BUILT_IN_PRESETS.some(preset => preset.name === trimmedPresetName);
+  
+  const loadPreset = () => {
+    const preset = presetOptions.find(option => option.name === selectedPreset);
+    if (!preset) return;
+    setOctaveCurve(sanitizeCurve(preset.curve));
+    setCurveEnabled(true);
+  };
+  
+  const savePreset = () => {
+    if (!canSavePreset) return;
+    const next = [
+      ...savedPresets.filter(preset => preset.name !== trimmedPresetName),
+      { name: trimmedPresetName, curve: octaveCurve }
+    ];
+    setSavedPresets(next);
+    storeSavedPresets(next);
+    setSelectedPreset(trimmedPresetName);
+    setPresetName('');
+  };
+  
+  const deletePreset = () => {
+    const next = savedPresets.filter(preset => preset.name !== selectedPreset);
+    setSavedPresets(next);
+    storeSavedPresets(next);
+    setSelectedPreset(BUILT_IN_PRESETS[0].name);
+  };
+  
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CROSS-SECTION: a draggable line over the terrain and the 1D height profile
+  // along it, built from the per-octave running totals fbm already records
+  // ─────────────────────────────────────────────────────────────────────────────
+  
+  const profile = useMemo(() => {
+    if (!showCrossSection) return null;
+    const effectiveOctaves = isAnimating ? animationOctave : octaves;
+    const { x0, y0, x1, y1 } = crossSection;
+    return Array.from({ length: PROFILE_SAMPLES }, (_, k) => {
+      const t = k / (PROFILE_SAMPLES - 1);
+      return fbm(lerp(x0, x1, t) * scale, lerp(y0, y1, t) * scale, effectiveOctaves, persistence, lacunarity,
+        seed, tileable ? scale : 0, fractalMode, schedule);
+    });
+  }, [showCrossSection, crossSection, octaves, persistence, lacunarity, seed, scale, isAnimating, animationOctave, tileable, fractalMode, schedule]);
+  
+  const renderCrossSectionLine = useCallback(() => {
+    const canvas = crossSectionCanvasRef.current;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { x0, y0, x1, y1 } = crossSection;
+    ctx.clearRect(0, 0, width, height);
+    
+    ctx.lineCap = 'round';
+    for (const [lineWidth, color] of [[5, 'rgba(0,0,0,0.5)'], [2, '#fff']]) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      ctx.moveTo(x0 * width, y0 * height);
+      ctx.lineTo(x1 * width, y1 * height);
+      ctx.stroke();
+    }
+    
+    ctx.font = '600 11px "JetBrains Mono", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const [x, y, label] of [[x0, y0, 'A'], [x1, y1, 'B']]) {
+      ctx.fillStyle = '#fff';
+      ctx.beginPath();
+      ctx.arc(x * width, y * height, 9, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#111';
+      ctx.fillText(label, x * width, y * height + 1);
+    }
+  }, [crossSection]);
+  
+  const renderProfile = useCallback(() => {
+    const canvas = profileCanvasRef.current;
+    if (!canvas || !profile) return;
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const toX = (k) => k / (PROFILE_SAMPLES - 1) * width;
+    const toY = (value) => height / 2 - value * (height / 2 - 8);
+    
+    ctx.fillStyle = '#0d0d14';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Octave i fills the band between the running totals before and after it,
+    // so the stacked bands end exactly on the profile
+    const octaveCount = profile[0].contributions.length;
+    const runningTotal = (sample, i) => i < 0 ? 0 : sample.contributions[i].runningTotal / (sample.maxValue || 1);
+    for (let i = 0; i < octaveCount; i++) {
+      const { r, g, b } = octaveToColor(0.3, i);
+      const dim = highlightedOctave !== null && highlightedOctave !== i;
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${dim ? 0.15 : 0.7})`;
+      ctx.beginPath();
+      profile.forEach((sample, k) => ctx.lineTo(toX(k), toY(runningTotal(sample, i))));
+      for (let k = PROFILE_SAMPLES - 1; k >= 0; k--) ctx.lineTo(toX(k), toY(runningTotal(profile[k], i - 1)));
+      ctx.closePath();
+      ctx.fill();
+    }
+    
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, toY(0));
+    ctx.lineTo(width, toY(0));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    profile.forEach((sample, k) => ctx.lineTo(toX(k), toY(sample.value)));
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    
+    ctx.font = '10px "JetBrains Mono", monospace';
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('+1', 4, 4);
+    ctx.fillText('A', 4, height - 16);
+    ctx.textAlign = 'right';
+    ctx.fillText('B', width - 4, height - 16);
+  }, [profile, highlightedOctave, octaveToColor]);
+  
+  // Press near an endpoint to move it, on the line to slide the whole line,
+  // anywhere else to start drawing a new one
+  const handleCrossSectionMouseDown = useCallback((e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+    const y = clamp((e.clientY - rect.top) / rect.height, 0, 1);
+    const { x0, y0, x1, y1 } = crossSection;
+    
+    // Distances in CSS pixels
+    const distanceTo = (px, py) => Math.hypot((px - x) * rect.width, (py - y) * rect.height);
+    const ax = (x1 - x0) * rect.width;
+    const ay = (y1 - y0) * rect.height;
+    const along = clamp((((x - x0) * rect.width) * ax + ((y - y0) * rect.height) * ay) / (ax * ax + ay * ay || 1), 0, 1);
+    
+    if (distanceTo(x0, y0) < HANDLE_RADIUS) {
+      crossSectionDrag.current = { handle: 'start', previous: crossSection };
+    } else if (distanceTo(x1, y1) < HANDLE_RADIUS) {
+      crossSectionDrag.current = { handle: 'end', previous: crossSection };
+    } else if (distanceTo(lerp(x0, x1, along), lerp(y0, y1, along)) < LINE_GRAB_DISTANCE) {
+      crossSectionDrag.current = { handle: 'line', previous: crossSection, grabX: x, grabY: y };
+    } else {
+      crossSectionDrag.current = { handle: 'end', previous: crossSection };
+      setCrossSection({ x0: x, y0: y, x1: x, y1: y });
+    }
+  }, [crossSection]);
+  
+  const handleCrossSectionMouseMove = useCallback((e) => {
+    const drag = crossSectionDrag.current;
+    if (!drag) return;
+    
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+    const y = clamp((e.clientY - rect.top) / rect.height, 0, 1);
+    
+    if (drag.handle === 'start') {
+      setCrossSection(line => ({ ...line, x0: x, y0: y }));
+    } else if (drag.handle === 'end') {
+      setCrossSection(line => ({ ...line, x1: x, y1: y }));
+    } else {
+      // Slide both endpoints, stopping at the canvas edges
+      const { x0, y0, x1, y1 } = drag.previous;
+      const dx = clamp(x - drag.grabX, -Math.min(x0, x1), 1 - Math.max(x0, x1));
+      const dy = clamp(y - drag.grabY, -Math.min(y0, y1), 1 - Math.max(y0, y1));
+      setCrossSection({ x0: x0 + dx, y0: y0 + dy, x1: x1 + dx, y1: y1 + dy });
+    }
+  }, []);
+  
+  // A click without a drag leaves a zero-length line, so keep the old one
+  const handleCrossSectionMouseUp = useCallback(() => {
+    const drag = crossSectionDrag.current;
+    if (!drag) return;
+    crossSectionDrag.current = null;
+    setCrossSection(line => Math.hypot(line.x1 - line.x0, line.y1 - line.y0) < 0.01 ? drag.previous : line);
+  }, []);
+  
+  useEffect(() => {
+    if (!showCrossSection) return;
+    renderCrossSectionLine();
+    renderProfile();
+  }, [showCrossSection, renderCrossSectionLine, renderProfile]);
+  
   // ─────────────────────────────────────────────────────────────────────────────
   // EFFECT: Re-render on parameter change
   // ─────────────────────────────────────────────────────────────────────────────
@@ -354,19 +660,21 @@ export default function FBMOctaveStacker() {
   
   const computeOctaveStats = () => {
     const stats = [];
+    const amplitudeAt = (i) => schedule ? schedule[i].amplitude : Math.pow(persistence, i);
+    const frequencyAt = (i) => schedule ? schedule[i].frequency : Math.pow(lacunarity, i);
     let totalWeight = 0;
     for (let i = 0; i < octaves; i++) {
-      const amp = Math.pow(persistence, i);
+      const amp = amplitudeAt(i);
       totalWeight += amp;
     }
     for (let i = 0; i < octaves; i++) {
-      const amp = Math.pow(persistence, i);
-      const freq = Math.pow(lacunarity, i);
+      const amp = amplitudeAt(i);
+      const freq = frequencyAt(i);
       stats.push({
         octave: i + 1,
         frequency: freq,
         amplitude: amp,
-        contribution: (amp / totalWeight * 100).toFixed(1)
+        contribution: (totalWeight > 0 ? amp / totalWeight * 100 : 0).toFixed(1)
       });
     }
     return stats;
@@ -374,6 +682,29 @@ export default function FBMOctaveStacker() {
   
   const octaveStats = computeOctaveStats();
   
+  // Curve editor layout: octave i's x, a lane's y for t ∈ [0, 1], log2 frequency → t
+  const { amplitudeLane, frequencyLane } = CURVE_EDITOR;
+  const octaveX = (i) => CURVE_EDITOR.padding + (i + 0.5) * (CURVE_EDITOR.width - 2 * CURVE_EDITOR.padding) / octaves;
+  const laneY = (lane, t) => lane.bottom - t * (lane.bottom - lane.top);
+  const frequencyT = (frequency) => Math.log(frequency / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+  const activeCurve = octaveCurve.slice(0, octaves);
+  const lanes = [
+    {
+      key: 'amplitudeLane',
+      lane: amplitudeLane,
+      color: '#ff9f4a',
+      pointY: (octave) => laneY(amplitudeLane, octave.amplitude),
+      ticks: [[0, '0'], [0.5, '0.5'], [1, '1']]
+    },
+    {
+      key: 'frequencyLane',
+      lane: frequencyLane,
+      color: '#4aff9f',
+      pointY: (octave) => laneY(frequencyLane, frequencyT(octave.frequency)),
+      ticks: [1, 16, 256, 4096].map(f => [frequencyT(f), `${f}×`])
+    }
+  ];
+  
   // ─────────────────────────────────────────────────────────────────────────────
   // RENDER
   // ─────────────────────────────────────────────────────────────────────────────
@@ -469,18 +800,102 @@ export default function FBMOctaveStacker() {
               {isAnimating ? `${animationOctave}/${octaves}` : octaves} octaves active
             </span>
           </div>
-          <canvas
-            ref={mainCanvasRef}
-            width={512}
-            height={384}
-            style={{
-              width: '100%',
-              height: 'auto',
-              borderRadius: '8px',
-              display: 'block',
-              imageRendering: 'pixelated'
-            }}
-          />
+          <div style={{ position: 'relative' }}>
+            <canvas
+              ref={mainCanvasRef}
+              width={512}
+              height={384}
+              style={{
+                width: '100%',
+                height: 'auto',
+                borderRadius: '8px',
+                display: 'block',
+                imageRendering: 'pixelated'
+              }}
+            />
+            {showCrossSection && (
+              <canvas
+                ref={crossSectionCanvasRef}
+                width={512}
+                height={384}
+                onMouseDown={handleCrossSectionMouseDown}
+                onMouseMove={handleCrossSectionMouseMove}
+                onMouseUp={handleCrossSectionMouseUp}
+                onMouseLeave={handleCrossSectionMouseUp}
+                style={{
+                  position: 'absolute',
+                  inset: 0,
+                  width: '100%',
+                  height: '100%',
+                  cursor: 'crosshair'
+                }}
+              />
+            )}
+          </div>
+          {showCrossSection && (
+            <>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'baseline',
+                margin: '16px 0 12px'
+              }}>
+                <span style={{
+                  fontSize: '11px',
+                  fontFamily: '"JetBrains Mono", monospace',
+                  color: '#666',
+                  textTransform: 'uppercase',
+                  letterSpacing: '1px'
+                }}>
+                  Cross-Section Profile A → B
+                </span>
+                <span style={{
+                  fontSize: '11px',
+                  fontFamily: '"JetBrains Mono", monospace',
+                  color: '#555'
+                }}>
+                  {(Math.hypot(crossSection.x1 - crossSection.x0, crossSection.y1 - crossSection.y0) * scale).toFixed(2)} units · bands = octaves
+                </span>
+              </div>
+              <canvas
+                ref={profileCanvasRef}
+                width={512}
+                height={192}
+                style={{
+                  width: '100%',
+                  height: 'auto',
+                  borderRadius: '8px',
+                  display: 'block'
+                }}
+              />
+            </>
+          )}
+          {tileable && (
+            <>
+              <span style={{
+                display: 'block',
+                fontSize: '11px',
+                fontFamily: '"JetBrains Mono", monospace',
+                color: '#666',
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                margin: '16px 0 12px'
+              }}>
+                Tiled 2×2 Preview
+              </span>
+              <canvas
+                ref={tileCanvasRef}
+                width={512}
+                height={384}
+                style={{
+                  width: '100%',
+                  height: 'auto',
+                  borderRadius: '8px',
+                  display: 'block'
+                }}
+              />
+            </>
+          )}
         </div>
         
         {/* Octave Strip */}
@@ -583,7 +998,9 @@ export default function FBMOctaveStacker() {
           background: 'rgba(255,255,255,0.02)',
           borderRadius: '12px',
           padding: '20px',
-          border: '1px solid rgba(255,255,255,0.06)'
+          border: '1px solid rgba(255,255,255,0.06)',
+          opacity: curveEnabled ? 0.4 : 1,
+          transition: 'opacity 0.2s ease'
         }}>
           <div style={{
             display: 'flex',
@@ -629,7 +1046,7 @@ export default function FBMOctaveStacker() {
             color: '#555',
             lineHeight: 1.4
           }}>
-            Amplitude multiplier per octave. Higher = rougher terrain.
+            {curveEnabled ? 'Overridden by the octave curve.' : 'Amplitude multiplier per octave. Higher = rougher terrain.'}
           </p>
         </div>
         
@@ -638,7 +1055,9 @@ export default function FBMOctaveStacker() {
           background: 'rgba(255,255,255,0.02)',
           borderRadius: '12px',
           padding: '20px',
-          border: '1px solid rgba(255,255,255,0.06)'
+          border: '1px solid rgba(255,255,255,0.06)',
+          opacity: curveEnabled ? 0.4 : 1,
+          transition: 'opacity 0.2s ease'
         }}>
           <div style={{
             display: 'flex',
@@ -684,7 +1103,72 @@ export default function FBMOctaveStacker() {
             color: '#555',
             lineHeight: 1.4
           }}>
-            Frequency multiplier per octave. Higher = faster detail scaling.
+            {curveEnabled ? 'Overridden by the octave curve.' : 'Frequency multiplier per octave. Higher = faster detail scaling.'}
+          </p>
+        </div>
+        
+        {/* Fractal Mode */}
+        <div style={{
+          background: 'rgba(255,255,255,0.02)',
+          borderRadius: '12px',
+          padding: '20px',
+          border: '1px solid rgba(255,255,255,0.06)'
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'baseline',
+            marginBottom: '12px'
+          }}>
+            <label style={{
+              fontSize: '13px',
+              fontWeight: 500,
+              color: '#ccc'
+            }}>
+              Fractal Mode
+            </label>
+            <span style={{
+              fontFamily: '"JetBrains Mono", monospace',
+              fontSize: '14px',
+              color: '#c94aff',
+              fontWeight: 600
+            }}>
+              {FRACTAL_MODE_LABELS[fractalMode]}
+            </span>
+          </div>
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '6px'
+          }}>
+            {FRACTAL_MODES.map(mode => (
+              <button
+                key={mode}
+                onClick={() => setFractalMode(mode)}
+                style={{
+                  flex: '1 0 auto',
+                  padding: '6px 10px',
+                  fontSize: '11px',
+                  fontFamily: '"JetBrains Mono", monospace',
+                  borderRadius: '6px',
+                  border: `1px solid ${fractalMode === mode ? '#c94aff' : 'rgba(255,255,255,0.1)'}`,
+                  background: fractalMode === mode ? 'rgba(201, 74, 255, 0.15)' : 'transparent',
+                  color: fractalMode === mode ? '#c94aff' : '#888',
+                  cursor: 'pointer',
+                  transition: 'all 0.15s ease'
+                }}
+              >
+                {FRACTAL_MODE_LABELS[mode]}
+              </button>
+            ))}
+          </div>
+          <p style={{
+            margin: '8px 0 0 0',
+            fontSize: '11px',
+            color: '#555',
+            lineHeight: 1.4
+          }}>
+            How each octave is shaped before stacking. Ridged for mountain ranges, billow for clouds.
           </p>
         </div>
         
@@ -774,6 +1258,232 @@ export default function FBMOctaveStacker() {
         </div>
       </div>
       
+      {/* Octave Curve Editor */}
+      {curveEnabled && (
+        <div style={{
+          background: 'rgba(255,255,255,0.02)',
+          borderRadius: '12px',
+          padding: '20px',
+          border: '1px solid rgba(255,255,255,0.06)',
+          marginBottom: '32px'
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'baseline',
+            flexWrap: 'wrap',
+            gap: '12px',
+            marginBottom: '12px'
+          }}>
+            <h3 style={{
+              margin: 0,
+              fontSize: '13px',
+              fontWeight: 500,
+              color: '#888',
+              textTransform: 'uppercase',
+              letterSpacing: '1px'
+            }}>
+              Octave Curve
+            </h3>
+            <span style={{ fontSize: '11px', color: '#555' }}>
+              Drag points to set amplitude (top) and frequency (bottom) · click an octave number to mute it
+            </span>
+          </div>
+        
+          <svg
+            ref={curveEditorRef}
+            viewBox={`0 0 ${CURVE_EDITOR.width} ${CURVE_EDITOR.height}`}
+            onMouseMove={handleCurveMouseMove}
+            onMouseUp={handleCurveMouseUp}
+            onMouseLeave={handleCurveMouseUp}
+            style={{
+              width: '100%',
+              maxWidth: '720px',
+              height: 'auto',
+              display: 'block',
+              userSelect: 'none',
+              fontFamily: '"JetBrains Mono", monospace'
+            }}
+          >
+            {lanes.map(({ key, lane, color, pointY, ticks }) => (
+              <g key={key}>
+                <rect
+                  x={CURVE_EDITOR.padding}
+                  y={lane.top}
+                  width={CURVE_EDITOR.width - 2 * CURVE_EDITOR.padding}
+                  height={lane.bottom - lane.top}
+                  fill="rgba(255,255,255,0.02)"
+                  stroke="rgba(255,255,255,0.06)"
+                />
+                {ticks.map(([t, label]) => (
+                  <g key={label}>
+                    <line
+                      x1={CURVE_EDITOR.padding}
+                      x2={CURVE_EDITOR.width - CURVE_EDITOR.padding}
+                      y1={laneY(lane, t)}
+                      y2={laneY(lane, t)}
+                      stroke="rgba(255,255,255,0.05)"
+                    />
+                    <text x={CURVE_EDITOR.padding - 6} y={laneY(lane, t) + 3} fontSize="9" fill="#555" textAnchor="end">
+                      {label}
+                    </text>
+                  </g>
+                ))}
+                <polyline
+                  points={activeCurve.map((octave, i) => `${octaveX(i)},${pointY(octave)}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeOpacity="0.4"
+                  strokeWidth="1.5"
+                />
+                {activeCurve.map((octave, i) => {
+                  const muted = key === 'amplitudeLane' && octave.muted;
+                  return (
+                    <g key={i}>
+                      {key === 'amplitudeLane' && (
+                        <line
+                          x1={octaveX(i)}
+                          x2={octaveX(i)}
+                          y1={lane.bottom}
+                          y2={pointY(octave)}
+                          stroke={muted ? '#444' : color}
+                          strokeOpacity="0.5"
+                          strokeWidth="3"
+                        />
+                      )}
+                      <circle
+                        cx={octaveX(i)}
+                        cy={pointY(octave)}
+                        r={highlightedOctave === i ? 7 : 5}
+                        fill={muted ? '#14141c' : color}
+                        stroke={muted ? '#666' : '#fff'}
+                        strokeWidth="1.5"
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          curveDrag.current = { octave: i, lane: key };
+                        }}
+                        onMouseEnter={() => setHighlightedOctave(i)}
+                        onMouseLeave={() => setHighlightedOctave(null)}
+                        style={{ cursor: 'ns-resize' }}
+                      />
+                    </g>
+                  );
+                })}
+              </g>
+            ))}
+            {activeCurve.map((octave, i) => (
+              <text
+                key={i}
+                x={octaveX(i)}
+                y={CURVE_EDITOR.labelY}
+                fontSize="11"
+                textAnchor="middle"
+                fill={octave.muted ? '#ff4a6a' : '#888'}
+                textDecoration={octave.muted ? 'line-through' : 'none'}
+                onClick={() => updateOctave(i, { muted: !octave.muted })}
+                style={{ cursor: 'pointer' }}
+              >
+                {i + 1}
+              </text>
+            ))}
+          </svg>
+        
+          {/* Presets */}
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '8px',
+            marginTop: '16px',
+            alignItems: 'center',
+            fontSize: '12px'
+          }}>
+            <select
+              value={selectedPreset}
+              onChange={(e) => setSelectedPreset(e.target.value)}
+              style={{
+                padding: '8px 10px',
+                background: '#14141c',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '6px',
+                color: '#ccc',
+                fontFamily: 'inherit',
+                fontSize: '12px'
+              }}
+            >
+              <optgroup label="Built-in">
+                {BUILT_IN_PRESETS.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+              </optgroup>
+              {savedPresets.length > 0 && (
+                <optgroup label="Saved">
+                  {savedPresets.map(preset => (
+                    <option key={preset.name} value={preset.name}>{preset.name}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            {[
+              { label: 'Load', onClick: loadPreset, disabled: false },
+              { label: 'Delete', onClick: deletePreset, disabled: !isSavedPreset },
+              { label: 'Reset to Persistence / Lacunarity', onClick: () => setOctaveCurve(geometricCurve(persistence, lacunarity)), disabled: false }
+            ].map(({ label, onClick, disabled }) => (
+              <button
+                key={label}
+                onClick={onClick}
+                disabled={disabled}
+                style={{
+                  padding: '8px 14px',
+                  fontSize: '12px',
+                  borderRadius: '6px',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  background: 'transparent',
+                  color: disabled ? '#444' : '#ccc',
+                  cursor: disabled ? 'not-allowed' : 'pointer',
+                  fontFamily: 'inherit'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+            <span style={{ flex: 1 }} />
+            <input
+              type="text"
+              value={presetName}
+              placeholder="Preset name"
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') savePreset(); }}
+              style={{
+                padding: '8px 10px',
+                background: '#14141c',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '6px',
+                color: '#ccc',
+                fontFamily: 'inherit',
+                fontSize: '12px'
+              }}
+            />
+            <button
+              onClick={savePreset}
+              disabled={!canSavePreset}
+              title={canSavePreset ? 'Save the current curve in this browser' : 'Enter a name that is not a built-in preset'}
+              style={{
+                padding: '8px 14px',
+                fontSize: '12px',
+                borderRadius: '6px',
+                border: 'none',
+                background: canSavePreset ? 'linear-gradient(135deg, #4a9eff 0%, #3a7edf 100%)' : 'rgba(74, 158, 255, 0.2)',
+                color: canSavePreset ? '#fff' : '#4a9eff',
+                cursor: canSavePreset ? 'pointer' : 'not-allowed',
+                fontFamily: 'inherit'
+              }}
+            >
+              Save Preset
+            </button>
+          </div>
+        </div>
+      )}
+      
       {/* Action Buttons */}
       <div style={{
         display: 'flex',
@@ -822,6 +1532,69 @@ export default function FBMOctaveStacker() {
           {showContributions ? '✓ Octave Strip' : '○ Octave Strip'}
         </button>
         
+        <button
+          onClick={() => setCurveEnabled(!curveEnabled)}
+          title="Set each octave's amplitude and frequency by hand"
+          style={{
+            padding: '12px 24px',
+            fontSize: '13px',
+            fontWeight: 500,
+            borderRadius: '8px',
+            border: '1px solid rgba(255,255,255,0.1)',
+            background: curveEnabled 
+              ? 'rgba(255,255,255,0.08)' 
+              : 'transparent',
+            color: '#ccc',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            fontFamily: 'inherit'
+          }}
+        >
+          {curveEnabled ? '✓ Octave Curve' : '○ Octave Curve'}
+        </button>
+        
+        <button
+          onClick={() => setShowCrossSection(!showCrossSection)}
+          title="Drag a line across the terrain to see its 1D height profile"
+          style={{
+            padding: '12px 24px',
+            fontSize: '13px',
+            fontWeight: 500,
+            borderRadius: '8px',
+            border: '1px solid rgba(255,255,255,0.1)',
+            background: showCrossSection 
+              ? 'rgba(255,255,255,0.08)' 
+              : 'transparent',
+            color: '#ccc',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            fontFamily: 'inherit'
+          }}
+        >
+          {showCrossSection ? '✓ Cross-Section' : '○ Cross-Section'}
+        </button>
+        
+        <button
+          onClick={() => setTileable(!tileable)}
+          title="Wrap the noise lattice so the texture repeats seamlessly"
+          style={{
+            padding: '12px 24px',
+            fontSize: '13px',
+            fontWeight: 500,
+            borderRadius: '8px',
+            border: '1px solid rgba(255,255,255,0.1)',
+            background: tileable 
+              ? 'rgba(255,255,255,0.08)' 
+              : 'transparent',
+            color: '#ccc',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            fontFamily: 'inherit'
+          }}
+        >
+          {tileable ? '✓ Tileable' : '○ Tileable'}
+        </button>
+        
         <button
           onClick={() => setSeed(Math.floor(Math.random() * 1000))}
           style={{
@@ -938,10 +1711,13 @@ export default function FBMOctaveStacker() {
           lineHeight: 1.8,
           whiteSpace: 'pre-wrap'
         }}>
-{`value = Σ (persistence^i × noise(position × lacunarity^i))
+{`value = Σ (persistence^i × signal_i) / Σ persistence^i
       i=0 to octaves-1
 
-Current: Σ (${persistence}^i × noise(pos × ${lacunarity}^i))  for i ∈ [0, ${octaves - 1}]`}
+${FRACTAL_MODE_LABELS[fractalMode]}: signal_i = ${FRACTAL_MODE_FORMULAS[fractalMode]}${fractalMode === 'ridged' || fractalMode === 'hybrid' ? '   (w = previous weighted signal × 2, capped at 1)' : ''}
+${curveEnabled
+  ? `Current: Σ (a_i × signal(pos × f_i)) / Σ a_i  with a_i, f_i from the octave curve`
+  : `Current: Σ (${persistence}^i × signal(pos × ${lacunarity}^i)) / Σ ${persistence}^i  for i ∈ [0, ${octaves - 1}]`}`}
         </code>
       </div>
       
@@ -1,4 +1,9 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+  createLcgSimplex2D, createNoise, stackOctaves, hashedValue2D, periodicHashedValue2D, worley2D, lerp,
+} from '../shared/noise.js';
+import { deriveSalt, hashCoords, wordsToFloat } from '../shared/hash.js';
+import { WARP_FIELD_DEMONSTRATOR as SALTS } from '../shared/generator-salts.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // WARP FIELD DEMONSTRATOR
@@ -10,141 +15,482 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 // NOISE PRIMITIVES - Pure functions, deterministic, coordinate-addressable
 // ─────────────────────────────────────────────────────────────────────────────────
 
-// Permutation table for gradient selection (deterministic)
-const PERM = new Uint8Array(512);
-const GRAD3 = [
-  [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-  [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-  [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
+// Finite-difference step for the curl, in noise units
+const CURL_EPSILON = 1e-3;
+
+// 4D simplex spreads about 2/3 as wide as the LCG 2D simplex; tiled and
+// looping fBm are scaled by this so the palette keeps its contrast
+const TORUS_GAIN = 1.5;
+
+// Time axis: 'linear' samples 3D simplex with z = time, so the field evolves
+// for ever; 'loop' walks a circle of `radius` in the third and fourth
+// dimensions of 4D simplex, so phase 0 and phase 1 are the same frame
+const TIME_MODES = ['off', 'linear', 'loop'];
+
+// The time createWarpNoise takes, from the time position: z for 'linear',
+// phase in [0, 1) for 'loop'
+const frameTime = (timeMode, position, loopRadius) => {
+  if (timeMode === 'linear') return { mode: 'linear', z: position };
+  if (timeMode === 'loop') return { mode: 'loop', phase: position, radius: loopRadius };
+  return null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// WARP CHAIN
+// A warp is a list of stages. Each stage samples fBm of its source twice, at
+// p + offsetX and p + offsetY, pushed along by the displacement so far scaled
+// by the previous stage's strength; the pair becomes the new displacement d.
+// Stages after the first fade in over warp intensity 0 → 1, and the final fBm
+// is sampled at p + warpIntensity · d. The default chain is the classic
+// two-stage q/r warp.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Sources a stage can draw from. Each is [-1, 1] and tiles when the field does.
+const WARP_SOURCES = ['simplex', 'value', 'worley'];
+
+const WARP_SOURCE_LABELS = {
+  simplex: 'Simplex',
+  value: 'Value',
+  worley: 'Worley F1'
+};
+
+const MAX_WARP_STAGES = 6;
+
+// Accepted ranges, shared by the editor's inputs and parseWarpField
+const WARP_LIMITS = {
+  seed: [0, 2 ** 31 - 1],
+  scale: [1, 10],
+  warpIntensity: [0, 4],
+  octaves: [1, 10],
+  persistence: [0.1, 0.9],
+  lacunarity: [1.5, 3],
+  stageOctaves: [1, 8],
+  strength: [0, 8],
+  offset: [-100, 100],
+  timeZ: [-1e6, 1e6],
+  loopRadius: [0.1, 4]
+};
+
+const DEFAULT_WARP_CHAIN = [
+  { source: 'simplex', octaves: 4, persistence: 0.5, lacunarity: 2.0, offsetX: [0.0, 0.0], offsetY: [5.2, 1.3], strength: 4.0 },
+  { source: 'simplex', octaves: 4, persistence: 0.5, lacunarity: 2.0, offsetX: [1.7, 9.2], offsetY: [8.3, 2.8], strength: 4.0 }
 ];
 
-// Initialize permutation table from seed
-function initPerm(seed) {
-  const p = new Uint8Array(256);
-  for (let i = 0; i < 256; i++) p[i] = i;
-  
-  // Fisher-Yates shuffle with seeded random
-  let s = seed >>> 0;
-  for (let i = 255; i > 0; i--) {
-    s = (s * 1103515245 + 12345) >>> 0;
-    const j = s % (i + 1);
-    [p[i], p[j]] = [p[j], p[i]];
+// Offsets for a new stage: spread out so it does not echo its neighbours
+const newWarpStage = (index) => ({
+  source: 'simplex',
+  octaves: 4,
+  persistence: 0.5,
+  lacunarity: 2.0,
+  offsetX: [Math.round(((index * 3.7) % 10) * 10) / 10, Math.round(((index * 6.1 + 2.3) % 10) * 10) / 10],
+  offsetY: [Math.round(((index * 4.9 + 5.2) % 10) * 10) / 10, Math.round(((index * 2.3 + 1.3) % 10) * 10) / 10],
+  strength: 4.0
+});
+
+// Version 2 added `time`; version 1 fields are static (time null)
+const WARP_FIELD_VERSION = 2;
+
+// Everything that determines the warped field, as plain JSON:
+//   { version, seed, scale, tileable, warpIntensity, time,
+//     fbm: { octaves, persistence, lacunarity }, stages: [...] }
+// where time is null, { mode: 'linear', z } or { mode: 'loop', phase, radius }.
+// createWarpField(parseWarpField(json)) reproduces the field exactly.
+export const serializeWarpField = ({ seed, scale, tileable, warpIntensity, time, octaves, persistence, lacunarity, chain }) =>
+  JSON.stringify({
+    version: WARP_FIELD_VERSION,
+    seed,
+    scale,
+    tileable,
+    warpIntensity,
+    time,
+    fbm: { octaves, persistence, lacunarity },
+    stages: chain
+  }, null, 2);
+
+// Parse and validate serialised JSON. Throws an Error naming the first bad
+// field; returns { seed, scale, tileable, warpIntensity, time, octaves,
+// persistence, lacunarity, chain }.
+export const parseWarpField = (json) => {
+  let spec;
+  try {
+    spec = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`warp field: invalid JSON (${error.message})`);
   }
-  
-  for (let i = 0; i < 512; i++) {
-    PERM[i] = p[i & 255];
+  if (!spec || typeof spec !== 'object') throw new Error('warp field: expected an object');
+  if (spec.version !== 1 && spec.version !== WARP_FIELD_VERSION) {
+    throw new Error(`warp field: unsupported version ${JSON.stringify(spec.version)} (expected 1 to ${WARP_FIELD_VERSION})`);
   }
-}
 
-// Fast floor for negative numbers
-function fastFloor(x) {
-  return x > 0 ? Math.floor(x) : Math.floor(x) - (x % 1 !== 0 ? 0 : 0);
-}
+  const number = (value, limit, path, integer = false) => {
+    const [min, max] = WARP_LIMITS[limit];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      throw new Error(`warp field: ${path} must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    if (value < min || value > max) throw new Error(`warp field: ${path} must be between ${min} and ${max}`);
+    return value;
+  };
+  const offset = (value, path) => {
+    if (!Array.isArray(value) || value.length !== 2) throw new Error(`warp field: ${path} must be [x, y]`);
+    return value.map((v, i) => number(v, 'offset', `${path}[${i}]`));
+  };
 
-// Dot product of gradient and distance vector
-function dot3(g, x, y) {
-  return g[0] * x + g[1] * y;
-}
+  if (typeof spec.tileable !== 'boolean') throw new Error('warp field: tileable must be true or false');
+  const parseTime = (time) => {
+    if (time === null || time === undefined) return null;
+    if (spec.tileable) throw new Error('warp field: time needs tileable false');
+    if (time.mode === 'linear') return { mode: 'linear', z: number(time.z, 'timeZ', 'time.z') };
+    if (time.mode === 'loop') {
+      if (typeof time.phase !== 'number' || !(time.phase >= 0 && time.phase < 1)) {
+        throw new Error('warp field: time.phase must be a number in [0, 1)');
+      }
+      return { mode: 'loop', phase: time.phase, radius: number(time.radius, 'loopRadius', 'time.radius') };
+    }
+    throw new Error('warp field: time.mode must be linear or loop');
+  };
+  const fbm = spec.fbm || {};
+  if (!Array.isArray(spec.stages)) throw new Error('warp field: stages must be an array');
+  if (spec.stages.length > MAX_WARP_STAGES) throw new Error(`warp field: at most ${MAX_WARP_STAGES} stages`);
+
+  return {
+    seed: number(spec.seed, 'seed', 'seed', true),
+    scale: number(spec.scale, 'scale', 'scale', true),
+    tileable: spec.tileable,
+    warpIntensity: number(spec.warpIntensity, 'warpIntensity', 'warpIntensity'),
+    time: spec.version === 1 ? null : parseTime(spec.time),
+    octaves: number(fbm.octaves, 'octaves', 'fbm.octaves', true),
+    persistence: number(fbm.persistence, 'persistence', 'fbm.persistence'),
+    lacunarity: number(fbm.lacunarity, 'lacunarity', 'fbm.lacunarity'),
+    chain: spec.stages.map((stage, i) => {
+      const path = `stages[${i}]`;
+      if (!stage || typeof stage !== 'object') throw new Error(`warp field: ${path} must be an object`);
+      if (!WARP_SOURCES.includes(stage.source)) {
+        throw new Error(`warp field: ${path}.source must be one of ${WARP_SOURCES.join(', ')}`);
+      }
+      return {
+        source: stage.source,
+        octaves: number(stage.octaves, 'stageOctaves', `${path}.octaves`, true),
+        persistence: number(stage.persistence, 'persistence', `${path}.persistence`),
+        lacunarity: number(stage.lacunarity, 'lacunarity', `${path}.lacunarity`),
+        offsetX: offset(stage.offsetX, `${path}.offsetX`),
+        offsetY: offset(stage.offsetY, `${path}.offsetY`),
+        strength: number(stage.strength, 'strength', `${path}.strength`)
+      };
+    })
+  };
+};
+
+// The chain as pseudo-GLSL for the info panel
+const describeWarpChain = (chain, warpIntensity) => {
+  const f = (v) => v.toFixed(1);
+  const lines = chain.map((stage, i) => {
+    const d = `d${i + 1}`;
+    const push = i === 0 ? '' : ` + ${f(chain[i - 1].strength)}·d${i}`;
+    const sample = (offset) => `${stage.source}${stage.octaves}(p${push} + vec2(${f(offset[0])}, ${f(offset[1])}))`;
+    const prefix = i === 0 ? `${d} = ` : `${d} = mix(d${i}, `;
+    const pair = `vec2( ${sample(stage.offsetX)},\n${' '.repeat(prefix.length + 6)}${sample(stage.offsetY)} )`;
+    return i === 0 ? `${prefix}${pair};` : `${prefix}${pair},\n${' '.repeat(d.length + 7)}min(1.0, ${warpIntensity.toFixed(2)}));`;
+  });
+  const final = chain.length ? `fbm(p + ${warpIntensity.toFixed(2)} * d${chain.length})` : 'fbm(p)';
+  return [...lines, '', `return ${final};`].join('\n');
+};
+
+// Noise bound to one seed. Each call builds its own permutation table
+// (shared/noise.js createLcgSimplex2D), so instances with different seeds can
+// render side by side, or from workers, without sharing state.
+//
+// A non-zero period makes every field repeat every `period` units on both
+// axes. The simplex lattice is skewed and cannot wrap on a square, so fBm then
+// samples 4D simplex on a torus instead (createNoise().tileableFbm2D). The warp
+// offsets are periodic too, so the warped result tiles as well.
+//
+// `time` (see frameTime) moves simplex fBm along a third or fourth axis. The
+// torus already uses all four, so a tiling field ignores time. Value and
+// Worley warp stages are 2D only and stay still.
+export function createWarpNoise(seed, period = 0, time = null) {
+  // 2D simplex on an LCG-shuffled permutation table
+  const simplex2D = createLcgSimplex2D(seed);
+  const simplex = period || time ? createNoise(seed) : null;
+  const loopAngle = time && time.mode === 'loop' ? 2 * Math.PI * time.phase : 0;
+
+  // Fractal Brownian Motion - stacked octaves with persistence
+  function fbm(x, y, octaves, persistence, lacunarity) {
+    if (period) {
+      const value = TORUS_GAIN * simplex.tileableFbm2D(x, y, period, period, { octaves, persistence, lacunarity });
+      return Math.max(-1, Math.min(1, value));
+    }
+    // Time is not scaled with the octave frequency, so fine detail drifts at
+    // the same pace as the large shapes instead of flickering
+    if (time && time.mode === 'loop') {
+      const z = time.radius * Math.cos(loopAngle);
+      const w = time.radius * Math.sin(loopAngle);
+      const value = TORUS_GAIN * stackOctaves((f) => simplex.simplex4D(x * f, y * f, z, w), octaves, persistence, lacunarity);
+      return Math.max(-1, Math.min(1, value));
+    }
+    if (time) return stackOctaves((f) => simplex.simplex3D(x * f, y * f, time.z), octaves, persistence, lacunarity);
+    return stackOctaves((f) => simplex2D(x * f, y * f), octaves, persistence, lacunarity);
+  }
+
+  // One octave of the value and Worley sources. Octave i gets its own seed;
+  // with a period the frequency is rounded to whole cells per tile.
+  const octaveSources = {
+    value: (x, y, frequency, i) => {
+      if (!period) return hashedValue2D(x * frequency, y * frequency, seed + i * 1337);
+      const cells = Math.max(1, Math.round(frequency * period));
+      return periodicHashedValue2D(x * cells / period, y * cells / period, seed + i * 1337, cells);
+    },
+    worley: (x, y, frequency, i) => {
+      if (!period) return worley2D(x * frequency, y * frequency, seed + i * 1337);
+      const cells = Math.max(1, Math.round(frequency * period));
+      return worley2D(x * cells / period, y * cells / period, seed + i * 1337, { period: [cells, cells] });
+    }
+  };
+
+  // fBm of one warp stage's source
+  function sourceFbm(source, x, y, octaves, persistence, lacunarity) {
+    if (source === 'simplex') return fbm(x, y, octaves, persistence, lacunarity);
+    const octave = octaveSources[source];
+    return stackOctaves((f, i) => octave(x, y, f, i), octaves, persistence, lacunarity);
+  }
 
-// 2D Simplex noise implementation
-function simplex2D(x, y) {
-  const F2 = 0.5 * (Math.sqrt(3) - 1);
-  const G2 = (3 - Math.sqrt(3)) / 6;
-  
-  // Skew input space
-  const s = (x + y) * F2;
-  const i = fastFloor(x + s);
-  const j = fastFloor(y + s);
-  
-  // Unskew back
-  const t = (i + j) * G2;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  
-  // Determine simplex
-  let i1, j1;
-  if (x0 > y0) { i1 = 1; j1 = 0; }
-  else { i1 = 0; j1 = 1; }
-  
-  const x1 = x0 - i1 + G2;
-  const y1 = y0 - j1 + G2;
-  const x2 = x0 - 1 + 2 * G2;
-  const y2 = y0 - 1 + 2 * G2;
-  
-  // Hash coordinates
-  const ii = i & 255;
-  const jj = j & 255;
-  
-  const gi0 = PERM[ii + PERM[jj]] % 12;
-  const gi1 = PERM[ii + i1 + PERM[jj + j1]] % 12;
-  const gi2 = PERM[ii + 1 + PERM[jj + 1]] % 12;
-  
-  // Calculate contributions
-  let n0 = 0, n1 = 0, n2 = 0;
-  
-  let t0 = 0.5 - x0 * x0 - y0 * y0;
-  if (t0 >= 0) {
-    t0 *= t0;
-    n0 = t0 * t0 * dot3(GRAD3[gi0], x0, y0);
+  // The chain's displacement d at p, as [dx, dy]; the final fBm samples at
+  // p + warpIntensity · d
+  function warpDisplacement(x, y, chain, warpIntensity) {
+    let dx = 0;
+    let dy = 0;
+    let push = 0;
+    
+    chain.forEach((stage, i) => {
+      const { source, offsetX, offsetY } = stage;
+      const px = x + push * dx;
+      const py = y + push * dy;
+      const sx = sourceFbm(source, px + offsetX[0], py + offsetX[1], stage.octaves, stage.persistence, stage.lacunarity);
+      const sy = sourceFbm(source, px + offsetY[0], py + offsetY[1], stage.octaves, stage.persistence, stage.lacunarity);
+      
+      // Later stages blend in as the intensity rises from 0 to 1
+      const fade = i === 0 ? 1 : Math.min(1, warpIntensity);
+      dx = lerp(dx, sx, fade);
+      dy = lerp(dy, sy, fade);
+      push = stage.strength;
+    });
+    
+    return [dx, dy];
   }
   
-  let t1 = 0.5 - x1 * x1 - y1 * y1;
-  if (t1 >= 0) {
-    t1 *= t1;
-    n1 = t1 * t1 * dot3(GRAD3[gi1], x1, y1);
+  // Domain-warped fBm through a warp chain - the key transformation
+  function chainedFbm(x, y, chain, warpIntensity, octaves, persistence, lacunarity) {
+    const [dx, dy] = warpDisplacement(x, y, chain, warpIntensity);
+    
+    // Final warped sample
+    return fbm(
+      x + warpIntensity * dx,
+      y + warpIntensity * dy,
+      octaves,
+      persistence,
+      lacunarity
+    );
+  }
+
+  // Curl of the fBm potential ψ, (∂ψ/∂y, −∂ψ/∂x), by central differences.
+  // A curl has no divergence, so the flow neither bunches up nor thins out.
+  function curl(x, y, octaves, persistence, lacunarity, out = [0, 0]) {
+    const e = CURL_EPSILON;
+    const dx = fbm(x + e, y, octaves, persistence, lacunarity) - fbm(x - e, y, octaves, persistence, lacunarity);
+    const dy = fbm(x, y + e, octaves, persistence, lacunarity) - fbm(x, y - e, octaves, persistence, lacunarity);
+    out[0] = dy / (2 * e);
+    out[1] = -dx / (2 * e);
+    return out;
+  }
+
+  // Domain-warped fBm through the default two-stage chain
+  function warpedFbm(x, y, warpIntensity, octaves, persistence, lacunarity) {
+    return chainedFbm(x, y, DEFAULT_WARP_CHAIN, warpIntensity, octaves, persistence, lacunarity);
   }
+
+  return { seed, period, time, simplex2D, fbm, warpDisplacement, chainedFbm, warpedFbm, curl };
+}
+
+// The field a parsed warp spec describes, as (x, y) → [-1, 1] in noise units
+// (the demo's canvas spans `scale` units)
+export function createWarpField({ seed, scale, tileable, warpIntensity, time = null, octaves, persistence, lacunarity, chain }) {
+  const noise = createWarpNoise(seed, tileable ? scale : 0, time);
+  return (x, y) => noise.chainedFbm(x, y, chain, warpIntensity, octaves, persistence, lacunarity);
+}
+
+// Displacement overlay: the heatmap is sampled every HEATMAP_STEP pixels,
+// arrows every VECTOR_SPACING pixels (a multiple of HEATMAP_STEP)
+const HEATMAP_STEP = 4;
+const VECTOR_SPACING = 20;
+
+// How far stage i's displacement d pushes what comes next: the next stage's
+// samples, or for the last stage the final fBm
+const stagePush = (chain, i, warpIntensity) => i === chain.length - 1 ? warpIntensity : chain[i].strength;
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// CURL FLOW
+// Particles advected through the curl of the fBm potential. Nothing is random:
+// each particle's start is hashed from its cell and the seed, and the steps
+// are plain midpoint (RK2) integration, so a seed always draws the same trails.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// One particle per cell of a grid × grid lattice over [0, extent]², jittered
+// inside its cell. With a period (noise.period) particles wrap around the
+// tile; otherwise a particle stops when it leaves the square. Returns
+// { count, steps, paths, lengths, speeds }: paths holds (steps + 1) positions
+// per particle as x, y pairs, lengths how many of them are valid, speeds the
+// mean speed along the trail.
+function advectParticles(noise, { grid, steps, stepSize, extent, octaves, persistence, lacunarity }) {
+  const count = grid * grid;
+  const stride = (steps + 1) * 2;
+  const paths = new Float32Array(count * stride);
+  const lengths = new Uint16Array(count);
+  const speeds = new Float32Array(count);
+  const velocity = [0, 0];
+  const words = [0, 0];
+  const period = noise.period;
+  const wrap = (v) => ((v % period) + period) % period;
+  const spawnX = deriveSalt(noise.seed, SALTS.get('particle.spawnX'));
+  const spawnY = deriveSalt(noise.seed, SALTS.get('particle.spawnY'));
   
-  let t2 = 0.5 - x2 * x2 - y2 * y2;
-  if (t2 >= 0) {
-    t2 *= t2;
-    n2 = t2 * t2 * dot3(GRAD3[gi2], x2, y2);
+  for (let cy = 0; cy < grid; cy++) {
+    for (let cx = 0; cx < grid; cx++) {
+      const particle = cy * grid + cx;
+      const jitterX = wordsToFloat(hashCoords([cx, cy], spawnX, { out: words }));
+      const jitterY = wordsToFloat(hashCoords([cx, cy], spawnY, { out: words }));
+      let x = (cx + jitterX) / grid * extent;
+      let y = (cy + jitterY) / grid * extent;
+      let offset = particle * stride;
+      let distance = 0;
+      let length = 1;
+      paths[offset] = x;
+      paths[offset + 1] = y;
+      
+      for (let step = 0; step < steps; step++) {
+        noise.curl(x, y, octaves, persistence, lacunarity, velocity);
+        const midX = x + velocity[0] * stepSize * 0.5;
+        const midY = y + velocity[1] * stepSize * 0.5;
+        noise.curl(midX, midY, octaves, persistence, lacunarity, velocity);
+        x += velocity[0] * stepSize;
+        y += velocity[1] * stepSize;
+        
+        if (period) {
+          x = wrap(x);
+          y = wrap(y);
+        } else if (x < 0 || x > extent || y < 0 || y > extent) {
+          break;
+        }
+        distance += Math.hypot(velocity[0], velocity[1]);
+        offset += 2;
+        paths[offset] = x;
+        paths[offset + 1] = y;
+        length++;
+      }
+      
+      lengths[particle] = length;
+      speeds[particle] = length > 1 ? distance / (length - 1) : 0;
+    }
   }
   
-  // Scale to [-1, 1]
-  return 70 * (n0 + n1 + n2);
+  return { count, steps, paths, lengths, speeds };
 }
 
-// Fractal Brownian Motion - stacked octaves with persistence
-function fbm(x, y, octaves, persistence, lacunarity) {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * simplex2D(x * frequency, y * frequency);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
+// ─────────────────────────────────────────────────────────────────────────────────
+// FRAME EXPORT
+// PNG frame sequences, zipped in the browser. PNG is already compressed, so
+// the zip just stores the files; a fixed timestamp keeps the archive
+// byte-identical for the same frames.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// 1980-01-01 00:00, the earliest DOS date
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+// files: [{ name, data: Uint8Array }] → zip archive (method 0, stored)
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  
+  for (const { name, data } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, ZIP_DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+    
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(14, ZIP_DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+    
+    offset += 30 + nameBytes.length + data.length;
   }
   
-  return value / maxValue;
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
 }
 
-// Domain-warped fBm - the key transformation
-function warpedFbm(x, y, warpIntensity, octaves, persistence, lacunarity) {
-  // First noise layer for warping
-  const qx = fbm(x + 0.0, y + 0.0, 4, 0.5, 2.0);
-  const qy = fbm(x + 5.2, y + 1.3, 4, 0.5, 2.0);
-  
-  // Second noise layer for additional warping (optional, controlled by intensity)
-  const rx = fbm(x + 4.0 * qx + 1.7, y + 4.0 * qy + 9.2, 4, 0.5, 2.0);
-  const ry = fbm(x + 4.0 * qx + 8.3, y + 4.0 * qy + 2.8, 4, 0.5, 2.0);
-  
-  // Blend between q-warp and r-warp based on intensity
-  const blendedX = qx + (rx - qx) * Math.min(1, warpIntensity);
-  const blendedY = qy + (ry - qy) * Math.min(1, warpIntensity);
-  
-  // Final warped sample
-  return fbm(
-    x + warpIntensity * blendedX,
-    y + warpIntensity * blendedY,
-    octaves,
-    persistence,
-    lacunarity
-  );
+// Paint a field from createWarpField into a size × size canvas; the view spans
+// `scale` units whatever the size
+function renderWarpFrame(canvas, field, { scale, palette }) {
+  const size = canvas.width;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(size, size);
+  
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value = field((x / size) * scale, (y / size) * scale);
+      const color = valueToColor(value, palette);
+      const idx = (y * size + x) * 4;
+      imageData.data[idx] = color[0];
+      imageData.data[idx + 1] = color[1];
+      imageData.data[idx + 2] = color[2];
+      imageData.data[idx + 3] = 255;
+    }
+  }
+  
+  ctx.putImageData(imageData, 0, 0);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -222,29 +568,78 @@ function valueToColor(value, palette) {
 // MAIN COMPONENT
 // ─────────────────────────────────────────────────────────────────────────────────
 
-export default function WarpFieldDemonstrator() {
+export default function WarpFieldDemonstrator({ initialSeed = 42 } = {}) {
   // UI State
-  const [seed, setSeed] = useState(42);
+  const [seed, setSeed] = useState(initialSeed);
   const [warpIntensity, setWarpIntensity] = useState(0);
   const [octaves, setOctaves] = useState(6);
   const [persistence, setPersistence] = useState(0.5);
   const [lacunarity, setLacunarity] = useState(2.0);
   const [scale, setScale] = useState(4);
   const [palette, setPalette] = useState('cosmic');
+  const [tileable, setTileable] = useState(false);
   const [animating, setAnimating] = useState(false);
   const [animationDirection, setAnimationDirection] = useState(1);
+  const [chain, setChain] = useState(DEFAULT_WARP_CHAIN);
+  // JSON being edited; null mirrors the current settings
+  const [fieldDraft, setFieldDraft] = useState(null);
+  const [fieldError, setFieldError] = useState(null);
+  const [showVectors, setShowVectors] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  // Stage whose displacement the overlay shows; null follows the last stage
+  const [vectorStage, setVectorStage] = useState(null);
+  // Warped-canvas pixel whose source is highlighted on the raw canvas
+  const [picked, setPicked] = useState(null);
+  // 'warp' shows domain warping, 'curl' particles in the curl of the raw fBm
+  const [mode, setMode] = useState('warp');
+  const [particleGrid, setParticleGrid] = useState(48);
+  const [trailSteps, setTrailSteps] = useState(60);
+  const [stepSize, setStepSize] = useState(0.005);
+  // Time axis (warp mode only): z for linear time, phase in [0, 1) for loops
+  const [timeMode, setTimeMode] = useState('off');
+  const [timePosition, setTimePosition] = useState(0);
+  const [timePlaying, setTimePlaying] = useState(false);
+  const [frameCount, setFrameCount] = useState(120);
+  const [loopRadius, setLoopRadius] = useState(0.5);
+  const [timeStep, setTimeStep] = useState(0.01);
+  const [exportSize, setExportSize] = useState(256);
+  // Fraction of frames rendered while exporting, else null
+  const [exportProgress, setExportProgress] = useState(null);
+  const [exportError, setExportError] = useState(null);
   
   // Canvas refs
   const rawCanvasRef = useRef(null);
   const warpedCanvasRef = useRef(null);
+  const tileCanvasRef = useRef(null);
+  const rawOverlayRef = useRef(null);
+  const warpedOverlayRef = useRef(null);
   const animationRef = useRef(null);
+  const exportCancelRef = useRef(false);
   
   const CANVAS_SIZE = 280;
   
-  // Initialize permutation table when seed changes
-  useEffect(() => {
-    initPerm(seed);
-  }, [seed]);
+  const time = useMemo(
+    () => mode === 'warp' ? frameTime(timeMode, timePosition, loopRadius) : null,
+    [mode, timeMode, timePosition, loopRadius]
+  );
+  
+  // Noise for this instance, rebuilt when the seed, tiling or time changes.
+  // The canvas spans `scale` units, so that is the tile period.
+  const noise = useMemo(() => createWarpNoise(seed, tileable ? scale : 0, time), [seed, tileable, scale, time]);
+  
+  // Particle trails for curl mode
+  const flow = useMemo(() => {
+    if (mode !== 'curl') return null;
+    return advectParticles(noise, {
+      grid: particleGrid,
+      steps: trailSteps,
+      stepSize,
+      extent: scale,
+      octaves,
+      persistence,
+      lacunarity
+    });
+  }, [mode, noise, particleGrid, trailSteps, stepSize, scale, octaves, persistence, lacunarity]);
   
   // Render function
   const render = useCallback(() => {
@@ -264,12 +659,13 @@ export default function WarpFieldDemonstrator() {
         const ny = (y / CANVAS_SIZE) * scale;
         
         // Raw fBm
-        const rawValue = fbm(nx, ny, octaves, persistence, lacunarity);
+        const rawValue = noise.fbm(nx, ny, octaves, persistence, lacunarity);
         const rawColor = valueToColor(rawValue, palette);
         
-        // Warped fBm
-        const warpedValue = warpedFbm(nx, ny, warpIntensity, octaves, persistence, lacunarity);
-        const warpedColor = valueToColor(warpedValue, palette);
+        // Warped fBm, or in curl mode the potential dimmed under the trails
+        const warpedColor = flow
+          ? rawColor.map(c => c * 0.25)
+          : valueToColor(noise.chainedFbm(nx, ny, chain, warpIntensity, octaves, persistence, lacunarity), palette);
         
         const idx = (y * CANVAS_SIZE + x) * 4;
         
@@ -287,7 +683,258 @@ export default function WarpFieldDemonstrator() {
     
     rawCtx.putImageData(rawImageData, 0, 0);
     warpedCtx.putImageData(warpedImageData, 0, 0);
-  }, [warpIntensity, octaves, persistence, lacunarity, scale, palette]);
+    
+    // Trails, additively, coloured by mean speed. A wrapped step jumps across
+    // the tile, so the line breaks there.
+    if (flow) {
+      const { count, steps, paths, lengths, speeds } = flow;
+      const toPixels = CANVAS_SIZE / scale;
+      const stride = (steps + 1) * 2;
+      let maxSpeed = 0;
+      for (let i = 0; i < count; i++) maxSpeed = Math.max(maxSpeed, speeds[i]);
+      
+      warpedCtx.globalCompositeOperation = 'lighter';
+      warpedCtx.lineWidth = 1;
+      for (let i = 0; i < count; i++) {
+        if (lengths[i] < 2) continue;
+        const [r, g, b] = valueToColor(maxSpeed > 0 ? speeds[i] / maxSpeed * 1.6 - 0.6 : 0, palette);
+        warpedCtx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.45)`;
+        warpedCtx.beginPath();
+        const base = i * stride;
+        for (let k = 0; k < lengths[i]; k++) {
+          const px = paths[base + k * 2] * toPixels;
+          const py = paths[base + k * 2 + 1] * toPixels;
+          const jump = k > 0 && (Math.abs(px - paths[base + k * 2 - 2] * toPixels) > CANVAS_SIZE / 2 ||
+            Math.abs(py - paths[base + k * 2 - 1] * toPixels) > CANVAS_SIZE / 2);
+          if (k === 0 || jump) warpedCtx.moveTo(px, py);
+          else warpedCtx.lineTo(px, py);
+        }
+        warpedCtx.stroke();
+      }
+      warpedCtx.globalCompositeOperation = 'source-over';
+    }
+    
+    // 2x2 repeat of the warped texture; a seam would show as a cross
+    const tileCanvas = tileCanvasRef.current;
+    if (tileCanvas) {
+      const tileCtx = tileCanvas.getContext('2d');
+      for (let ty = 0; ty < 2; ty++) {
+        for (let tx = 0; tx < 2; tx++) {
+          tileCtx.drawImage(warpedCanvas, tx * CANVAS_SIZE, ty * CANVAS_SIZE);
+        }
+      }
+    }
+  }, [noise, flow, chain, warpIntensity, octaves, persistence, lacunarity, scale, palette]);
+  
+  // ─────────────────────────────────────────────────────────────────────────────
+  // DISPLACEMENT OVERLAY: where the warp moves each sample, and which raw
+  // pixel a warped pixel was sampled from
+  // ─────────────────────────────────────────────────────────────────────────────
+  
+  const shownStage = chain.length ? Math.min(vectorStage ?? chain.length - 1, chain.length - 1) : -1;
+  
+  // Push · d of the shown stage at the centre of every heatmap cell, in noise units
+  const displacementField = useMemo(() => {
+    if (mode !== 'warp' || !(showVectors || showHeatmap) || shownStage < 0) return null;
+    
+    const cells = CANVAS_SIZE / HEATMAP_STEP;
+    const stages = chain.slice(0, shownStage + 1);
+    const push = stagePush(chain, shownStage, warpIntensity);
+    const vx = new Float32Array(cells * cells);
+    const vy = new Float32Array(cells * cells);
+    let maxMagnitude = 0;
+    
+    for (let gy = 0; gy < cells; gy++) {
+      for (let gx = 0; gx < cells; gx++) {
+        const nx = ((gx + 0.5) * HEATMAP_STEP / CANVAS_SIZE) * scale;
+        const ny = ((gy + 0.5) * HEATMAP_STEP / CANVAS_SIZE) * scale;
+        const [dx, dy] = noise.warpDisplacement(nx, ny, stages, warpIntensity);
+        const idx = gy * cells + gx;
+        vx[idx] = push * dx;
+        vy[idx] = push * dy;
+        maxMagnitude = Math.max(maxMagnitude, Math.hypot(vx[idx], vy[idx]));
+      }
+    }
+    
+    return { cells, vx, vy, maxMagnitude };
+  }, [mode, noise, chain, shownStage, warpIntensity, scale, showVectors, showHeatmap]);
+  
+  // The warped pixel's value is the raw fBm at p + warpIntensity · d; p is
+  // the pixel's sample point, as in render()
+  const pick = useMemo(() => {
+    if (mode !== 'warp' || !picked) return null;
+    const x = (picked.x / CANVAS_SIZE) * scale;
+    const y = (picked.y / CANVAS_SIZE) * scale;
+    const [dx, dy] = noise.warpDisplacement(x, y, chain, warpIntensity);
+    const sourceX = x + warpIntensity * dx;
+    const sourceY = y + warpIntensity * dy;
+    return { x, y, sourceX, sourceY, value: noise.fbm(sourceX, sourceY, octaves, persistence, lacunarity) };
+  }, [mode, picked, noise, chain, warpIntensity, octaves, persistence, lacunarity, scale]);
+  
+  const renderOverlays = useCallback(() => {
+    const warpedOverlay = warpedOverlayRef.current;
+    const rawOverlay = rawOverlayRef.current;
+    if (!warpedOverlay || !rawOverlay) return;
+    
+    const ctx = warpedOverlay.getContext('2d');
+    const rawCtx = rawOverlay.getContext('2d');
+    ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    rawCtx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    const toPixels = CANVAS_SIZE / scale;
+    
+    if (displacementField) {
+      const { cells, vx, vy, maxMagnitude } = displacementField;
+      
+      if (showHeatmap) {
+        const heat = document.createElement('canvas');
+        heat.width = cells;
+        heat.height = cells;
+        const heatCtx = heat.getContext('2d');
+        const imageData = heatCtx.createImageData(cells, cells);
+        for (let i = 0; i < cells * cells; i++) {
+          const t = maxMagnitude > 0 ? Math.hypot(vx[i], vy[i]) / maxMagnitude : 0;
+          const [r, g, b] = valueToColor(t * 2 - 1, 'plasma');
+          imageData.data[i * 4] = r;
+          imageData.data[i * 4 + 1] = g;
+          imageData.data[i * 4 + 2] = b;
+          imageData.data[i * 4 + 3] = 170;
+        }
+        heatCtx.putImageData(imageData, 0, 0);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(heat, 0, 0, CANVAS_SIZE, CANVAS_SIZE);
+      }
+      
+      // Arrows are scaled so the longest spans one grid spacing; the true
+      // length is in the legend
+      if (showVectors && maxMagnitude > 0) {
+        const every = VECTOR_SPACING / HEATMAP_STEP;
+        const lengthScale = VECTOR_SPACING * 0.9 / maxMagnitude;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 1.2;
+        for (let gy = Math.floor(every / 2); gy < cells; gy += every) {
+          for (let gx = Math.floor(every / 2); gx < cells; gx += every) {
+            const idx = gy * cells + gx;
+            const x0 = (gx + 0.5) * HEATMAP_STEP;
+            const y0 = (gy + 0.5) * HEATMAP_STEP;
+            const x1 = x0 + vx[idx] * lengthScale;
+            const y1 = y0 + vy[idx] * lengthScale;
+            const angle = Math.atan2(y1 - y0, x1 - x0);
+            const head = Math.min(4, Math.hypot(x1 - x0, y1 - y0) * 0.5);
+            ctx.beginPath();
+            ctx.moveTo(x0, y0);
+            ctx.lineTo(x1, y1);
+            ctx.lineTo(x1 - head * Math.cos(angle - 0.5), y1 - head * Math.sin(angle - 0.5));
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x1 - head * Math.cos(angle + 0.5), y1 - head * Math.sin(angle + 0.5));
+            ctx.stroke();
+          }
+        }
+      }
+    }
+    
+    if (pick) {
+      const ring = (context, x, y, radius) => {
+        for (const [width, color] of [[3, 'rgba(0,0,0,0.7)'], [1.5, '#fff']]) {
+          context.strokeStyle = color;
+          context.lineWidth = width;
+          context.beginPath();
+          context.arc(x, y, radius, 0, Math.PI * 2);
+          context.moveTo(x - radius - 4, y);
+          context.lineTo(x - radius + 3, y);
+          context.moveTo(x + radius - 3, y);
+          context.lineTo(x + radius + 4, y);
+          context.moveTo(x, y - radius - 4);
+          context.lineTo(x, y - radius + 3);
+          context.moveTo(x, y + radius - 3);
+          context.lineTo(x, y + radius + 4);
+          context.stroke();
+        }
+      };
+      
+      ring(ctx, pick.x * toPixels + 0.5, pick.y * toPixels + 0.5, 5);
+      
+      // A tiling field wraps the source into view; otherwise an off-canvas
+      // source is pinned to the edge with an arrow pointing at it
+      let sx = pick.sourceX * toPixels + 0.5;
+      let sy = pick.sourceY * toPixels + 0.5;
+      if (tileable) {
+        sx = ((sx % CANVAS_SIZE) + CANVAS_SIZE) % CANVAS_SIZE;
+        sy = ((sy % CANVAS_SIZE) + CANVAS_SIZE) % CANVAS_SIZE;
+      }
+      const inside = sx >= 0 && sx < CANVAS_SIZE && sy >= 0 && sy < CANVAS_SIZE;
+      if (inside) {
+        ring(rawCtx, sx, sy, 7);
+      } else {
+        const ex = Math.min(CANVAS_SIZE - 10, Math.max(10, sx));
+        const ey = Math.min(CANVAS_SIZE - 10, Math.max(10, sy));
+        const angle = Math.atan2(sy - ey, sx - ex);
+        rawCtx.fillStyle = '#fff';
+        rawCtx.beginPath();
+        rawCtx.moveTo(ex + 8 * Math.cos(angle), ey + 8 * Math.sin(angle));
+        rawCtx.lineTo(ex + 6 * Math.cos(angle + 2.5), ey + 6 * Math.sin(angle + 2.5));
+        rawCtx.lineTo(ex + 6 * Math.cos(angle - 2.5), ey + 6 * Math.sin(angle - 2.5));
+        rawCtx.closePath();
+        rawCtx.fill();
+      }
+    }
+  }, [displacementField, showVectors, showHeatmap, pick, scale, tileable]);
+  
+  useEffect(() => {
+    renderOverlays();
+  }, [renderOverlays]);
+  
+  const handleWarpedClick = useCallback((e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / rect.width * CANVAS_SIZE);
+    const y = Math.floor((e.clientY - rect.top) / rect.height * CANVAS_SIZE);
+    setPicked({
+      x: Math.min(CANVAS_SIZE - 1, Math.max(0, x)),
+      y: Math.min(CANVAS_SIZE - 1, Math.max(0, y))
+    });
+  }, []);
+  
+  // Warp chain editing
+  const updateStage = useCallback((index, patch) => {
+    setChain(stages => stages.map((stage, i) => i === index ? { ...stage, ...patch } : stage));
+  }, []);
+  
+  const addStage = useCallback(() => {
+    setChain(stages => stages.length < MAX_WARP_STAGES ? [...stages, newWarpStage(stages.length)] : stages);
+  }, []);
+  
+  const removeStage = useCallback((index) => {
+    setChain(stages => stages.filter((_, i) => i !== index));
+  }, []);
+  
+  const serializedField = useMemo(
+    () => serializeWarpField({ seed, scale, tileable, warpIntensity, time, octaves, persistence, lacunarity, chain }),
+    [seed, scale, tileable, warpIntensity, time, octaves, persistence, lacunarity, chain]
+  );
+  
+  const applyFieldDraft = useCallback(() => {
+    if (fieldDraft === null) return;
+    try {
+      const field = parseWarpField(fieldDraft);
+      setAnimating(false);
+      setSeed(field.seed);
+      setScale(field.scale);
+      setTileable(field.tileable);
+      setWarpIntensity(field.warpIntensity);
+      setOctaves(field.octaves);
+      setPersistence(field.persistence);
+      setLacunarity(field.lacunarity);
+      setChain(field.chain);
+      setMode('warp');
+      setTimePlaying(false);
+      setTimeMode(field.time ? field.time.mode : 'off');
+      setTimePosition(field.time ? (field.time.mode === 'loop' ? field.time.phase : field.time.z) : 0);
+      if (field.time && field.time.mode === 'loop') setLoopRadius(field.time.radius);
+      setFieldDraft(null);
+      setFieldError(null);
+    } catch (error) {
+      setFieldError(error.message);
+    }
+  }, [fieldDraft]);
   
   // Animation loop
   useEffect(() => {
@@ -321,10 +968,77 @@ export default function WarpFieldDemonstrator() {
     }
   }, [animating]);
   
+  // Time playback. Loops step through exact multiples of 1 / frameCount, so
+  // the preview shows the same frames the export writes.
+  useEffect(() => {
+    if (!timePlaying || timeMode === 'off') return;
+    let frameId;
+    const tick = () => {
+      setTimePosition(position => timeMode === 'loop'
+        ? ((Math.round(position * frameCount) + 1) % frameCount) / frameCount
+        : position + timeStep);
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [timePlaying, timeMode, frameCount, timeStep]);
+  
+  const changeTimeMode = useCallback((nextMode) => {
+    setTimeMode(nextMode);
+    setTimePosition(0);
+    setTimePlaying(false);
+    // The torus uses all four dimensions, so time and tiling exclude each other
+    if (nextMode !== 'off') setTileable(false);
+  }, []);
+  
+  // Render frameCount frames of the warped field and download them as a zip,
+  // with field.json describing the first frame. A loop exports exactly one
+  // cycle from phase 0; linear time continues from the current z.
+  const exportFrames = useCallback(async () => {
+    exportCancelRef.current = false;
+    setTimePlaying(false);
+    setAnimating(false);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = exportSize;
+    canvas.height = exportSize;
+    // Each frame is drawn from the same spec field.json records, so
+    // createWarpField(parseWarpField(field.json)) reproduces frame 0
+    const spec = { seed, scale, tileable: false, warpIntensity, octaves, persistence, lacunarity, chain };
+    const positionAt = (k) => timeMode === 'loop' ? k / frameCount : timePosition + k * timeStep;
+    const files = [{
+      name: 'field.json',
+      data: new TextEncoder().encode(serializeWarpField({ ...spec, time: frameTime(timeMode, positionAt(0), loopRadius) }))
+    }];
+    
+    setExportError(null);
+    try {
+      for (let k = 0; k < frameCount; k++) {
+        if (exportCancelRef.current) return;
+        setExportProgress(k / frameCount);
+        renderWarpFrame(canvas, createWarpField({ ...spec, time: frameTime(timeMode, positionAt(k), loopRadius) }), { scale, palette });
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(`frame ${k} could not be encoded as PNG`);
+        files.push({ name: `frame-${String(k).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      
+      const url = URL.createObjectURL(new Blob([createZip(files)], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `warp-field-${seed}-${timeMode}-${frameCount}f.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setExportError(`Export failed: ${error.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  }, [seed, scale, warpIntensity, octaves, persistence, lacunarity, chain, palette, timeMode, timePosition, timeStep, frameCount, loopRadius, exportSize]);
+  
   // Render on parameter change
   useEffect(() => {
     render();
-  }, [render, seed]);
+  }, [render]);
   
   return (
     <div style={{
@@ -378,6 +1092,37 @@ export default function WarpFieldDemonstrator() {
         alignItems: 'center',
         gap: '24px'
       }}>
+        {/* Mode */}
+        <div style={{
+          display: 'flex',
+          padding: '3px',
+          background: '#1a1a28',
+          border: '1px solid #3a3a50',
+          borderRadius: '6px'
+        }}>
+          {[['warp', 'Domain Warp'], ['curl', 'Curl Flow']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => { setMode(id); setAnimating(false); }}
+              style={{
+                padding: '6px 16px',
+                fontSize: '0.65rem',
+                fontFamily: 'inherit',
+                fontWeight: 600,
+                letterSpacing: '0.1em',
+                textTransform: 'uppercase',
+                background: mode === id ? 'linear-gradient(180deg, #7b5cff, #5a40cc)' : 'transparent',
+                border: 'none',
+                borderRadius: '4px',
+                color: mode === id ? 'white' : '#888898',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        
         {/* Canvas Container */}
         <div style={{
           display: 'flex',
@@ -398,7 +1143,7 @@ export default function WarpFieldDemonstrator() {
               marginBottom: '12px',
               textTransform: 'uppercase'
             }}>
-              Raw fBm · Geometric
+              {mode === 'curl' ? 'Raw fBm · Potential ψ' : 'Raw fBm · Geometric'}
             </div>
             <div style={{
               position: 'relative',
@@ -416,6 +1161,17 @@ export default function WarpFieldDemonstrator() {
                   borderRadius: '6px'
                 }}
               />
+              <canvas
+                ref={rawOverlayRef}
+                width={CANVAS_SIZE}
+                height={CANVAS_SIZE}
+                style={{
+                  position: 'absolute',
+                  top: '3px',
+                  left: '3px',
+                  pointerEvents: 'none'
+                }}
+              />
               <div style={{
                 position: 'absolute',
                 bottom: '10px',
@@ -470,7 +1226,7 @@ export default function WarpFieldDemonstrator() {
               marginBottom: '12px',
               textTransform: 'uppercase'
             }}>
-              Domain Warped · Organic
+              {mode === 'curl' ? 'Curl Flow · Divergence-Free' : 'Domain Warped · Organic'}
             </div>
             <div style={{
               position: 'relative',
@@ -488,6 +1244,21 @@ export default function WarpFieldDemonstrator() {
                   borderRadius: '6px'
                 }}
               />
+              <canvas
+                ref={warpedOverlayRef}
+                width={CANVAS_SIZE}
+                height={CANVAS_SIZE}
+                onClick={handleWarpedClick}
+                title={mode === 'warp' ? 'Click to highlight where this pixel was sampled on the raw canvas' : undefined}
+                style={{
+                  position: 'absolute',
+                  top: '3px',
+                  left: '3px',
+                  borderRadius: '6px',
+                  cursor: 'crosshair',
+                  pointerEvents: mode === 'warp' ? 'auto' : 'none'
+                }}
+              />
               <div style={{
                 position: 'absolute',
                 bottom: '10px',
@@ -496,107 +1267,524 @@ export default function WarpFieldDemonstrator() {
                 color: 'rgba(255,255,255,0.6)',
                 fontFamily: 'monospace'
               }}>
-                warp: {warpIntensity.toFixed(2)}
+                {flow ? `${flow.count} particles · ${flow.steps} steps` : `warp: ${warpIntensity.toFixed(2)}`}
               </div>
             </div>
           </div>
         </div>
         
-        {/* Warp Intensity Slider - Primary Control */}
-        <div style={{
-          width: '100%',
-          maxWidth: '620px',
-          padding: '20px 24px',
-          background: 'linear-gradient(180deg, rgba(123, 92, 255, 0.08), rgba(123, 92, 255, 0.02))',
-          borderRadius: '12px',
-          border: '1px solid rgba(123, 92, 255, 0.2)'
-        }}>
+        {mode === 'warp' && (
+          <>
+            {/* Displacement Overlay Controls */}
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '8px',
+              fontSize: '0.65rem',
+              color: '#888898'
+            }}>
+              {[['Vectors', showVectors, setShowVectors], ['Heatmap', showHeatmap, setShowHeatmap]].map(([label, on, setOn]) => (
+                <button
+                  key={label}
+                  onClick={() => setOn(!on)}
+                  disabled={!chain.length}
+                  style={{
+                    padding: '6px 10px',
+                    background: on ? 'rgba(123, 92, 255, 0.25)' : '#1a1a28',
+                    border: `1px solid ${on ? '#7b5cff' : '#3a3a50'}`,
+                    borderRadius: '4px',
+                    color: on ? '#e0d8ff' : '#c0c0d0',
+                    fontSize: '0.7rem',
+                    fontFamily: 'inherit',
+                    cursor: chain.length ? 'pointer' : 'not-allowed'
+                  }}
+                >
+                  {on ? '✓' : '○'} {label}
+                </button>
+              ))}
+              <select
+                value={shownStage}
+                onChange={(e) => {
+                  const stage = parseInt(e.target.value);
+                  setVectorStage(stage === chain.length - 1 ? null : stage);
+                }}
+                disabled={!chain.length}
+                style={{
+                  padding: '6px 10px',
+                  background: '#1a1a28',
+                  border: '1px solid #3a3a50',
+                  borderRadius: '4px',
+                  color: '#c0c0d0',
+                  fontSize: '0.7rem',
+                  cursor: 'pointer',
+                  appearance: 'none'
+                }}
+              >
+                {chain.map((stage, i) => (
+                  <option key={i} value={i}>
+                    {i === chain.length - 1 ? `d${i + 1} · final offset` : `d${i + 1} · ×${stage.strength.toFixed(1)} into stage ${i + 2}`}
+                  </option>
+                ))}
+              </select>
+              {displacementField && (
+                <span>
+                  max |Δ| {displacementField.maxMagnitude.toFixed(2)} units
+                  ({(displacementField.maxMagnitude / scale * CANVAS_SIZE).toFixed(0)} px)
+                </span>
+              )}
+            </div>
+        
+            {/* Picked Sample */}
+            <div style={{
+              fontSize: '0.65rem',
+              color: '#6a6a80',
+              textAlign: 'center'
+            }}>
+              {pick ? (
+                <>
+                  ({pick.x.toFixed(2)}, {pick.y.toFixed(2)}) sampled from ({pick.sourceX.toFixed(2)}, {pick.sourceY.toFixed(2)})
+                  {' '}· value {pick.value.toFixed(3)}
+                  <button
+                    onClick={() => setPicked(null)}
+                    style={{
+                      marginLeft: '8px',
+                      padding: '0 6px',
+                      background: 'transparent',
+                      border: 'none',
+                      color: '#888898',
+                      cursor: 'pointer',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    × clear
+                  </button>
+                </>
+              ) : (
+                'Click the warped canvas to see where a pixel was sampled from'
+              )}
+            </div>
+          </>
+        )}
+        
+        {/* Tiled Preview */}
+        {tileable && (
           <div style={{
             display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-            marginBottom: '12px'
+            flexDirection: 'column',
+            alignItems: 'center'
+          }}>
+            <div style={{
+              fontSize: '0.7rem',
+              letterSpacing: '0.15em',
+              color: '#888898',
+              marginBottom: '12px',
+              textTransform: 'uppercase'
+            }}>
+              Tiled 2×2 · Warped
+            </div>
+            <div style={{
+              padding: '3px',
+              background: 'linear-gradient(135deg, #2a2a40, #1a1a28)',
+              borderRadius: '8px',
+              boxShadow: '0 8px 32px rgba(0,0,0,0.4), inset 0 1px 0 rgba(255,255,255,0.05)'
+            }}>
+              <canvas
+                ref={tileCanvasRef}
+                width={CANVAS_SIZE * 2}
+                height={CANVAS_SIZE * 2}
+                style={{
+                  display: 'block',
+                  width: `${CANVAS_SIZE}px`,
+                  height: `${CANVAS_SIZE}px`,
+                  borderRadius: '6px'
+                }}
+              />
+            </div>
+          </div>
+        )}
+        
+        {/* Primary Control - warp intensity, or the curl flow settings */}
+        {mode === 'warp' ? (
+          <div style={{
+            width: '100%',
+            maxWidth: '620px',
+            padding: '20px 24px',
+            background: 'linear-gradient(180deg, rgba(123, 92, 255, 0.08), rgba(123, 92, 255, 0.02))',
+            borderRadius: '12px',
+            border: '1px solid rgba(123, 92, 255, 0.2)'
+          }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: '12px'
+            }}>
+              <label style={{
+                fontSize: '0.8rem',
+                fontWeight: 600,
+                color: '#c8c0ff',
+                letterSpacing: '0.1em'
+              }}>
+                WARP INTENSITY
+              </label>
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px'
+              }}>
+                <span style={{
+                  fontSize: '1.1rem',
+                  fontWeight: 700,
+                  color: '#e0d8ff',
+                  fontFamily: "'JetBrains Mono', monospace",
+                  minWidth: '60px',
+                  textAlign: 'right'
+                }}>
+                  {warpIntensity.toFixed(2)}
+                </span>
+                <button
+                  onClick={() => setAnimating(!animating)}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '0.65rem',
+                    fontWeight: 600,
+                    letterSpacing: '0.1em',
+                    background: animating 
+                      ? 'linear-gradient(180deg, #ff6b6b, #cc5555)' 
+                      : 'linear-gradient(180deg, #7b5cff, #5a40cc)',
+                    border: 'none',
+                    borderRadius: '4px',
+                    color: 'white',
+                    cursor: 'pointer',
+                    textTransform: 'uppercase',
+                    boxShadow: animating 
+                      ? '0 4px 12px rgba(255, 107, 107, 0.3)' 
+                      : '0 4px 12px rgba(123, 92, 255, 0.3)'
+                  }}
+                >
+                  {animating ? '■ Stop' : '▶ Animate'}
+                </button>
+              </div>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="4"
+              step="0.01"
+              value={warpIntensity}
+              onChange={(e) => setWarpIntensity(parseFloat(e.target.value))}
+              disabled={animating}
+              style={{
+                width: '100%',
+                height: '8px',
+                borderRadius: '4px',
+                appearance: 'none',
+                background: `linear-gradient(90deg, 
+                  #2a2a40 0%, 
+                  #4a3a80 ${(warpIntensity / 4) * 100}%, 
+                  #7b5cff ${(warpIntensity / 4) * 100}%, 
+                  #2a2a40 100%)`,
+                cursor: animating ? 'not-allowed' : 'pointer',
+                opacity: animating ? 0.6 : 1
+              }}
+            />
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              marginTop: '6px',
+              fontSize: '0.6rem',
+              color: '#6a6a80'
+            }}>
+              <span>Geometric</span>
+              <span>Organic</span>
+            </div>
+          </div>
+        ) : (
+          <div style={{
+            width: '100%',
+            maxWidth: '620px',
+            padding: '20px 24px',
+            background: 'linear-gradient(180deg, rgba(123, 92, 255, 0.08), rgba(123, 92, 255, 0.02))',
+            borderRadius: '12px',
+            border: '1px solid rgba(123, 92, 255, 0.2)'
           }}>
             <label style={{
+              display: 'block',
               fontSize: '0.8rem',
               fontWeight: 600,
               color: '#c8c0ff',
-              letterSpacing: '0.1em'
+              letterSpacing: '0.1em',
+              marginBottom: '16px'
             }}>
-              WARP INTENSITY
+              CURL FLOW
             </label>
             <div style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '12px'
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+              gap: '16px'
             }}>
-              <span style={{
-                fontSize: '1.1rem',
-                fontWeight: 700,
-                color: '#e0d8ff',
-                fontFamily: "'JetBrains Mono', monospace",
-                minWidth: '60px',
-                textAlign: 'right'
-              }}>
-                {warpIntensity.toFixed(2)}
-              </span>
-              <button
-                onClick={() => setAnimating(!animating)}
-                style={{
-                  padding: '6px 12px',
-                  fontSize: '0.65rem',
-                  fontWeight: 600,
-                  letterSpacing: '0.1em',
-                  background: animating 
-                    ? 'linear-gradient(180deg, #ff6b6b, #cc5555)' 
-                    : 'linear-gradient(180deg, #7b5cff, #5a40cc)',
-                  border: 'none',
-                  borderRadius: '4px',
-                  color: 'white',
-                  cursor: 'pointer',
-                  textTransform: 'uppercase',
-                  boxShadow: animating 
-                    ? '0 4px 12px rgba(255, 107, 107, 0.3)' 
-                    : '0 4px 12px rgba(123, 92, 255, 0.3)'
-                }}
-              >
-                {animating ? '■ Stop' : '▶ Animate'}
-              </button>
+              {[
+                ['PARTICLES', particleGrid, setParticleGrid, 16, 80, 8, (v) => (v * v).toLocaleString(), parseInt],
+                ['TRAIL STEPS', trailSteps, setTrailSteps, 10, 120, 5, (v) => v, parseInt],
+                ['STEP SIZE', stepSize, setStepSize, 0.001, 0.02, 0.001, (v) => v.toFixed(3), parseFloat]
+              ].map(([label, value, setValue, min, max, step, format, parse]) => (
+                <div key={label}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: '8px'
+                  }}>
+                    <label style={{ fontSize: '0.65rem', color: '#888898', letterSpacing: '0.08em' }}>
+                      {label}
+                    </label>
+                    <span style={{ fontSize: '0.8rem', color: '#b0b0c0', fontWeight: 600 }}>
+                      {format(value)}
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={value}
+                    onChange={(e) => setValue(parse(e.target.value))}
+                    style={{
+                      width: '100%',
+                      height: '4px',
+                      borderRadius: '2px',
+                      appearance: 'none',
+                      background: '#2a2a40',
+                      cursor: 'pointer'
+                    }}
+                  />
+                </div>
+              ))}
+            </div>
+            <div style={{ marginTop: '12px', fontSize: '0.6rem', color: '#6a6a80', lineHeight: 1.6 }}>
+              v = (∂ψ/∂y, −∂ψ/∂x) with ψ the raw fBm. Particles start one per grid cell,
+              jittered by a hash of the cell and seed, and step with RK2 — the same seed
+              always draws the same trails.
             </div>
           </div>
-          <input
-            type="range"
-            min="0"
-            max="4"
-            step="0.01"
-            value={warpIntensity}
-            onChange={(e) => setWarpIntensity(parseFloat(e.target.value))}
-            disabled={animating}
-            style={{
-              width: '100%',
-              height: '8px',
-              borderRadius: '4px',
-              appearance: 'none',
-              background: `linear-gradient(90deg, 
-                #2a2a40 0%, 
-                #4a3a80 ${(warpIntensity / 4) * 100}%, 
-                #7b5cff ${(warpIntensity / 4) * 100}%, 
-                #2a2a40 100%)`,
-              cursor: animating ? 'not-allowed' : 'pointer',
-              opacity: animating ? 0.6 : 1
-            }}
-          />
+        )}
+        
+        {/* Time Axis */}
+        {mode === 'warp' && (
           <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            marginTop: '6px',
-            fontSize: '0.6rem',
-            color: '#6a6a80'
+            width: '100%',
+            maxWidth: '620px',
+            padding: '20px 24px',
+            background: 'rgba(20, 20, 32, 0.8)',
+            borderRadius: '12px',
+            border: '1px solid rgba(123, 92, 255, 0.2)'
           }}>
-            <span>Geometric</span>
-            <span>Organic</span>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              gap: '8px',
+              marginBottom: '16px'
+            }}>
+              <label style={{
+                fontSize: '0.8rem',
+                fontWeight: 600,
+                color: '#c8c0ff',
+                letterSpacing: '0.1em'
+              }}>
+                TIME AXIS
+              </label>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                {TIME_MODES.map(id => (
+                  <button
+                    key={id}
+                    onClick={() => changeTimeMode(id)}
+                    style={{
+                      padding: '6px 10px',
+                      background: timeMode === id ? 'rgba(123, 92, 255, 0.25)' : '#1a1a28',
+                      border: `1px solid ${timeMode === id ? '#7b5cff' : '#3a3a50'}`,
+                      borderRadius: '4px',
+                      color: timeMode === id ? '#e0d8ff' : '#c0c0d0',
+                      fontSize: '0.65rem',
+                      fontFamily: 'inherit',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {{ off: 'Off', linear: '3D · Linear', loop: '4D · Loop' }[id]}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setTimePlaying(!timePlaying)}
+                  disabled={timeMode === 'off'}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '0.65rem',
+                    fontWeight: 600,
+                    letterSpacing: '0.1em',
+                    background: timePlaying
+                      ? 'linear-gradient(180deg, #ff6b6b, #cc5555)'
+                      : 'linear-gradient(180deg, #7b5cff, #5a40cc)',
+                    border: 'none',
+                    borderRadius: '4px',
+                    color: 'white',
+                    cursor: timeMode === 'off' ? 'not-allowed' : 'pointer',
+                    opacity: timeMode === 'off' ? 0.5 : 1,
+                    textTransform: 'uppercase'
+                  }}
+                >
+                  {timePlaying ? '■ Pause' : '▶ Play'}
+                </button>
+              </div>
+            </div>
+            
+            {timeMode === 'off' ? (
+              <div style={{ fontSize: '0.65rem', color: '#6a6a80', lineHeight: 1.6 }}>
+                Linear time samples 3D simplex with z as time, so the field evolves for ever.
+                A loop walks a circle through 4D simplex and comes back to its first frame,
+                for seamless loops. Time needs tiling off; value and Worley stages stay still.
+              </div>
+            ) : (
+              <>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+                  gap: '16px'
+                }}>
+                  {[
+                    ['FRAMES', frameCount, setFrameCount, 24, 240, 12, (v) => v, parseInt],
+                    timeMode === 'loop'
+                      ? ['LOOP RADIUS', loopRadius, setLoopRadius, WARP_LIMITS.loopRadius[0], 2, 0.05, (v) => v.toFixed(2), parseFloat]
+                      : ['TIME STEP', timeStep, setTimeStep, 0.002, 0.05, 0.002, (v) => v.toFixed(3), parseFloat]
+                  ].map(([label, value, setValue, min, max, step, format, parse]) => (
+                    <div key={label}>
+                      <div style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        marginBottom: '8px'
+                      }}>
+                        <label style={{ fontSize: '0.65rem', color: '#888898', letterSpacing: '0.08em' }}>
+                          {label}
+                        </label>
+                        <span style={{ fontSize: '0.8rem', color: '#b0b0c0', fontWeight: 600 }}>
+                          {format(value)}
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={value}
+                        onChange={(e) => setValue(parse(e.target.value))}
+                        style={{
+                          width: '100%',
+                          height: '4px',
+                          borderRadius: '2px',
+                          appearance: 'none',
+                          background: '#2a2a40',
+                          cursor: 'pointer'
+                        }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div style={{ marginTop: '12px', fontSize: '0.65rem', color: '#6a6a80' }}>
+                  {timeMode === 'loop'
+                    ? `frame ${Math.round(timePosition * frameCount) % frameCount + 1} / ${frameCount} · phase ${timePosition.toFixed(3)}`
+                    : `z = ${timePosition.toFixed(3)}`}
+                </div>
+                
+                {/* Frame Export */}
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  marginTop: '16px'
+                }}>
+                  <select
+                    value={exportSize}
+                    onChange={(e) => setExportSize(parseInt(e.target.value))}
+                    disabled={exportProgress !== null}
+                    style={{
+                      padding: '6px 10px',
+                      background: '#1a1a28',
+                      border: '1px solid #3a3a50',
+                      borderRadius: '4px',
+                      color: '#c0c0d0',
+                      fontSize: '0.7rem',
+                      cursor: 'pointer',
+                      appearance: 'none'
+                    }}
+                  >
+                    <option value={256}>256 × 256</option>
+                    <option value={512}>512 × 512</option>
+                  </select>
+                  {exportProgress === null ? (
+                    <button
+                      onClick={exportFrames}
+                      style={{
+                        flex: 1,
+                        padding: '6px 12px',
+                        fontSize: '0.65rem',
+                        fontFamily: 'inherit',
+                        fontWeight: 600,
+                        letterSpacing: '0.1em',
+                        background: 'linear-gradient(180deg, #7b5cff, #5a40cc)',
+                        border: 'none',
+                        borderRadius: '4px',
+                        color: 'white',
+                        cursor: 'pointer',
+                        textTransform: 'uppercase'
+                      }}
+                    >
+                      Export {frameCount} PNG frames · zip
+                    </button>
+                  ) : (
+                    <>
+                      <div style={{
+                        flex: 1,
+                        height: '8px',
+                        borderRadius: '4px',
+                        background: '#2a2a40',
+                        overflow: 'hidden'
+                      }}>
+                        <div style={{
+                          width: `${exportProgress * 100}%`,
+                          height: '100%',
+                          background: '#7b5cff'
+                        }} />
+                      </div>
+                      <button
+                        onClick={() => { exportCancelRef.current = true; }}
+                        style={{
+                          padding: '6px 10px',
+                          background: '#1a1a28',
+                          border: '1px solid #3a3a50',
+                          borderRadius: '4px',
+                          color: '#c0c0d0',
+                          fontSize: '0.65rem',
+                          fontFamily: 'inherit',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  )}
+                </div>
+                {exportError && (
+                  <div style={{ marginTop: '6px', fontSize: '0.65rem', color: '#ff6b6b' }}>
+                    {exportError}
+                  </div>
+                )}
+              </>
+            )}
           </div>
-        </div>
+        )}
         
         {/* Parameter Controls */}
         <div style={{
@@ -830,8 +2018,395 @@ export default function WarpFieldDemonstrator() {
               <option value="monochrome">Monochrome</option>
             </select>
           </div>
+          
+          {/* Tileable */}
+          <div style={{
+            padding: '14px 16px',
+            background: 'rgba(30, 30, 45, 0.6)',
+            borderRadius: '8px',
+            border: '1px solid rgba(255,255,255,0.05)'
+          }}>
+            <label style={{
+              display: 'block',
+              fontSize: '0.65rem',
+              color: '#888898',
+              letterSpacing: '0.08em',
+              marginBottom: '8px'
+            }}>
+              TILEABLE
+            </label>
+            <button
+              onClick={() => setTileable(!tileable)}
+              disabled={time !== null}
+              title={time !== null
+                ? 'The time axis uses the dimensions tiling needs; turn time off to tile'
+                : 'Sample noise on a 4D torus so both fields repeat every SCALE units'}
+              style={{
+                width: '100%',
+                padding: '6px 10px',
+                background: tileable ? 'rgba(123, 92, 255, 0.25)' : '#1a1a28',
+                border: `1px solid ${tileable ? '#7b5cff' : '#3a3a50'}`,
+                borderRadius: '4px',
+                color: tileable ? '#e0d8ff' : '#c0c0d0',
+                fontSize: '0.75rem',
+                fontFamily: 'inherit',
+                cursor: time !== null ? 'not-allowed' : 'pointer',
+                opacity: time !== null ? 0.5 : 1
+              }}
+            >
+              {tileable ? '✓ Seamless' : '○ Off'}
+            </button>
+          </div>
         </div>
         
+        {/* Warp Chain */}
+        {mode === 'warp' && (
+          <div style={{
+            width: '100%',
+            maxWidth: '620px',
+            padding: '20px 24px',
+            background: 'rgba(20, 20, 32, 0.8)',
+            borderRadius: '12px',
+            border: '1px solid rgba(123, 92, 255, 0.2)'
+          }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: '16px'
+            }}>
+              <label style={{
+                fontSize: '0.8rem',
+                fontWeight: 600,
+                color: '#c8c0ff',
+                letterSpacing: '0.1em'
+              }}>
+                WARP CHAIN
+              </label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => setChain(DEFAULT_WARP_CHAIN)}
+                  title="Restore the classic two-stage q/r warp"
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '0.65rem',
+                    fontFamily: 'inherit',
+                    letterSpacing: '0.1em',
+                    background: '#1a1a28',
+                    border: '1px solid #3a3a50',
+                    borderRadius: '4px',
+                    color: '#c0c0d0',
+                    cursor: 'pointer',
+                    textTransform: 'uppercase'
+                  }}
+                >
+                  Reset
+                </button>
+                <button
+                  onClick={addStage}
+                  disabled={chain.length >= MAX_WARP_STAGES}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '0.65rem',
+                    fontFamily: 'inherit',
+                    fontWeight: 600,
+                    letterSpacing: '0.1em',
+                    background: 'linear-gradient(180deg, #7b5cff, #5a40cc)',
+                    border: 'none',
+                    borderRadius: '4px',
+                    color: 'white',
+                    cursor: chain.length >= MAX_WARP_STAGES ? 'not-allowed' : 'pointer',
+                    opacity: chain.length >= MAX_WARP_STAGES ? 0.5 : 1,
+                    textTransform: 'uppercase'
+                  }}
+                >
+                  + Stage
+                </button>
+              </div>
+            </div>
+          
+            {/* Input node */}
+            <div style={{
+              display: 'inline-block',
+              padding: '4px 12px',
+              fontSize: '0.65rem',
+              color: '#b0b0c0',
+              background: '#1a1a28',
+              border: '1px solid #3a3a50',
+              borderRadius: '12px'
+            }}>
+              p
+            </div>
+          
+            {chain.map((stage, i) => (
+              <React.Fragment key={i}>
+                <div style={{ padding: '4px 0 4px 14px', fontSize: '0.7rem', color: '#4a4a60' }}>
+                  ↓{i > 0 && ` + ${chain[i - 1].strength.toFixed(1)}·d${i}`}
+                </div>
+                <div style={{
+                  padding: '12px 14px',
+                  background: 'rgba(30, 30, 45, 0.6)',
+                  borderRadius: '8px',
+                  border: '1px solid rgba(123, 92, 255, 0.25)'
+                }}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: '10px'
+                  }}>
+                    <span style={{ fontSize: '0.7rem', fontWeight: 600, color: '#c8c0ff', letterSpacing: '0.08em' }}>
+                      STAGE {i + 1} · d{i + 1}
+                      {i > 0 && (
+                        <span style={{ fontWeight: 400, color: '#6a6a80' }}> · fades in over intensity 0 → 1</span>
+                      )}
+                    </span>
+                    <button
+                      onClick={() => removeStage(i)}
+                      title="Remove this stage"
+                      style={{
+                        padding: '0 6px',
+                        fontSize: '0.9rem',
+                        lineHeight: 1,
+                        background: 'transparent',
+                        border: 'none',
+                        color: '#888898',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+                    gap: '10px 16px'
+                  }}>
+                    <div>
+                      <label style={{ display: 'block', fontSize: '0.6rem', color: '#888898', letterSpacing: '0.08em', marginBottom: '6px' }}>
+                        SOURCE
+                      </label>
+                      <select
+                        value={stage.source}
+                        onChange={(e) => updateStage(i, { source: e.target.value })}
+                        style={{
+                          width: '100%',
+                          padding: '4px 8px',
+                          background: '#1a1a28',
+                          border: '1px solid #3a3a50',
+                          borderRadius: '4px',
+                          color: '#c0c0d0',
+                          fontSize: '0.7rem',
+                          cursor: 'pointer',
+                          appearance: 'none'
+                        }}
+                      >
+                        {WARP_SOURCES.map(source => (
+                          <option key={source} value={source}>{WARP_SOURCE_LABELS[source]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                        <label style={{ fontSize: '0.6rem', color: '#888898', letterSpacing: '0.08em' }}>OCTAVES</label>
+                        <span style={{ fontSize: '0.7rem', color: '#b0b0c0', fontWeight: 600 }}>{stage.octaves}</span>
+                      </div>
+                      <input
+                        type="range"
+                        min={WARP_LIMITS.stageOctaves[0]}
+                        max={WARP_LIMITS.stageOctaves[1]}
+                        value={stage.octaves}
+                        onChange={(e) => updateStage(i, { octaves: parseInt(e.target.value) })}
+                        style={{
+                          width: '100%',
+                          height: '4px',
+                          borderRadius: '2px',
+                          appearance: 'none',
+                          background: '#2a2a40',
+                          cursor: 'pointer'
+                        }}
+                      />
+                    </div>
+                    {[['offsetX', 'OFFSET · X SAMPLE'], ['offsetY', 'OFFSET · Y SAMPLE']].map(([key, label]) => (
+                      <div key={key}>
+                        <label style={{ display: 'block', fontSize: '0.6rem', color: '#888898', letterSpacing: '0.08em', marginBottom: '6px' }}>
+                          {label}
+                        </label>
+                        <div style={{ display: 'flex', gap: '6px' }}>
+                          {[0, 1].map(axis => (
+                            <input
+                              key={axis}
+                              type="number"
+                              step="0.1"
+                              min={WARP_LIMITS.offset[0]}
+                              max={WARP_LIMITS.offset[1]}
+                              value={stage[key][axis]}
+                              onChange={(e) => {
+                                const value = parseFloat(e.target.value);
+                                if (!Number.isFinite(value)) return;
+                                const offset = [...stage[key]];
+                                offset[axis] = Math.min(WARP_LIMITS.offset[1], Math.max(WARP_LIMITS.offset[0], value));
+                                updateStage(i, { [key]: offset });
+                              }}
+                              style={{
+                                width: '100%',
+                                minWidth: 0,
+                                padding: '4px 6px',
+                                background: '#1a1a28',
+                                border: '1px solid #3a3a50',
+                                borderRadius: '4px',
+                                color: '#c0c0d0',
+                                fontSize: '0.7rem',
+                                fontFamily: 'inherit'
+                              }}
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                    <div>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                        <label style={{ fontSize: '0.6rem', color: '#888898', letterSpacing: '0.08em' }}>STRENGTH</label>
+                        <span style={{ fontSize: '0.7rem', color: '#b0b0c0', fontWeight: 600 }}>
+                          {i === chain.length - 1 ? 'warp intensity' : stage.strength.toFixed(1)}
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={WARP_LIMITS.strength[0]}
+                        max={WARP_LIMITS.strength[1]}
+                        step="0.1"
+                        value={stage.strength}
+                        onChange={(e) => updateStage(i, { strength: parseFloat(e.target.value) })}
+                        disabled={i === chain.length - 1}
+                        title={i === chain.length - 1 ? 'The last stage displaces the final fBm by the warp intensity' : 'How far this stage pushes the next stage\'s samples'}
+                        style={{
+                          width: '100%',
+                          height: '4px',
+                          borderRadius: '2px',
+                          appearance: 'none',
+                          background: '#2a2a40',
+                          cursor: i === chain.length - 1 ? 'not-allowed' : 'pointer',
+                          opacity: i === chain.length - 1 ? 0.4 : 1
+                        }}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </React.Fragment>
+            ))}
+          
+            {/* Output node */}
+            <div style={{ padding: '4px 0 4px 14px', fontSize: '0.7rem', color: '#4a4a60' }}>
+              ↓{chain.length > 0 && ` + ${warpIntensity.toFixed(2)}·d${chain.length}`}
+            </div>
+            <div style={{
+              display: 'inline-block',
+              padding: '4px 12px',
+              fontSize: '0.65rem',
+              color: '#e0d8ff',
+              background: 'rgba(123, 92, 255, 0.25)',
+              border: '1px solid #7b5cff',
+              borderRadius: '12px'
+            }}>
+              fbm · {octaves} octaves
+            </div>
+          
+            {/* JSON */}
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              margin: '20px 0 8px'
+            }}>
+              <label style={{ fontSize: '0.65rem', color: '#888898', letterSpacing: '0.08em' }}>
+                FIELD JSON {fieldDraft !== null && '· edited'}
+              </label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => navigator.clipboard?.writeText(fieldDraft ?? serializedField)}
+                  style={{
+                    padding: '4px 10px',
+                    fontSize: '0.6rem',
+                    fontFamily: 'inherit',
+                    letterSpacing: '0.1em',
+                    background: '#1a1a28',
+                    border: '1px solid #3a3a50',
+                    borderRadius: '4px',
+                    color: '#c0c0d0',
+                    cursor: 'pointer',
+                    textTransform: 'uppercase'
+                  }}
+                >
+                  Copy
+                </button>
+                {fieldDraft !== null && (
+                  <>
+                    <button
+                      onClick={() => { setFieldDraft(null); setFieldError(null); }}
+                      style={{
+                        padding: '4px 10px',
+                        fontSize: '0.6rem',
+                        fontFamily: 'inherit',
+                        letterSpacing: '0.1em',
+                        background: '#1a1a28',
+                        border: '1px solid #3a3a50',
+                        borderRadius: '4px',
+                        color: '#c0c0d0',
+                        cursor: 'pointer',
+                        textTransform: 'uppercase'
+                      }}
+                    >
+                      Revert
+                    </button>
+                    <button
+                      onClick={applyFieldDraft}
+                      style={{
+                        padding: '4px 10px',
+                        fontSize: '0.6rem',
+                        fontFamily: 'inherit',
+                        fontWeight: 600,
+                        letterSpacing: '0.1em',
+                        background: 'linear-gradient(180deg, #7b5cff, #5a40cc)',
+                        border: 'none',
+                        borderRadius: '4px',
+                        color: 'white',
+                        cursor: 'pointer',
+                        textTransform: 'uppercase'
+                      }}
+                    >
+                      Load
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+            <textarea
+              value={fieldDraft ?? serializedField}
+              onChange={(e) => setFieldDraft(e.target.value)}
+              spellCheck={false}
+              rows={8}
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: '8px 10px',
+                background: '#12121c',
+                border: `1px solid ${fieldError ? '#ff6b6b' : '#3a3a50'}`,
+                borderRadius: '4px',
+                color: '#b0b0c0',
+                fontSize: '0.65rem',
+                fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
+                resize: 'vertical'
+              }}
+            />
+            {fieldError && (
+              <div style={{ marginTop: '6px', fontSize: '0.65rem', color: '#ff6b6b' }}>
+                {fieldError}
+              </div>
+            )}
+          </div>
+        )}
+        
         {/* Info Panel */}
         <div style={{
           width: '100%',
@@ -853,15 +2428,13 @@ export default function WarpFieldDemonstrator() {
             fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
             fontSize: '0.65rem'
           }}>
-{`q = vec2( fbm(p + vec2(0.0, 0.0)),
-          fbm(p + vec2(5.2, 1.3)) );
-
-return fbm(p + ${warpIntensity.toFixed(2)} * q);`}
+{describeWarpChain(chain, warpIntensity)}
           </code>
           <div style={{ marginTop: '12px', fontSize: '0.65rem' }}>
             Domain warping feeds noise back into itself, creating organic turbulence 
-            from geometric patterns. The warp intensity controls how much the input 
-            coordinates are displaced by the initial noise field.
+            from geometric patterns. Each stage of the chain displaces the samples of 
+            the next; the warp intensity controls how far the last stage displaces 
+            the final fBm, and fades in every stage after the first.
           </div>
         </div>
       </div>
@@ -1,127 +1,146 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+  createNoise, hashedSimplex2D, hashedSimplex2DDeriv, stackOctaves, stackOctavesDeriv,
+  worley2D, worley2DDeriv, periodicFrequency, WORLEY_FEATURE_NAMES, WORLEY_METRIC_NAMES, NOISE_VERSION
+} from '../shared/noise.js';
+import { deriveSalt, hashCoords, wordsToFloat } from '../shared/hash.js';
+import { LAYERED_TERRAIN_BUILDER as SALTS } from '../shared/generator-salts.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PURE FUNCTIONAL NOISE GENERATION - Position is Seed
 // ═══════════════════════════════════════════════════════════════════════════
 
-// SplitMix64-style hash for deterministic seeding
-const hash = (x, y, seed) => {
-  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
-  h = ((h ^ (h >>> 13)) * 1274126177) | 0;
-  h = ((h ^ (h >>> 16)) * 1911520717) | 0;
-  h = (h ^ (h >>> 13)) | 0;
-  return h;
-};
+// 2D simplex on mulXorHash2DSigned with 8 gradients (shared/noise.js)
+const simplex2D = hashedSimplex2D;
 
-const hashFloat = (x, y, seed) => {
-  const h = hash(x, y, seed);
-  return (h & 0x7FFFFFFF) / 0x7FFFFFFF;
+// Tileable octaves sample 4D simplex on a torus (createNoise().tileable2D);
+// one generator per octave seed, kept across renders
+const torusNoiseCache = new Map();
+const torusNoise = (seed) => {
+  if (!torusNoiseCache.has(seed)) {
+    if (torusNoiseCache.size >= 256) torusNoiseCache.clear();
+    torusNoiseCache.set(seed, createNoise(seed));
+  }
+  return torusNoiseCache.get(seed);
 };
 
-// Gradient table for 2D simplex noise
-const GRAD2 = [
-  [1, 1], [-1, 1], [1, -1], [-1, -1],
-  [1, 0], [-1, 0], [0, 1], [0, -1]
-];
+// 4D simplex has a narrower spread than simplex2D (σ ≈ 0.31 vs 0.47); scaled
+// up so tiling keeps the same share of water, rock and snow
+const TORUS_GAIN = 1.5;
 
-const dot2 = (g, x, y) => g[0] * x + g[1] * y;
+// Fractal Brownian Motion. With period = [px, py] every octave repeats on that
+// period: octave i sees a torus f times larger at f times the coordinates.
+const fbm = (x, y, octaves, persistence, lacunarity, seed, period = null) =>
+  stackOctaves((f, i) => period
+    ? TORUS_GAIN * torusNoise(seed + i * 1000).tileable2D(x * f, y * f, period[0] * f, period[1] * f)
+    : simplex2D(x * f, y * f, seed + i * 1000),
+  octaves, persistence, lacunarity);
 
-// OpenSimplex2S-inspired 2D noise (patent-safe)
-const simplex2D = (x, y, seed) => {
-  const F2 = 0.5 * (Math.sqrt(3) - 1);
-  const G2 = (3 - Math.sqrt(3)) / 6;
-  
-  const s = (x + y) * F2;
-  const i = Math.floor(x + s);
-  const j = Math.floor(y + s);
-  
-  const t = (i + j) * G2;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  
-  let i1, j1;
-  if (x0 > y0) { i1 = 1; j1 = 0; }
-  else { i1 = 0; j1 = 1; }
-  
-  const x1 = x0 - i1 + G2;
-  const y1 = y0 - j1 + G2;
-  const x2 = x0 - 1 + 2 * G2;
-  const y2 = y0 - 1 + 2 * G2;
-  
-  const gi0 = (hash(i, j, seed) & 7);
-  const gi1 = (hash(i + i1, j + j1, seed) & 7);
-  const gi2 = (hash(i + 1, j + 1, seed) & 7);
-  
-  let n0, n1, n2;
-  
-  let t0 = 0.5 - x0 * x0 - y0 * y0;
-  if (t0 < 0) n0 = 0;
-  else { t0 *= t0; n0 = t0 * t0 * dot2(GRAD2[gi0], x0, y0); }
-  
-  let t1 = 0.5 - x1 * x1 - y1 * y1;
-  if (t1 < 0) n1 = 0;
-  else { t1 *= t1; n1 = t1 * t1 * dot2(GRAD2[gi1], x1, y1); }
-  
-  let t2 = 0.5 - x2 * x2 - y2 * y2;
-  if (t2 < 0) n2 = 0;
-  else { t2 *= t2; n2 = t2 * t2 * dot2(GRAD2[gi2], x2, y2); }
-  
-  return 70 * (n0 + n1 + n2);
+// fbm with its analytic gradient: [value, ∂/∂x, ∂/∂y]
+const fbmDeriv = (x, y, octaves, persistence, lacunarity, seed) =>
+  stackOctavesDeriv(
+    (f, i, out) => hashedSimplex2DDeriv(x * f, y * f, seed + i * 1000, out),
+    octaves, persistence, lacunarity
+  );
+
+// Worley fBm for cells, plates and cracks (shared/noise.js worley2D). Cells
+// sit on a square lattice, so tiling wraps them directly: each octave is
+// rounded to a whole number of cells per period on each axis.
+const worleyFbm = (x, y, octaves, persistence, lacunarity, seed, period, options) =>
+  stackOctaves((f, i) => {
+    if (!period) return worley2D(x * f, y * f, seed + i * 1000, options);
+    const fx = periodicFrequency(f, period[0]);
+    const fy = periodicFrequency(f, period[1]);
+    const cells = [Math.round(fx * period[0]), Math.round(fy * period[1])];
+    return worley2D(x * fx, y * fy, seed + i * 1000, { ...options, period: cells });
+  }, octaves, persistence, lacunarity);
+
+const worleyFbmDeriv = (x, y, octaves, persistence, lacunarity, seed, options) =>
+  stackOctavesDeriv(
+    (f, i, out) => worley2DDeriv(x * f, y * f, seed + i * 1000, options, out),
+    octaves, persistence, lacunarity
+  );
+
+// A layer's own noise: params.source is 'simplex' (default) or 'worley'
+const worleyOptions = (params) => ({ feature: params.worleyFeature, metric: params.worleyMetric });
+
+const layerFbm = (x, y, params, seed, period) => {
+  const { octaves, persistence, lacunarity } = params;
+  return params.source === 'worley'
+    ? worleyFbm(x, y, octaves, persistence, lacunarity, seed, period, worleyOptions(params))
+    : fbm(x, y, octaves, persistence, lacunarity, seed, period);
 };
 
-// Fractal Brownian Motion
-const fbm = (x, y, octaves, persistence, lacunarity, seed) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * simplex2D(x * frequency, y * frequency, seed + i * 1000);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return value / maxValue;
+const layerFbmDeriv = (x, y, params, seed) => {
+  const { octaves, persistence, lacunarity } = params;
+  return params.source === 'worley'
+    ? worleyFbmDeriv(x, y, octaves, persistence, lacunarity, seed, worleyOptions(params))
+    : fbmDeriv(x, y, octaves, persistence, lacunarity, seed);
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
 // NOISE LAYER GENERATORS
 // ═══════════════════════════════════════════════════════════════════════════
 
+// params.tile = { width, height } in pixels makes a layer repeat on that
+// period; null leaves it unbounded
+const tilePeriod = (params) => params.tile
+  ? [params.tile.width / params.scale, params.tile.height / params.scale]
+  : null;
+
 const noiseGenerators = {
   foundation: (x, y, params) => {
-    const { seed, scale, octaves, persistence, lacunarity } = params;
-    return fbm(x / scale, y / scale, octaves, persistence, lacunarity, seed);
-  },
-  
-  structure: (x, y, params) => {
-    const { seed, scale, octaves, persistence, lacunarity } = params;
-    return fbm(x / scale, y / scale, octaves, persistence, lacunarity, seed + 10000);
-  },
-  
-  detail: (x, y, params) => {
-    const { seed, scale, octaves, persistence, lacunarity } = params;
-    return fbm(x / scale, y / scale, octaves, persistence, lacunarity, seed + 20000);
+    const { seed, scale } = params;
+    return layerFbm(x / scale, y / scale, params, seed, tilePeriod(params));
   },
   
+  // The warp field itself is always simplex; the source shapes what it warps
   warp: (x, y, params, baseX, baseY) => {
-    const { seed, scale, warpStrength, octaves, persistence, lacunarity } = params;
-    const warpX = fbm(x / scale + 5.2, y / scale + 1.3, 3, 0.5, 2, seed + 30000);
-    const warpY = fbm(x / scale + 9.1, y / scale + 2.7, 3, 0.5, 2, seed + 40000);
-    return fbm(
+    const { seed, scale, warpStrength } = params;
+    const period = tilePeriod(params);
+    const warpX = fbm(x / scale + 5.2, y / scale + 1.3, 3, 0.5, 2, seed + 30000, period);
+    const warpY = fbm(x / scale + 9.1, y / scale + 2.7, 3, 0.5, 2, seed + 40000, period);
+    return layerFbm(
       (x / scale) + warpX * warpStrength,
       (y / scale) + warpY * warpStrength,
-      octaves, persistence, lacunarity, seed + 50000
+      params, seed + 50000, period
     );
   },
   
+  // Climate and biome at one pixel of the finished composite.
+  // params = { x, y, seed, tile, mapHeight, table }; see APPLICATION LAYER.
   application: (compositeValue, params) => {
-    // Apply biome thresholds
-    return compositeValue;
+    const { x, y, seed, tile, mapHeight, table } = params;
+    const { temperature, moisture } = climateAt(compositeValue, x, y, seed, tile, mapHeight);
+    return { temperature, moisture, biome: classifyBiome(compositeValue, temperature, moisture, table) };
+  }
+};
+
+// Same layers with their gradient in pixel units: [value, ∂/∂x, ∂/∂y].
+// Untiled only: the torus sampling has no analytic gradient.
+const scaledGradient = (d, scale) => [d[0], d[1] / scale, d[2] / scale];
+
+const noiseGradients = {
+  foundation: (x, y, params) => {
+    const { seed, scale } = params;
+    return scaledGradient(layerFbmDeriv(x / scale, y / scale, params, seed), scale);
+  },
+  
+  warp: (x, y, params) => {
+    const { seed, scale, warpStrength } = params;
+    const warpX = fbmDeriv(x / scale + 5.2, y / scale + 1.3, 3, 0.5, 2, seed + 30000);
+    const warpY = fbmDeriv(x / scale + 9.1, y / scale + 2.7, 3, 0.5, 2, seed + 40000);
+    const [value, du, dv] = layerFbmDeriv(
+      (x / scale) + warpX[0] * warpStrength,
+      (y / scale) + warpY[0] * warpStrength,
+      params, seed + 50000
+    );
+    // Chain rule through the warped coordinates (u, v)
+    const dudx = (1 + warpStrength * warpX[1]) / scale;
+    const dudy = warpStrength * warpX[2] / scale;
+    const dvdx = warpStrength * warpY[1] / scale;
+    const dvdy = (1 + warpStrength * warpY[2]) / scale;
+    return [value, du * dudx + dv * dvdx, du * dudy + dv * dvdy];
   }
 };
 
@@ -148,6 +167,144 @@ const blendModes = {
   }
 };
 
+// [∂result/∂base, ∂result/∂layer] for each mode, to carry gradients through
+// the composite
+const blendPartials = {
+  normal: (base, layer, opacity) => [1, opacity],
+  multiply: (base, layer, opacity) => [1 + layer * opacity, base * opacity],
+  add: (base, layer, opacity) => [1, opacity],
+  subtract: (base, layer, opacity) => [1, -opacity],
+  overlay: (base, layer, opacity) => base < 0
+    ? [1 + layer * opacity, base * opacity]
+    : [1 - layer * opacity, (1 - base) * opacity],
+  screen: (base, layer, opacity) => [1 - (layer + 1) / 2 * opacity, (1 - base) / 2 * opacity]
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LAYER STACK
+// ═══════════════════════════════════════════════════════════════════════════
+
+// A layer is plain data, composited bottom (index 0) to top:
+//   { id, name, kind: 'fbm' | 'warp', source, worleyFeature, worleyMetric,
+//     seedOffset, blendMode, opacity, mask: layer id | null, visible,
+//     scale, octaves, persistence, lacunarity, weight, warpStrength, palette }
+// seedOffset is added to the global seed, so two layers with the same
+// settings and offset are the same noise.
+const LAYER_KINDS = ['fbm', 'warp'];
+const LAYER_KIND_LABELS = { fbm: 'fBm', warp: 'Warped fBm' };
+const MAX_LAYERS = 8;
+
+const layerSampler = { fbm: noiseGenerators.foundation, warp: noiseGenerators.warp };
+const layerGradient = { fbm: noiseGradients.foundation, warp: noiseGradients.warp };
+
+// What the generators read: the layer with its absolute seed and the tile.
+// Built once per stack or preview, never per pixel.
+const layerParams = (layer, seed, tile) => ({ ...layer, seed: seed + layer.seedOffset, tile });
+
+const sampleLayer = (params, x, y) => layerSampler[params.kind](x, y, params);
+
+// The gradient generators ignore params.tile
+const sampleLayerGradient = (params, x, y) => layerGradient[params.kind](x, y, params);
+
+// Resolve layers for one seed and tile: each entry holds the layer's params
+// and its mask layer's params. A mask that is missing or points at the layer
+// itself is dropped.
+const resolveStack = (layers, seed, tile = null) => {
+  const params = layers.map(layer => layerParams(layer, seed, tile));
+  return layers.map((layer, i) => {
+    const mask = layer.mask && layer.mask !== layer.id
+      ? layers.findIndex(other => other.id === layer.mask)
+      : -1;
+    return { layer: params[i], mask: mask >= 0 ? params[mask] : null };
+  });
+};
+
+// A mask reads the raw noise of its layer, [-1, 1] → [0, 1], and scales the
+// opacity of the masked layer. The mask layer's own blend, opacity and
+// visibility play no part.
+const maskAmount = (value) => Math.max(0, Math.min(1, (value + 1) / 2));
+
+// Composite height of the first `count` layers of a resolved stack
+const compositeHeight = (stack, x, y, count = stack.length) => {
+  let composite = 0;
+
+  for (let i = 0; i < Math.min(count, stack.length); i++) {
+    const { layer, mask } = stack[i];
+    if (!layer.visible) continue;
+
+    const value = sampleLayer(layer, x, y);
+    const opacity = mask ? layer.opacity * maskAmount(sampleLayer(mask, x, y)) : layer.opacity;
+    composite = blendModes[layer.blendMode](composite, value * layer.weight, opacity);
+  }
+
+  return Math.max(-1, Math.min(1, composite));
+};
+
+// compositeHeight plus its gradient, carried through every blend and mask:
+// [height, ∂/∂x, ∂/∂y], height identical to compositeHeight. Untiled only.
+const compositeGradient = (stack, x, y, count = stack.length) => {
+  let composite = 0;
+  let dx = 0;
+  let dy = 0;
+
+  for (let i = 0; i < Math.min(count, stack.length); i++) {
+    const { layer, mask } = stack[i];
+    if (!layer.visible) continue;
+
+    const [value, vx, vy] = sampleLayerGradient(layer, x, y);
+    const layerValue = value * layer.weight;
+    let opacity = layer.opacity;
+    let ox = 0;
+    let oy = 0;
+    if (mask) {
+      const [m, mx, my] = sampleLayerGradient(mask, x, y);
+      const amount = (m + 1) / 2;
+      opacity = layer.opacity * maskAmount(m);
+      if (amount > 0 && amount < 1) {
+        ox = layer.opacity * mx / 2;
+        oy = layer.opacity * my / 2;
+      }
+    }
+
+    const blend = blendModes[layer.blendMode];
+    const [dBase, dLayer] = blendPartials[layer.blendMode](composite, layerValue, opacity);
+    // Every mode is linear in opacity, so ∂result/∂opacity is the full-opacity step
+    const dOpacity = ox || oy ? blend(composite, layerValue, 1) - composite : 0;
+
+    dx = dBase * dx + dLayer * vx * layer.weight + dOpacity * ox;
+    dy = dBase * dy + dLayer * vy * layer.weight + dOpacity * oy;
+    composite = blend(composite, layerValue, opacity);
+  }
+
+  // Clamped regions are flat
+  if (composite < -1 || composite > 1) return [Math.max(-1, Math.min(1, composite)), 0, 0];
+  return [composite, dx, dy];
+};
+
+// Stack edits. Each returns a new array; ids come from the caller so they
+// stay unique across removals.
+const moveLayer = (layers, id, delta) => {
+  const from = layers.findIndex(layer => layer.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= layers.length) return layers;
+  const next = [...layers];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+};
+
+// Removing a layer also clears every mask that pointed at it
+const removeLayer = (layers, id) => layers
+  .filter(layer => layer.id !== id)
+  .map(layer => layer.mask === id ? { ...layer, mask: null } : layer);
+
+// The copy sits directly above the original
+const duplicateLayer = (layers, id, newId) => {
+  const index = layers.findIndex(layer => layer.id === id);
+  if (index < 0) return layers;
+  const copy = { ...layers[index], id: newId, name: `${layers[index].name} copy` };
+  return [...layers.slice(0, index + 1), copy, ...layers.slice(index + 1)];
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // COLOR MAPPING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -192,138 +349,1370 @@ const terrainGradient = (value) => {
   return terrainColors[terrainColors.length - 1].color;
 };
 
-const layerColors = {
-  foundation: (v) => {
-    const t = (v + 1) / 2;
-    return [Math.floor(40 + t * 100), Math.floor(60 + t * 80), Math.floor(120 + t * 100)];
+// Each layer picks an entry by index: thumbnail coloring, accent and tint
+const layerPalette = [
+  {
+    accent: '#64d2ff',
+    tint: 'rgba(100, 210, 255, 0.15)',
+    preview: (t) => [Math.floor(40 + t * 100), Math.floor(60 + t * 80), Math.floor(120 + t * 100)]
+  },
+  {
+    accent: '#ff9f0a',
+    tint: 'rgba(255, 159, 10, 0.15)',
+    preview: (t) => [Math.floor(120 + t * 100), Math.floor(80 + t * 80), Math.floor(40 + t * 60)]
+  },
+  {
+    accent: '#30d158',
+    tint: 'rgba(48, 209, 88, 0.15)',
+    preview: (t) => [Math.floor(60 + t * 140), Math.floor(140 + t * 80), Math.floor(100 + t * 100)]
   },
-  structure: (v) => {
-    const t = (v + 1) / 2;
-    return [Math.floor(120 + t * 100), Math.floor(80 + t * 80), Math.floor(40 + t * 60)];
+  {
+    accent: '#bf5af2',
+    tint: 'rgba(191, 90, 242, 0.15)',
+    preview: (t) => [Math.floor(140 + t * 100), Math.floor(60 + t * 100), Math.floor(140 + t * 80)]
   },
-  detail: (v) => {
-    const t = (v + 1) / 2;
-    return [Math.floor(60 + t * 140), Math.floor(140 + t * 80), Math.floor(100 + t * 100)];
+  {
+    accent: '#ff375f',
+    tint: 'rgba(255, 55, 95, 0.15)',
+    preview: (t) => [Math.floor(120 + t * 130), Math.floor(40 + t * 60), Math.floor(60 + t * 80)]
   },
-  warp: (v) => {
-    const t = (v + 1) / 2;
-    return [Math.floor(140 + t * 100), Math.floor(60 + t * 100), Math.floor(140 + t * 80)];
+  {
+    accent: '#ffd60a',
+    tint: 'rgba(255, 214, 10, 0.15)',
+    preview: (t) => [Math.floor(110 + t * 140), Math.floor(100 + t * 120), Math.floor(20 + t * 60)]
   }
+];
+
+const layerPreviewColor = (palette, v) => layerPalette[palette % layerPalette.length].preview((v + 1) / 2);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// APPLICATION LAYER: CLIMATE AND BIOMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Temperature and moisture in [0, 1]. Temperature falls from the equator
+// (middle row) to the poles (top and bottom rows) and with altitude above sea
+// level; moisture is its own fBm, drier with altitude. Both fields repeat with
+// the map when tiling: latitude is symmetric and the moisture fBm tiles.
+const CLIMATE = {
+  lapseRate: 0.7,            // temperature lost per height unit above sea level
+  temperatureJitter: 0.08,   // fBm amplitude that breaks up the latitude bands
+  moistureScale: 160,
+  moistureSeedOffset: 70000,
+  temperatureSeedOffset: 80000,
+  altitudeDrying: 0.35       // moisture lost per height unit above sea level
+};
+
+const SEA_LEVEL = 0;
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+const climateAt = (height, x, y, seed, tile, mapHeight) => {
+  const scale = CLIMATE.moistureScale;
+  const period = tilePeriod({ tile, scale });
+  const altitude = Math.max(0, height - SEA_LEVEL);
+  const latitude = Math.abs(2 * y / mapHeight - 1);
+  const jitter = fbm(x / scale, y / scale, 3, 0.5, 2, seed + CLIMATE.temperatureSeedOffset, period);
+  const wetness = fbm(x / scale, y / scale, 4, 0.5, 2, seed + CLIMATE.moistureSeedOffset, period);
+  return {
+    temperature: clamp01(1 - latitude - CLIMATE.lapseRate * altitude + CLIMATE.temperatureJitter * jitter),
+    moisture: clamp01(0.5 + wetness - CLIMATE.altitudeDrying * altitude)
+  };
+};
+
+// Water is classified by depth alone; land by the Whittaker table
+const BIOMES = {
+  ocean: { name: 'Ocean', color: [30, 55, 90], water: true },
+  coast: { name: 'Coastal Water', color: [55, 90, 115], water: true },
+  snow: { name: 'Snow', color: [235, 238, 245] },
+  tundra: { name: 'Tundra', color: [150, 158, 140] },
+  taiga: { name: 'Taiga', color: [60, 98, 82] },
+  shrubland: { name: 'Shrubland', color: [140, 138, 95] },
+  grassland: { name: 'Grassland', color: [140, 172, 90] },
+  temperateForest: { name: 'Temperate Forest', color: [72, 122, 56] },
+  temperateRainforest: { name: 'Temperate Rainforest', color: [42, 102, 72] },
+  desert: { name: 'Desert', color: [218, 196, 140] },
+  savanna: { name: 'Savanna', color: [178, 170, 86] },
+  seasonalForest: { name: 'Seasonal Forest', color: [98, 142, 52] },
+  rainforest: { name: 'Tropical Rainforest', color: [30, 112, 46] }
+};
+
+const LAND_BIOMES = Object.keys(BIOMES).filter(id => !BIOMES[id].water);
+
+const TEMPERATURE_BANDS = ['Polar', 'Boreal', 'Temperate', 'Tropical'];
+const MOISTURE_BANDS = ['Arid', 'Dry', 'Moist', 'Wet'];
+
+// Whittaker-style lookup. temperature and moisture hold the upper edges of
+// every band but the last; cells[t][m] is the biome of temperature band t
+// (cold → hot) and moisture band m (dry → wet).
+const DEFAULT_BIOME_TABLE = {
+  temperature: [0.25, 0.45, 0.7],
+  moisture: [0.3, 0.5, 0.7],
+  cells: [
+    ['tundra', 'tundra', 'snow', 'snow'],
+    ['shrubland', 'grassland', 'taiga', 'taiga'],
+    ['desert', 'grassland', 'temperateForest', 'temperateRainforest'],
+    ['desert', 'savanna', 'seasonalForest', 'rainforest']
+  ]
+};
+
+const bandIndex = (edges, value) => {
+  let band = 0;
+  while (band < edges.length && value >= edges[band]) band++;
+  return band;
+};
+
+const classifyBiome = (height, temperature, moisture, table) => {
+  if (height < SEA_LEVEL - 0.2) return 'ocean';
+  if (height < SEA_LEVEL) return 'coast';
+  return table.cells[bandIndex(table.temperature, temperature)][bandIndex(table.moisture, moisture)];
+};
+
+// Move one band edge, kept strictly between its neighbors
+const setBandEdge = (edges, index, value) => {
+  const low = index > 0 ? edges[index - 1] + 0.01 : 0.01;
+  const high = index < edges.length - 1 ? edges[index + 1] - 0.01 : 0.99;
+  return edges.map((edge, i) => i === index ? Math.max(low, Math.min(high, value)) : edge);
+};
+
+// Flat biome color, lightly shaded by height so relief still reads
+const biomeColor = (biome, height) => {
+  const shade = 0.85 + 0.3 * Math.max(-0.5, Math.min(0.5, height));
+  return BIOMES[biome].color.map(c => Math.min(255, Math.floor(c * shade)));
+};
+
+const temperatureColor = (t) => [Math.floor(40 + t * 215), Math.floor(90 + t * 60 - t * t * 100), Math.floor(230 - t * 200)];
+const moistureColor = (m) => [Math.floor(190 - m * 160), Math.floor(150 + m * 10), Math.floor(90 + m * 140)];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SLOPE OVERLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Heights span [-1, 1]; reading one height unit as SLOPE_RELIEF pixels turns
+// the per-pixel gradient into a slope angle
+const SLOPE_RELIEF = 25;
+
+const slopeClasses = [
+  { maxAngle: 10, label: 'Flat', color: null },
+  { maxAngle: 20, label: 'Gentle', color: [120, 220, 120] },
+  { maxAngle: 35, label: 'Moderate', color: [255, 214, 10] },
+  { maxAngle: 50, label: 'Steep', color: [255, 140, 40] },
+  { maxAngle: 90, label: 'Cliff', color: [255, 55, 95] }
+];
+
+const slopeAngle = (dx, dy) => Math.atan(Math.hypot(dx, dy) * SLOPE_RELIEF) * 180 / Math.PI;
+
+const slopeOverlay = (color, angle) => {
+  const slopeClass = slopeClasses.find(c => angle <= c.maxAngle) || slopeClasses[slopeClasses.length - 1];
+  if (!slopeClass.color) return color;
+  return color.map((c, i) => Math.floor(c + (slopeClass.color[i] - c) * 0.55));
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// EROSION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Post-process on the composite heightmap: droplet hydraulic erosion, then
+// thermal talus. Heights live in a Float32Array, row-major, one per pixel.
+// Droplet i starts at hashCoords([i]) under deriveSalt(seed, erosion salt), so
+// the same seed and settings always carve the same terrain and no two seeds
+// share a droplet stream.
+const EROSION_DEFAULTS = {
+  droplets: 60000,
+  maxSteps: 40,
+  radius: 3,             // erosion brush radius in pixels
+  inertia: 0.05,         // 0 follows the slope exactly, 1 ignores it
+  capacity: 4,           // sediment carried per unit of speed, water and drop
+  minCapacity: 0.002,
+  erodeRate: 0.3,
+  depositRate: 0.3,
+  evaporation: 0.02,
+  gravity: 4,
+  thermalIterations: 20,
+  talusAngle: 35,        // degrees, read with the slope overlay's SLOPE_RELIEF
+  thermalRate: 0.5
+};
+
+const buildHeightfield = (sample, width, height) => {
+  const field = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) field[y * width + x] = sample(x, y);
+  }
+  return field;
+};
+
+// [dx, dy, weight] around a cell; weights fall off linearly and sum to 1
+const erosionBrush = (radius) => {
+  const cells = [];
+  let total = 0;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const weight = radius - Math.hypot(dx, dy);
+      if (weight > 0) {
+        cells.push([dx, dy, weight]);
+        total += weight;
+      }
+    }
+  }
+  return cells.map(([dx, dy, weight]) => [dx, dy, weight / total]);
+};
+
+const wrapIndex = (value, size) => ((value % size) + size) % size;
+
+// Bilinear height and gradient at (px, py), written to out = [h, ∂/∂x, ∂/∂y].
+// Without wrap the caller keeps px in [0, width - 1) and py in [0, height - 1).
+const sampleHeightfield = (field, width, height, px, py, wrap, out) => {
+  const cx = Math.floor(px);
+  const cy = Math.floor(py);
+  const u = px - cx;
+  const v = py - cy;
+  const x1 = wrap ? wrapIndex(cx + 1, width) : cx + 1;
+  const y0 = cy * width;
+  const y1 = (wrap ? wrapIndex(cy + 1, height) : cy + 1) * width;
+  const nw = field[y0 + cx];
+  const ne = field[y0 + x1];
+  const sw = field[y1 + cx];
+  const se = field[y1 + x1];
+  out[0] = nw * (1 - u) * (1 - v) + ne * u * (1 - v) + sw * (1 - u) * v + se * u * v;
+  out[1] = (ne - nw) * (1 - v) + (se - sw) * v;
+  out[2] = (sw - nw) * (1 - u) + (se - ne) * u;
+  return out;
+};
+
+const hydraulicErosion = (field, width, height, settings, eroded, deposited) => {
+  const { seed, wrap, droplets, maxSteps, radius, inertia, capacity, minCapacity,
+    erodeRate, depositRate, evaporation, gravity } = settings;
+  const brush = erosionBrush(radius);
+  const words = [0, 0];
+  const dropletX = deriveSalt(seed, SALTS.get('erosion.dropletX'));
+  const dropletY = deriveSalt(seed, SALTS.get('erosion.dropletY'));
+  const here = [0, 0, 0];
+  const next = [0, 0, 0];
+  const spanX = wrap ? width : width - 1;
+  const spanY = wrap ? height : height - 1;
+  const inside = (x, y) => wrap || (x >= 0 && x < width - 1 && y >= 0 && y < height - 1);
+
+  // Deposit on the four corners of the cell, bilinearly
+  const deposit = (px, py, amount) => {
+    const cx = Math.floor(px);
+    const cy = Math.floor(py);
+    const u = px - cx;
+    const v = py - cy;
+    const x1 = wrap ? wrapIndex(cx + 1, width) : cx + 1;
+    const y1 = wrap ? wrapIndex(cy + 1, height) : cy + 1;
+    const corners = [
+      [cy * width + cx, (1 - u) * (1 - v)], [cy * width + x1, u * (1 - v)],
+      [y1 * width + cx, (1 - u) * v], [y1 * width + x1, u * v]
+    ];
+    for (const [index, weight] of corners) {
+      field[index] += amount * weight;
+      deposited[index] += amount * weight;
+    }
+  };
+
+  // Erode through the brush; cells off an unwrapped map are skipped
+  const erode = (px, py, amount) => {
+    const cx = Math.floor(px);
+    const cy = Math.floor(py);
+    let removed = 0;
+    for (const [dx, dy, weight] of brush) {
+      let x = cx + dx;
+      let y = cy + dy;
+      if (wrap) {
+        x = wrapIndex(x, width);
+        y = wrapIndex(y, height);
+      } else if (x < 0 || x >= width || y < 0 || y >= height) {
+        continue;
+      }
+      const index = y * width + x;
+      field[index] -= amount * weight;
+      eroded[index] += amount * weight;
+      removed += amount * weight;
+    }
+    return removed;
+  };
+
+  for (let i = 0; i < droplets; i++) {
+    let px = wordsToFloat(hashCoords([i], dropletX, { out: words })) * spanX;
+    let py = wordsToFloat(hashCoords([i], dropletY, { out: words })) * spanY;
+    let dirX = 0;
+    let dirY = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let step = 0; step < maxSteps; step++) {
+      sampleHeightfield(field, width, height, px, py, wrap, here);
+      dirX = dirX * inertia - here[1] * (1 - inertia);
+      dirY = dirY * inertia - here[2] * (1 - inertia);
+      const length = Math.hypot(dirX, dirY);
+      // Flat ground: the droplet stops, and so does its sediment
+      if (length < 1e-12) {
+        if (sediment > 0) deposit(px, py, sediment);
+        break;
+      }
+      dirX /= length;
+      dirY /= length;
+
+      let nx = px + dirX;
+      let ny = py + dirY;
+      if (!inside(nx, ny)) break;
+      if (wrap) {
+        nx = wrapIndex(nx, width);
+        ny = wrapIndex(ny, height);
+      }
+
+      const drop = sampleHeightfield(field, width, height, nx, ny, wrap, next)[0] - here[0];
+      const carry = Math.max(-drop * speed * water * capacity, minCapacity);
+
+      if (drop > 0 || sediment > carry) {
+        // Uphill: fill the pit behind it. Over capacity: settle part of the load.
+        const amount = drop > 0 ? Math.min(drop, sediment) : (sediment - carry) * depositRate;
+        sediment -= amount;
+        deposit(px, py, amount);
+      } else {
+        // Never dig deeper than the drop, or the droplet carves a hole
+        sediment += erode(px, py, Math.min((carry - sediment) * erodeRate, -drop));
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - drop * gravity));
+      water *= 1 - evaporation;
+      px = nx;
+      py = ny;
+    }
+  }
+};
+
+// Material above the talus slope slides to lower neighbors. Every cell reads
+// the previous iteration only, so the result does not depend on scan order.
+const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+const thermalErosion = (field, width, height, settings, eroded, deposited) => {
+  const { wrap, thermalIterations, talusAngle, thermalRate } = settings;
+  const talus = Math.tan(talusAngle * Math.PI / 180) / SLOPE_RELIEF;
+  const delta = new Float32Array(field.length);
+  const excess = new Float64Array(NEIGHBORS.length);
+  const targets = new Int32Array(NEIGHBORS.length);
+
+  for (let iteration = 0; iteration < thermalIterations; iteration++) {
+    delta.fill(0);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        let total = 0;
+        let steepest = 0;
+
+        for (let n = 0; n < NEIGHBORS.length; n++) {
+          let nx = x + NEIGHBORS[n][0];
+          let ny = y + NEIGHBORS[n][1];
+          excess[n] = 0;
+          if (wrap) {
+            nx = wrapIndex(nx, width);
+            ny = wrapIndex(ny, height);
+          } else if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            continue;
+          }
+          targets[n] = ny * width + nx;
+          const distance = NEIGHBORS[n][0] && NEIGHBORS[n][1] ? Math.SQRT2 : 1;
+          const over = field[index] - field[targets[n]] - talus * distance;
+          if (over > 0) {
+            excess[n] = over;
+            total += over;
+            steepest = Math.max(steepest, over);
+          }
+        }
+
+        if (total === 0) continue;
+        // Half the steepest excess levels that pair; thermalRate softens it
+        const moved = thermalRate * steepest / 2;
+        delta[index] -= moved;
+        eroded[index] += moved;
+        for (let n = 0; n < NEIGHBORS.length; n++) {
+          if (excess[n] === 0) continue;
+          const share = moved * excess[n] / total;
+          delta[targets[n]] += share;
+          deposited[targets[n]] += share;
+        }
+      }
+    }
+
+    for (let i = 0; i < field.length; i++) field[i] += delta[i];
+  }
+};
+
+// Erode a copy of `heights`. settings = EROSION_DEFAULTS plus { seed, wrap };
+// wrap keeps a tileable map tileable. Returns the new heights with where
+// material was removed (eroded) and laid down (deposited), both ≥ 0, and
+// `scale`, a typical change used to normalize the overlays.
+const erodeHeightfield = (heights, width, height, settings) => {
+  const field = Float32Array.from(heights);
+  const eroded = new Float32Array(field.length);
+  const deposited = new Float32Array(field.length);
+
+  hydraulicErosion(field, width, height, settings, eroded, deposited);
+  thermalErosion(field, width, height, settings, eroded, deposited);
+
+  let total = 0;
+  let changed = 0;
+  for (let i = 0; i < field.length; i++) {
+    const change = Math.abs(deposited[i] - eroded[i]);
+    if (change > 1e-6) {
+      total += change;
+      changed++;
+    }
+  }
+  return { heights: field, eroded, deposited, scale: changed ? 3 * total / changed : 1 };
+};
+
+// Central differences in pixel units, for the slope overlay on an eroded map
+const heightfieldGradient = (field, width, height, x, y, wrap) => {
+  const at = (px, py) => wrap
+    ? field[wrapIndex(py, height) * width + wrapIndex(px, width)]
+    : field[Math.max(0, Math.min(height - 1, py)) * width + Math.max(0, Math.min(width - 1, px))];
+  return [
+    field[y * width + x],
+    (at(x + 1, y) - at(x - 1, y)) / 2,
+    (at(x, y + 1) - at(x, y - 1)) / 2
+  ];
+};
+
+const EROSION_OVERLAYS = [
+  { id: 'none', label: 'None' },
+  { id: 'erosion', label: 'Eroded' },
+  { id: 'deposition', label: 'Deposited' },
+  { id: 'net', label: 'Net' }
+];
+
+const ERODED_TINT = [255, 70, 60];
+const DEPOSITED_TINT = [80, 200, 255];
+
+const tint = (color, target, amount) => {
+  const t = Math.max(0, Math.min(1, amount)) * 0.8;
+  return color.map((c, i) => Math.floor(c + (target[i] - c) * t));
+};
+
+const erosionOverlay = (color, mode, eroded, deposited, scale) => {
+  if (mode === 'erosion') return tint(color, ERODED_TINT, eroded / scale);
+  if (mode === 'deposition') return tint(color, DEPOSITED_TINT, deposited / scale);
+  if (mode === 'net') {
+    const net = (deposited - eroded) / scale;
+    return net < 0 ? tint(color, ERODED_TINT, -net) : tint(color, DEPOSITED_TINT, net);
+  }
+  return color;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HYDROLOGY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Rivers and lakes from a heightfield:
+//   1. priority-flood fill from the outlets (sea and, unless wrapping, the map
+//      edge), raising each depression to its spill height plus a tiny slope
+//   2. flow direction on the filled surface, D8 or D-infinity
+//   3. flow accumulation in upstream cells, including the cell itself
+// Cells that were raised by at least lakeDepth are lakes; cells above sea
+// level that drain at least riverThreshold cells are rivers.
+const HYDROLOGY_DEFAULTS = {
+  method: 'd8',          // 'd8' or 'dinf'
+  riverThreshold: 150,   // upstream cells
+  lakeDepth: 0.02        // height units
+};
+
+const FLOW_METHODS = [
+  { id: 'd8', label: 'D8' },
+  { id: 'dinf', label: 'D∞' }
+];
+
+// Raise every flat cell this much above the cell it drains to, so flats and
+// filled basins still have a downhill direction
+const FILL_EPSILON = 1e-6;
+
+// Binary min-heap of cell indices keyed by `keys`; ties go to the lower index
+// so the fill visits cells in the same order every run
+const createCellHeap = (keys, capacity) => {
+  const heap = new Int32Array(capacity);
+  let size = 0;
+  const less = (a, b) => keys[a] < keys[b] || (keys[a] === keys[b] && a < b);
+
+  return {
+    get size() { return size; },
+    push: (cell) => {
+      let i = size++;
+      heap[i] = cell;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!less(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top = heap[0];
+      heap[0] = heap[--size];
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < size && less(heap[left], heap[smallest])) smallest = left;
+        if (right < size && less(heap[right], heap[smallest])) smallest = right;
+        if (smallest === i) break;
+        [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+        i = smallest;
+      }
+      return top;
+    }
+  };
+};
+
+// Index of the neighbor at (x + dx, y + dy), or -1 off an unwrapped map
+const neighborIndex = (x, y, dx, dy, width, height, wrap) => {
+  let nx = x + dx;
+  let ny = y + dy;
+  if (wrap) {
+    nx = wrapIndex(nx, width);
+    ny = wrapIndex(ny, height);
+  } else if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+    return -1;
+  }
+  return ny * width + nx;
+};
+
+// Priority-flood with epsilon. Returns the filled surface and the cells in
+// the order they were filled, which is non-decreasing in filled height.
+const fillDepressions = (heights, width, height, wrap) => {
+  const count = width * height;
+  const filled = Float64Array.from(heights);
+  const done = new Uint8Array(count);
+  const order = new Int32Array(count);
+  const heap = createCellHeap(filled, count);
+  let visited = 0;
+
+  const seed = (cell) => {
+    if (done[cell]) return;
+    done[cell] = 1;
+    heap.push(cell);
+  };
+  for (let i = 0; i < count; i++) {
+    const x = i % width;
+    const y = (i - x) / width;
+    const edge = !wrap && (x === 0 || y === 0 || x === width - 1 || y === height - 1);
+    if (heights[i] < SEA_LEVEL || edge) seed(i);
+  }
+  // A wrapped map with no sea drains through its lowest cell
+  if (heap.size === 0) {
+    let lowest = 0;
+    for (let i = 1; i < count; i++) if (heights[i] < heights[lowest]) lowest = i;
+    seed(lowest);
+  }
+
+  while (heap.size > 0) {
+    const cell = heap.pop();
+    order[visited++] = cell;
+    const x = cell % width;
+    const y = (cell - x) / width;
+    for (const [dx, dy] of NEIGHBORS) {
+      const next = neighborIndex(x, y, dx, dy, width, height, wrap);
+      if (next < 0 || done[next]) continue;
+      filled[next] = Math.max(filled[next], filled[cell] + FILL_EPSILON);
+      seed(next);
+    }
+  }
+
+  return { filled, order };
+};
+
+// Tarboton's eight facets: a cardinal neighbor e1 and the diagonal e2 beside it
+const DINF_FACETS = [
+  [[1, 0], [1, -1]], [[0, -1], [1, -1]], [[0, -1], [-1, -1]], [[-1, 0], [-1, -1]],
+  [[-1, 0], [-1, 1]], [[0, 1], [-1, 1]], [[0, 1], [1, 1]], [[1, 0], [1, 1]]
+];
+
+// Up to two receivers per cell: receivers[2i], receivers[2i + 1] (-1 = none)
+// with the share of the cell's flow each one gets. Sea cells drain nowhere.
+const flowDirections = (heights, filled, width, height, wrap, method) => {
+  const count = width * height;
+  const receivers = new Int32Array(2 * count).fill(-1);
+  const shares = new Float32Array(2 * count);
+
+  for (let cell = 0; cell < count; cell++) {
+    if (heights[cell] < SEA_LEVEL) continue;
+    const x = cell % width;
+    const y = (cell - x) / width;
+
+    if (method === 'dinf') {
+      let best = 0;
+      for (const [[dx1, dy1], [dx2, dy2]] of DINF_FACETS) {
+        const e1 = neighborIndex(x, y, dx1, dy1, width, height, wrap);
+        const e2 = neighborIndex(x, y, dx2, dy2, width, height, wrap);
+        if (e1 < 0 || e2 < 0) continue;
+        const s1 = filled[cell] - filled[e1];
+        const s2 = filled[e1] - filled[e2];
+        let angle = Math.atan2(s2, s1);
+        let slope;
+        if (angle < 0) {
+          angle = 0;
+          slope = s1;
+        } else if (angle > Math.PI / 4) {
+          angle = Math.PI / 4;
+          slope = (filled[cell] - filled[e2]) / Math.SQRT2;
+        } else {
+          slope = Math.hypot(s1, s2);
+        }
+        if (slope <= best) continue;
+        best = slope;
+        const toDiagonal = angle / (Math.PI / 4);
+        receivers[2 * cell] = e1;
+        shares[2 * cell] = 1 - toDiagonal;
+        receivers[2 * cell + 1] = e2;
+        shares[2 * cell + 1] = toDiagonal;
+      }
+      // Keep the slots tidy when all flow goes one way
+      if (shares[2 * cell + 1] === 0) receivers[2 * cell + 1] = -1;
+      if (receivers[2 * cell] >= 0 && shares[2 * cell] === 0) {
+        receivers[2 * cell] = receivers[2 * cell + 1];
+        shares[2 * cell] = 1;
+        receivers[2 * cell + 1] = -1;
+        shares[2 * cell + 1] = 0;
+      }
+    } else {
+      let best = 0;
+      for (const [dx, dy] of NEIGHBORS) {
+        const next = neighborIndex(x, y, dx, dy, width, height, wrap);
+        if (next < 0) continue;
+        const slope = (filled[cell] - filled[next]) / (dx && dy ? Math.SQRT2 : 1);
+        if (slope > best) {
+          best = slope;
+          receivers[2 * cell] = next;
+          shares[2 * cell] = 1;
+        }
+      }
+    }
+  }
+
+  return { receivers, shares };
+};
+
+// Every receiver is strictly lower on the filled surface, so walking the fill
+// order backwards visits each cell after everything upstream of it
+const flowAccumulation = (order, receivers, shares) => {
+  const accumulation = new Float32Array(order.length).fill(1);
+  for (let k = order.length - 1; k >= 0; k--) {
+    const cell = order[k];
+    for (let slot = 2 * cell; slot < 2 * cell + 2; slot++) {
+      if (receivers[slot] >= 0) accumulation[receivers[slot]] += accumulation[cell] * shares[slot];
+    }
+  }
+  return accumulation;
+};
+
+// Run the whole pass. settings = HYDROLOGY_DEFAULTS plus { wrap }. Returns
+// the fields above plus per-cell river and lake masks.
+const computeHydrology = (heights, width, height, settings) => {
+  const { method, riverThreshold, lakeDepth, wrap } = settings;
+  const { filled, order } = fillDepressions(heights, width, height, wrap);
+  const { receivers, shares } = flowDirections(heights, filled, width, height, wrap, method);
+  const accumulation = flowAccumulation(order, receivers, shares);
+
+  const count = width * height;
+  const lake = new Uint8Array(count);
+  const river = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    if (heights[i] < SEA_LEVEL) continue;
+    if (filled[i] - heights[i] >= lakeDepth) lake[i] = 1;
+    else if (accumulation[i] >= riverThreshold) river[i] = 1;
+  }
+
+  return { width, height, wrap, filled, receivers, shares, accumulation, lake, river, riverThreshold };
+};
+
+// River polylines, one per stream. A stream starts at a river cell that no
+// river cell drains into (a source, or the outflow of a lake) and follows the
+// main receiver (the larger D-infinity share). At a confluence only the
+// larger inflow carries on, so the main stem runs unbroken from its source to
+// the mouth and each tributary ends on the stem. Lines also end on the first
+// lake or sea cell and at the map edge; crossing a wrapped edge starts a new
+// line. Points are pixel centers.
+const traceRivers = (hydrology) => {
+  const { width, height, receivers, shares, accumulation, river } = hydrology;
+  const count = width * height;
+  const mainReceiver = (cell) => {
+    const a = receivers[2 * cell];
+    const b = receivers[2 * cell + 1];
+    return b >= 0 && shares[2 * cell + 1] > shares[2 * cell] ? b : a;
+  };
+
+  // The river cell with the most flow draining into each cell; ties go to
+  // the lower index
+  const mainInflow = new Int32Array(count).fill(-1);
+  for (let cell = 0; cell < count; cell++) {
+    if (!river[cell]) continue;
+    const next = mainReceiver(cell);
+    if (next < 0) continue;
+    const current = mainInflow[next];
+    if (current < 0 || accumulation[cell] > accumulation[current]) mainInflow[next] = cell;
+  }
+
+  const lines = [];
+  const point = (cell) => [cell % width + 0.5, Math.floor(cell / width) + 0.5];
+
+  for (let start = 0; start < count; start++) {
+    if (!river[start] || mainInflow[start] >= 0) continue;
+    let line = [point(start)];
+    let peak = accumulation[start];
+    let cell = start;
+
+    for (;;) {
+      const next = mainReceiver(cell);
+      if (next < 0) break;
+      const [x0, y0] = point(cell);
+      const [x1, y1] = point(next);
+      const wrapped = Math.abs(x1 - x0) > 1 || Math.abs(y1 - y0) > 1;
+      if (!river[next] || mainInflow[next] !== cell) {
+        // End on the shore or on the stream this one joins
+        if (!wrapped) line.push([x1, y1]);
+        break;
+      }
+      if (wrapped) {
+        if (line.length > 1) lines.push({ points: line, peak });
+        line = [];
+      }
+      line.push([x1, y1]);
+      peak = Math.max(peak, accumulation[next]);
+      cell = next;
+    }
+
+    if (line.length > 1) lines.push({ points: line, peak });
+  }
+
+  return lines;
+};
+
+const riversToGeoJSON = (lines, metadata) => ({
+  type: 'FeatureCollection',
+  // Planar map coordinates: x right, y down, one unit per pixel
+  properties: metadata,
+  features: lines.map(({ points, peak }) => ({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: points },
+    properties: { accumulation: Math.round(peak) }
+  }))
+});
+
+const LAKE_COLOR = [58, 110, 160];
+const RIVER_COLOR = [70, 140, 215];
+
+// Rivers turn more solid the more of the map they drain
+const hydrologyOverlay = (color, hydrology, i) => {
+  if (hydrology.lake[i]) return LAKE_COLOR;
+  if (!hydrology.river[i]) return color;
+  const strength = Math.min(1, 0.55 + 0.15 * Math.log2(hydrology.accumulation[i] / hydrology.riverThreshold));
+  return color.map((c, k) => Math.floor(c + (RIVER_COLOR[k] - c) * strength));
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RELIEF PREVIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+// A 3D view of the heightmap without WebGL: the map is sampled every
+// RELIEF_STEP pixels into a mesh, two triangles per cell, and rasterized on
+// the CPU into ImageData with a depth buffer. Each vertex takes its color from
+// the main canvas, so the preview drapes whatever view is shown.
+const RELIEF_STEP = 4;
+const RELIEF_WIDTH = 640;
+const RELIEF_HEIGHT = 400;
+const RELIEF_LIFT = 0.25;      // world height per height unit at exaggeration 1
+const RELIEF_DISTANCE = 4;       // camera distance, in half map widths
+const RELIEF_AMBIENT = 0.3;
+const RELIEF_BACKGROUND = [14, 17, 23];
+const WATER_SHALLOW = [70, 130, 175];
+const WATER_DEEP = [20, 45, 85];
+
+// Angles in degrees. yaw turns the map about its vertical axis, pitch is the
+// camera's elevation (90 looks straight down). The light azimuth is measured
+// clockwise from the top of the map, and the light stays fixed to the map as
+// it turns.
+const RELIEF_DEFAULTS = {
+  yaw: -30,
+  pitch: 40,
+  exaggeration: 1.5,
+  lightAzimuth: 315,
+  lightElevation: 40,
+  water: true,
+  waterLevel: SEA_LEVEL
+};
+
+// { cols, rows, heights } with heights[r * cols + c] = sample(c * step, r * step)
+const sampleReliefGrid = (sample, width, height, step) => {
+  const cols = Math.floor((width - 1) / step) + 1;
+  const rows = Math.floor((height - 1) / step) + 1;
+  const heights = new Float32Array(cols * rows);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) heights[r * cols + c] = sample(c * step, r * step);
+  }
+  return { cols, rows, step, heights };
+};
+
+// Vertex colors (RGB) read from a rendered map's ImageData
+const reliefColors = (grid, image) => {
+  const colors = new Uint8Array(grid.cols * grid.rows * 3);
+  for (let r = 0; r < grid.rows; r++) {
+    for (let c = 0; c < grid.cols; c++) {
+      const from = ((r * grid.step) * image.width + c * grid.step) * 4;
+      const to = (r * grid.cols + c) * 3;
+      colors[to] = image.data[from];
+      colors[to + 1] = image.data[from + 1];
+      colors[to + 2] = image.data[from + 2];
+    }
+  }
+  return colors;
+};
+
+// Draw the mesh into `target` ({ width, height, data }, e.g. ImageData)
+const renderRelief = (target, grid, colors, view) => {
+  const { cols, rows, heights } = grid;
+  const { width, height, data } = target;
+  const count = cols * rows;
+  const rad = Math.PI / 180;
+  const cosYaw = Math.cos(view.yaw * rad);
+  const sinYaw = Math.sin(view.yaw * rad);
+  const cosPitch = Math.cos(view.pitch * rad);
+  const sinPitch = Math.sin(view.pitch * rad);
+  const depthOfMap = (rows - 1) / (cols - 1);
+  const lift = RELIEF_LIFT * view.exaggeration;
+  const light = [
+    Math.cos(view.lightElevation * rad) * Math.sin(view.lightAzimuth * rad),
+    Math.sin(view.lightElevation * rad),
+    -Math.cos(view.lightElevation * rad) * Math.cos(view.lightAzimuth * rad)
+  ];
+
+  // World space: x across the map in [-1, 1], z down the map, y up
+  const world = new Float32Array(count * 3);
+  const screen = new Float32Array(count * 3);
+  const vertexColors = new Float32Array(count * 3);
+  const scale = width * 0.34;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      const h = heights[i];
+      const underwater = view.water && h < view.waterLevel;
+      const x = (c / (cols - 1)) * 2 - 1;
+      const z = ((r / (rows - 1)) * 2 - 1) * depthOfMap;
+      const y = (underwater ? view.waterLevel : h) * lift;
+      world[3 * i] = x;
+      world[3 * i + 1] = y;
+      world[3 * i + 2] = z;
+
+      const xr = x * cosYaw - z * sinYaw;
+      const zr = x * sinYaw + z * cosYaw;
+      const yc = y * cosPitch - zr * sinPitch;
+      const zc = y * sinPitch + zr * cosPitch;
+      const perspective = RELIEF_DISTANCE / (RELIEF_DISTANCE - zc);
+      screen[3 * i] = width / 2 + xr * scale * perspective;
+      screen[3 * i + 1] = height / 2 - yc * scale * perspective;
+      screen[3 * i + 2] = zc;
+
+      if (underwater) {
+        const t = Math.min(1, (view.waterLevel - h) * 3);
+        for (let k = 0; k < 3; k++) vertexColors[3 * i + k] = WATER_SHALLOW[k] + (WATER_DEEP[k] - WATER_SHALLOW[k]) * t;
+      } else {
+        for (let k = 0; k < 3; k++) vertexColors[3 * i + k] = colors[3 * i + k];
+      }
+    }
+  }
+
+  const depth = new Float32Array(width * height).fill(-Infinity);
+  for (let p = 0; p < width * height; p++) {
+    data[4 * p] = RELIEF_BACKGROUND[0];
+    data[4 * p + 1] = RELIEF_BACKGROUND[1];
+    data[4 * p + 2] = RELIEF_BACKGROUND[2];
+    data[4 * p + 3] = 255;
+  }
+
+  const triangle = (a, b, c) => {
+    // Flat Lambert shading from the world-space normal, turned to face up
+    const ux = world[3 * b] - world[3 * a];
+    const uy = world[3 * b + 1] - world[3 * a + 1];
+    const uz = world[3 * b + 2] - world[3 * a + 2];
+    const vx = world[3 * c] - world[3 * a];
+    const vy = world[3 * c + 1] - world[3 * a + 1];
+    const vz = world[3 * c + 2] - world[3 * a + 2];
+    let nx = uy * vz - uz * vy;
+    let ny = uz * vx - ux * vz;
+    let nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) * (ny < 0 ? -1 : 1);
+    nx /= length;
+    ny /= length;
+    nz /= length;
+    const shade = RELIEF_AMBIENT + (1 - RELIEF_AMBIENT) * Math.max(0, nx * light[0] + ny * light[1] + nz * light[2]);
+    const red = Math.min(255, (vertexColors[3 * a] + vertexColors[3 * b] + vertexColors[3 * c]) / 3 * shade);
+    const green = Math.min(255, (vertexColors[3 * a + 1] + vertexColors[3 * b + 1] + vertexColors[3 * c + 1]) / 3 * shade);
+    const blue = Math.min(255, (vertexColors[3 * a + 2] + vertexColors[3 * b + 2] + vertexColors[3 * c + 2]) / 3 * shade);
+
+    const x0 = screen[3 * a], y0 = screen[3 * a + 1], z0 = screen[3 * a + 2];
+    const x1 = screen[3 * b], y1 = screen[3 * b + 1], z1 = screen[3 * b + 2];
+    const x2 = screen[3 * c], y2 = screen[3 * c + 1], z2 = screen[3 * c + 2];
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (area === 0) return;
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    // Barycentric weights at pixel centers
+    for (let py = minY; py <= maxY; py++) {
+      const sy = py + 0.5;
+      for (let px = minX; px <= maxX; px++) {
+        const sx = px + 0.5;
+        const w0 = ((x2 - x1) * (sy - y1) - (y2 - y1) * (sx - x1)) / area;
+        const w1 = ((x0 - x2) * (sy - y2) - (y0 - y2) * (sx - x2)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+        const z = w0 * z0 + w1 * z1 + w2 * z2;
+        const p = py * width + px;
+        if (z <= depth[p]) continue;
+        depth[p] = z;
+        data[4 * p] = red;
+        data[4 * p + 1] = green;
+        data[4 * p + 2] = blue;
+      }
+    }
+  };
+
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const i = r * cols + c;
+      triangle(i, i + 1, i + cols);
+      triangle(i + 1, i + cols + 1, i + cols);
+    }
+  }
+
+  return target;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEFAULT STACK
+// ═══════════════════════════════════════════════════════════════════════════
+
+const worleyDefaults = { source: 'simplex', worleyFeature: 'F1', worleyMetric: 'euclidean' };
+
+// The classic four-layer stack. The seed offsets match the fixed offsets of
+// noiseGenerators, so it renders the same terrain as before layers were editable.
+const DEFAULT_LAYERS = [
+  {
+    id: 'layer-1', name: 'Foundation', description: 'Low-frequency continental shapes',
+    kind: 'fbm', seedOffset: 0, visible: true, opacity: 1.0, blendMode: 'normal', mask: null,
+    scale: 200, octaves: 4, persistence: 0.6, lacunarity: 2.0, weight: 0.5, warpStrength: 2.0,
+    palette: 0, ...worleyDefaults
+  },
+  {
+    id: 'layer-2', name: 'Structure', description: 'Mid-frequency terrain features',
+    kind: 'fbm', seedOffset: 10000, visible: true, opacity: 0.8, blendMode: 'add', mask: null,
+    scale: 80, octaves: 5, persistence: 0.5, lacunarity: 2.0, weight: 0.3, warpStrength: 2.0,
+    palette: 1, ...worleyDefaults
+  },
+  {
+    id: 'layer-3', name: 'Detail', description: 'High-frequency surface variation',
+    kind: 'fbm', seedOffset: 20000, visible: true, opacity: 0.5, blendMode: 'add', mask: null,
+    scale: 20, octaves: 6, persistence: 0.45, lacunarity: 2.5, weight: 0.15, warpStrength: 2.0,
+    palette: 2, ...worleyDefaults
+  },
+  {
+    id: 'layer-4', name: 'Warp', description: 'Domain distortion for organic flow',
+    kind: 'warp', seedOffset: 0, visible: true, opacity: 0.4, blendMode: 'overlay', mask: null,
+    scale: 60, octaves: 4, persistence: 0.5, lacunarity: 2.0, weight: 0.1, warpStrength: 2.0,
+    palette: 3, ...worleyDefaults
+  }
+];
+
+// A fresh mid-frequency layer. A layer at seed offset o reads seeds o to
+// o + 59000 (octaves add up to 9000, a warp layer's fields 30000 to 50000),
+// and the default stack and climate stay below +90000. New offsets start at
+// NEW_LAYER_OFFSET and step by NEW_LAYER_SPACING, so a new layer of either
+// kind meets neither the fixed streams nor another new layer; only a hand-set
+// or loaded offset can. Numbers wrap after NEW_LAYER_SLOTS to stay in the
+// recipe range.
+const NEW_LAYER_OFFSET = 100000;
+const NEW_LAYER_SPACING = 60000;
+const NEW_LAYER_SLOTS = 30000;
+
+const newLayer = (number) => ({
+  id: `layer-${number}`, name: `Layer ${number}`, description: '',
+  kind: 'fbm', seedOffset: NEW_LAYER_OFFSET + (number % NEW_LAYER_SLOTS) * NEW_LAYER_SPACING, visible: true, opacity: 0.5, blendMode: 'add', mask: null,
+  scale: 80, octaves: 4, persistence: 0.5, lacunarity: 2.0, weight: 0.2, warpStrength: 2.0,
+  palette: (number - 1) % layerPalette.length, ...worleyDefaults
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TERRAIN RECIPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VIEW_MODES = [
+  { id: 'terrain', label: 'Terrain Colors' },
+  { id: 'heightmap', label: 'Heightmap' },
+  { id: 'biomes', label: 'Biomes' },
+  { id: 'temperature', label: 'Temp' },
+  { id: 'moisture', label: 'Moisture' }
+];
+
+// Version 1 is the fixed four-layer state from before the stack was editable:
+//   { version: 1, globalSeed, viewMode, layers: { foundation, structure, detail, warp } }
+// Version 2 is everything that shapes the map:
+//   { version: 2, generator, noiseVersion, width, height, seed, tileable, viewMode,
+//     layers: [...], biomeTable, erosion: settings | null, hydrology: settings | null }
+// Every number is stored as is, and JSON round-trips doubles exactly, so a
+// recipe renders the same pixels wherever the same noise library runs.
+const TERRAIN_RECIPE_VERSION = 2;
+const RECIPE_GENERATOR = 'layered-terrain-builder';
+
+const RECIPE_LIMITS = {
+  seed: [-(2 ** 31), 2 ** 31 - 1],
+  seedOffset: [-(2 ** 31), 2 ** 31 - 1],
+  scale: [1, 2000],
+  octaves: [1, 10],
+  persistence: [0.05, 1],
+  lacunarity: [1, 4],
+  weight: [0, 1],
+  opacity: [0, 1],
+  warpStrength: [0, 10],
+  palette: [0, 1000],
+  bandEdge: [0, 1],
+  droplets: [0, 1000000],
+  maxSteps: [1, 500],
+  radius: [1, 8],
+  inertia: [0, 1],
+  capacity: [0, 100],
+  minCapacity: [0, 1],
+  erodeRate: [0, 1],
+  depositRate: [0, 1],
+  evaporation: [0, 1],
+  gravity: [0, 100],
+  thermalIterations: [0, 500],
+  talusAngle: [1, 89],
+  thermalRate: [0, 1],
+  riverThreshold: [1, 1e7],
+  lakeDepth: [0, 2]
+};
+
+// The seed inputs clamp to the recipe range, so every seed the UI can hold
+// survives a save and load
+const clampToLimit = (value, limit) =>
+  Math.max(RECIPE_LIMITS[limit][0], Math.min(RECIPE_LIMITS[limit][1], value));
+
+const serializeRecipe = ({ seed, tileable, viewMode, layers, biomeTable, erosion, hydrology }) =>
+  JSON.stringify({
+    version: TERRAIN_RECIPE_VERSION,
+    generator: RECIPE_GENERATOR,
+    noiseVersion: NOISE_VERSION,
+    width: MAP_WIDTH,
+    height: MAP_HEIGHT,
+    seed,
+    tileable,
+    viewMode,
+    layers,
+    biomeTable,
+    erosion,
+    hydrology
+  }, null, 2);
+
+// Upgrade a parsed recipe one version at a time: RECIPE_MIGRATIONS[n] turns
+// version n into version n + 1
+const LEGACY_LAYER_ORDER = ['foundation', 'structure', 'detail', 'warp'];
+
+const RECIPE_MIGRATIONS = {
+  1: (spec) => {
+    const legacy = spec.layers;
+    if (!legacy || typeof legacy !== 'object' || Array.isArray(legacy)) {
+      throw new Error('terrain recipe: version 1 layers must be an object keyed by layer name');
+    }
+    return {
+      version: 2,
+      generator: RECIPE_GENERATOR,
+      width: MAP_WIDTH,
+      height: MAP_HEIGHT,
+      seed: spec.globalSeed,
+      tileable: false,
+      viewMode: spec.viewMode === 'layers' ? 'terrain' : spec.viewMode,
+      // The old fixed layers keep their old seeds, kinds and colors
+      layers: LEGACY_LAYER_ORDER.filter(name => legacy[name]).map(name => {
+        const base = DEFAULT_LAYERS[LEGACY_LAYER_ORDER.indexOf(name)];
+        const { enabled = true, visible = true, ...settings } = legacy[name];
+        return { ...base, ...settings, visible: enabled && visible };
+      }),
+      biomeTable: DEFAULT_BIOME_TABLE,
+      erosion: null,
+      hydrology: null
+    };
+  }
+};
+
+// Parse, migrate and validate recipe JSON. Throws an Error naming the first
+// bad field; returns { seed, tileable, viewMode, layers, biomeTable, erosion,
+// hydrology, warnings }. warnings lists anything that may change the pixels
+// without being invalid, such as a different noise library version.
+const parseRecipe = (json) => {
+  let spec;
+  try {
+    spec = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`terrain recipe: invalid JSON (${error.message})`);
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('terrain recipe: expected an object');
+  if (!Number.isInteger(spec.version) || spec.version < 1 || spec.version > TERRAIN_RECIPE_VERSION) {
+    throw new Error(`terrain recipe: unsupported version ${JSON.stringify(spec.version)} (expected 1 to ${TERRAIN_RECIPE_VERSION})`);
+  }
+  const warnings = [];
+  if (spec.version < TERRAIN_RECIPE_VERSION) warnings.push(`migrated from version ${spec.version}`);
+  while (spec.version < TERRAIN_RECIPE_VERSION) spec = RECIPE_MIGRATIONS[spec.version](spec);
+
+  if (spec.generator !== RECIPE_GENERATOR) {
+    throw new Error(`terrain recipe: generator must be "${RECIPE_GENERATOR}", got ${JSON.stringify(spec.generator)}`);
+  }
+  if (spec.width !== MAP_WIDTH || spec.height !== MAP_HEIGHT) {
+    throw new Error(`terrain recipe: map must be ${MAP_WIDTH} × ${MAP_HEIGHT}, got ${spec.width} × ${spec.height}`);
+  }
+  if (spec.noiseVersion !== undefined && spec.noiseVersion !== NOISE_VERSION) {
+    warnings.push(`saved with noise ${spec.noiseVersion}, running ${NOISE_VERSION}: pixels may differ`);
+  }
+
+  const number = (value, limit, path, integer = false) => {
+    const [min, max] = RECIPE_LIMITS[limit];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      throw new Error(`terrain recipe: ${path} must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    if (value < min || value > max) throw new Error(`terrain recipe: ${path} must be between ${min} and ${max}`);
+    return value;
+  };
+  const oneOf = (value, options, path) => {
+    if (!options.includes(value)) throw new Error(`terrain recipe: ${path} must be one of ${options.join(', ')}`);
+    return value;
+  };
+  const string = (value, path) => {
+    if (typeof value !== 'string') throw new Error(`terrain recipe: ${path} must be a string`);
+    return value;
+  };
+  const object = (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`terrain recipe: ${path} must be an object`);
+    return value;
+  };
+
+  if (typeof spec.tileable !== 'boolean') throw new Error('terrain recipe: tileable must be true or false');
+
+  if (!Array.isArray(spec.layers)) throw new Error('terrain recipe: layers must be an array');
+  if (spec.layers.length > MAX_LAYERS) throw new Error(`terrain recipe: at most ${MAX_LAYERS} layers`);
+  const ids = new Set();
+  const layers = spec.layers.map((layer, i) => {
+    const path = `layers[${i}]`;
+    object(layer, path);
+    const id = string(layer.id, `${path}.id`);
+    if (!id || ids.has(id)) throw new Error(`terrain recipe: ${path}.id must be unique and non-empty`);
+    ids.add(id);
+    if (typeof layer.visible !== 'boolean') throw new Error(`terrain recipe: ${path}.visible must be true or false`);
+    return {
+      id,
+      name: string(layer.name, `${path}.name`),
+      description: layer.description === undefined ? '' : string(layer.description, `${path}.description`),
+      kind: oneOf(layer.kind, LAYER_KINDS, `${path}.kind`),
+      source: oneOf(layer.source, ['simplex', 'worley'], `${path}.source`),
+      worleyFeature: oneOf(layer.worleyFeature, WORLEY_FEATURE_NAMES, `${path}.worleyFeature`),
+      worleyMetric: oneOf(layer.worleyMetric, WORLEY_METRIC_NAMES, `${path}.worleyMetric`),
+      seedOffset: number(layer.seedOffset, 'seedOffset', `${path}.seedOffset`, true),
+      visible: layer.visible,
+      opacity: number(layer.opacity, 'opacity', `${path}.opacity`),
+      blendMode: oneOf(layer.blendMode, Object.keys(blendModes), `${path}.blendMode`),
+      mask: layer.mask === null || layer.mask === undefined ? null : string(layer.mask, `${path}.mask`),
+      scale: number(layer.scale, 'scale', `${path}.scale`),
+      octaves: number(layer.octaves, 'octaves', `${path}.octaves`, true),
+      persistence: number(layer.persistence, 'persistence', `${path}.persistence`),
+      lacunarity: number(layer.lacunarity, 'lacunarity', `${path}.lacunarity`),
+      weight: number(layer.weight, 'weight', `${path}.weight`),
+      warpStrength: number(layer.warpStrength, 'warpStrength', `${path}.warpStrength`),
+      palette: number(layer.palette, 'palette', `${path}.palette`, true)
+    };
+  });
+  layers.forEach((layer, i) => {
+    if (layer.mask !== null && (layer.mask === layer.id || !ids.has(layer.mask))) {
+      throw new Error(`terrain recipe: layers[${i}].mask must be the id of another layer`);
+    }
+  });
+
+  const table = object(spec.biomeTable, 'biomeTable');
+  const edges = (value, bands, path) => {
+    if (!Array.isArray(value) || value.length !== bands.length - 1) {
+      throw new Error(`terrain recipe: ${path} must list ${bands.length - 1} band edges`);
+    }
+    value.forEach((edge, i) => {
+      number(edge, 'bandEdge', `${path}[${i}]`);
+      if (i > 0 && edge <= value[i - 1]) throw new Error(`terrain recipe: ${path} must be increasing`);
+    });
+    return [...value];
+  };
+  if (!Array.isArray(table.cells) || table.cells.length !== TEMPERATURE_BANDS.length) {
+    throw new Error(`terrain recipe: biomeTable.cells must have ${TEMPERATURE_BANDS.length} rows`);
+  }
+  const biomeTable = {
+    temperature: edges(table.temperature, TEMPERATURE_BANDS, 'biomeTable.temperature'),
+    moisture: edges(table.moisture, MOISTURE_BANDS, 'biomeTable.moisture'),
+    cells: table.cells.map((row, r) => {
+      if (!Array.isArray(row) || row.length !== MOISTURE_BANDS.length) {
+        throw new Error(`terrain recipe: biomeTable.cells[${r}] must have ${MOISTURE_BANDS.length} cells`);
+      }
+      return row.map((biome, c) => oneOf(biome, LAND_BIOMES, `biomeTable.cells[${r}][${c}]`));
+    })
+  };
+
+  // Optional stages: null when off, otherwise every setting of the stage
+  const settings = (value, defaults, path, integers = []) => {
+    if (value === null || value === undefined) return null;
+    object(value, path);
+    return Object.fromEntries(Object.keys(defaults).map(key => [
+      key,
+      key === 'method'
+        ? oneOf(value[key], FLOW_METHODS.map(m => m.id), `${path}.${key}`)
+        : number(value[key], key, `${path}.${key}`, integers.includes(key))
+    ]));
+  };
+
+  return {
+    seed: number(spec.seed, 'seed', 'seed', true),
+    tileable: spec.tileable,
+    viewMode: oneOf(spec.viewMode, VIEW_MODES.map(mode => mode.id), 'viewMode'),
+    layers,
+    biomeTable,
+    erosion: settings(spec.erosion, EROSION_DEFAULTS, 'erosion', ['droplets', 'maxSteps', 'radius', 'thermalIterations']),
+    hydrology: settings(spec.hydrology, HYDROLOGY_DEFAULTS, 'hydrology'),
+    warnings
+  };
+};
+
+// First free number for new layer ids after loading a recipe
+const nextLayerNumber = (layers) => layers.reduce((next, layer) => {
+  const match = /^layer-(\d+)$/.exec(layer.id);
+  return match ? Math.max(next, parseInt(match[1]) + 1) : next;
+}, layers.length + 1);
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Main canvas size, and the tile period when the terrain is tileable
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 480;
+
+// Idle time before erosion and hydrology pick up a layer, seed or erosion
+// setting change; the whole-map passes take seconds, so they wait for a
+// slider drag to finish instead of running on every step
+const FIELD_SETTLE_MS = 400;
+
 export default function LayeredTerrainBuilder() {
   const mainCanvasRef = useRef(null);
+  const tileCanvasRef = useRef(null);
   const previewCanvasRefs = useRef({});
   const animationRef = useRef(null);
+  const animationLengthRef = useRef(0); // layer count when the step-through started
+  const recipeInputRef = useRef(null);
+  const reliefCanvasRef = useRef(null);
+  const reliefDragRef = useRef(null); // { x, y, yaw, pitch } at mouse down
   
   const [globalSeed, setGlobalSeed] = useState(42);
-  const [viewMode, setViewMode] = useState('terrain'); // 'terrain', 'heightmap', 'layers'
+  const [viewMode, setViewMode] = useState('terrain'); // 'terrain', 'heightmap', 'biomes', 'temperature', 'moisture'
   const [animating, setAnimating] = useState(false);
-  const [buildStep, setBuildStep] = useState(-1); // -1 = show all, 0-4 = step through
+  const [buildStep, setBuildStep] = useState(-1); // -1 = show all, 0..layers.length = step through
+  const [showSlope, setShowSlope] = useState(false);
+  const [tileable, setTileable] = useState(false);
   
-  const [layers, setLayers] = useState({
-    foundation: {
-      enabled: true,
-      visible: true,
-      opacity: 1.0,
-      blendMode: 'normal',
-      scale: 200,
-      octaves: 4,
-      persistence: 0.6,
-      lacunarity: 2.0,
-      weight: 0.5
-    },
-    structure: {
-      enabled: true,
-      visible: true,
-      opacity: 0.8,
-      blendMode: 'add',
-      scale: 80,
-      octaves: 5,
-      persistence: 0.5,
-      lacunarity: 2.0,
-      weight: 0.3
-    },
-    detail: {
-      enabled: true,
-      visible: true,
-      opacity: 0.5,
-      blendMode: 'add',
-      scale: 20,
-      octaves: 6,
-      persistence: 0.45,
-      lacunarity: 2.5,
-      weight: 0.15
-    },
-    warp: {
-      enabled: true,
-      visible: true,
-      opacity: 0.4,
-      blendMode: 'overlay',
-      scale: 60,
-      octaves: 4,
-      persistence: 0.5,
-      lacunarity: 2.0,
-      weight: 0.1,
-      warpStrength: 2.0
-    }
-  });
+  const [layers, setLayers] = useState(DEFAULT_LAYERS);
+  const [biomeTable, setBiomeTable] = useState(DEFAULT_BIOME_TABLE);
+  const [biomeAreas, setBiomeAreas] = useState(null); // { [biome]: pixel count } of the last biome render
+  const [erosionEnabled, setErosionEnabled] = useState(false);
+  const [erosionSettings, setErosionSettings] = useState(EROSION_DEFAULTS);
+  const [erosionView, setErosionView] = useState('none'); // one of EROSION_OVERLAYS
+  const [compareSplit, setCompareSplit] = useState(null); // null = eroded everywhere, else raw left of this fraction
+  const [hydrologyEnabled, setHydrologyEnabled] = useState(false);
+  const [hydrologySettings, setHydrologySettings] = useState(HYDROLOGY_DEFAULTS);
+  const [settled, setSettled] = useState(null); // { stack, seed, tile, erosionSettings } the whole-map passes ran on
+  const nextLayerId = useRef(DEFAULT_LAYERS.length + 1);
+  const [recipeMessage, setRecipeMessage] = useState(null); // { error: boolean, text }
+  const [reliefEnabled, setReliefEnabled] = useState(false);
+  const [reliefView, setReliefView] = useState(RELIEF_DEFAULTS);
   
-  const layerOrder = ['foundation', 'structure', 'detail', 'warp'];
-  const layerNames = {
-    foundation: 'Foundation',
-    structure: 'Structure',
-    detail: 'Detail',
-    warp: 'Warp'
-  };
+  // Tile period for the noise layers; the slope overlay needs the untiled
+  // analytic gradient, so it is unavailable while tiling
+  const tile = useMemo(() => tileable ? { width: MAP_WIDTH, height: MAP_HEIGHT } : null, [tileable]);
+  const slopeVisible = showSlope && !tileable;
   
-  const layerDescriptions = {
-    foundation: 'Low-frequency continental shapes',
-    structure: 'Mid-frequency terrain features',
-    detail: 'High-frequency surface variation',
-    warp: 'Domain distortion for organic flow'
-  };
+  const stack = useMemo(() => resolveStack(layers, globalSeed, tile), [layers, globalSeed, tile]);
+  const activeCount = buildStep >= 0 ? buildStep : layers.length;
   
   // Generate terrain for a single pixel
-  const generatePixel = useCallback((x, y) => {
-    const activeStep = buildStep >= 0 ? buildStep : layerOrder.length;
-    let composite = 0;
-    
-    for (let i = 0; i < Math.min(activeStep, layerOrder.length); i++) {
-      const layerName = layerOrder[i];
-      const layer = layers[layerName];
-      
-      if (!layer.enabled || !layer.visible) continue;
-      
-      const params = { ...layer, seed: globalSeed };
-      let value;
-      
-      if (layerName === 'warp') {
-        value = noiseGenerators.warp(x, y, params);
-      } else {
-        value = noiseGenerators[layerName](x, y, params);
-      }
-      
-      composite = blendModes[layer.blendMode](composite, value * layer.weight, layer.opacity);
-    }
-    
-    return Math.max(-1, Math.min(1, composite));
-  }, [layers, globalSeed, buildStep]);
+  const generatePixel = useCallback((x, y) =>
+    compositeHeight(stack, x, y, activeCount),
+  [stack, activeCount]);
   
-  // Generate single layer preview
-  const generateLayerPreview = useCallback((layerName, x, y) => {
-    const layer = layers[layerName];
-    const params = { ...layer, seed: globalSeed };
-    
-    if (layerName === 'warp') {
-      return noiseGenerators.warp(x, y, params);
-    }
-    return noiseGenerators[layerName](x, y, params);
-  }, [layers, globalSeed]);
+  // generatePixel plus the composite gradient: [height, ∂/∂x, ∂/∂y]
+  const generatePixelGradient = useCallback((x, y) =>
+    compositeGradient(stack, x, y, activeCount),
+  [stack, activeCount]);
+  
+  // Erosion and hydrology work on the whole composite at once: the raw
+  // heightmap, an eroded copy, then rivers and lakes on whichever is shown.
+  // They run on `settled`, a snapshot taken once the inputs have been idle for
+  // FIELD_SETTLE_MS and never during the step-through, and are cached, so
+  // view changes do not recompute them.
+  useEffect(() => {
+    if ((!erosionEnabled && !hydrologyEnabled) || buildStep >= 0) return;
+    const timer = setTimeout(() => setSettled(prev =>
+      prev && prev.stack === stack && prev.seed === globalSeed && prev.tile === tile && prev.erosionSettings === erosionSettings
+        ? prev
+        : { stack, seed: globalSeed, tile, erosionSettings }
+    ), FIELD_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [erosionEnabled, hydrologyEnabled, buildStep, stack, globalSeed, tile, erosionSettings]);
+  
+  // Until the snapshot catches up, the canvas draws the live uneroded composite
+  const fieldCurrent = settled !== null && buildStep < 0 &&
+    settled.stack === stack && settled.seed === globalSeed && settled.tile === tile;
+  
+  const rawField = useMemo(() => settled && (erosionEnabled || hydrologyEnabled)
+    ? buildHeightfield((x, y) => compositeHeight(settled.stack, x, y), MAP_WIDTH, MAP_HEIGHT)
+    : null,
+  [settled, erosionEnabled, hydrologyEnabled]);
+  
+  const erosion = useMemo(() => rawField && erosionEnabled
+    ? erodeHeightfield(rawField, MAP_WIDTH, MAP_HEIGHT, { ...settled.erosionSettings, seed: settled.seed, wrap: settled.tile !== null })
+    : null,
+  [rawField, erosionEnabled, settled]);
+  
+  const surface = erosion ? erosion.heights : rawField;
+  
+  const hydrology = useMemo(() => surface && hydrologyEnabled
+    ? computeHydrology(surface, MAP_WIDTH, MAP_HEIGHT, { ...hydrologySettings, wrap: settled.tile !== null })
+    : null,
+  [surface, hydrologyEnabled, hydrologySettings, settled]);
+  
+  const riverLines = useMemo(() => hydrology ? traceRivers(hydrology) : null, [hydrology]);
+  
+  const exportRivers = useCallback(() => {
+    const geojson = riversToGeoJSON(riverLines, {
+      seed: globalSeed,
+      width: MAP_WIDTH,
+      height: MAP_HEIGHT,
+      eroded: erosionEnabled,
+      ...hydrologySettings
+    });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `rivers-${globalSeed}-${hydrologySettings.method}.geojson`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [riverLines, globalSeed, erosionEnabled, hydrologySettings]);
+  
+  // Relief mesh heights: the eroded/raw field when there is one, else sampled
+  const reliefGrid = useMemo(() => reliefEnabled
+    ? sampleReliefGrid(surface && fieldCurrent ? (x, y) => surface[y * MAP_WIDTH + x] : generatePixel, MAP_WIDTH, MAP_HEIGHT, RELIEF_STEP)
+    : null,
+  [reliefEnabled, surface, fieldCurrent, generatePixel]);
   
   // Render main canvas
   const renderMainCanvas = useCallback(() => {
@@ -334,21 +1723,54 @@ export default function LayeredTerrainBuilder() {
     const width = canvas.width;
     const height = canvas.height;
     const imageData = ctx.createImageData(width, height);
+    const climateView = viewMode === 'biomes' || viewMode === 'temperature' || viewMode === 'moisture';
+    const areas = {};
+    const splitX = fieldCurrent && erosion && compareSplit !== null ? Math.round(compareSplit * width) : 0;
     
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
-        const value = generatePixel(x, y);
+        const idx = (y * width + x) * 4;
+        const field = !fieldCurrent ? null : x < splitX ? rawField : surface;
+        let sample = null;
+        let value;
+        if (field) {
+          sample = slopeVisible ? heightfieldGradient(field, width, height, x, y, tileable) : null;
+          value = field[y * width + x];
+        } else {
+          sample = slopeVisible ? generatePixelGradient(x, y) : null;
+          value = sample ? sample[0] : generatePixel(x, y);
+        }
+        const climate = climateView
+          ? noiseGenerators.application(value, { x, y, seed: globalSeed, tile, mapHeight: height, table: biomeTable })
+          : null;
         let color;
         
         if (viewMode === 'terrain') {
           color = terrainGradient(value);
-        } else if (viewMode === 'heightmap') {
-          color = heightmapGradient(value);
+        } else if (viewMode === 'biomes') {
+          color = biomeColor(climate.biome, value);
+          areas[climate.biome] = (areas[climate.biome] || 0) + 1;
+        } else if (viewMode === 'temperature') {
+          color = temperatureColor(climate.temperature);
+        } else if (viewMode === 'moisture') {
+          color = moistureColor(climate.moisture);
         } else {
           color = heightmapGradient(value);
         }
         
-        const idx = (y * width + x) * 4;
+        if (sample) {
+          color = slopeOverlay(color, slopeAngle(sample[1], sample[2]));
+        }
+        
+        if (field === erosion?.heights && erosionView !== 'none') {
+          const i = y * width + x;
+          color = erosionOverlay(color, erosionView, erosion.eroded[i], erosion.deposited[i], erosion.scale);
+        }
+        
+        if (hydrology && field === surface) {
+          color = hydrologyOverlay(color, hydrology, y * width + x);
+        }
+        
         imageData.data[idx] = color[0];
         imageData.data[idx + 1] = color[1];
         imageData.data[idx + 2] = color[2];
@@ -357,52 +1779,114 @@ export default function LayeredTerrainBuilder() {
     }
     
     ctx.putImageData(imageData, 0, 0);
-  }, [generatePixel, viewMode]);
+    setBiomeAreas(viewMode === 'biomes' ? areas : null);
+    
+    // Before | after divider
+    if (splitX > 0) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(splitX, 0);
+      ctx.lineTo(splitX, height);
+      ctx.stroke();
+    }
+    
+    // 2×2 repeat at half size: a seam would show as a cross through the middle
+    const tileCanvas = tileCanvasRef.current;
+    if (tileable && tileCanvas) {
+      const tileCtx = tileCanvas.getContext('2d');
+      const tw = tileCanvas.width / 2;
+      const th = tileCanvas.height / 2;
+      for (let ty = 0; ty < 2; ty++) {
+        for (let tx = 0; tx < 2; tx++) {
+          tileCtx.drawImage(canvas, tx * tw, ty * th, tw, th);
+        }
+      }
+    }
+  }, [generatePixel, generatePixelGradient, viewMode, slopeVisible, tileable, globalSeed, tile, biomeTable,
+    fieldCurrent, rawField, erosion, erosionView, compareSplit, surface, hydrology]);
   
-  // Render layer preview
-  const renderLayerPreview = useCallback((layerName) => {
-    const canvas = previewCanvasRefs.current[layerName];
+  // Render layer preview: the layer's own noise, before blend and mask
+  const renderLayerPreview = useCallback((layer) => {
+    const canvas = previewCanvasRefs.current[layer.id];
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
     const imageData = ctx.createImageData(width, height);
-    
-    const colorFn = layerColors[layerName] || heightmapGradient;
+    const params = layerParams(layer, globalSeed, tile);
     
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const scaledX = x * (320 / width);
         const scaledY = y * (320 / height);
-        const value = generateLayerPreview(layerName, scaledX, scaledY);
-        const color = colorFn(value);
+        const value = sampleLayer(params, scaledX, scaledY);
+        const color = layerPreviewColor(layer.palette, value);
         
         const idx = (y * width + x) * 4;
         imageData.data[idx] = color[0];
         imageData.data[idx + 1] = color[1];
         imageData.data[idx + 2] = color[2];
-        imageData.data[idx + 3] = layers[layerName].visible ? 255 : 100;
+        imageData.data[idx + 3] = layer.visible ? 255 : 100;
       }
     }
     
     ctx.putImageData(imageData, 0, 0);
-  }, [generateLayerPreview, layers]);
+  }, [globalSeed, tile]);
+  
+  // Render the 3D relief, colored from the main canvas as currently drawn
+  const renderReliefCanvas = useCallback(() => {
+    const canvas = reliefCanvasRef.current;
+    const source = mainCanvasRef.current;
+    if (!canvas || !source || !reliefGrid) return;
+    
+    const colors = reliefColors(reliefGrid, source.getContext('2d').getImageData(0, 0, source.width, source.height));
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(canvas.width, canvas.height);
+    renderRelief(imageData, reliefGrid, colors, reliefView);
+    ctx.putImageData(imageData, 0, 0);
+  }, [reliefGrid, reliefView]);
   
   // Update all previews
   useEffect(() => {
     renderMainCanvas();
-    layerOrder.forEach(renderLayerPreview);
-  }, [renderMainCanvas, renderLayerPreview]);
+    layers.forEach(renderLayerPreview);
+  }, [renderMainCanvas, renderLayerPreview, layers]);
+  
+  // After the main canvas, so the relief picks up its colors
+  useEffect(() => {
+    renderReliefCanvas();
+  }, [renderReliefCanvas, renderMainCanvas]);
+  
+  // Drag on the relief: horizontal turns the map, vertical tilts the camera
+  const handleReliefMouseDown = (e) => {
+    reliefDragRef.current = { x: e.clientX, y: e.clientY, yaw: reliefView.yaw, pitch: reliefView.pitch };
+  };
+  
+  const handleReliefMouseMove = (e) => {
+    const drag = reliefDragRef.current;
+    if (!drag) return;
+    setReliefView(prev => ({
+      ...prev,
+      yaw: drag.yaw + (e.clientX - drag.x) * 0.5,
+      pitch: Math.max(10, Math.min(90, drag.pitch + (e.clientY - drag.y) * 0.3))
+    }));
+  };
+  
+  const handleReliefMouseUp = () => {
+    reliefDragRef.current = null;
+  };
   
   // Animation for step-through
   useEffect(() => {
     if (animating) {
+      const layerCount = animationLengthRef.current;
       let step = 0;
       const animate = () => {
         setBuildStep(step);
         step++;
-        if (step <= layerOrder.length) {
+        if (step <= layerCount) {
           animationRef.current = setTimeout(animate, 800);
         } else {
           setAnimating(false);
@@ -419,21 +1903,88 @@ export default function LayeredTerrainBuilder() {
     }
   }, [animating]);
   
-  const updateLayer = (layerName, property, value) => {
-    setLayers(prev => ({
+  const updateLayer = (id, property, value) => {
+    setLayers(prev => prev.map(layer => layer.id === id ? { ...layer, [property]: value } : layer));
+  };
+  
+  const addLayer = () => {
+    if (layers.length >= MAX_LAYERS) return;
+    setLayers(prev => [...prev, newLayer(nextLayerId.current++)]);
+  };
+  
+  const copyLayer = (id) => {
+    if (layers.length >= MAX_LAYERS) return;
+    setLayers(prev => duplicateLayer(prev, id, `layer-${nextLayerId.current++}`));
+  };
+  
+  const deleteLayer = (id) => setLayers(prev => removeLayer(prev, id));
+  
+  // delta +1 moves a layer up the stack (composited later), -1 down
+  const shiftLayer = (id, delta) => setLayers(prev => moveLayer(prev, id, delta));
+  
+  const setBiomeCell = (row, column, biome) => {
+    setBiomeTable(prev => ({
       ...prev,
-      [layerName]: {
-        ...prev[layerName],
-        [property]: value
-      }
+      cells: prev.cells.map((cells, r) => r === row ? cells.map((cell, c) => c === column ? biome : cell) : cells)
     }));
   };
   
+  const setBiomeEdge = (axis, index, value) => {
+    setBiomeTable(prev => ({ ...prev, [axis]: setBandEdge(prev[axis], index, value) }));
+  };
+  
+  const saveRecipe = () => {
+    const json = serializeRecipe({
+      seed: globalSeed,
+      tileable,
+      viewMode,
+      layers,
+      biomeTable,
+      erosion: erosionEnabled ? erosionSettings : null,
+      hydrology: hydrologyEnabled ? hydrologySettings : null
+    });
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `terrain-recipe-${globalSeed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  // Nothing changes unless the whole recipe is valid
+  const loadRecipe = async (file) => {
+    if (!file) return;
+    let recipe;
+    try {
+      recipe = parseRecipe(await file.text());
+    } catch (error) {
+      setRecipeMessage({ error: true, text: `${file.name}: ${error.message}` });
+      return;
+    }
+    setAnimating(false);
+    setBuildStep(-1);
+    setGlobalSeed(recipe.seed);
+    setTileable(recipe.tileable);
+    setViewMode(recipe.viewMode);
+    setLayers(recipe.layers);
+    nextLayerId.current = nextLayerNumber(recipe.layers);
+    setBiomeTable(recipe.biomeTable);
+    setErosionEnabled(recipe.erosion !== null);
+    setErosionSettings(recipe.erosion || EROSION_DEFAULTS);
+    setHydrologyEnabled(recipe.hydrology !== null);
+    setHydrologySettings(recipe.hydrology || HYDROLOGY_DEFAULTS);
+    setRecipeMessage({
+      error: false,
+      text: `Loaded ${file.name}${recipe.warnings.length ? ` (${recipe.warnings.join('; ')})` : ''}`
+    });
+  };
+  
   const randomizeSeed = () => {
     setGlobalSeed(Math.floor(Math.random() * 1000000));
   };
   
   const startAnimation = () => {
+    animationLengthRef.current = layers.length;
     setBuildStep(0);
     setAnimating(true);
   };
@@ -493,7 +2044,7 @@ export default function LayeredTerrainBuilder() {
             <input
               type="number"
               value={globalSeed}
-              onChange={(e) => setGlobalSeed(parseInt(e.target.value) || 0)}
+              onChange={(e) => setGlobalSeed(clampToLimit(parseInt(e.target.value) || 0, 'seed'))}
               style={{
                 width: '80px',
                 background: 'transparent',
@@ -519,9 +2070,76 @@ export default function LayeredTerrainBuilder() {
               ↻
             </button>
           </div>
+          
+          {/* Recipe */}
+          {[
+            { label: '⤓ Save Recipe', title: 'Download everything that shapes this map as JSON', onClick: saveRecipe },
+            { label: '⤒ Load Recipe', title: 'Restore a map from a recipe JSON file', onClick: () => recipeInputRef.current?.click() }
+          ].map(action => (
+            <button
+              key={action.label}
+              onClick={action.onClick}
+              title={action.title}
+              style={{
+                background: 'rgba(191, 90, 242, 0.1)',
+                border: '1px solid rgba(191, 90, 242, 0.3)',
+                borderRadius: '6px',
+                color: '#bf5af2',
+                padding: '7px 12px',
+                cursor: 'pointer',
+                fontSize: '10px',
+                fontFamily: 'inherit',
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px'
+              }}
+            >
+              {action.label}
+            </button>
+          ))}
+          <input
+            ref={recipeInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              loadRecipe(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
         </div>
       </header>
       
+      {/* Recipe Message */}
+      {recipeMessage && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          maxWidth: '1400px',
+          margin: '-8px auto 16px',
+          padding: '8px 12px',
+          borderRadius: '6px',
+          fontSize: '11px',
+          background: recipeMessage.error ? 'rgba(255, 55, 95, 0.12)' : 'rgba(48, 209, 88, 0.1)',
+          border: `1px solid ${recipeMessage.error ? 'rgba(255, 55, 95, 0.4)' : 'rgba(48, 209, 88, 0.3)'}`,
+          color: recipeMessage.error ? '#ff6b81' : '#30d158'
+        }}>
+          <span style={{ flex: 1 }}>{recipeMessage.text}</span>
+          <button
+            onClick={() => setRecipeMessage(null)}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: 'inherit',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      
       {/* Main Content */}
       <div style={{
         display: 'grid',
@@ -546,8 +2164,30 @@ export default function LayeredTerrainBuilder() {
             justifyContent: 'space-between'
           }}>
             <span style={{ fontSize: '11px', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '1px' }}>
-              Layers
+              Layers <span style={{ color: '#6e7681', fontWeight: 400 }}>{layers.length}/{MAX_LAYERS}</span>
             </span>
+            <button
+              onClick={addLayer}
+              disabled={animating || layers.length >= MAX_LAYERS}
+              title="Add a layer to the top of the stack"
+              style={{
+                marginLeft: 'auto',
+                marginRight: '8px',
+                background: 'rgba(100, 210, 255, 0.1)',
+                border: '1px solid rgba(100, 210, 255, 0.3)',
+                borderRadius: '4px',
+                color: '#64d2ff',
+                opacity: animating || layers.length >= MAX_LAYERS ? 0.4 : 1,
+                padding: '5px 10px',
+                cursor: animating || layers.length >= MAX_LAYERS ? 'not-allowed' : 'pointer',
+                fontSize: '10px',
+                fontWeight: 600,
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px'
+              }}
+            >
+              + Add
+            </button>
             <button
               onClick={startAnimation}
               disabled={animating}
@@ -570,13 +2210,13 @@ export default function LayeredTerrainBuilder() {
           
           {/* Layer Stack */}
           <div style={{ padding: '8px' }}>
-            {[...layerOrder].reverse().map((layerName, index) => {
-              const layer = layers[layerName];
-              const isActive = buildStep === -1 || buildStep > (layerOrder.length - 1 - index);
+            {layers.map((layer, position) => ({ layer, position })).reverse().map(({ layer, position }) => {
+              const isActive = buildStep === -1 || buildStep > position;
+              const maskOptions = layers.filter(other => other.id !== layer.id);
               
               return (
                 <div
-                  key={layerName}
+                  key={layer.id}
                   style={{
                     background: isActive ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.2)',
                     borderRadius: '8px',
@@ -596,7 +2236,7 @@ export default function LayeredTerrainBuilder() {
                   }}>
                     {/* Visibility Toggle */}
                     <button
-                      onClick={() => updateLayer(layerName, 'visible', !layer.visible)}
+                      onClick={() => updateLayer(layer.id, 'visible', !layer.visible)}
                       style={{
                         width: '20px',
                         height: '20px',
@@ -616,7 +2256,7 @@ export default function LayeredTerrainBuilder() {
                     
                     {/* Preview Thumbnail */}
                     <canvas
-                      ref={el => previewCanvasRefs.current[layerName] = el}
+                      ref={el => previewCanvasRefs.current[layer.id] = el}
                       width={48}
                       height={48}
                       style={{
@@ -626,22 +2266,62 @@ export default function LayeredTerrainBuilder() {
                     />
                     
                     {/* Layer Info */}
-                    <div style={{ flex: 1 }}>
-                      <div style={{
-                        fontSize: '12px',
-                        fontWeight: 600,
-                        color: layer.visible ? '#fff' : '#666'
-                      }}>
-                        {layerNames[layerName]}
-                      </div>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <input
+                        value={layer.name}
+                        onChange={(e) => updateLayer(layer.id, 'name', e.target.value)}
+                        style={{
+                          width: '100%',
+                          background: 'transparent',
+                          border: 'none',
+                          padding: 0,
+                          fontSize: '12px',
+                          fontWeight: 600,
+                          fontFamily: 'inherit',
+                          color: layer.visible ? '#fff' : '#666',
+                          outline: 'none'
+                        }}
+                      />
                       <div style={{
                         fontSize: '9px',
                         color: '#6e7681',
                         marginTop: '2px'
                       }}>
-                        {layerDescriptions[layerName]}
+                        {layer.description || `${LAYER_KIND_LABELS[layer.kind]} · seed +${layer.seedOffset}`}
                       </div>
                     </div>
+                    
+                    {/* Stack Actions */}
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px' }}>
+                      {[
+                        { label: '↑', title: 'Move up', onClick: () => shiftLayer(layer.id, 1), disabled: position === layers.length - 1 },
+                        { label: '⧉', title: 'Duplicate', onClick: () => copyLayer(layer.id), disabled: layers.length >= MAX_LAYERS },
+                        { label: '↓', title: 'Move down', onClick: () => shiftLayer(layer.id, -1), disabled: position === 0 },
+                        { label: '✕', title: 'Remove', onClick: () => deleteLayer(layer.id), disabled: false }
+                      ].map(action => (
+                        <button
+                          key={action.title}
+                          onClick={action.onClick}
+                          disabled={animating || action.disabled}
+                          title={action.title}
+                          style={{
+                            width: '20px',
+                            height: '18px',
+                            padding: 0,
+                            background: 'rgba(255,255,255,0.06)',
+                            border: '1px solid rgba(255,255,255,0.1)',
+                            borderRadius: '3px',
+                            color: '#8b949e',
+                            opacity: animating || action.disabled ? 0.3 : 1,
+                            cursor: animating || action.disabled ? 'not-allowed' : 'pointer',
+                            fontSize: '10px',
+                            lineHeight: 1
+                          }}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
                   
                   {/* Layer Controls */}
@@ -651,6 +2331,46 @@ export default function LayeredTerrainBuilder() {
                       borderTop: '1px solid rgba(255,255,255,0.04)',
                       background: 'rgba(0,0,0,0.2)'
                     }}>
+                      {/* Noise Source */}
+                      <div style={{
+                        display: 'flex',
+                        gap: '8px',
+                        marginBottom: '8px'
+                      }}>
+                        {[
+                          { label: 'TYPE', property: 'kind', options: LAYER_KINDS.map(k => [k, LAYER_KIND_LABELS[k]]) },
+                          { label: 'SOURCE', property: 'source', options: [['simplex', 'Simplex'], ['worley', 'Worley']] },
+                          ...(layer.source === 'worley' ? [
+                            { label: 'FEATURE', property: 'worleyFeature', options: WORLEY_FEATURE_NAMES.map(n => [n, n]) },
+                            { label: 'METRIC', property: 'worleyMetric', options: WORLEY_METRIC_NAMES.map(n => [n, n[0].toUpperCase() + n.slice(1)]) }
+                          ] : [])
+                        ].map(({ label, property, options }) => (
+                          <div key={property} style={{ flex: 1 }}>
+                            <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '4px' }}>
+                              {label}
+                            </label>
+                            <select
+                              value={layer[property]}
+                              onChange={(e) => updateLayer(layer.id, property, e.target.value)}
+                              style={{
+                                width: '100%',
+                                background: 'rgba(0,0,0,0.4)',
+                                border: '1px solid rgba(255,255,255,0.1)',
+                                borderRadius: '4px',
+                                color: '#fff',
+                                padding: '4px 6px',
+                                fontSize: '10px',
+                                fontFamily: 'inherit'
+                              }}
+                            >
+                              {options.map(([value, text]) => (
+                                <option key={value} value={value}>{text}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                      
                       {/* Blend Mode & Opacity */}
                       <div style={{
                         display: 'flex',
@@ -663,7 +2383,7 @@ export default function LayeredTerrainBuilder() {
                           </label>
                           <select
                             value={layer.blendMode}
-                            onChange={(e) => updateLayer(layerName, 'blendMode', e.target.value)}
+                            onChange={(e) => updateLayer(layer.id, 'blendMode', e.target.value)}
                             style={{
                               width: '100%',
                               background: 'rgba(0,0,0,0.4)',
@@ -675,12 +2395,9 @@ export default function LayeredTerrainBuilder() {
                               fontFamily: 'inherit'
                             }}
                           >
-                            <option value="normal">Normal</option>
-                            <option value="add">Add</option>
-                            <option value="multiply">Multiply</option>
-                            <option value="overlay">Overlay</option>
-                            <option value="screen">Screen</option>
-                            <option value="subtract">Subtract</option>
+                            {Object.keys(blendModes).map(mode => (
+                              <option key={mode} value={mode}>{mode[0].toUpperCase() + mode.slice(1)}</option>
+                            ))}
                           </select>
                         </div>
                         
@@ -694,12 +2411,67 @@ export default function LayeredTerrainBuilder() {
                             max="1"
                             step="0.05"
                             value={layer.opacity}
-                            onChange={(e) => updateLayer(layerName, 'opacity', parseFloat(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'opacity', parseFloat(e.target.value))}
                             style={{ width: '100%', accentColor: '#64d2ff' }}
                           />
                         </div>
                       </div>
                       
+                      {/* Seed Offset & Mask */}
+                      <div style={{
+                        display: 'flex',
+                        gap: '8px',
+                        marginBottom: '8px'
+                      }}>
+                        <div style={{ width: '80px' }}>
+                          <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '4px' }}>
+                            SEED +
+                          </label>
+                          <input
+                            type="number"
+                            step="1000"
+                            value={layer.seedOffset}
+                            onChange={(e) => updateLayer(layer.id, 'seedOffset', clampToLimit(parseInt(e.target.value) || 0, 'seedOffset'))}
+                            style={{
+                              width: '100%',
+                              boxSizing: 'border-box',
+                              background: 'rgba(0,0,0,0.4)',
+                              border: '1px solid rgba(255,255,255,0.1)',
+                              borderRadius: '4px',
+                              color: '#fff',
+                              padding: '4px 6px',
+                              fontSize: '10px',
+                              fontFamily: 'inherit'
+                            }}
+                          />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                          <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '4px' }}>
+                            MASK
+                          </label>
+                          <select
+                            value={layer.mask || ''}
+                            onChange={(e) => updateLayer(layer.id, 'mask', e.target.value || null)}
+                            title="Scale this layer's opacity by another layer's noise"
+                            style={{
+                              width: '100%',
+                              background: 'rgba(0,0,0,0.4)',
+                              border: '1px solid rgba(255,255,255,0.1)',
+                              borderRadius: '4px',
+                              color: '#fff',
+                              padding: '4px 6px',
+                              fontSize: '10px',
+                              fontFamily: 'inherit'
+                            }}
+                          >
+                            <option value="">None</option>
+                            {maskOptions.map(other => (
+                              <option key={other.id} value={other.id}>{other.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      
                       {/* Scale & Weight */}
                       <div style={{
                         display: 'grid',
@@ -716,7 +2488,7 @@ export default function LayeredTerrainBuilder() {
                             min="10"
                             max="400"
                             value={layer.scale}
-                            onChange={(e) => updateLayer(layerName, 'scale', parseInt(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'scale', parseInt(e.target.value))}
                             style={{ width: '100%', accentColor: '#bf5af2' }}
                           />
                         </div>
@@ -730,7 +2502,7 @@ export default function LayeredTerrainBuilder() {
                             max="1"
                             step="0.05"
                             value={layer.weight}
-                            onChange={(e) => updateLayer(layerName, 'weight', parseFloat(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'weight', parseFloat(e.target.value))}
                             style={{ width: '100%', accentColor: '#bf5af2' }}
                           />
                         </div>
@@ -743,7 +2515,7 @@ export default function LayeredTerrainBuilder() {
                             min="1"
                             max="10"
                             value={layer.octaves}
-                            onChange={(e) => updateLayer(layerName, 'octaves', parseInt(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'octaves', parseInt(e.target.value))}
                             style={{ width: '100%', accentColor: '#30d158' }}
                           />
                         </div>
@@ -757,14 +2529,14 @@ export default function LayeredTerrainBuilder() {
                             max="0.9"
                             step="0.05"
                             value={layer.persistence}
-                            onChange={(e) => updateLayer(layerName, 'persistence', parseFloat(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'persistence', parseFloat(e.target.value))}
                             style={{ width: '100%', accentColor: '#30d158' }}
                           />
                         </div>
                       </div>
                       
                       {/* Warp-specific control */}
-                      {layerName === 'warp' && (
+                      {layer.kind === 'warp' && (
                         <div style={{ marginTop: '8px' }}>
                           <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
                             WARP STRENGTH: {layer.warpStrength.toFixed(1)}
@@ -775,7 +2547,7 @@ export default function LayeredTerrainBuilder() {
                             max="5"
                             step="0.1"
                             value={layer.warpStrength}
-                            onChange={(e) => updateLayer(layerName, 'warpStrength', parseFloat(e.target.value))}
+                            onChange={(e) => updateLayer(layer.id, 'warpStrength', parseFloat(e.target.value))}
                             style={{ width: '100%', accentColor: '#ff9f0a' }}
                           />
                         </div>
@@ -796,10 +2568,10 @@ export default function LayeredTerrainBuilder() {
               textAlign: 'center'
             }}>
               <div style={{ fontSize: '10px', color: '#64d2ff', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                Building Layer {buildStep + 1} of {layerOrder.length}
+                Building Layer {buildStep + 1} of {layers.length}
               </div>
               <div style={{ fontSize: '12px', fontWeight: 600, marginTop: '4px' }}>
-                {buildStep < layerOrder.length ? layerNames[layerOrder[buildStep]] : 'Complete'}
+                {buildStep < layers.length ? layers[buildStep].name : 'Complete'}
               </div>
             </div>
           )}
@@ -810,13 +2582,11 @@ export default function LayeredTerrainBuilder() {
           {/* View Mode Tabs */}
           <div style={{
             display: 'flex',
+            flexWrap: 'wrap',
             gap: '8px',
             marginBottom: '16px'
           }}>
-            {[
-              { id: 'terrain', label: 'Terrain Colors' },
-              { id: 'heightmap', label: 'Heightmap' }
-            ].map(mode => (
+            {VIEW_MODES.map(mode => (
               <button
                 key={mode.id}
                 onClick={() => setViewMode(mode.id)}
@@ -840,6 +2610,49 @@ export default function LayeredTerrainBuilder() {
                 {mode.label}
               </button>
             ))}
+            <button
+              onClick={() => setTileable(!tileable)}
+              title="Wrap every layer onto a torus so the map repeats seamlessly"
+              style={{
+                marginLeft: 'auto',
+                background: tileable ? 'rgba(100, 210, 255, 0.2)' : 'rgba(255,255,255,0.04)',
+                border: `1px solid ${tileable ? 'rgba(100, 210, 255, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                borderRadius: '6px',
+                color: tileable ? '#fff' : '#6e7681',
+                padding: '8px 16px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: 500,
+                fontFamily: 'inherit',
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px',
+                transition: 'all 0.2s ease'
+              }}
+            >
+              Tileable
+            </button>
+            <button
+              onClick={() => setShowSlope(!showSlope)}
+              disabled={tileable}
+              title={tileable ? 'Slope needs the analytic gradient, which tiled noise does not have' : undefined}
+              style={{
+                background: slopeVisible ? 'rgba(255, 159, 10, 0.2)' : 'rgba(255,255,255,0.04)',
+                border: `1px solid ${slopeVisible ? 'rgba(255, 159, 10, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                borderRadius: '6px',
+                color: slopeVisible ? '#fff' : '#6e7681',
+                opacity: tileable ? 0.4 : 1,
+                padding: '8px 16px',
+                cursor: tileable ? 'not-allowed' : 'pointer',
+                fontSize: '11px',
+                fontWeight: 500,
+                fontFamily: 'inherit',
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px',
+                transition: 'all 0.2s ease'
+              }}
+            >
+              Slope Overlay
+            </button>
           </div>
           
           {/* Canvas Container */}
@@ -853,8 +2666,8 @@ export default function LayeredTerrainBuilder() {
           }}>
             <canvas
               ref={mainCanvasRef}
-              width={640}
-              height={480}
+              width={MAP_WIDTH}
+              height={MAP_HEIGHT}
               style={{
                 width: '100%',
                 height: 'auto',
@@ -878,12 +2691,11 @@ export default function LayeredTerrainBuilder() {
                 Active Composition
               </div>
               <div style={{ display: 'flex', gap: '12px' }}>
-                {layerOrder.map((name, idx) => {
-                  const layer = layers[name];
+                {layers.map((layer, idx) => {
                   const isIncluded = buildStep === -1 || buildStep > idx;
                   return (
                     <div
-                      key={name}
+                      key={layer.id}
                       style={{
                         display: 'flex',
                         alignItems: 'center',
@@ -895,17 +2707,83 @@ export default function LayeredTerrainBuilder() {
                         width: '8px',
                         height: '8px',
                         borderRadius: '2px',
-                        background: name === 'foundation' ? '#64d2ff' :
-                                   name === 'structure' ? '#ff9f0a' :
-                                   name === 'detail' ? '#30d158' : '#bf5af2'
+                        background: layerPalette[layer.palette % layerPalette.length].accent
                       }} />
-                      <span style={{ fontSize: '10px' }}>{layerNames[name][0]}</span>
+                      <span style={{ fontSize: '10px' }}>{layer.name[0]}</span>
                     </div>
                   );
                 })}
               </div>
             </div>
             
+            {/* Slope Legend */}
+            {slopeVisible && (
+              <div style={{
+                position: 'absolute',
+                top: '24px',
+                left: '24px',
+                background: 'rgba(0,0,0,0.7)',
+                backdropFilter: 'blur(10px)',
+                borderRadius: '8px',
+                padding: '10px 14px',
+                border: '1px solid rgba(255,255,255,0.1)'
+              }}>
+                <div style={{ fontSize: '9px', color: '#6e7681', textTransform: 'uppercase', letterSpacing: '1px', marginBottom: '6px' }}>
+                  Slope (analytic gradient)
+                </div>
+                {slopeClasses.map((slopeClass, idx) => (
+                  <div key={slopeClass.label} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', marginTop: '2px' }}>
+                    <div style={{
+                      width: '8px',
+                      height: '8px',
+                      borderRadius: '2px',
+                      background: slopeClass.color ? `rgb(${slopeClass.color.join(',')})` : 'transparent',
+                      border: slopeClass.color ? 'none' : '1px solid #6e7681'
+                    }} />
+                    <span>{slopeClass.label}</span>
+                    <span style={{ color: '#6e7681', marginLeft: 'auto' }}>
+                      {idx === 0 ? 0 : slopeClasses[idx - 1].maxAngle}–{slopeClass.maxAngle}°
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            
+            {/* Biome Legend */}
+            {viewMode === 'biomes' && biomeAreas && (
+              <div style={{
+                position: 'absolute',
+                bottom: '24px',
+                right: '24px',
+                background: 'rgba(0,0,0,0.7)',
+                backdropFilter: 'blur(10px)',
+                borderRadius: '8px',
+                padding: '10px 14px',
+                border: '1px solid rgba(255,255,255,0.1)',
+                minWidth: '170px'
+              }}>
+                <div style={{ fontSize: '9px', color: '#6e7681', textTransform: 'uppercase', letterSpacing: '1px', marginBottom: '6px' }}>
+                  Biomes (area)
+                </div>
+                {Object.entries(biomeAreas)
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([biome, count]) => (
+                    <div key={biome} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', marginTop: '2px' }}>
+                      <div style={{
+                        width: '8px',
+                        height: '8px',
+                        borderRadius: '2px',
+                        background: `rgb(${BIOMES[biome].color.join(',')})`
+                      }} />
+                      <span>{BIOMES[biome].name}</span>
+                      <span style={{ color: '#6e7681', marginLeft: 'auto', paddingLeft: '12px' }}>
+                        {(count / (MAP_WIDTH * MAP_HEIGHT) * 100).toFixed(1)}%
+                      </span>
+                    </div>
+                  ))}
+              </div>
+            )}
+            
             {/* Resolution Badge */}
             <div style={{
               position: 'absolute',
@@ -917,10 +2795,625 @@ export default function LayeredTerrainBuilder() {
               fontSize: '10px',
               color: '#6e7681'
             }}>
-              640 × 480
+              {MAP_WIDTH} × {MAP_HEIGHT}{tileable ? ' · tiled' : ''}{erosionEnabled ? ' · eroded' : ''}{hydrologyEnabled ? ' · rivers' : ''}{(erosionEnabled || hydrologyEnabled) && !fieldCurrent && buildStep < 0 ? ' · updating…' : ''}
+            </div>
+          </div>
+          
+          {/* Tiled Preview */}
+          {tileable && (
+            <div style={{
+              marginTop: '20px',
+              background: 'rgba(20, 24, 32, 0.8)',
+              borderRadius: '12px',
+              border: '1px solid rgba(255,255,255,0.06)',
+              padding: '16px'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                fontWeight: 600,
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                marginBottom: '12px',
+                color: '#6e7681'
+              }}>
+                Tiled 2×2 Preview
+              </div>
+              <canvas
+                ref={tileCanvasRef}
+                width={MAP_WIDTH}
+                height={MAP_HEIGHT}
+                style={{
+                  width: '100%',
+                  height: 'auto',
+                  borderRadius: '8px',
+                  display: 'block'
+                }}
+              />
+            </div>
+          )}
+          
+          {/* Erosion */}
+          <div style={{
+            marginTop: '20px',
+            background: 'rgba(20, 24, 32, 0.8)',
+            borderRadius: '12px',
+            border: '1px solid rgba(255,255,255,0.06)',
+            padding: '16px'
+          }}>
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span style={{
+                fontSize: '11px',
+                fontWeight: 600,
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                color: '#6e7681'
+              }}>
+                Erosion · hydraulic droplets + thermal talus
+              </span>
+              {erosionEnabled && (
+                <button
+                  onClick={() => setErosionSettings(EROSION_DEFAULTS)}
+                  style={{
+                    marginLeft: 'auto',
+                    background: 'rgba(255,255,255,0.06)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: '4px',
+                    color: '#8b949e',
+                    padding: '4px 10px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  Reset
+                </button>
+              )}
+              <button
+                onClick={() => setErosionEnabled(!erosionEnabled)}
+                style={{
+                  marginLeft: erosionEnabled ? 0 : 'auto',
+                  background: erosionEnabled ? 'rgba(48, 209, 88, 0.2)' : 'rgba(255,255,255,0.04)',
+                  border: `1px solid ${erosionEnabled ? 'rgba(48, 209, 88, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                  borderRadius: '4px',
+                  color: erosionEnabled ? '#fff' : '#6e7681',
+                  padding: '4px 10px',
+                  cursor: 'pointer',
+                  fontSize: '10px',
+                  fontFamily: 'inherit',
+                  textTransform: 'uppercase'
+                }}
+              >
+                {erosionEnabled ? 'On' : 'Off'}
+              </button>
+            </div>
+            
+            {erosionEnabled && (
+              <div style={{ marginTop: '12px' }}>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(4, 1fr)',
+                  gap: '8px 12px'
+                }}>
+                  {[
+                    { key: 'droplets', label: 'DROPLETS', min: 0, max: 200000, step: 5000, format: v => `${(v / 1000).toFixed(0)}k`, accent: '#64d2ff' },
+                    { key: 'erodeRate', label: 'ERODE', min: 0, max: 1, step: 0.05, format: v => v.toFixed(2), accent: '#64d2ff' },
+                    { key: 'depositRate', label: 'DEPOSIT', min: 0, max: 1, step: 0.05, format: v => v.toFixed(2), accent: '#64d2ff' },
+                    { key: 'capacity', label: 'CAPACITY', min: 0.5, max: 10, step: 0.5, format: v => v.toFixed(1), accent: '#64d2ff' },
+                    { key: 'inertia', label: 'INERTIA', min: 0, max: 0.5, step: 0.01, format: v => v.toFixed(2), accent: '#64d2ff' },
+                    { key: 'evaporation', label: 'EVAPORATION', min: 0.005, max: 0.1, step: 0.005, format: v => v.toFixed(3), accent: '#64d2ff' },
+                    { key: 'thermalIterations', label: 'THERMAL PASSES', min: 0, max: 60, step: 1, format: v => v, accent: '#ff9f0a' },
+                    { key: 'talusAngle', label: 'TALUS', min: 10, max: 60, step: 1, format: v => `${v}°`, accent: '#ff9f0a' }
+                  ].map(({ key, label, min, max, step, format, accent }) => (
+                    <div key={key}>
+                      <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                        {label}: {format(erosionSettings[key])}
+                      </label>
+                      <input
+                        type="range"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={erosionSettings[key]}
+                        onChange={(e) => setErosionSettings(prev => ({ ...prev, [key]: parseFloat(e.target.value) }))}
+                        style={{ width: '100%', accentColor: accent }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  marginTop: '12px',
+                  fontSize: '10px'
+                }}>
+                  <span style={{ fontSize: '9px', color: '#6e7681' }}>OVERLAY</span>
+                  {EROSION_OVERLAYS.map(overlay => (
+                    <button
+                      key={overlay.id}
+                      onClick={() => setErosionView(overlay.id)}
+                      style={{
+                        background: erosionView === overlay.id ? 'rgba(100, 210, 255, 0.2)' : 'rgba(255,255,255,0.04)',
+                        border: `1px solid ${erosionView === overlay.id ? 'rgba(100, 210, 255, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                        borderRadius: '4px',
+                        color: erosionView === overlay.id ? '#fff' : '#6e7681',
+                        padding: '4px 10px',
+                        cursor: 'pointer',
+                        fontSize: '10px',
+                        fontFamily: 'inherit'
+                      }}
+                    >
+                      {overlay.label}
+                    </button>
+                  ))}
+                  
+                  <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '6px', color: '#6e7681', fontSize: '9px' }}>
+                    <input
+                      type="checkbox"
+                      checked={compareSplit !== null}
+                      onChange={(e) => setCompareSplit(e.target.checked ? 0.5 : null)}
+                    />
+                    BEFORE | AFTER
+                  </label>
+                  {compareSplit !== null && (
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={compareSplit}
+                      onChange={(e) => setCompareSplit(parseFloat(e.target.value))}
+                      style={{ width: '120px', accentColor: '#30d158' }}
+                    />
+                  )}
+                </div>
+                
+                {erosion && (
+                  <div style={{ fontSize: '9px', color: '#6e7681', marginTop: '8px' }}>
+                    Seeded by the global seed: the same seed and settings always erode the same way.
+                    {erosionView !== 'none' && ` Overlay saturates at ${erosion.scale.toFixed(4)} height units.`}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+          
+          {/* Hydrology */}
+          <div style={{
+            marginTop: '20px',
+            background: 'rgba(20, 24, 32, 0.8)',
+            borderRadius: '12px',
+            border: '1px solid rgba(255,255,255,0.06)',
+            padding: '16px'
+          }}>
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span style={{
+                fontSize: '11px',
+                fontWeight: 600,
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                color: '#6e7681'
+              }}>
+                Hydrology · rivers and lakes
+              </span>
+              {hydrologyEnabled && (
+                <button
+                  onClick={exportRivers}
+                  disabled={!riverLines || riverLines.length === 0}
+                  title="Download the river polylines as GeoJSON (planar pixel coordinates, y down)"
+                  style={{
+                    marginLeft: 'auto',
+                    background: 'rgba(100, 210, 255, 0.1)',
+                    border: '1px solid rgba(100, 210, 255, 0.3)',
+                    borderRadius: '4px',
+                    color: '#64d2ff',
+                    padding: '4px 10px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  ⤓ GeoJSON
+                </button>
+              )}
+              <button
+                onClick={() => setHydrologyEnabled(!hydrologyEnabled)}
+                style={{
+                  marginLeft: hydrologyEnabled ? 0 : 'auto',
+                  background: hydrologyEnabled ? 'rgba(100, 210, 255, 0.2)' : 'rgba(255,255,255,0.04)',
+                  border: `1px solid ${hydrologyEnabled ? 'rgba(100, 210, 255, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                  borderRadius: '4px',
+                  color: hydrologyEnabled ? '#fff' : '#6e7681',
+                  padding: '4px 10px',
+                  cursor: 'pointer',
+                  fontSize: '10px',
+                  fontFamily: 'inherit',
+                  textTransform: 'uppercase'
+                }}
+              >
+                {hydrologyEnabled ? 'On' : 'Off'}
+              </button>
+            </div>
+            
+            {hydrologyEnabled && (
+              <div style={{ marginTop: '12px' }}>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'auto 1fr 1fr',
+                  gap: '8px 12px',
+                  alignItems: 'end'
+                }}>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '4px' }}>
+                      FLOW
+                    </label>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                      {FLOW_METHODS.map(method => (
+                        <button
+                          key={method.id}
+                          onClick={() => setHydrologySettings(prev => ({ ...prev, method: method.id }))}
+                          style={{
+                            background: hydrologySettings.method === method.id ? 'rgba(100, 210, 255, 0.2)' : 'rgba(255,255,255,0.04)',
+                            border: `1px solid ${hydrologySettings.method === method.id ? 'rgba(100, 210, 255, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                            borderRadius: '4px',
+                            color: hydrologySettings.method === method.id ? '#fff' : '#6e7681',
+                            padding: '4px 10px',
+                            cursor: 'pointer',
+                            fontSize: '10px',
+                            fontFamily: 'inherit'
+                          }}
+                        >
+                          {method.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      RIVER THRESHOLD: {hydrologySettings.riverThreshold} cells
+                    </label>
+                    <input
+                      type="range"
+                      min="20"
+                      max="2000"
+                      step="10"
+                      value={hydrologySettings.riverThreshold}
+                      onChange={(e) => setHydrologySettings(prev => ({ ...prev, riverThreshold: parseInt(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#64d2ff' }}
+                    />
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      LAKE DEPTH: {hydrologySettings.lakeDepth.toFixed(3)}
+                    </label>
+                    <input
+                      type="range"
+                      min="0.001"
+                      max="0.1"
+                      step="0.001"
+                      value={hydrologySettings.lakeDepth}
+                      onChange={(e) => setHydrologySettings(prev => ({ ...prev, lakeDepth: parseFloat(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#64d2ff' }}
+                    />
+                  </div>
+                </div>
+                
+                {riverLines && (
+                  <div style={{ fontSize: '9px', color: '#6e7681', marginTop: '8px' }}>
+                    {riverLines.length} river lines · {hydrology.river.reduce((a, b) => a + b, 0)} river cells
+                    · lakes {(hydrology.lake.reduce((a, b) => a + b, 0) / (MAP_WIDTH * MAP_HEIGHT) * 100).toFixed(1)}% of the map
+                    {erosionEnabled ? ' · on the eroded terrain' : ''}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+          
+          {/* 3D Relief */}
+          <div style={{
+            marginTop: '20px',
+            background: 'rgba(20, 24, 32, 0.8)',
+            borderRadius: '12px',
+            border: '1px solid rgba(255,255,255,0.06)',
+            padding: '16px'
+          }}>
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span style={{
+                fontSize: '11px',
+                fontWeight: 600,
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                color: '#6e7681'
+              }}>
+                3D Relief · drag to rotate
+              </span>
+              {reliefEnabled && (
+                <button
+                  onClick={() => setReliefView(RELIEF_DEFAULTS)}
+                  style={{
+                    marginLeft: 'auto',
+                    background: 'rgba(255,255,255,0.06)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: '4px',
+                    color: '#8b949e',
+                    padding: '4px 10px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  Reset
+                </button>
+              )}
+              <button
+                onClick={() => setReliefEnabled(!reliefEnabled)}
+                style={{
+                  marginLeft: reliefEnabled ? 0 : 'auto',
+                  background: reliefEnabled ? 'rgba(255, 159, 10, 0.2)' : 'rgba(255,255,255,0.04)',
+                  border: `1px solid ${reliefEnabled ? 'rgba(255, 159, 10, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                  borderRadius: '4px',
+                  color: reliefEnabled ? '#fff' : '#6e7681',
+                  padding: '4px 10px',
+                  cursor: 'pointer',
+                  fontSize: '10px',
+                  fontFamily: 'inherit',
+                  textTransform: 'uppercase'
+                }}
+              >
+                {reliefEnabled ? 'On' : 'Off'}
+              </button>
             </div>
+            
+            {reliefEnabled && (
+              <div style={{ marginTop: '12px' }}>
+                <canvas
+                  ref={reliefCanvasRef}
+                  width={RELIEF_WIDTH}
+                  height={RELIEF_HEIGHT}
+                  onMouseDown={handleReliefMouseDown}
+                  onMouseMove={handleReliefMouseMove}
+                  onMouseUp={handleReliefMouseUp}
+                  onMouseLeave={handleReliefMouseUp}
+                  style={{
+                    width: '100%',
+                    height: 'auto',
+                    borderRadius: '8px',
+                    display: 'block',
+                    cursor: 'grab'
+                  }}
+                />
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1fr 1fr 1fr auto 1fr',
+                  gap: '8px 12px',
+                  alignItems: 'end',
+                  marginTop: '12px'
+                }}>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      EXAGGERATION: {reliefView.exaggeration.toFixed(1)}×
+                    </label>
+                    <input
+                      type="range"
+                      min="0.2"
+                      max="5"
+                      step="0.1"
+                      value={reliefView.exaggeration}
+                      onChange={(e) => setReliefView(prev => ({ ...prev, exaggeration: parseFloat(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#ff9f0a' }}
+                    />
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      LIGHT AZIMUTH: {reliefView.lightAzimuth}°
+                    </label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="360"
+                      step="5"
+                      value={reliefView.lightAzimuth}
+                      onChange={(e) => setReliefView(prev => ({ ...prev, lightAzimuth: parseInt(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#ff9f0a' }}
+                    />
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      LIGHT ELEVATION: {reliefView.lightElevation}°
+                    </label>
+                    <input
+                      type="range"
+                      min="5"
+                      max="90"
+                      step="5"
+                      value={reliefView.lightElevation}
+                      onChange={(e) => setReliefView(prev => ({ ...prev, lightElevation: parseInt(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#ff9f0a' }}
+                    />
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '4px' }}>
+                      WATER
+                    </label>
+                    <button
+                      onClick={() => setReliefView(prev => ({ ...prev, water: !prev.water }))}
+                      style={{
+                        background: reliefView.water ? 'rgba(100, 210, 255, 0.2)' : 'rgba(255,255,255,0.04)',
+                        border: `1px solid ${reliefView.water ? 'rgba(100, 210, 255, 0.5)' : 'rgba(255,255,255,0.08)'}`,
+                        borderRadius: '4px',
+                        color: reliefView.water ? '#fff' : '#6e7681',
+                        padding: '4px 10px',
+                        cursor: 'pointer',
+                        fontSize: '10px',
+                        fontFamily: 'inherit',
+                        textTransform: 'uppercase'
+                      }}
+                    >
+                      {reliefView.water ? 'On' : 'Off'}
+                    </button>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      WATER LEVEL: {reliefView.waterLevel.toFixed(2)}
+                    </label>
+                    <input
+                      type="range"
+                      min="-0.6"
+                      max="0.6"
+                      step="0.01"
+                      value={reliefView.waterLevel}
+                      disabled={!reliefView.water}
+                      onChange={(e) => setReliefView(prev => ({ ...prev, waterLevel: parseFloat(e.target.value) }))}
+                      style={{ width: '100%', accentColor: '#64d2ff' }}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
           
+          {/* Whittaker Table */}
+          {(viewMode === 'biomes' || viewMode === 'temperature' || viewMode === 'moisture') && (
+            <div style={{
+              marginTop: '20px',
+              background: 'rgba(20, 24, 32, 0.8)',
+              borderRadius: '12px',
+              border: '1px solid rgba(255,255,255,0.06)',
+              padding: '16px'
+            }}>
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                marginBottom: '12px'
+              }}>
+                <span style={{
+                  fontSize: '11px',
+                  fontWeight: 600,
+                  textTransform: 'uppercase',
+                  letterSpacing: '1px',
+                  color: '#6e7681'
+                }}>
+                  Biome Table · temperature × moisture
+                </span>
+                <button
+                  onClick={() => setBiomeTable(DEFAULT_BIOME_TABLE)}
+                  style={{
+                    marginLeft: 'auto',
+                    background: 'rgba(255,255,255,0.06)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: '4px',
+                    color: '#8b949e',
+                    padding: '4px 10px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  Reset
+                </button>
+              </div>
+              
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: `110px repeat(${MOISTURE_BANDS.length}, 1fr)`,
+                gap: '4px',
+                fontSize: '10px'
+              }}>
+                <div />
+                {MOISTURE_BANDS.map((band, column) => (
+                  <div key={band} style={{ color: '#6e7681', fontSize: '9px', textAlign: 'center' }}>
+                    {band.toUpperCase()}
+                    <div style={{ marginTop: '2px' }}>
+                      {column === 0 ? '0' : biomeTable.moisture[column - 1].toFixed(2)}–{column < biomeTable.moisture.length ? biomeTable.moisture[column].toFixed(2) : '1'}
+                    </div>
+                  </div>
+                ))}
+                
+                {/* Rows run hot (top) to cold, like a Whittaker diagram */}
+                {TEMPERATURE_BANDS.map((band, row) => ({ band, row })).reverse().map(({ band, row }) => (
+                  <React.Fragment key={band}>
+                    <div style={{ color: '#6e7681', fontSize: '9px', alignSelf: 'center' }}>
+                      {band.toUpperCase()}
+                      <div style={{ marginTop: '2px' }}>
+                        {row === 0 ? '0' : biomeTable.temperature[row - 1].toFixed(2)}–{row < biomeTable.temperature.length ? biomeTable.temperature[row].toFixed(2) : '1'}
+                      </div>
+                    </div>
+                    {biomeTable.cells[row].map((biome, column) => (
+                      <select
+                        key={column}
+                        value={biome}
+                        onChange={(e) => setBiomeCell(row, column, e.target.value)}
+                        style={{
+                          width: '100%',
+                          background: `rgba(${BIOMES[biome].color.join(',')}, 0.35)`,
+                          border: `1px solid rgba(${BIOMES[biome].color.join(',')}, 0.6)`,
+                          borderRadius: '4px',
+                          color: '#fff',
+                          padding: '6px 4px',
+                          fontSize: '10px',
+                          fontFamily: 'inherit'
+                        }}
+                      >
+                        {LAND_BIOMES.map(id => (
+                          <option key={id} value={id}>{BIOMES[id].name}</option>
+                        ))}
+                      </select>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </div>
+              
+              {/* Band Edges */}
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '12px',
+                marginTop: '12px'
+              }}>
+                {[
+                  { axis: 'temperature', label: 'TEMPERATURE EDGES', accent: '#ff9f0a' },
+                  { axis: 'moisture', label: 'MOISTURE EDGES', accent: '#64d2ff' }
+                ].map(({ axis, label, accent }) => (
+                  <div key={axis}>
+                    <label style={{ fontSize: '9px', color: '#6e7681', display: 'block', marginBottom: '2px' }}>
+                      {label}: {biomeTable[axis].map(edge => edge.toFixed(2)).join(' · ')}
+                    </label>
+                    {biomeTable[axis].map((edge, index) => (
+                      <input
+                        key={index}
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={edge}
+                        onChange={(e) => setBiomeEdge(axis, index, parseFloat(e.target.value))}
+                        style={{ width: '100%', accentColor: accent, display: 'block' }}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+              
+              <div style={{ fontSize: '9px', color: '#6e7681', marginTop: '8px' }}>
+                Temperature = 1 − |latitude| − {CLIMATE.lapseRate} × altitude; moisture = 0.5 + fBm − {CLIMATE.altitudeDrying} × altitude.
+                Heights below sea level are ocean or coastal water.
+              </div>
+            </div>
+          )}
+          
           {/* Noise Stack Diagram */}
           <div style={{
             marginTop: '20px',
@@ -947,22 +3440,17 @@ export default function LayeredTerrainBuilder() {
               gap: '4px',
               flexWrap: 'wrap'
             }}>
-              {layerOrder.map((name, idx) => {
-                const layer = layers[name];
+              {layers.map((layer, idx) => {
                 const isActive = buildStep === -1 || buildStep > idx;
-                const colors = {
-                  foundation: { bg: 'rgba(100, 210, 255, 0.15)', border: '#64d2ff' },
-                  structure: { bg: 'rgba(255, 159, 10, 0.15)', border: '#ff9f0a' },
-                  detail: { bg: 'rgba(48, 209, 88, 0.15)', border: '#30d158' },
-                  warp: { bg: 'rgba(191, 90, 242, 0.15)', border: '#bf5af2' }
-                };
+                const colors = layerPalette[layer.palette % layerPalette.length];
+                const mask = stack[idx].mask;
                 
                 return (
-                  <React.Fragment key={name}>
+                  <React.Fragment key={layer.id}>
                     <div style={{
                       padding: '10px 16px',
-                      background: isActive ? colors[name].bg : 'rgba(255,255,255,0.02)',
-                      border: `1px solid ${isActive ? colors[name].border : 'rgba(255,255,255,0.1)'}`,
+                      background: isActive ? colors.tint : 'rgba(255,255,255,0.02)',
+                      border: `1px solid ${isActive ? colors.accent : 'rgba(255,255,255,0.1)'}`,
                       borderRadius: '6px',
                       textAlign: 'center',
                       transition: 'all 0.3s ease',
@@ -973,17 +3461,17 @@ export default function LayeredTerrainBuilder() {
                         fontWeight: 600,
                         color: isActive ? '#fff' : '#444'
                       }}>
-                        {layerNames[name]}
+                        {layer.name}
                       </div>
                       <div style={{
                         fontSize: '9px',
-                        color: isActive ? colors[name].border : '#333',
+                        color: isActive ? colors.accent : '#333',
                         marginTop: '2px'
                       }}>
-                        {layer.blendMode} @ {(layer.opacity * 100).toFixed(0)}%
+                        {layer.blendMode} @ {(layer.opacity * 100).toFixed(0)}%{mask ? ` · mask ${mask.name}` : ''}
                       </div>
                     </div>
-                    {idx < layerOrder.length - 1 && (
+                    {idx < layers.length - 1 && (
                       <div style={{
                         color: isActive ? '#64d2ff' : '#333',
                         fontSize: '16px'
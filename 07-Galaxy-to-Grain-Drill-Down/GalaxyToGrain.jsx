@@ -1,4 +1,7 @@
 import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
+import { scaledHash2DFast as hashCoord, unitToRange as hashToRange } from '../shared/hash.js';
+import { GALAXY_TO_GRAIN as SALTS } from '../shared/generator-salts.js';
+import { tableSimplex2D, stackOctaves } from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // GALAXY-TO-GRAIN DRILL-DOWN
@@ -6,109 +9,16 @@ import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react'
 // Position-is-seed methodology: coordinates determine all properties
 // ═══════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────
-// HASH FUNCTIONS: Pure deterministic generation
-// ─────────────────────────────────────────────────────────────────────────────
-
-const splitmix64 = (seed) => {
-  let z = BigInt(seed) + 0x9e3779b97f4a7c15n;
-  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
-  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
-  z = z ^ (z >> 31n);
-  return Number(z & 0xffffffffn) / 0xffffffff;
-};
-
-const hashCoord = (x, y, salt = 0, seed = 42) => {
-  const a = Math.floor(x * 1000);
-  const b = Math.floor(y * 1000);
-  const combined = (a * 73856093) ^ (b * 19349663) ^ (salt * 83492791) ^ seed;
-  return splitmix64(Math.abs(combined));
-};
-
-const hashToRange = (hash, min, max) => min + hash * (max - min);
-const hashToBool = (hash, probability) => hash < probability;
-
 // ─────────────────────────────────────────────────────────────────────────────
 // SIMPLEX NOISE: For coherent spatial variation
 // ─────────────────────────────────────────────────────────────────────────────
 
-const grad2 = [
-  [1, 1], [-1, 1], [1, -1], [-1, -1],
-  [1, 0], [-1, 0], [0, 1], [0, -1]
-];
-
-const permutation = Array.from({ length: 512 }, (_, i) => {
-  const h = splitmix64(i * 12345);
-  return Math.floor(h * 256);
-});
-
-const simplex2D = (x, y, seed = 0) => {
-  const F2 = 0.5 * (Math.sqrt(3) - 1);
-  const G2 = (3 - Math.sqrt(3)) / 6;
-  
-  const s = (x + y) * F2;
-  const i = Math.floor(x + s);
-  const j = Math.floor(y + s);
-  
-  const t = (i + j) * G2;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  
-  const i1 = x0 > y0 ? 1 : 0;
-  const j1 = x0 > y0 ? 0 : 1;
-  
-  const x1 = x0 - i1 + G2;
-  const y1 = y0 - j1 + G2;
-  const x2 = x0 - 1 + 2 * G2;
-  const y2 = y0 - 1 + 2 * G2;
-  
-  const ii = ((i % 256) + 256) % 256;
-  const jj = ((j % 256) + 256) % 256;
-  
-  const gi0 = permutation[(ii + permutation[(jj + seed) % 512]) % 512] % 8;
-  const gi1 = permutation[(ii + i1 + permutation[(jj + j1 + seed) % 512]) % 512] % 8;
-  const gi2 = permutation[(ii + 1 + permutation[(jj + 1 + seed) % 512]) % 512] % 8;
-  
-  let n0 = 0, n1 = 0, n2 = 0;
-  
-  let t0 = 0.5 - x0 * x0 - y0 * y0;
-  if (t0 >= 0) {
-    t0 *= t0;
-    n0 = t0 * t0 * (grad2[gi0][0] * x0 + grad2[gi0][1] * y0);
-  }
-  
-  let t1 = 0.5 - x1 * x1 - y1 * y1;
-  if (t1 >= 0) {
-    t1 *= t1;
-    n1 = t1 * t1 * (grad2[gi1][0] * x1 + grad2[gi1][1] * y1);
-  }
-  
-  let t2 = 0.5 - x2 * x2 - y2 * y2;
-  if (t2 >= 0) {
-    t2 *= t2;
-    n2 = t2 * t2 * (grad2[gi2][0] * x2 + grad2[gi2][1] * y2);
-  }
-  
-  return 70 * (n0 + n1 + n2);
-};
+// 2D simplex on a fixed splitmix64 table; the seed shifts the row lookup
+// (shared/noise.js tableSimplex2D)
+const simplex2D = tableSimplex2D;
 
-const fbm = (x, y, octaves = 4, persistence = 0.5, lacunarity = 2, seed = 0) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * simplex2D(x * frequency, y * frequency, seed + i * 100);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return value / maxValue;
-};
+const fbm = (x, y, octaves = 4, persistence = 0.5, lacunarity = 2, seed = 0) =>
+  stackOctaves((f, i) => simplex2D(x * f, y * f, seed + i * 100), octaves, persistence, lacunarity);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CONSTRAINT SYSTEM: Hierarchical property inheritance
@@ -152,13 +62,13 @@ const TERRAIN_BIOMES = {
 // ─────────────────────────────────────────────────────────────────────────────
 
 const generateGalaxyRegion = (regionX, regionY, universeSeed) => {
-  const regionSeed = hashCoord(regionX, regionY, 1, universeSeed);
+  const regionSeed = hashCoord(regionX, regionY, SALTS.get('region.seed'), universeSeed);
   const densityNoise = (fbm(regionX * 0.3, regionY * 0.3, 3, 0.6, 2, universeSeed) + 1) / 2;
   const spiralArm = Math.sin(Math.atan2(regionY, regionX) * 2 + Math.sqrt(regionX * regionX + regionY * regionY) * 0.5);
   const density = densityNoise * 0.5 + (spiralArm + 1) * 0.25;
   
-  const metallicity = hashToRange(hashCoord(regionX, regionY, 2, universeSeed), 0.001, 0.04);
-  const age = hashToRange(hashCoord(regionX, regionY, 3, universeSeed), 1, 13); // Billion years
+  const metallicity = hashToRange(hashCoord(regionX, regionY, SALTS.get('region.metallicity'), universeSeed), 0.001, 0.04);
+  const age = hashToRange(hashCoord(regionX, regionY, SALTS.get('region.age'), universeSeed), 1, 13); // Billion years
   const nebulaDensity = Math.max(0, fbm(regionX * 0.5, regionY * 0.5, 2, 0.5, 2, universeSeed + 100));
   
   return {
@@ -177,13 +87,13 @@ const generateGalaxyRegion = (regionX, regionY, universeSeed) => {
 };
 
 const generateStarCluster = (clusterId, region) => {
-  const clusterSeed = hashCoord(clusterId, region.seed, 4, region.seed);
-  const clusterX = hashToRange(hashCoord(clusterId, 0, 5, region.seed), -0.4, 0.4);
-  const clusterY = hashToRange(hashCoord(clusterId, 0, 6, region.seed), -0.4, 0.4);
+  const clusterSeed = hashCoord(clusterId, region.seed, SALTS.get('cluster.seed'), region.seed);
+  const clusterX = hashToRange(hashCoord(clusterId, 0, SALTS.get('cluster.x'), region.seed), -0.4, 0.4);
+  const clusterY = hashToRange(hashCoord(clusterId, 0, SALTS.get('cluster.y'), region.seed), -0.4, 0.4);
   
   // Inherit and modify constraints
   const localDensity = region.constraints.density * hashToRange(clusterSeed, 0.5, 1.5);
-  const localMetallicity = region.constraints.metallicity * hashToRange(hashCoord(clusterId, 1, 7, region.seed), 0.8, 1.2);
+  const localMetallicity = region.constraints.metallicity * hashToRange(hashCoord(clusterId, 1, SALTS.get('cluster.metallicity'), region.seed), 0.8, 1.2);
   
   const starCount = Math.floor(3 + localDensity * 12);
   
@@ -198,18 +108,18 @@ const generateStarCluster = (clusterId, region) => {
       ...region.constraints,
       density: localDensity,
       metallicity: localMetallicity,
-      clusterAge: region.constraints.age + hashToRange(hashCoord(clusterId, 2, 8, region.seed), -2, 2),
+      clusterAge: region.constraints.age + hashToRange(hashCoord(clusterId, 2, SALTS.get('cluster.age'), region.seed), -2, 2),
     }
   };
 };
 
 const generateStar = (starId, cluster) => {
-  const starSeed = hashCoord(starId, cluster.seed, 9, cluster.seed);
-  const starX = hashToRange(hashCoord(starId, 0, 10, cluster.seed), -0.35, 0.35);
-  const starY = hashToRange(hashCoord(starId, 0, 11, cluster.seed), -0.35, 0.35);
+  const starSeed = hashCoord(starId, cluster.seed, SALTS.get('star.seed'), cluster.seed);
+  const starX = hashToRange(hashCoord(starId, 0, SALTS.get('star.x'), cluster.seed), -0.35, 0.35);
+  const starY = hashToRange(hashCoord(starId, 0, SALTS.get('star.y'), cluster.seed), -0.35, 0.35);
   
   // Star class selection influenced by region constraints
-  let classRoll = hashCoord(starId, 1, 12, cluster.seed);
+  let classRoll = hashCoord(starId, 1, SALTS.get('star.class'), cluster.seed);
   classRoll += cluster.constraints.dominantStarBias * 0.3;
   classRoll = Math.max(0, Math.min(1, classRoll));
   
@@ -224,16 +134,16 @@ const generateStar = (starId, cluster) => {
   }
   
   // Derive properties from class and constraints
-  const mass = hashToRange(hashCoord(starId, 2, 13, cluster.seed), starClass.mass[0], starClass.mass[1]);
-  const luminosity = hashToRange(hashCoord(starId, 3, 14, cluster.seed), starClass.luminosity[0], starClass.luminosity[1]);
-  const temperature = hashToRange(hashCoord(starId, 4, 15, cluster.seed), starClass.temp[0], starClass.temp[1]);
+  const mass = hashToRange(hashCoord(starId, 2, SALTS.get('star.mass'), cluster.seed), starClass.mass[0], starClass.mass[1]);
+  const luminosity = hashToRange(hashCoord(starId, 3, SALTS.get('star.luminosity'), cluster.seed), starClass.luminosity[0], starClass.luminosity[1]);
+  const temperature = hashToRange(hashCoord(starId, 4, SALTS.get('star.temperature'), cluster.seed), starClass.temp[0], starClass.temp[1]);
   
   // Habitable zone calculation (simplified)
   const hzInner = Math.sqrt(luminosity / 1.1);
   const hzOuter = Math.sqrt(luminosity / 0.53);
   const frostLine = 2.7 * Math.sqrt(luminosity);
   
-  const planetCount = Math.floor(hashToRange(hashCoord(starId, 5, 16, cluster.seed), 0, 1 + cluster.constraints.metallicity * 300));
+  const planetCount = Math.floor(hashToRange(hashCoord(starId, 5, SALTS.get('star.planetCount'), cluster.seed), 0, 1 + cluster.constraints.metallicity * 300));
   
   return {
     id: `star-${cluster.id}-${starId}`,
@@ -258,19 +168,19 @@ const generateStar = (starId, cluster) => {
 };
 
 const generatePlanet = (planetId, star) => {
-  const planetSeed = hashCoord(planetId, star.seed, 17, star.seed);
+  const planetSeed = hashCoord(planetId, star.seed, SALTS.get('planet.seed'), star.seed);
   
   // Orbital radius using Titius-Bode variant
   const baseAU = 0.4 + 0.3 * Math.pow(2, planetId);
   let orbitalRadius = baseAU * Math.pow(star.constraints.stellarMass, 0.5);
-  orbitalRadius *= hashToRange(hashCoord(planetId, 0, 18, star.seed), 0.7, 1.3);
+  orbitalRadius *= hashToRange(hashCoord(planetId, 0, SALTS.get('planet.orbit'), star.seed), 0.7, 1.3);
   
   // Temperature from stellar luminosity
   const temperature = 278 * Math.pow(star.constraints.stellarLuminosity, 0.25) / Math.sqrt(orbitalRadius);
   
   // Planet type determination based on constraints
   let planetType;
-  const typeRoll = hashCoord(planetId, 1, 19, star.seed);
+  const typeRoll = hashCoord(planetId, 1, SALTS.get('planet.type'), star.seed);
   
   if (orbitalRadius > star.constraints.frostLine) {
     // Beyond frost line
@@ -283,7 +193,7 @@ const generatePlanet = (planetId, star) => {
     }
   } else if (orbitalRadius > star.constraints.hzInner && orbitalRadius < star.constraints.hzOuter) {
     // Habitable zone
-    const habitableRoll = hashCoord(planetId, 2, 20, star.seed);
+    const habitableRoll = hashCoord(planetId, 2, SALTS.get('planet.habitable'), star.seed);
     if (habitableRoll < 0.1 * (star.constraints.metallicity / 0.02)) {
       planetType = 'earthlike';
     } else if (habitableRoll < 0.3) {
@@ -305,8 +215,8 @@ const generatePlanet = (planetId, star) => {
                planetType === 'iceGiant' ? hashToRange(planetSeed, 10, 30) :
                hashToRange(planetSeed, 0.1, 5);
   
-  const radius = planetType === 'gasGiant' ? hashToRange(hashCoord(planetId, 3, 21, star.seed), 9, 12) :
-                 planetType === 'iceGiant' ? hashToRange(hashCoord(planetId, 3, 21, star.seed), 3.5, 5) :
+  const radius = planetType === 'gasGiant' ? hashToRange(hashCoord(planetId, 3, SALTS.get('planet.radius'), star.seed), 9, 12) :
+                 planetType === 'iceGiant' ? hashToRange(hashCoord(planetId, 3, SALTS.get('planet.radius'), star.seed), 3.5, 5) :
                  Math.pow(mass, 0.27);
   
   const hasAtmosphere = (11.2 * Math.sqrt(mass) / radius) > (6 * 0.157 * Math.sqrt(temperature));
@@ -336,7 +246,7 @@ const generatePlanet = (planetId, star) => {
 };
 
 const generateTerrain = (terrainX, terrainY, planet) => {
-  const terrainSeed = hashCoord(terrainX, terrainY, 22, planet.seed);
+  const terrainSeed = hashCoord(terrainX, terrainY, SALTS.get('terrain.seed'), planet.seed);
   
   // Base terrain from noise
   const elevation = fbm(terrainX * 4, terrainY * 4, 6, 0.5, 2, planet.seed);
@@ -779,13 +689,13 @@ export default function GalaxyToGrain() {
                       key={i}
                       style={{
                         position: 'absolute',
-                        width: `${2 + hashCoord(i, region.seed, 100, region.seed) * 3}px`,
-                        height: `${2 + hashCoord(i, region.seed, 100, region.seed) * 3}px`,
+                        width: `${2 + hashCoord(i, region.seed, SALTS.get('preview.starSize'), region.seed) * 3}px`,
+                        height: `${2 + hashCoord(i, region.seed, SALTS.get('preview.starSize'), region.seed) * 3}px`,
                         borderRadius: '50%',
-                        background: STAR_CLASSES[Math.floor(hashCoord(i, region.seed, 101, region.seed) * 7)].color,
-                        left: `${10 + hashCoord(i, region.seed, 102, region.seed) * 80}%`,
-                        top: `${10 + hashCoord(i, region.seed, 103, region.seed) * 80}%`,
-                        boxShadow: `0 0 4px ${STAR_CLASSES[Math.floor(hashCoord(i, region.seed, 101, region.seed) * 7)].color}`,
+                        background: STAR_CLASSES[Math.floor(hashCoord(i, region.seed, SALTS.get('preview.starClass'), region.seed) * 7)].color,
+                        left: `${10 + hashCoord(i, region.seed, SALTS.get('preview.starX'), region.seed) * 80}%`,
+                        top: `${10 + hashCoord(i, region.seed, SALTS.get('preview.starY'), region.seed) * 80}%`,
+                        boxShadow: `0 0 4px ${STAR_CLASSES[Math.floor(hashCoord(i, region.seed, SALTS.get('preview.starClass'), region.seed) * 7)].color}`,
                       }}
                     />
                   ))}
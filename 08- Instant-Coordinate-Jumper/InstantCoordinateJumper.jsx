@@ -1,38 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-
-// ═══════════════════════════════════════════════════════════════════════════
-// PURE HASH FUNCTIONS - Position is Seed
-// ═══════════════════════════════════════════════════════════════════════════
-
-// SplitMix64-inspired hash for 64-bit quality from coordinates
-function coordHash(x, y, z, salt = 0) {
-  // Handle BigInt or regular numbers
-  const bx = typeof x === 'bigint' ? x : BigInt(Math.floor(x));
-  const by = typeof y === 'bigint' ? y : BigInt(Math.floor(y));
-  const bz = typeof z === 'bigint' ? z : BigInt(Math.floor(z));
-  const bs = BigInt(salt);
-  
-  // Combine coordinates with golden ratio-derived constants
-  let h = bx * 0x9E3779B97F4A7C15n;
-  h ^= by * 0x85EBCA6B2F40C2F5n;
-  h ^= bz * 0xC2B2AE3D27D4EB4Fn;
-  h ^= bs * 0x165667B19E3779F9n;
-  
-  // SplitMix64 finalizer
-  h ^= h >> 30n;
-  h *= 0xBF58476D1CE4E5B9n;
-  h ^= h >> 27n;
-  h *= 0x94D049BB133111EBn;
-  h ^= h >> 31n;
-  
-  // Mask to 53-bit safe integer
-  return Number(h & 0x1FFFFFFFFFFFFFn);
-}
-
-// Convert hash to float [0, 1)
-function hashToFloat(hash) {
-  return (hash % 0x1FFFFF) / 0x1FFFFF;
-}
+import { hashCoords, hash53ToFloat as hashToFloat } from '../shared/hash.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STAR SYSTEM GENERATOR - Pure function of coordinates
@@ -58,11 +25,13 @@ const PLANET_TYPES = [
   { name: 'Volcanic', icon: '🌋', color: '#FF5722' },
 ];
 
+const GOLDEN = { scheme: 'golden' };
+
 function generateStarSystem(x, y, z, universeSeed = 42) {
-  const systemSeed = coordHash(x, y, z, universeSeed);
+  const systemSeed = hashCoords([x, y, z], universeSeed, GOLDEN);
   
   // Star class (weighted by rarity)
-  const classRoll = hashToFloat(coordHash(x, y, z, 1));
+  const classRoll = hashToFloat(hashCoords([x, y, z], 1, GOLDEN));
   let cumulative = 0;
   let starClass = STAR_CLASSES[6]; // Default M
   for (const sc of STAR_CLASSES) {
@@ -74,17 +43,17 @@ function generateStarSystem(x, y, z, universeSeed = 42) {
   }
   
   // Star properties
-  const starMass = 0.08 + hashToFloat(coordHash(x, y, z, 2)) * 49.92;
+  const starMass = 0.08 + hashToFloat(hashCoords([x, y, z], 2, GOLDEN)) * 49.92;
   const starLuminosity = Math.pow(starMass, 3.5);
-  const starAge = 0.1 + hashToFloat(coordHash(x, y, z, 3)) * 12.9; // Billion years
+  const starAge = 0.1 + hashToFloat(hashCoords([x, y, z], 3, GOLDEN)) * 12.9; // Billion years
   
   // Planet count (0-12)
-  const planetCount = Math.floor(hashToFloat(coordHash(x, y, z, 4)) * 13);
+  const planetCount = Math.floor(hashToFloat(hashCoords([x, y, z], 4, GOLDEN)) * 13);
   
   // Generate planets
   const planets = [];
   for (let i = 0; i < planetCount; i++) {
-    const planetSeed = coordHash(x, y, z, 100 + i);
+    const planetSeed = hashCoords([x, y, z], 100 + i, GOLDEN);
     const typeRoll = hashToFloat(planetSeed);
     const typeIndex = Math.floor(typeRoll * PLANET_TYPES.length);
     const orbitalRadius = 0.4 + 0.3 * Math.pow(2, i) * (0.7 + 0.6 * hashToFloat(planetSeed + 1));
@@ -101,9 +70,9 @@ function generateStarSystem(x, y, z, universeSeed = 42) {
   // System name from hash
   const nameParts = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa'];
   const suffixes = ['Prime', 'Major', 'Minor', 'Proxima', 'Ultima', 'Nova', 'Centauri', 'Reticuli'];
-  const namePart1 = nameParts[Math.floor(hashToFloat(coordHash(x, y, z, 5)) * nameParts.length)];
-  const namePart2 = suffixes[Math.floor(hashToFloat(coordHash(x, y, z, 6)) * suffixes.length)];
-  const nameNum = Math.floor(hashToFloat(coordHash(x, y, z, 7)) * 9999);
+  const namePart1 = nameParts[Math.floor(hashToFloat(hashCoords([x, y, z], 5, GOLDEN)) * nameParts.length)];
+  const namePart2 = suffixes[Math.floor(hashToFloat(hashCoords([x, y, z], 6, GOLDEN)) * suffixes.length)];
+  const nameNum = Math.floor(hashToFloat(hashCoords([x, y, z], 7, GOLDEN)) * 9999);
   
   return {
     seed: systemSeed,
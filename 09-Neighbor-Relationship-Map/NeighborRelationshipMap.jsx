@@ -1,135 +1,22 @@
 import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
+import { murmurUnit2D as hash } from '../shared/hash.js';
+import { createPcgSimplex2D, stackOctaves } from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // NEIGHBOR RELATIONSHIP MAP
 // Demonstrates spatial coherence through coherent noise vs Tribonacci discontinuity
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────────
-// PURE HASH FUNCTIONS (Deterministic, no external dependencies)
-// ─────────────────────────────────────────────────────────────────────────────────
-
-// SplitMix64-style hash for coordinate-based generation
-const hash = (x, y, seed = 0) => {
-  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
-  h = Math.imul(h ^ (h >>> 15), 1831565813);
-  h = Math.imul(h ^ (h >>> 13), 1423966843);
-  h = (h ^ (h >>> 16)) >>> 0;
-  return h / 4294967296; // Normalize to [0, 1]
-};
-
-// PCG-style permutation for additional randomness
-const pcg = (seed) => {
-  let state = (seed * 747796405 + 2891336453) >>> 0;
-  let word = (((state >>> ((state >>> 28) + 4)) ^ state) * 277803737) >>> 0;
-  return ((word >>> 22) ^ word) >>> 0;
-};
-
 // ─────────────────────────────────────────────────────────────────────────────────
 // SIMPLEX-LIKE COHERENT NOISE (2D Implementation)
 // ─────────────────────────────────────────────────────────────────────────────────
 
-// Gradient vectors for 2D simplex noise
-const GRAD2 = [
-  [1, 1], [-1, 1], [1, -1], [-1, -1],
-  [1, 0], [-1, 0], [0, 1], [0, -1],
-  [1, 1], [-1, 1], [1, -1], [-1, -1]
-];
-
-// Permutation table seeded by input
-const createPermTable = (seed) => {
-  const perm = new Array(512);
-  const base = new Array(256);
-  
-  for (let i = 0; i < 256; i++) base[i] = i;
-  
-  // Fisher-Yates shuffle with deterministic seed
-  let s = seed >>> 0;
-  for (let i = 255; i > 0; i--) {
-    s = pcg(s);
-    const j = s % (i + 1);
-    [base[i], base[j]] = [base[j], base[i]];
-  }
-  
-  for (let i = 0; i < 512; i++) perm[i] = base[i & 255];
-  return perm;
-};
-
-// 2D Simplex noise implementation
-const simplex2D = (x, y, perm) => {
-  const F2 = 0.5 * (Math.sqrt(3) - 1);
-  const G2 = (3 - Math.sqrt(3)) / 6;
-  
-  // Skew input space
-  const s = (x + y) * F2;
-  const i = Math.floor(x + s);
-  const j = Math.floor(y + s);
-  
-  // Unskew back
-  const t = (i + j) * G2;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  
-  // Determine simplex
-  const i1 = x0 > y0 ? 1 : 0;
-  const j1 = x0 > y0 ? 0 : 1;
-  
-  const x1 = x0 - i1 + G2;
-  const y1 = y0 - j1 + G2;
-  const x2 = x0 - 1 + 2 * G2;
-  const y2 = y0 - 1 + 2 * G2;
-  
-  // Hash coordinates
-  const ii = ((i % 256) + 256) % 256;
-  const jj = ((j % 256) + 256) % 256;
-  
-  const gi0 = perm[ii + perm[jj]] % 12;
-  const gi1 = perm[ii + i1 + perm[jj + j1]] % 12;
-  const gi2 = perm[ii + 1 + perm[jj + 1]] % 12;
-  
-  // Calculate contributions
-  let n0 = 0, n1 = 0, n2 = 0;
-  
-  let t0 = 0.5 - x0 * x0 - y0 * y0;
-  if (t0 >= 0) {
-    t0 *= t0;
-    n0 = t0 * t0 * (GRAD2[gi0][0] * x0 + GRAD2[gi0][1] * y0);
-  }
-  
-  let t1 = 0.5 - x1 * x1 - y1 * y1;
-  if (t1 >= 0) {
-    t1 *= t1;
-    n1 = t1 * t1 * (GRAD2[gi1][0] * x1 + GRAD2[gi1][1] * y1);
-  }
-  
-  let t2 = 0.5 - x2 * x2 - y2 * y2;
-  if (t2 >= 0) {
-    t2 *= t2;
-    n2 = t2 * t2 * (GRAD2[gi2][0] * x2 + GRAD2[gi2][1] * y2);
-  }
-  
-  // Scale to [0, 1]
-  return (70 * (n0 + n1 + n2) + 1) / 2;
-};
+// 2D simplex on a pcgStep32-shuffled permutation table, scaled to [0, 1].
+// createPcgSimplex2D(seed) in shared/noise.js builds one generator per seed.
 
 // Fractal Brownian Motion for multi-octave noise
-const fbm = (x, y, perm, octaves = 4, persistence = 0.5, lacunarity = 2) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * simplex2D(x * frequency, y * frequency, perm);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return value / maxValue;
-};
+const fbm = (x, y, simplex2D, octaves = 4, persistence = 0.5, lacunarity = 2) =>
+  stackOctaves((f) => simplex2D(x * f, y * f), octaves, persistence, lacunarity);
 
 // ─────────────────────────────────────────────────────────────────────────────────
 // TRIBONACCI-STYLE WHITE NOISE (Simulates discontinuity)
@@ -235,7 +122,7 @@ export default function NeighborRelationshipMap() {
   // MEMOIZED NOISE DATA
   // ─────────────────────────────────────────────────────────────────────────────
   
-  const permTable = useMemo(() => createPermTable(seed), [seed]);
+  const simplex2D = useMemo(() => createPcgSimplex2D(seed), [seed]);
   
   const noiseGrids = useMemo(() => {
     const coherent = [];
@@ -245,7 +132,7 @@ export default function NeighborRelationshipMap() {
       const coherentRow = [];
       const tribonacciRow = [];
       for (let x = 0; x < gridSize; x++) {
-        coherentRow.push(fbm(x * noiseScale, y * noiseScale, permTable, octaves));
+        coherentRow.push(fbm(x * noiseScale, y * noiseScale, simplex2D, octaves));
         tribonacciRow.push(tribonacciNoise(x, y, seed));
       }
       coherent.push(coherentRow);
@@ -253,7 +140,7 @@ export default function NeighborRelationshipMap() {
     }
     
     return { coherent, tribonacci };
-  }, [seed, gridSize, noiseScale, octaves, permTable]);
+  }, [seed, gridSize, noiseScale, octaves, simplex2D]);
   
   // ─────────────────────────────────────────────────────────────────────────────
   // RELATIONSHIP DATA FOR SELECTED CELL
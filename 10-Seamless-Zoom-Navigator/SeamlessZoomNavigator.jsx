@@ -1,4 +1,6 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { mulXorUnit3D as hash } from '../shared/hash.js';
+import { unitValue2D, unitGradient2D, stackOctaves } from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SEAMLESS ZOOM NAVIGATOR
@@ -7,101 +9,26 @@ import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react'
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// PURE MATH UTILITIES (No external dependencies)
+// PURE MATH UTILITIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
-// SplitMix64-style hash - bijective, excellent distribution
-const hash = (x, y, z, seed = 0) => {
-  let h = (x * 374761393 + y * 668265263 + z * 1274126177 + seed * 1911520717) >>> 0;
-  h = ((h ^ (h >>> 15)) * 2246822519) >>> 0;
-  h = ((h ^ (h >>> 13)) * 3266489917) >>> 0;
-  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
-};
-
 // Multi-salt hash for independent layers
 const layeredHash = (x, y, z, layer, seed) => {
   const salts = [0x9E3779B9, 0x85EBCA6B, 0xC2B2AE35, 0x27D4EB2F, 0x165667B1];
   return hash(x, y, z, seed + salts[layer % salts.length]);
 };
 
-// Smooth interpolation
-const smoothstep = (t) => t * t * (3 - 2 * t);
+// Linear interpolation
 const lerp = (a, b, t) => a + (b - a) * t;
 
-// 2D gradient vectors for simplex-like noise
-const grad2 = [
-  [1, 1], [-1, 1], [1, -1], [-1, -1],
-  [1, 0], [-1, 0], [0, 1], [0, -1],
-  [0.7071, 0.7071], [-0.7071, 0.7071], [0.7071, -0.7071], [-0.7071, -0.7071]
-];
-
-// Value noise with smooth interpolation
-const valueNoise = (x, y, seed) => {
-  const ix = Math.floor(x);
-  const iy = Math.floor(y);
-  const fx = x - ix;
-  const fy = y - iy;
-  
-  const sx = smoothstep(fx);
-  const sy = smoothstep(fy);
-  
-  const n00 = hash(ix, iy, 0, seed);
-  const n10 = hash(ix + 1, iy, 0, seed);
-  const n01 = hash(ix, iy + 1, 0, seed);
-  const n11 = hash(ix + 1, iy + 1, 0, seed);
-  
-  return lerp(
-    lerp(n00, n10, sx),
-    lerp(n01, n11, sx),
-    sy
-  );
-};
-
-// Gradient noise (Perlin-style) for smoother results
-const gradientNoise = (x, y, seed) => {
-  const ix = Math.floor(x);
-  const iy = Math.floor(y);
-  const fx = x - ix;
-  const fy = y - iy;
-  
-  const sx = smoothstep(fx);
-  const sy = smoothstep(fy);
-  
-  const getGrad = (gx, gy) => {
-    const h = Math.floor(hash(gx, gy, 0, seed) * 12);
-    return grad2[h];
-  };
-  
-  const dot = (g, dx, dy) => g[0] * dx + g[1] * dy;
-  
-  const n00 = dot(getGrad(ix, iy), fx, fy);
-  const n10 = dot(getGrad(ix + 1, iy), fx - 1, fy);
-  const n01 = dot(getGrad(ix, iy + 1), fx, fy - 1);
-  const n11 = dot(getGrad(ix + 1, iy + 1), fx - 1, fy - 1);
-  
-  return lerp(
-    lerp(n00, n10, sx),
-    lerp(n01, n11, sx),
-    sy
-  ) * 0.5 + 0.5;
-};
+// Cubic-faded value noise and 12-gradient noise on mulXorUnit3D, both [0, 1]
+// (shared/noise.js unitValue2D and unitGradient2D)
+const valueNoise = unitValue2D;
+const gradientNoise = unitGradient2D;
 
 // Fractal Brownian Motion - multi-octave coherent noise
-const fbm = (x, y, octaves, persistence, lacunarity, seed) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * gradientNoise(x * frequency, y * frequency, seed + i * 1000);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return value / maxValue;
-};
+const fbm = (x, y, octaves, persistence, lacunarity, seed) =>
+  stackOctaves((f, i) => gradientNoise(x * f, y * f, seed + i * 1000), octaves, persistence, lacunarity);
 
 // Domain warping for organic patterns
 const warpedNoise = (x, y, seed, warpStrength = 0.5) => {
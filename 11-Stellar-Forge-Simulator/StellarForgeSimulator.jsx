@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { muellerHash3D as coordHash, saltedUnitFast as hashToFloat } from '../shared/hash.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STELLAR FORGE SIMULATOR
@@ -6,31 +7,6 @@ import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 // Shows: Mass → Luminosity → Temperature → Spectral Class derivation chain
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────
-// PURE HASH FUNCTIONS (Position-is-Seed Paradigm)
-// ─────────────────────────────────────────────────────────────────────────────
-
-const splitmix64 = (seed) => {
-  let z = BigInt(seed) + 0x9e3779b97f4a7c15n;
-  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
-  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
-  z = z ^ (z >> 31n);
-  return Number(z & 0xffffffffn) / 0xffffffff;
-};
-
-const coordHash = (x, y, z, salt = 0) => {
-  const prime1 = 198491317;
-  const prime2 = 6542989;
-  const prime3 = 357239;
-  let hash = Math.abs(x * prime1 ^ y * prime2 ^ z * prime3 ^ salt);
-  hash = ((hash >> 16) ^ hash) * 0x45d9f3b;
-  hash = ((hash >> 16) ^ hash) * 0x45d9f3b;
-  hash = (hash >> 16) ^ hash;
-  return hash >>> 0;
-};
-
-const hashToFloat = (seed, salt = 0) => splitmix64(seed ^ (salt * 2654435761));
-
 // ─────────────────────────────────────────────────────────────────────────────
 // STELLAR PHYSICS ENGINE
 // ─────────────────────────────────────────────────────────────────────────────
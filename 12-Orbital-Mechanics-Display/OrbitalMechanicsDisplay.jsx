@@ -1,4 +1,5 @@
 import React, { useState, useMemo, useCallback } from 'react';
+import { primeHash3DWords as hashCoord, wordsToFloatClosed as hashToFloat, wordsToRangeClosed as hashToRange } from '../shared/hash.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // ORBITAL MECHANICS DISPLAY
@@ -6,30 +7,6 @@ import React, { useState, useMemo, useCallback } from 'react';
 // planetary system characteristics through pure functional derivation.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────
-// HASH UTILITIES: Position-is-Seed Paradigm
-// ─────────────────────────────────────────────────────────────────────────────
-
-const splitmix64 = (seed) => {
-  let z = (seed += 0x9e3779b97f4a7c15n);
-  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
-  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
-  return z ^ (z >> 31n);
-};
-
-const hashCoord = (x, y, z, salt = 0n) => {
-  const combined = BigInt(x) * 73856093n ^ BigInt(y) * 19349663n ^ BigInt(z) * 83492791n ^ BigInt(salt);
-  return splitmix64(combined & 0xFFFFFFFFFFFFFFFFn);
-};
-
-const hashToFloat = (hash) => {
-  return Number(hash & 0xFFFFFFn) / 0xFFFFFF;
-};
-
-const hashToRange = (hash, min, max) => {
-  return min + hashToFloat(hash) * (max - min);
-};
-
 // ─────────────────────────────────────────────────────────────────────────────
 // STELLAR CLASSIFICATION: Parent Entity Generation
 // ─────────────────────────────────────────────────────────────────────────────
@@ -45,7 +22,7 @@ const SPECTRAL_CLASSES = {
 };
 
 const generateStar = (seed) => {
-  const starHash = hashCoord(seed, 0, 0, 1n);
+  const starHash = hashCoord(seed, 0, 0, 1);
   const classRoll = hashToFloat(starHash);
   
   // Weighted spectral class selection based on stellar population
@@ -60,16 +37,16 @@ const generateStar = (seed) => {
   }
   
   const classData = SPECTRAL_CLASSES[spectralClass];
-  const propHash1 = hashCoord(seed, 1, 0, 2n);
-  const propHash2 = hashCoord(seed, 2, 0, 3n);
-  const propHash3 = hashCoord(seed, 3, 0, 4n);
-  const propHash4 = hashCoord(seed, 4, 0, 5n);
+  const propHash1 = hashCoord(seed, 1, 0, 2);
+  const propHash2 = hashCoord(seed, 2, 0, 3);
+  const propHash3 = hashCoord(seed, 3, 0, 4);
+  const propHash4 = hashCoord(seed, 4, 0, 5);
   
   const temperature = hashToRange(propHash1, classData.tempRange[0], classData.tempRange[1]);
   const mass = hashToRange(propHash2, classData.massRange[0], classData.massRange[1]);
   const luminosity = hashToRange(propHash3, classData.luminosityRange[0], classData.luminosityRange[1]);
   const metallicity = hashToRange(propHash4, 0.001, 0.04); // Solar metallicity ~0.02
-  const age = hashToRange(hashCoord(seed, 5, 0, 6n), 0.1, 10); // Billion years
+  const age = hashToRange(hashCoord(seed, 5, 0, 6), 0.1, 10); // Billion years
   
   // Stellar radius from mass-luminosity relation
   const radius = Math.pow(mass, 0.8);
@@ -145,7 +122,7 @@ const PLANET_TYPES = {
 // ─────────────────────────────────────────────────────────────────────────────
 
 const generatePlanet = (star, zones, planetIndex, starSeed) => {
-  const planetSeed = hashCoord(starSeed, planetIndex, 100, 7n);
+  const planetSeed = hashCoord(starSeed, planetIndex, 100, 7);
   
   // Orbital radius using Titius-Bode variant, scaled by stellar mass
   const baseAU = 0.4 + 0.3 * Math.pow(2, planetIndex);
@@ -165,15 +142,15 @@ const generatePlanet = (star, zones, planetIndex, starSeed) => {
   let planetType;
   let mass, radius;
   
-  const typeHash = hashToFloat(hashCoord(starSeed, planetIndex, 200, 8n));
-  const massHash = hashToFloat(hashCoord(starSeed, planetIndex, 300, 9n));
-  const sizeHash = hashToFloat(hashCoord(starSeed, planetIndex, 400, 10n));
+  const typeHash = hashToFloat(hashCoord(starSeed, planetIndex, 200, 8));
+  const massHash = hashToFloat(hashCoord(starSeed, planetIndex, 300, 9));
+  const sizeHash = hashToFloat(hashCoord(starSeed, planetIndex, 400, 10));
   
   if (orbitalRadius > zones.frostLine) {
     // Beyond frost line: giants more likely
     const giantChance = 0.7 - planetIndex * 0.05;
     if (typeHash < giantChance) {
-      if (hashToFloat(hashCoord(starSeed, planetIndex, 500, 11n)) < 0.6) {
+      if (hashToFloat(hashCoord(starSeed, planetIndex, 500, 11)) < 0.6) {
         planetType = 'GAS_GIANT';
         mass = 50 + 250 * massHash;
         radius = 9 + 3 * sizeHash;
@@ -243,19 +220,19 @@ const generatePlanet = (star, zones, planetIndex, starSeed) => {
   
   // Moons based on planet type
   let moonCount = 0;
-  const moonHash = hashToFloat(hashCoord(starSeed, planetIndex, 600, 12n));
+  const moonHash = hashToFloat(hashCoord(starSeed, planetIndex, 600, 12));
   if (planetType === 'GAS_GIANT') {
     moonCount = Math.floor(3 + 15 * moonHash);
   } else if (planetType === 'ICE_GIANT') {
     moonCount = Math.floor(1 + 10 * moonHash);
   } else if (moonHash < 0.35 && mass > 0.1) {
-    moonCount = Math.floor(1 + 2 * hashToFloat(hashCoord(starSeed, planetIndex, 700, 13n)));
+    moonCount = Math.floor(1 + 2 * hashToFloat(hashCoord(starSeed, planetIndex, 700, 13)));
   }
   
   // Generate planet name
   const greekLetters = ['α', 'β', 'γ', 'δ', 'ε', 'ζ', 'η', 'θ', 'ι', 'κ'];
   const romanNumerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
-  const nameStyle = hashToFloat(hashCoord(starSeed, planetIndex, 800, 14n));
+  const nameStyle = hashToFloat(hashCoord(starSeed, planetIndex, 800, 14));
   const designation = nameStyle < 0.5 
     ? `${greekLetters[planetIndex % 10]}` 
     : romanNumerals[planetIndex % 10];
@@ -283,7 +260,7 @@ const generatePlanetarySystem = (star, starSeed) => {
   const zones = calculateZones(star);
   
   // Planet count influenced by stellar mass and metallicity
-  const countHash = hashToFloat(hashCoord(starSeed, 0, 1000, 15n));
+  const countHash = hashToFloat(hashCoord(starSeed, 0, 1000, 15));
   const basePlanets = Math.floor(3 + 7 * countHash * (star.metallicity / 0.02));
   const planetCount = Math.min(10, Math.max(2, basePlanets));
   
@@ -731,7 +708,7 @@ export default function OrbitalMechanicsDisplay() {
               {planets.map((planet, i) => {
                 const orbitRadius = planet.orbitalRadius * scale;
                 const planetSize = Math.max(4, Math.min(16, planet.radius * 1.5));
-                const initialAngle = hashToFloat(hashCoord(seed, i, 999, 99n)) * Math.PI * 2;
+                const initialAngle = hashToFloat(hashCoord(seed, i, 999, 99)) * Math.PI * 2;
                 const animationDuration = animateOrbits ? Math.max(5, planet.orbitalPeriod * 3) : 0;
                 
                 return (
@@ -1,161 +1,36 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { hashCoords } from '../shared/hash.js';
+import { offsetSimplex3D, offsetSimplex3DDeriv, stackOctaves, stackOctavesDeriv } from '../shared/noise.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // PLANETARY SURFACE RENDERER
 // Multi-octave terrain heightfield generation with coordinate-addressable hashing
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Hash Functions: Position-is-seed paradigm
-// ─────────────────────────────────────────────────────────────────────────────
-
-const splitmix64 = (seed) => {
-  let z = (seed += 0x9e3779b97f4a7c15n);
-  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
-  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
-  return z ^ (z >> 31n);
-};
-
-const hash3D = (x, y, z, seed) => {
-  const bx = BigInt(Math.floor(x * 1000000));
-  const by = BigInt(Math.floor(y * 1000000));
-  const bz = BigInt(Math.floor(z * 1000000));
-  const bs = BigInt(seed);
-  const combined = bx ^ (by * 31n) ^ (bz * 997n) ^ (bs * 65537n);
-  const h = splitmix64(combined & 0xffffffffffffffffn);
-  return Number(h & 0xffffffffn) / 0xffffffff;
-};
-
 // ─────────────────────────────────────────────────────────────────────────────
 // Simplex Noise Implementation (3D)
 // Superior to Perlin: O(n²) complexity, C² gradient continuity, no grid artifacts
 // ─────────────────────────────────────────────────────────────────────────────
 
-const F3 = 1.0 / 3.0;
-const G3 = 1.0 / 6.0;
-
-const grad3 = [
-  [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-  [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-  [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
-];
-
-const permutation = (() => {
-  const p = [];
-  for (let i = 0; i < 256; i++) p[i] = i;
-  // Fisher-Yates shuffle with fixed seed for determinism
-  let seed = 12345;
-  for (let i = 255; i > 0; i--) {
-    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-    const j = seed % (i + 1);
-    [p[i], p[j]] = [p[j], p[i]];
-  }
-  return [...p, ...p]; // Double for overflow protection
-})();
-
-const simplex3D = (x, y, z, seed = 0) => {
-  // Apply seed offset for different noise instances
-  x += (seed % 1000) * 17.31;
-  y += (seed % 777) * 23.47;
-  z += (seed % 523) * 29.53;
-  
-  // Skew input to simplex cell
-  const s = (x + y + z) * F3;
-  const i = Math.floor(x + s);
-  const j = Math.floor(y + s);
-  const k = Math.floor(z + s);
-  
-  // Unskew back to (x,y,z) space
-  const t = (i + j + k) * G3;
-  const X0 = i - t;
-  const Y0 = j - t;
-  const Z0 = k - t;
-  const x0 = x - X0;
-  const y0 = y - Y0;
-  const z0 = z - Z0;
-  
-  // Determine simplex traversal order
-  let i1, j1, k1, i2, j2, k2;
-  if (x0 >= y0) {
-    if (y0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=1; k2=0; }
-    else if (x0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=0; k2=1; }
-    else { i1=0; j1=0; k1=1; i2=1; j2=0; k2=1; }
-  } else {
-    if (y0 < z0) { i1=0; j1=0; k1=1; i2=0; j2=1; k2=1; }
-    else if (x0 < z0) { i1=0; j1=1; k1=0; i2=0; j2=1; k2=1; }
-    else { i1=0; j1=1; k1=0; i2=1; j2=1; k2=0; }
-  }
-  
-  // Offsets for remaining corners
-  const x1 = x0 - i1 + G3;
-  const y1 = y0 - j1 + G3;
-  const z1 = z0 - k1 + G3;
-  const x2 = x0 - i2 + 2.0 * G3;
-  const y2 = y0 - j2 + 2.0 * G3;
-  const z2 = z0 - k2 + 2.0 * G3;
-  const x3 = x0 - 1.0 + 3.0 * G3;
-  const y3 = y0 - 1.0 + 3.0 * G3;
-  const z3 = z0 - 1.0 + 3.0 * G3;
-  
-  // Hash coordinates
-  const ii = i & 255;
-  const jj = j & 255;
-  const kk = k & 255;
-  
-  // Calculate contributions from four corners
-  let n0 = 0, n1 = 0, n2 = 0, n3 = 0;
-  
-  let t0 = 0.6 - x0*x0 - y0*y0 - z0*z0;
-  if (t0 > 0) {
-    t0 *= t0;
-    const gi0 = permutation[ii + permutation[jj + permutation[kk]]] % 12;
-    n0 = t0 * t0 * (grad3[gi0][0]*x0 + grad3[gi0][1]*y0 + grad3[gi0][2]*z0);
-  }
-  
-  let t1 = 0.6 - x1*x1 - y1*y1 - z1*z1;
-  if (t1 > 0) {
-    t1 *= t1;
-    const gi1 = permutation[ii+i1 + permutation[jj+j1 + permutation[kk+k1]]] % 12;
-    n1 = t1 * t1 * (grad3[gi1][0]*x1 + grad3[gi1][1]*y1 + grad3[gi1][2]*z1);
-  }
-  
-  let t2 = 0.6 - x2*x2 - y2*y2 - z2*z2;
-  if (t2 > 0) {
-    t2 *= t2;
-    const gi2 = permutation[ii+i2 + permutation[jj+j2 + permutation[kk+k2]]] % 12;
-    n2 = t2 * t2 * (grad3[gi2][0]*x2 + grad3[gi2][1]*y2 + grad3[gi2][2]*z2);
-  }
-  
-  let t3 = 0.6 - x3*x3 - y3*y3 - z3*z3;
-  if (t3 > 0) {
-    t3 *= t3;
-    const gi3 = permutation[ii+1 + permutation[jj+1 + permutation[kk+1]]] % 12;
-    n3 = t3 * t3 * (grad3[gi3][0]*x3 + grad3[gi3][1]*y3 + grad3[gi3][2]*z3);
-  }
-  
-  return 32.0 * (n0 + n1 + n2 + n3); // Scale to [-1, 1]
-};
+// Fixed LCG-shuffled table; the seed offsets the sample domain so every
+// instance reads a different region (shared/noise.js offsetSimplex3D)
+const simplex3D = offsetSimplex3D;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Fractal Brownian Motion (fBm)
 // Stack octaves with controlled persistence and lacunarity
 // ─────────────────────────────────────────────────────────────────────────────
 
-const fbm3D = (x, y, z, octaves, persistence, lacunarity, seed) => {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * simplex3D(x * frequency, y * frequency, z * frequency, seed + i * 1000);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return value / maxValue; // Normalize to [-1, 1]
-};
+// Normalized to [-1, 1]
+const fbm3D = (x, y, z, octaves, persistence, lacunarity, seed) =>
+  stackOctaves((f, i) => simplex3D(x * f, y * f, z * f, seed + i * 1000), octaves, persistence, lacunarity);
+
+// fbm3D with its analytic gradient: [value, ∂/∂x, ∂/∂y, ∂/∂z]
+const fbm3DDeriv = (x, y, z, octaves, persistence, lacunarity, seed) =>
+  stackOctavesDeriv(
+    (f, i, out) => offsetSimplex3DDeriv(x * f, y * f, z * f, seed + i * 1000, out),
+    octaves, persistence, lacunarity
+  );
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Terrain Height Generation
@@ -230,6 +105,54 @@ const getTerrainHeight = (lat, lon, params) => {
   return { height, components };
 };
 
+// getTerrainHeight plus the height gradient in noise space (the unit-sphere
+// x, y, z of latLonTo3D), carried through every layer by the chain rule.
+// Height and components are bit-identical to getTerrainHeight.
+const getTerrainGradient = (lat, lon, params) => {
+  const { x, y, z } = latLonTo3D(lat, lon);
+  const {
+    seed, continentalScale, mountainScale, detailScale, warpStrength,
+    continentalWeight, mountainWeight, detailWeight, warpWeight
+  } = params;
+  
+  const c = fbm3DDeriv(x * continentalScale, y * continentalScale, z * continentalScale, 4, 0.5, 2.0, seed);
+  const m = fbm3DDeriv(x * mountainScale, y * mountainScale, z * mountainScale, 6, 0.5, 2.0, seed + 1000);
+  const d = fbm3DDeriv(x * detailScale, y * detailScale, z * detailScale, 4, 0.4, 2.5, seed + 2000);
+  
+  // Warped layer samples at q = 4p + warpStrength · (warpX, warpY, 0)
+  const wx = fbm3DDeriv(x * 4 + 5.2, y * 4 + 1.3, z * 4, 3, 0.5, 2.0, seed + 3000);
+  const wy = fbm3DDeriv(x * 4, y * 4 + 9.1, z * 4, 3, 0.5, 2.0, seed + 4000);
+  const w = fbm3DDeriv(
+    x * 4 + wx[0] * warpStrength,
+    y * 4 + wy[0] * warpStrength,
+    z * 4,
+    5, 0.5, 2.0, seed + 5000
+  );
+  
+  const components = { continental: c[0], mountains: m[0], detail: d[0], warped: w[0] };
+  const land = Math.max(0, c[0]);
+  const height =
+    c[0] * continentalWeight +
+    (m[0] * land) * mountainWeight +
+    d[0] * detailWeight +
+    w[0] * warpWeight;
+  
+  const gradient = [0, 0, 0];
+  for (let a = 1; a <= 3; a++) {
+    const dC = c[a] * continentalScale;
+    const dMountain = m[a] * mountainScale * land + (c[0] > 0 ? m[0] * dC : 0);
+    const dD = d[a] * detailScale;
+    // ∂q/∂p_a, one column of the warp Jacobian
+    const qx = (a === 1 ? 4 : 0) + warpStrength * 4 * wx[a];
+    const qy = (a === 2 ? 4 : 0) + warpStrength * 4 * wy[a];
+    const qz = a === 3 ? 4 : 0;
+    const dW = w[1] * qx + w[2] * qy + w[3] * qz;
+    gradient[a - 1] = dC * continentalWeight + dMountain * mountainWeight + dD * detailWeight + dW * warpWeight;
+  }
+  
+  return { height, components, gradient };
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Color Mapping for Terrain Visualization
 // ─────────────────────────────────────────────────────────────────────────────
@@ -246,6 +169,9 @@ const terrainColorMap = (height, waterLevel) => {
   return { r: 240, g: 240, b: 250 };                                // Snow peak
 };
 
+// Background stars: pixel coordinates on a 1e-6 lattice
+const STAR_LATTICE = { scheme: 'quantized', scale: 1000000 };
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Main Component
 // ─────────────────────────────────────────────────────────────────────────────
@@ -269,6 +195,7 @@ export default function PlanetarySurfaceRenderer() {
   const [detailWeight, setDetailWeight] = useState(0.1);
   const [warpWeight, setWarpWeight] = useState(0.1);
   const [waterLevel, setWaterLevel] = useState(0);
+  const [relief, setRelief] = useState(0.03);
   
   // Query state
   const [queryLat, setQueryLat] = useState(0);
@@ -326,13 +253,26 @@ export default function PlanetarySurfaceRenderer() {
           const lat = Math.asin(dy) * 180 / Math.PI;
           const lon = Math.atan2(rx, rz) * 180 / Math.PI;
           
-          // Get terrain height
-          const { height: terrainHeight } = getTerrainHeight(lat, lon, params);
+          // Get terrain height and its gradient
+          const { height: terrainHeight, gradient: slope } = getTerrainGradient(lat, lon, params);
           
-          // Apply lighting (simple diffuse)
+          // Surface normal: the sphere normal tilted against the tangential
+          // height gradient. Noise space (x, y, z) is view space (rz, rx, dy).
+          // Water stays flat.
+          let nx = rx, ny = dy, nz = rz;
+          if (terrainHeight >= waterLevel && relief > 0) {
+            const gx = slope[1], gy = slope[2], gz = slope[0];
+            const radial = gx * nx + gy * ny + gz * nz;
+            nx -= relief * (gx - radial * rx);
+            ny -= relief * (gy - radial * dy);
+            nz -= relief * (gz - radial * rz);
+            const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            nx /= len; ny /= len; nz /= len;
+          }
+          
+          // Apply lighting (diffuse on the surface normal)
           const lightDir = { x: 0.5, y: -0.5, z: 0.7 };
           const lightLen = Math.sqrt(lightDir.x**2 + lightDir.y**2 + lightDir.z**2);
-          const nx = rx, ny = dy, nz = rz;
           const light = Math.max(0.2, (nx * lightDir.x + ny * lightDir.y + nz * lightDir.z) / lightLen);
           
           // Get color
@@ -346,7 +286,7 @@ export default function PlanetarySurfaceRenderer() {
         } else {
           // Space background with stars
           const idx = (py * width + px) * 4;
-          const starNoise = hash3D(px * 0.01, py * 0.01, 0, seed);
+          const starNoise = hashCoords([px * 0.01, py * 0.01], seed, STAR_LATTICE);
           if (starNoise > 0.997) {
             const brightness = 150 + Math.floor(starNoise * 100);
             data[idx] = brightness;
@@ -372,7 +312,7 @@ export default function PlanetarySurfaceRenderer() {
     gradient.addColorStop(1, 'rgba(100, 180, 255, 0)');
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, width, height);
-  }, [params, waterLevel, seed]);
+  }, [params, waterLevel, relief, seed]);
   
   // Render breakdown mini-spheres
   const renderBreakdown = useCallback((ctx, width, height, rotAngle) => {
@@ -719,6 +659,19 @@ export default function PlanetarySurfaceRenderer() {
                 onChange={(e) => setWaterLevel(parseFloat(e.target.value))}
                 style={{ width: '100%', accentColor: '#4af' }}
               />
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#fc6', margin: '12px 0 4px' }}>
+                <span>◐ Relief Shading</span>
+                <span>{relief.toFixed(2)}</span>
+              </div>
+              <input
+                type="range"
+                min={0}
+                max={0.2}
+                step={0.01}
+                value={relief}
+                onChange={(e) => setRelief(parseFloat(e.target.value))}
+                style={{ width: '100%', accentColor: '#fc6' }}
+              />
             </div>
           </div>
           
@@ -1,48 +1,11 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { xxHash32 as xxHash, pcg32 as pcg, murmurHash32 as murmurHash } from '../shared/hash.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// HASH FUNCTION IMPLEMENTATIONS
-// Pure JavaScript implementations for benchmarking
+// TRIBONACCI BASELINE
+// Hash contenders come from the shared library; the 1984 sequential method stays here
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// xxHash-inspired fast hash (simplified for JS)
-const xxHash = (seed) => {
-  const PRIME1 = 0x9E3779B1;
-  const PRIME2 = 0x85EBCA77;
-  const PRIME3 = 0xC2B2AE3D;
-  let h = seed + PRIME1;
-  h = Math.imul(h ^ (h >>> 15), PRIME2);
-  h = Math.imul(h ^ (h >>> 13), PRIME3);
-  return (h ^ (h >>> 16)) >>> 0;
-};
-
-// PCG (Permuted Congruential Generator)
-const pcg = (seed) => {
-  let state = Math.imul(seed, 747796405) + 2891336453;
-  state = state >>> 0;
-  const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state), 277803737);
-  return ((word >>> 22) ^ word) >>> 0;
-};
-
-// MurmurHash3-inspired
-const murmurHash = (seed) => {
-  const c1 = 0xcc9e2d51;
-  const c2 = 0x1b873593;
-  let h = seed;
-  let k = seed * 0x12345;
-  k = Math.imul(k, c1);
-  k = (k << 15) | (k >>> 17);
-  k = Math.imul(k, c2);
-  h ^= k;
-  h = (h << 13) | (h >>> 19);
-  h = Math.imul(h, 5) + 0xe6546b64;
-  h ^= h >>> 16;
-  h = Math.imul(h, 0x85ebca6b);
-  h ^= h >>> 13;
-  h = Math.imul(h, 0xc2b2ae35);
-  return (h ^ (h >>> 16)) >>> 0;
-};
-
 // Tribonacci (sequential, inherently slower)
 const tribonacciStep = (state) => {
   const temp = (state.s0 + state.s1 + state.s2) & 0xFFFF;
@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { fmixHash2D as hash64, u32ToFloat as hashToFloat } from '../shared/hash.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // SEQUENTIAL VS PARALLEL RACE
@@ -9,17 +10,6 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 // HASH UTILITIES (Position-is-Seed paradigm)
 // ─────────────────────────────────────────────────────────────────────────────
 
-// SplitMix64-style hash - bijective, excellent avalanche
-const hash64 = (x, y, seed) => {
-  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) >>> 0;
-  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b) >>> 0;
-  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
-  return (h ^ (h >>> 16)) >>> 0;
-};
-
-// Convert hash to normalized float [0, 1)
-const hashToFloat = (h) => (h >>> 0) / 4294967296;
-
 // Generate cell color from hash (deterministic)
 const hashToColor = (h) => {
   const hue = (h % 360);
@@ -9,13 +9,6 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 // HASH UTILITIES (Position-is-Seed paradigm) - CPU version for comparison
 // ─────────────────────────────────────────────────────────────────────────────
 
-const hash64 = (x, y, seed) => {
-  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) >>> 0;
-  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b) >>> 0;
-  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
-  return (h ^ (h >>> 16)) >>> 0;
-};
-
 const hashToColor = (h) => {
   const hue = (h % 360);
   const sat = 60 + (h % 40);
@@ -0,0 +1,80 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BEYOND TRIBONACCI — GENERATOR SALTS
+// Every salt the demos consume, one registry per generator. They live here
+// rather than in the components so verify.mjs can list them and run
+// findSaltConflicts across generators without a JSX build.
+//
+// Pinned entries are legacy: the magic numbers a demo shipped with before the
+// registry existed, kept so its worlds stay bit-identical. New names use
+// define(). See "Legacy salts" in README.md for the migration path.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { createSaltRegistry } from './salts.js';
+
+// 01: one hashCoords stream per cell property
+export const COORDINATE_HASH_EXPLORER = createSaltRegistry('coordinate-hash-explorer', {
+  'cell.existence': 0,   // Does anything exist here?
+  'cell.type': 1,        // What category?
+  'cell.temperature': 2, // Thermal properties
+  'cell.density': 3,     // Material density
+  'cell.resources': 4,   // Resource richness
+  'cell.danger': 5,      // Hazard level
+  'cell.special': 6,     // Rare phenomena
+});
+
+// 02: one layer per salt, hashed with pcgHash2D or mixHash2D
+export const PROPERTY_LAYER_VISUALIZER = createSaltRegistry('property-layer-visualizer', {
+  'feature.existence': 0x1A2B3C4D,
+  'feature.type': 0x5E6F7A8B,
+  'feature.resource': 0x9C0D1E2F,
+  'feature.danger': 0x3A4B5C6D,
+});
+
+// 05: particle spawn jitter; x and y are independent streams
+export const WARP_FIELD_DEMONSTRATOR = createSaltRegistry('warp-field-demonstrator');
+WARP_FIELD_DEMONSTRATOR.define('particle.spawnX');
+WARP_FIELD_DEMONSTRATOR.define('particle.spawnY');
+
+// 06: random streams outside the noise layers
+export const LAYERED_TERRAIN_BUILDER = createSaltRegistry('layered-terrain-builder');
+LAYERED_TERRAIN_BUILDER.define('erosion.dropletX');
+LAYERED_TERRAIN_BUILDER.define('erosion.dropletY');
+
+// 07: positional scaledHash2DFast salts, one named stream per property
+export const GALAXY_TO_GRAIN = createSaltRegistry('galaxy-to-grain', {
+  'region.seed': 1,
+  'region.metallicity': 2,
+  'region.age': 3,
+  'cluster.seed': 4,
+  'cluster.x': 5,
+  'cluster.y': 6,
+  'cluster.metallicity': 7,
+  'cluster.age': 8,
+  'star.seed': 9,
+  'star.x': 10,
+  'star.y': 11,
+  'star.class': 12,
+  'star.mass': 13,
+  'star.luminosity': 14,
+  'star.temperature': 15,
+  'star.planetCount': 16,
+  'planet.seed': 17,
+  'planet.orbit': 18,
+  'planet.type': 19,
+  'planet.habitable': 20,
+  'planet.radius': 21,
+  'terrain.seed': 22,
+  'preview.starSize': 100,
+  'preview.starClass': 101,
+  'preview.starX': 102,
+  'preview.starY': 103,
+});
+
+// Every registry above, for findSaltConflicts and the verify.mjs audit
+export const GENERATOR_SALTS = [
+  COORDINATE_HASH_EXPLORER,
+  PROPERTY_LAYER_VISUALIZER,
+  WARP_FIELD_DEMONSTRATOR,
+  LAYERED_TERRAIN_BUILDER,
+  GALAXY_TO_GRAIN,
+];
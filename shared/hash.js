@@ -0,0 +1,828 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BEYOND TRIBONACCI — SHARED HASH LIBRARY
+// One deterministic hash module for every demo, game server and tool.
+// Position is the seed: every function here is a pure function of its inputs.
+//
+// Versioning: any change that alters a single output bit of any export is a
+// breaking change and bumps the major HASH_VERSION. The golden vectors in
+// hash-vectors.json pin every function below bit-for-bit.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const HASH_VERSION = '1.3.0';
+
+const MASK64 = 0xffffffffffffffffn;
+
+// Normalise a number or BigInt seed/salt to an unsigned 64-bit BigInt
+export const toU64 = (value) => BigInt.asUintN(64, BigInt(value));
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// CANONICAL 64-BIT API
+// Use these for new code. Every step wraps at 64 bits, so a server port needs
+// nothing more than uint64_t (C/C++), u64 wrapping ops (Rust) or ulong (C#).
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// SplitMix64 finalizer - bijective, excellent avalanche, strict 64-bit wrapping
+export const splitmix64 = (seed) => {
+  let z = (BigInt(seed) + 0x9e3779b97f4a7c15n) & MASK64;
+  z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK64;
+  z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK64;
+  return z ^ (z >> 31n);
+};
+
+// Coordinate packing multipliers: x, y, z, salt
+export const PACK_X = 0x1f1f1f1fn;
+export const PACK_Y = 0x3d3d3d3dn;
+export const PACK_Z = 0x5b5b5b5bn;
+export const PACK_SALT = 0x7f7f7f7fn;
+
+// 2D coordinate hash: (x, y, salt) → unsigned 64-bit BigInt
+export const coordHash2D = (x, y, salt = 0) => {
+  const packed = BigInt(x) * PACK_X + BigInt(y) * PACK_Y + BigInt(salt) * PACK_SALT;
+  return splitmix64(packed & MASK64);
+};
+
+// 3D coordinate hash. coordHash3D(x, y, 0, salt) === coordHash2D(x, y, salt),
+// so a 2D world can grow a z axis without reshuffling its z = 0 plane.
+export const coordHash3D = (x, y, z, salt = 0) => {
+  const packed = BigInt(x) * PACK_X + BigInt(y) * PACK_Y + BigInt(z) * PACK_Z + BigInt(salt) * PACK_SALT;
+  return splitmix64(packed & MASK64);
+};
+
+// Combine a world seed with a layer salt. Adding them (seed + layer) makes
+// seed 42 / layer 1 collide with seed 43 / layer 0; mixing the seed first
+// keeps every (seed, layer) pair on its own stream.
+export const deriveSalt = (worldSeed, layerSalt = 0) => splitmix64(toU64(worldSeed)) ^ toU64(layerSalt);
+
+const utf8 = new TextEncoder();
+
+// Stable 32-bit salt from a property name such as "star.mass": FNV-1a over the
+// UTF-8 bytes, then the MurmurHash3 finalizer so near-identical names spread
+// apart. shared/salts.js builds its collision-checked registry on top of this.
+export const nameToSalt = (name) => {
+  let h = 0x811c9dc5;
+  for (const byte of utf8.encode(name)) h = Math.imul(h ^ byte, 0x01000193);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// CONVERSIONS (for 64-bit BigInt hashes)
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Low 24 bits → float in [0, 1)
+export const hashToFloat = (hash) => Number(hash & 0xffffffn) / 0x1000000;
+
+// Integer in [0, max)
+export const hashToInt = (hash, max) => Number(hash % BigInt(max));
+
+// Float in [min, max)
+export const hashToRange = (hash, min, max) => unitToRange(hashToFloat(hash), min, max);
+
+// True with the given probability
+export const hashToBool = (hash, probability) => hashToFloat(hash) < probability;
+
+// Fixed-width hex for display and logs
+export const hashToHex = (hash) => (hash & MASK64).toString(16).padStart(16, '0');
+
+// Low 24 bits → float in [0, 1] (closed: divides by 0xFFFFFF)
+export const hashToFloatClosed = (hash) => Number(hash & 0xffffffn) / 0xffffff;
+
+export const hashToRangeClosed = (hash, min, max) => unitToRange(hashToFloatClosed(hash), min, max);
+
+// Conversions for hashes that are already unit floats or 32-bit words
+export const unitToRange = (unit, min, max) => min + unit * (max - min);
+export const unitToBool = (unit, probability) => unit < probability;
+export const u32ToFloat = (h) => (h >>> 0) / 4294967296;
+
+// Float conversion for the 53-bit Number hashes produced by goldenHash3D
+export const hash53ToFloat = (hash) => (hash % 0x1FFFFF) / 0x1FFFFF;
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// 64-BIT VARIANTS
+// Earlier demos shipped these before the canonical API existed. They are kept
+// bit-exact so saved seeds keep producing the same worlds.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// SplitMix64 without intermediate masking (12, 13). BigInt products are allowed
+// to grow past 64 bits, so the result differs from splitmix64 in every bit.
+export const splitmix64Wide = (seed) => {
+  let z = seed + 0x9e3779b97f4a7c15n;
+  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
+  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
+  return z ^ (z >> 31n);
+};
+
+// Unmasked SplitMix64 reduced to a float in [0, 1] from its low 32 bits (07, 11)
+export const splitmix64Unit = (seed) => {
+  let z = BigInt(seed) + 0x9e3779b97f4a7c15n;
+  z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
+  z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
+  z = z ^ (z >> 31n);
+  return Number(z & 0xffffffffn) / 0xffffffff;
+};
+
+// Golden-ratio packed 3D hash → 53-bit safe integer (08). Accepts BigInt
+// coordinates for positions beyond Number.MAX_SAFE_INTEGER.
+export const goldenHash3D = (x, y, z, salt = 0) => {
+  const bx = typeof x === 'bigint' ? x : BigInt(Math.floor(x));
+  const by = typeof y === 'bigint' ? y : BigInt(Math.floor(y));
+  const bz = typeof z === 'bigint' ? z : BigInt(Math.floor(z));
+  const bs = BigInt(salt);
+
+  let h = bx * 0x9E3779B97F4A7C15n;
+  h ^= by * 0x85EBCA6B2F40C2F5n;
+  h ^= bz * 0xC2B2AE3D27D4EB4Fn;
+  h ^= bs * 0x165667B19E3779F9n;
+
+  h ^= h >> 30n;
+  h *= 0xBF58476D1CE4E5B9n;
+  h ^= h >> 27n;
+  h *= 0x94D049BB133111EBn;
+  h ^= h >> 31n;
+
+  return Number(h & 0x1FFFFFFFFFFFFFn);
+};
+
+// Spatial-hash primes XOR-packed into 64 bits, wide finalizer (12)
+export const primeHash3D = (x, y, z, salt = 0n) => {
+  const combined = BigInt(x) * 73856093n ^ BigInt(y) * 19349663n ^ BigInt(z) * 83492791n ^ BigInt(salt);
+  return splitmix64Wide(combined & MASK64);
+};
+
+// Float coordinates quantised to 1e-6, wide finalizer, float in [0, 1] (13)
+export const quantizedHash3D = (x, y, z, seed) => {
+  const bx = BigInt(Math.floor(x * 1000000));
+  const by = BigInt(Math.floor(y * 1000000));
+  const bz = BigInt(Math.floor(z * 1000000));
+  const bs = BigInt(seed);
+  const combined = bx ^ (by * 31n) ^ (bz * 997n) ^ (bs * 65537n);
+  const h = splitmix64Wide(combined & MASK64);
+  return Number(h & 0xffffffffn) / 0xffffffff;
+};
+
+// Float coordinates quantised to 1e-3, 32-bit prime XOR, float in [0, 1] (07)
+export const scaledHash2D = (x, y, salt = 0, seed = 42) => {
+  const a = Math.floor(x * 1000);
+  const b = Math.floor(y * 1000);
+  const combined = (a * 73856093) ^ (b * 19349663) ^ (salt * 83492791) ^ seed;
+  return splitmix64Unit(Math.abs(combined));
+};
+
+// Salted float stream from a 32-bit seed (11)
+export const saltedUnit = (seed, salt = 0) => splitmix64Unit(seed ^ (salt * 2654435761));
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// 32-BIT VARIANTS
+// Number-only hashes. Several multiply without Math.imul and therefore depend
+// on IEEE double rounding; that is deterministic, so they are kept as shipped.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Prime XOR packing with the 0x45d9f3b integer mixer → uint32 (11)
+export const muellerHash3D = (x, y, z, salt = 0) => {
+  const prime1 = 198491317;
+  const prime2 = 6542989;
+  const prime3 = 357239;
+  let hash = Math.abs(x * prime1 ^ y * prime2 ^ z * prime3 ^ salt);
+  hash = ((hash >> 16) ^ hash) * 0x45d9f3b;
+  hash = ((hash >> 16) ^ hash) * 0x45d9f3b;
+  hash = (hash >> 16) ^ hash;
+  return hash >>> 0;
+};
+
+// PCG-style hash → float in [0, 1) (02)
+export const pcgHash2D = (x, y, salt, seed) => {
+  let state = ((x * 374761393) + (y * 668265263) + (salt * 2147483647) + seed) >>> 0;
+  state = ((state ^ (state >> 16)) * 2246822519) >>> 0;
+  state = ((state ^ (state >> 13)) * 3266489917) >>> 0;
+  state = (state ^ (state >> 16)) >>> 0;
+  return state / 4294967296;
+};
+
+// Average of two transposed pcgHash2D lookups for extra entropy (02)
+export const mixHash2D = (x, y, salt, seed) => {
+  const h1 = pcgHash2D(x, y, salt, seed);
+  const h2 = pcgHash2D(y * 31, x * 17, salt + 12345, seed);
+  return (h1 + h2) / 2;
+};
+
+// MurmurHash3 fmix32 over packed coordinates → uint32 (15, 16 and its WGSL twin)
+export const fmixHash2D = (x, y, seed) => {
+  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// xxHash32 avalanche over packed coordinates → float in [0, 1] (03)
+export const xxUnit2D = (x, y, seed) => {
+  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
+  h = Math.imul(h ^ (h >>> 15), 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 3266489917);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+};
+
+// Murmur-style constants over packed coordinates → float in [0, 1) (09)
+export const murmurUnit2D = (x, y, seed = 0) => {
+  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
+  h = Math.imul(h ^ (h >>> 15), 1831565813);
+  h = Math.imul(h ^ (h >>> 13), 1423966843);
+  h = (h ^ (h >>> 16)) >>> 0;
+  return h / 4294967296;
+};
+
+// Double-rounded multiply-xorshift → uint32 (04)
+export const mulXorHash2D = (x, y, seed = 0) => {
+  let h = (x * 374761393 + y * 668265263 + seed * 1013904223) >>> 0;
+  h = ((h ^ (h >>> 13)) * 1274126177) >>> 0;
+  h = ((h ^ (h >>> 16)) * 2654435769) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Signed variant of mulXorHash2D → int32 (06)
+export const mulXorHash2DSigned = (x, y, seed) => {
+  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) | 0;
+  h = ((h ^ (h >>> 13)) * 1274126177) | 0;
+  h = ((h ^ (h >>> 16)) * 1911520717) | 0;
+  h = (h ^ (h >>> 13)) | 0;
+  return h;
+};
+
+// 3D multiply-xorshift → float in [0, 1) (10)
+export const mulXorUnit3D = (x, y, z, seed = 0) => {
+  let h = (x * 374761393 + y * 668265263 + z * 1274126177 + seed * 1911520717) >>> 0;
+  h = ((h ^ (h >>> 15)) * 2246822519) >>> 0;
+  h = ((h ^ (h >>> 13)) * 3266489917) >>> 0;
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SINGLE-WORD MIXERS
+// One 32-bit input, one 32-bit output. Used for permutation shuffles and the
+// throughput benchmark (14).
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// xxHash32-inspired avalanche
+export const xxHash32 = (seed) => {
+  const PRIME1 = 0x9E3779B1;
+  const PRIME2 = 0x85EBCA77;
+  const PRIME3 = 0xC2B2AE3D;
+  let h = seed + PRIME1;
+  h = Math.imul(h ^ (h >>> 15), PRIME2);
+  h = Math.imul(h ^ (h >>> 13), PRIME3);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// PCG RXS-M-XS output permutation, wrapping 32-bit multiplies
+export const pcg32 = (seed) => {
+  let state = Math.imul(seed, 747796405) + 2891336453;
+  state = state >>> 0;
+  const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state), 277803737);
+  return ((word >>> 22) ^ word) >>> 0;
+};
+
+// PCG RXS-M-XS with double-rounded multiplies (09 permutation shuffle)
+export const pcgStep32 = (seed) => {
+  let state = (seed * 747796405 + 2891336453) >>> 0;
+  let word = (((state >>> ((state >>> 28) + 4)) ^ state) * 277803737) >>> 0;
+  return ((word >>> 22) ^ word) >>> 0;
+};
+
+// MurmurHash3-inspired single-block mix
+export const murmurHash32 = (seed) => {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  let h = seed;
+  let k = seed * 0x12345;
+  k = Math.imul(k, c1);
+  k = (k << 15) | (k >>> 17);
+  k = Math.imul(k, c2);
+  h ^= k;
+  h = (h << 13) | (h >>> 19);
+  h = Math.imul(h, 5) + 0xe6546b64;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// FAST PATH (no BigInt)
+// The BigInt functions above stay as the reference. These emulate them with
+// 32-bit words and Math.imul, bit-for-bit, at a fraction of the cost; use them
+// in per-pixel loops. verifyFastPath() checks the two paths against each other.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const TWO_32 = 4294967296;
+
+// High word of the 64-bit product of two uint32. Splitting b into 16-bit
+// halves keeps each partial product below 2^48, so doubles stay exact.
+const mulHi32 = (a, b) => Math.floor((a * (b >>> 16) + Math.floor(a * (b & 0xffff) / 65536)) / 65536);
+
+// Low word of the product of two uint32
+const lo32 = (a, b) => Math.imul(a, b) >>> 0;
+
+// 32-bit word `index` (0 = least significant) of an integer Number or BigInt,
+// in two's complement so negative coordinates wrap exactly like BigInt masking
+const wordAt = (value, index) => {
+  if (typeof value === 'bigint') return Number(BigInt.asUintN(32, value >> BigInt(32 * index)));
+  if (index === 0) return value >>> 0;
+  if (index === 1) return Math.floor(value / TWO_32) >>> 0;
+  // Safe integers only reach the first two words; above that is sign extension
+  if (Number.isSafeInteger(value)) return value < 0 ? 0xffffffff : 0;
+  return Math.floor(value / 2 ** (32 * index)) >>> 0;
+};
+
+// ── 64-bit pairs: a value travels as [hi, lo] ──
+
+// (ahi:alo × bhi:blo) mod 2^64 → out
+const mul64 = (ahi, alo, bhi, blo, out) => {
+  out[0] = (mulHi32(alo, blo) + Math.imul(ahi, blo) + Math.imul(alo, bhi)) >>> 0;
+  out[1] = Math.imul(alo, blo) >>> 0;
+  return out;
+};
+
+// Coordinate packing accumulator: value × k (k < 2^32) is added or XORed into
+// packHi:packLo with 64-bit wrapping. Module-private scratch; every caller
+// resets it and reads it back synchronously.
+let packHi = 0;
+let packLo = 0;
+
+const packAdd = (value, k) => {
+  const vlo = wordAt(value, 0);
+  const lo = packLo + lo32(vlo, k);
+  packHi = (packHi + mulHi32(vlo, k) + Math.imul(wordAt(value, 1), k) + (lo >= TWO_32 ? 1 : 0)) >>> 0;
+  packLo = lo >>> 0;
+};
+
+const packXor = (value, k) => {
+  const vlo = wordAt(value, 0);
+  packHi = (packHi ^ (mulHi32(vlo, k) + Math.imul(wordAt(value, 1), k))) >>> 0;
+  packLo = (packLo ^ lo32(vlo, k)) >>> 0;
+};
+
+// splitmix64 on a [hi, lo] pair
+export const splitmix64Words = (hi, lo, out = [0, 0]) => {
+  let l = lo + 0x7f4a7c15;
+  let h = (hi + 0x9e3779b9 + (l >= TWO_32 ? 1 : 0)) >>> 0;
+  l >>>= 0;
+
+  l = (l ^ ((l >>> 30) | (h << 2))) >>> 0;
+  h = (h ^ (h >>> 30)) >>> 0;
+  mul64(h, l, 0xbf58476d, 0x1ce4e5b9, out);
+  h = out[0]; l = out[1];
+
+  l = (l ^ ((l >>> 27) | (h << 5))) >>> 0;
+  h = (h ^ (h >>> 27)) >>> 0;
+  mul64(h, l, 0x94d049bb, 0x133111eb, out);
+  h = out[0]; l = out[1];
+
+  out[0] = (h ^ (h >>> 31)) >>> 0;
+  out[1] = (l ^ ((l >>> 31) | (h << 1))) >>> 0;
+  return out;
+};
+
+// coordHash2D as a [hi, lo] pair
+export const coordHash2DWords = (x, y, salt = 0, out = [0, 0]) => {
+  packHi = 0;
+  packLo = 0;
+  packAdd(x, 0x1f1f1f1f);
+  packAdd(y, 0x3d3d3d3d);
+  packAdd(salt, 0x7f7f7f7f);
+  return splitmix64Words(packHi, packLo, out);
+};
+
+// coordHash3D as a [hi, lo] pair
+export const coordHash3DWords = (x, y, z, salt = 0, out = [0, 0]) => {
+  packHi = 0;
+  packLo = 0;
+  packAdd(x, 0x1f1f1f1f);
+  packAdd(y, 0x3d3d3d3d);
+  packAdd(z, 0x5b5b5b5b);
+  packAdd(salt, 0x7f7f7f7f);
+  return splitmix64Words(packHi, packLo, out);
+};
+
+// Pair conversions, matching hashToFloat / hashToInt / hashToHex / hashToFloatClosed
+export const wordsToBigInt = (words) => (BigInt(words[0]) << 32n) | BigInt(words[1]);
+export const wordsToFloat = (words) => (words[1] & 0xffffff) / 0x1000000;
+export const wordsToFloatClosed = (words) => (words[1] & 0xffffff) / 0xffffff;
+export const wordsToRange = (words, min, max) => unitToRange(wordsToFloat(words), min, max);
+export const wordsToRangeClosed = (words, min, max) => unitToRange(wordsToFloatClosed(words), min, max);
+export const wordsToBool = (words, probability) => wordsToFloat(words) < probability;
+export const wordsToHex = (words) => words[0].toString(16).padStart(8, '0') + words[1].toString(16).padStart(8, '0');
+
+// (hi·2^32 + lo) mod max, exact for max < 2^26
+export const wordsToInt = (words, max) => ((words[0] % max) * (TWO_32 % max) + (words[1] % max)) % max;
+
+// ── Wide limbs: the unmasked variants let BigInt products grow past 64 bits,
+// and those high bits shift back down into the result. They are emulated with
+// little-endian uint32 limbs truncated at just enough width that every bit the
+// caller reads is exact: 96 bits for a 32-bit result, 160 bits for a 53- or
+// 64-bit result. Partial products are summed per column in doubles (< 2^36)
+// and carried once. ──
+
+// Unmasked SplitMix64 mixing rounds on a 96-bit value → low 32 bits of the result
+const wideMixLow32 = (h0, h1, h2) => {
+  const v0 = (h0 ^ ((h0 >>> 30) | (h1 << 2))) >>> 0;
+  const v1 = (h1 ^ ((h1 >>> 30) | (h2 << 2))) >>> 0;
+  const v2 = (h2 ^ (h2 >>> 30)) >>> 0;
+
+  // y = v × 0xbf58476d1ce4e5b9 mod 2^96
+  const y0 = lo32(v0, 0x1ce4e5b9);
+  let c = mulHi32(v0, 0x1ce4e5b9) + lo32(v0, 0xbf58476d) + lo32(v1, 0x1ce4e5b9);
+  const y1 = c >>> 0;
+  c = Math.floor(c / TWO_32) + mulHi32(v0, 0xbf58476d) + mulHi32(v1, 0x1ce4e5b9) + lo32(v1, 0xbf58476d) + lo32(v2, 0x1ce4e5b9);
+  const y2 = c >>> 0;
+
+  const w0 = (y0 ^ ((y0 >>> 27) | (y1 << 5))) >>> 0;
+  const w1 = (y1 ^ ((y1 >>> 27) | (y2 << 5))) >>> 0;
+
+  // z = w × 0x94d049bb133111eb mod 2^64
+  const z0 = lo32(w0, 0x133111eb);
+  const z1 = (mulHi32(w0, 0x133111eb) + Math.imul(w0, 0x94d049bb) + Math.imul(w1, 0x133111eb)) >>> 0;
+
+  return (z0 ^ ((z0 >>> 31) | (z1 << 1))) >>> 0;
+};
+
+// Unmasked SplitMix64 mixing rounds on a 160-bit value → low 64 bits as [hi, lo]
+const wideMixLow64 = (h0, h1, h2, h3, h4, out) => {
+  const v0 = (h0 ^ ((h0 >>> 30) | (h1 << 2))) >>> 0;
+  const v1 = (h1 ^ ((h1 >>> 30) | (h2 << 2))) >>> 0;
+  const v2 = (h2 ^ ((h2 >>> 30) | (h3 << 2))) >>> 0;
+  const v3 = (h3 ^ ((h3 >>> 30) | (h4 << 2))) >>> 0;
+
+  // y = v × 0xbf58476d1ce4e5b9 mod 2^128
+  const y0 = lo32(v0, 0x1ce4e5b9);
+  let c = mulHi32(v0, 0x1ce4e5b9) + lo32(v0, 0xbf58476d) + lo32(v1, 0x1ce4e5b9);
+  const y1 = c >>> 0;
+  c = Math.floor(c / TWO_32) + mulHi32(v0, 0xbf58476d) + mulHi32(v1, 0x1ce4e5b9) + lo32(v1, 0xbf58476d) + lo32(v2, 0x1ce4e5b9);
+  const y2 = c >>> 0;
+  c = Math.floor(c / TWO_32) + mulHi32(v1, 0xbf58476d) + mulHi32(v2, 0x1ce4e5b9) + lo32(v2, 0xbf58476d) + lo32(v3, 0x1ce4e5b9);
+  const y3 = c >>> 0;
+
+  const w0 = (y0 ^ ((y0 >>> 27) | (y1 << 5))) >>> 0;
+  const w1 = (y1 ^ ((y1 >>> 27) | (y2 << 5))) >>> 0;
+  const w2 = (y2 ^ ((y2 >>> 27) | (y3 << 5))) >>> 0;
+
+  // z = w × 0x94d049bb133111eb mod 2^96
+  const z0 = lo32(w0, 0x133111eb);
+  c = mulHi32(w0, 0x133111eb) + lo32(w0, 0x94d049bb) + lo32(w1, 0x133111eb);
+  const z1 = c >>> 0;
+  c = Math.floor(c / TWO_32) + mulHi32(w0, 0x94d049bb) + mulHi32(w1, 0x133111eb) + lo32(w1, 0x94d049bb) + lo32(w2, 0x133111eb);
+  const z2 = c >>> 0;
+
+  out[0] = (z1 ^ ((z1 >>> 31) | (z2 << 1))) >>> 0;
+  out[1] = (z0 ^ ((z0 >>> 31) | (z1 << 1))) >>> 0;
+  return out;
+};
+
+// (hi:lo + golden gamma) as 96-bit limbs for the 64-bit inputs of 12 and 13
+const gammaScratch = [0, 0, 0];
+const addGamma64 = (hi, lo) => {
+  const l = lo + 0x7f4a7c15;
+  const h = hi + 0x9e3779b9 + (l >= TWO_32 ? 1 : 0);
+  gammaScratch[0] = l >>> 0;
+  gammaScratch[1] = h >>> 0;
+  gammaScratch[2] = h >= TWO_32 ? 1 : 0;
+  return gammaScratch;
+};
+
+// splitmix64Unit without BigInt (integer Number seeds)
+export const splitmix64UnitFast = (seed) => {
+  // seed + gamma in 96-bit two's complement; seeds are within ±2^53
+  const s0 = seed >>> 0;
+  const s1 = Math.floor(seed / TWO_32);
+  const l = s0 + 0x7f4a7c15;
+  const m = s1 + 0x9e3779b9 + (l >= TWO_32 ? 1 : 0);
+  const h2 = (Math.floor(m / TWO_32)) >>> 0;
+  return wideMixLow32(l >>> 0, m >>> 0, h2) / 0xffffffff;
+};
+
+export const scaledHash2DFast = (x, y, salt = 0, seed = 42) => {
+  const a = Math.floor(x * 1000);
+  const b = Math.floor(y * 1000);
+  const combined = (a * 73856093) ^ (b * 19349663) ^ (salt * 83492791) ^ seed;
+  return splitmix64UnitFast(Math.abs(combined));
+};
+
+export const saltedUnitFast = (seed, salt = 0) => splitmix64UnitFast(seed ^ (salt * 2654435761));
+
+// value × (khi:klo) mod 2^160, XORed into the 5-limb accumulator. Safe
+// integers multiply their magnitude (2 limbs) and negate afterwards, which
+// halves the partial products; BigInt and huge doubles take the full 5 limbs.
+const xorMul160 = (acc, value, khi, klo) => {
+  let p0, p1, p2, p3, p4, c;
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    const m = value < 0 ? -value : value;
+    const m0 = m >>> 0;
+    const m1 = Math.floor(m / TWO_32);
+    p0 = lo32(m0, klo);
+    c = mulHi32(m0, klo) + lo32(m0, khi) + lo32(m1, klo);
+    p1 = c >>> 0;
+    c = Math.floor(c / TWO_32) + mulHi32(m0, khi) + mulHi32(m1, klo) + lo32(m1, khi);
+    p2 = c >>> 0;
+    p3 = (Math.floor(c / TWO_32) + mulHi32(m1, khi)) >>> 0;
+    p4 = 0;
+    if (value < 0) {
+      // Two's complement negation: invert and add one
+      c = (~p0 >>> 0) + 1; p0 = c >>> 0; c = c >= TWO_32 ? 1 : 0;
+      c = (~p1 >>> 0) + c; p1 = c >>> 0; c = c >= TWO_32 ? 1 : 0;
+      c = (~p2 >>> 0) + c; p2 = c >>> 0; c = c >= TWO_32 ? 1 : 0;
+      c = (~p3 >>> 0) + c; p3 = c >>> 0; c = c >= TWO_32 ? 1 : 0;
+      p4 = ((~p4 >>> 0) + c) >>> 0;
+    }
+  } else {
+    const x0 = wordAt(value, 0);
+    const x1 = wordAt(value, 1);
+    const x2 = wordAt(value, 2);
+    const x3 = wordAt(value, 3);
+    const x4 = wordAt(value, 4);
+    p0 = lo32(x0, klo);
+    c = mulHi32(x0, klo) + lo32(x0, khi) + lo32(x1, klo);
+    p1 = c >>> 0;
+    c = Math.floor(c / TWO_32) + mulHi32(x0, khi) + mulHi32(x1, klo) + lo32(x1, khi) + lo32(x2, klo);
+    p2 = c >>> 0;
+    c = Math.floor(c / TWO_32) + mulHi32(x1, khi) + mulHi32(x2, klo) + lo32(x2, khi) + lo32(x3, klo);
+    p3 = c >>> 0;
+    p4 = (Math.floor(c / TWO_32) + mulHi32(x2, khi) + mulHi32(x3, klo) + lo32(x3, khi) + lo32(x4, klo)) >>> 0;
+  }
+  acc[0] = (acc[0] ^ p0) >>> 0;
+  acc[1] = (acc[1] ^ p1) >>> 0;
+  acc[2] = (acc[2] ^ p2) >>> 0;
+  acc[3] = (acc[3] ^ p3) >>> 0;
+  acc[4] = (acc[4] ^ p4) >>> 0;
+  return acc;
+};
+
+const goldenLimbs = [0, 0, 0, 0, 0];
+const goldenScratch = [0, 0];
+
+// goldenHash3D without BigInt. Coordinates may still be BigInt.
+export const goldenHash3DFast = (x, y, z, salt = 0) => {
+  const h = goldenLimbs.fill(0);
+  xorMul160(h, typeof x === 'bigint' ? x : Math.floor(x), 0x9E3779B9, 0x7F4A7C15);
+  xorMul160(h, typeof y === 'bigint' ? y : Math.floor(y), 0x85EBCA6B, 0x2F40C2F5);
+  xorMul160(h, typeof z === 'bigint' ? z : Math.floor(z), 0xC2B2AE3D, 0x27D4EB4F);
+  xorMul160(h, salt, 0x165667B1, 0x9E3779F9);
+  wideMixLow64(h[0], h[1], h[2], h[3], h[4], goldenScratch);
+  return (goldenScratch[0] & 0x1fffff) * TWO_32 + goldenScratch[1];
+};
+
+// primeHash3D without BigInt, as the low 64 bits in a [hi, lo] pair. Nothing
+// reads above bit 63: fed back in as a coordinate it is masked to 64 bits, and
+// hashToFloatClosed reads the low 24.
+export const primeHash3DWords = (x, y, z, salt = 0, out = [0, 0]) => {
+  packHi = 0;
+  packLo = 0;
+  packXor(x, 73856093);
+  packXor(y, 19349663);
+  packXor(z, 83492791);
+  packXor(salt, 1);
+  const z0 = addGamma64(packHi, packLo);
+  return wideMixLow64(z0[0], z0[1], z0[2], 0, 0, out);
+};
+
+// quantizedHash3D without BigInt
+export const quantizedHash3DFast = (x, y, z, seed) => {
+  packHi = 0;
+  packLo = 0;
+  packXor(Math.floor(x * 1000000), 1);
+  packXor(Math.floor(y * 1000000), 31);
+  packXor(Math.floor(z * 1000000), 997);
+  packXor(seed, 65537);
+  const z0 = addGamma64(packHi, packLo);
+  return wideMixLow32(z0[0], z0[1], z0[2]) / 0xffffffff;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// N-DIMENSIONAL API
+// Integer lattice points in 1 to 4 dimensions. Axes are [x, y, z, t] and a
+// missing axis hashes as 0, so every lower-dimensional world is the zero slice
+// of a higher one: [x, y] hashes exactly like [x, y, 0] and [x, y, 0, 0].
+// Time is always the fourth axis, so an animated 2D field hashes [x, y, 0, t].
+// ─────────────────────────────────────────────────────────────────────────────────
+
+export const MAX_DIMENSIONS = 4;
+
+// Time-axis packing multiplier for the canonical scheme
+export const PACK_T = 0x9b9b9b9bn;
+
+const checkDimensions = (coords) => {
+  if (coords.length < 1 || coords.length > MAX_DIMENSIONS) {
+    throw new RangeError(`Expected 1 to ${MAX_DIMENSIONS} coordinates, got ${coords.length}`);
+  }
+};
+
+// Float → lattice index: floor(value × scale) in double precision, where scale
+// is lattice cells per unit (13 uses 1e6). Integers pass through at scale 1,
+// and BigInt coordinates are already lattice indices.
+export const quantizeCoord = (value, scale = 1) => {
+  if (typeof value === 'bigint') {
+    if (scale !== 1) throw new RangeError('BigInt coordinates cannot be rescaled');
+    return value;
+  }
+  if (!Number.isFinite(value)) throw new RangeError(`Cannot quantise coordinate ${value}`);
+  return Math.floor(value * scale);
+};
+
+// ── Reference (BigInt) ──
+
+const CANONICAL_AXES = [PACK_X, PACK_Y, PACK_Z, PACK_T];
+const GOLDEN_AXES = [0x9E3779B97F4A7C15n, 0x85EBCA6B2F40C2F5n, 0xC2B2AE3D27D4EB4Fn, 0x27D4EB2F165667C5n];
+const QUANTIZED_AXES = [1n, 31n, 997n, 8191n];
+
+// coordHash2D / coordHash3D extended to 1-4 axes → unsigned 64-bit BigInt
+export const coordHashN = (coords, salt = 0) => {
+  checkDimensions(coords);
+  let packed = BigInt(salt) * PACK_SALT;
+  for (let i = 0; i < coords.length; i++) packed += BigInt(coords[i]) * CANONICAL_AXES[i];
+  return splitmix64(packed & MASK64);
+};
+
+// goldenHash3D extended to 1-4 axes → 53-bit safe integer
+export const goldenHashN = (coords, salt = 0) => {
+  checkDimensions(coords);
+  let h = BigInt(salt) * 0x165667B19E3779F9n;
+  for (let i = 0; i < coords.length; i++) h ^= BigInt(coords[i]) * GOLDEN_AXES[i];
+
+  h ^= h >> 30n;
+  h *= 0xBF58476D1CE4E5B9n;
+  h ^= h >> 27n;
+  h *= 0x94D049BB133111EBn;
+  h ^= h >> 31n;
+
+  return Number(h & 0x1FFFFFFFFFFFFFn);
+};
+
+// quantizedHash3D extended to 1-4 axes, on lattice indices → float in [0, 1]
+export const quantizedHashN = (coords, seed) => {
+  checkDimensions(coords);
+  let combined = BigInt(seed) * 65537n;
+  for (let i = 0; i < coords.length; i++) combined ^= BigInt(coords[i]) * QUANTIZED_AXES[i];
+  const h = splitmix64Wide(combined & MASK64);
+  return Number(h & 0xffffffffn) / 0xffffffff;
+};
+
+// ── Fast (no BigInt) ──
+
+const CANONICAL_WORDS = [0x1f1f1f1f, 0x3d3d3d3d, 0x5b5b5b5b, 0x9b9b9b9b];
+const GOLDEN_WORDS = [
+  [0x9E3779B9, 0x7F4A7C15], [0x85EBCA6B, 0x2F40C2F5], [0xC2B2AE3D, 0x27D4EB4F], [0x27D4EB2F, 0x165667C5],
+];
+const QUANTIZED_WORDS = [1, 31, 997, 8191];
+
+// coordHashN as a [hi, lo] pair
+export const coordHashNWords = (coords, salt = 0, out = [0, 0]) => {
+  checkDimensions(coords);
+  packHi = 0;
+  packLo = 0;
+  for (let i = 0; i < coords.length; i++) packAdd(coords[i], CANONICAL_WORDS[i]);
+  packAdd(salt, 0x7f7f7f7f);
+  return splitmix64Words(packHi, packLo, out);
+};
+
+export const goldenHashNFast = (coords, salt = 0) => {
+  checkDimensions(coords);
+  const h = goldenLimbs.fill(0);
+  for (let i = 0; i < coords.length; i++) xorMul160(h, coords[i], GOLDEN_WORDS[i][0], GOLDEN_WORDS[i][1]);
+  xorMul160(h, salt, 0x165667B1, 0x9E3779F9);
+  wideMixLow64(h[0], h[1], h[2], h[3], h[4], goldenScratch);
+  return (goldenScratch[0] & 0x1fffff) * TWO_32 + goldenScratch[1];
+};
+
+export const quantizedHashNFast = (coords, seed) => {
+  checkDimensions(coords);
+  packHi = 0;
+  packLo = 0;
+  for (let i = 0; i < coords.length; i++) packXor(coords[i], QUANTIZED_WORDS[i]);
+  packXor(seed, 65537);
+  const z0 = addGamma64(packHi, packLo);
+  return wideMixLow32(z0[0], z0[1], z0[2]) / 0xffffffff;
+};
+
+// ── Entry point ──
+
+// Each scheme returns what its 3D ancestor returns: canonical a [hi, lo] pair
+// (01), golden a 53-bit integer (08), quantized a float in [0, 1] (13).
+const HASH_SCHEMES = {
+  canonical: coordHashNWords,
+  golden: goldenHashNFast,
+  quantized: quantizedHashNFast,
+};
+
+export const HASH_SCHEME_NAMES = Object.keys(HASH_SCHEMES);
+
+// Hash 1-4 coordinates. Options:
+//   scheme - 'canonical' (default), 'golden' or 'quantized'
+//   scale  - lattice cells per unit, one number or one per axis (default 1)
+//   out    - reusable [hi, lo] pair for the canonical scheme
+// The earlier demos map onto it without changing a bit:
+//   01 coordHash(x, y, salt)     → hashCoords([x, y], salt)
+//   08 coordHash(x, y, z, salt)  → hashCoords([x, y, z], salt, { scheme: 'golden' })
+//   13 hash3D(x, y, z, seed)     → hashCoords([x, y, z], seed, { scheme: 'quantized', scale: 1e6 })
+export const hashCoords = (coords, salt = 0, { scheme = 'canonical', scale = 1, out } = {}) => {
+  const hash = HASH_SCHEMES[scheme];
+  if (!hash) throw new RangeError(`Unknown hash scheme "${scheme}"`);
+  checkDimensions(coords);
+  const lattice = coords.map((value, axis) => quantizeCoord(value, typeof scale === 'number' ? scale : (scale[axis] ?? 1)));
+  return hash(lattice, salt, out);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// PARITY CHECK
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Compare every fast function against its BigInt reference over `count`
+// pseudo-random inputs (drawn from xxHash32, so the run is reproducible).
+// Returns { checked, mismatches: [{ fn, args }] } with at most 20 mismatches.
+export const verifyFastPath = (count = 1000000) => {
+  const mismatches = [];
+  const words = [0, 0];
+  let state = 0x2545f491;
+  const nextInt = (bits) => {
+    state = xxHash32(state);
+    const hi = xxHash32(state ^ 0x5bd1e995);
+    const v = hi * TWO_32 + state;
+    return Math.floor(v / 2 ** (64 - bits)) - 2 ** (bits - 1);
+  };
+  const nextFloat = (range) => (xxHash32(state = xxHash32(state)) / TWO_32 - 0.5) * range;
+  const fail = (fn, args) => { if (mismatches.length < 20) mismatches.push({ fn, args }); };
+
+  for (let i = 0; i < count; i++) {
+    const bits = 8 + (i % 46);
+    const x = nextInt(bits);
+    const y = nextInt(bits);
+    const z = nextInt(bits);
+    const salt = nextInt(32);
+
+    if (wordsToBigInt(coordHash2DWords(x, y, salt, words)) !== coordHash2D(x, y, salt)) fail('coordHash2D', [x, y, salt]);
+    if (wordsToBigInt(coordHash3DWords(x, y, z, salt, words)) !== coordHash3D(x, y, z, salt)) fail('coordHash3D', [x, y, z, salt]);
+    if (goldenHash3DFast(x, y, z, salt) !== goldenHash3D(x, y, z, salt)) fail('goldenHash3D', [x, y, z, salt]);
+    if (i % 16 === 0) {
+      // Coordinates past Number.MAX_SAFE_INTEGER, as 08 accepts them
+      const bx = BigInt(x) << BigInt(i % 64);
+      const by = -BigInt(y) << BigInt(i % 48);
+      if (goldenHash3DFast(bx, by, z, salt) !== goldenHash3D(bx, by, z, salt)) fail('goldenHash3D', [bx, by, z, salt]);
+    }
+    if (wordsToBigInt(primeHash3DWords(x, y, z, salt, words)) !== (primeHash3D(x, y, z, salt) & MASK64)) fail('primeHash3D', [x, y, z, salt]);
+    if (saltedUnitFast(salt, i % 1000) !== saltedUnit(salt, i % 1000)) fail('saltedUnit', [salt, i % 1000]);
+
+    const t = nextInt(bits);
+    if (wordsToBigInt(coordHashNWords([x, y, z, t], salt, words)) !== coordHashN([x, y, z, t], salt)) fail('coordHashN', [[x, y, z, t], salt]);
+    if (goldenHashNFast([x, y, z, t], salt) !== goldenHashN([x, y, z, t], salt)) fail('goldenHashN', [[x, y, z, t], salt]);
+    if (quantizedHashNFast([x, y, z, t], salt) !== quantizedHashN([x, y, z, t], salt)) fail('quantizedHashN', [[x, y, z, t], salt]);
+
+    const fx = nextFloat(2000);
+    const fy = nextFloat(2000);
+    const fz = nextFloat(2000);
+    if (quantizedHash3DFast(fx, fy, fz, salt) !== quantizedHash3D(fx, fy, fz, salt)) fail('quantizedHash3D', [fx, fy, fz, salt]);
+    if (scaledHash2DFast(fx, fy, i % 100, salt) !== scaledHash2D(fx, fy, i % 100, salt)) fail('scaledHash2D', [fx, fy, i % 100, salt]);
+  }
+  return { checked: count, mismatches };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// GOLDEN VECTORS
+// hash-vectors.json stores { fn, args, out } triples. BigInt values are written
+// as "0x…" strings so other languages can parse them without precision loss.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const VECTOR_FUNCTIONS = {
+  splitmix64, coordHash2D, coordHash3D, deriveSalt,
+  splitmix64Wide, splitmix64Unit, goldenHash3D, primeHash3D, quantizedHash3D, scaledHash2D, saltedUnit,
+  muellerHash3D, pcgHash2D, mixHash2D, fmixHash2D, xxUnit2D, murmurUnit2D,
+  mulXorHash2D, mulXorHash2DSigned, mulXorUnit3D,
+  xxHash32, pcg32, pcgStep32, murmurHash32,
+  coordHashN, goldenHashN, quantizedHashN, quantizeCoord, nameToSalt,
+};
+
+export const encodeVectorValue = (value) => {
+  if (Array.isArray(value)) return value.map(encodeVectorValue);
+  if (typeof value !== 'bigint') return value;
+  return value < 0n ? `-0x${(-value).toString(16)}` : `0x${value.toString(16)}`;
+};
+
+export const decodeVectorValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeVectorValue);
+  if (typeof value !== 'string' || !/^-?0x[0-9a-f]+$/i.test(value)) return value;
+  return value.startsWith('-') ? -BigInt(value.slice(1)) : BigInt(value);
+};
+
+// Re-run every vector; returns the mismatches (empty array = bit-identical)
+export const verifyHashVectors = (vectors) => {
+  const failures = [];
+  for (const { fn, args, out } of vectors.vectors) {
+    const impl = VECTOR_FUNCTIONS[fn];
+    if (!impl) {
+      failures.push({ fn, args, expected: out, actual: 'unknown function' });
+      continue;
+    }
+    const actual = encodeVectorValue(impl(...args.map(decodeVectorValue)));
+    if (actual !== out) failures.push({ fn, args, expected: out, actual });
+  }
+  return failures;
+};
@@ -0,0 +1,1084 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BEYOND TRIBONACCI — SHARED NOISE LIBRARY
+// Coherent noise for every demo: value, Perlin, simplex (2D/3D/4D), OpenSimplex2, Worley and fBm.
+//
+// Output-range contract: every generator returned by createNoise() yields
+// values in [-1, 1], and fBm divides by the total amplitude so it stays in
+// [-1, 1] too. The demo variants further down keep the ranges they shipped
+// with, and each one says what that range is.
+//
+// Generators are instance-scoped: createNoise(seed) owns its permutation
+// table, so two instances never share or overwrite state.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {
+  xxHash32, pcg32, pcgStep32, xxUnit2D, mulXorHash2D, mulXorHash2DSigned, mulXorUnit3D, splitmix64UnitFast,
+} from './hash.js';
+
+export const NOISE_VERSION = '1.6.0';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// INTERPOLATION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+export const lerp = (a, b, t) => a + t * (b - a);
+
+// 6t⁵ - 15t⁴ + 10t³: C² continuous, used by the improved Perlin noise
+export const quinticFade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+// d/dt of quinticFade: 30t²(t - 1)²
+export const quinticFadeDeriv = (t) => 30 * t * t * (t - 1) * (t - 1);
+
+// 3t² - 2t³: C¹ continuous, cheaper
+export const cubicFade = (t) => t * t * (3 - 2 * t);
+
+const clampUnit = (v) => (v < -1 ? -1 : v > 1 ? 1 : v);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// PERMUTATION TABLES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Fisher-Yates shuffle of 0..255 driven by `step(state) → state`, doubled to
+// 512 entries so perm[i + perm[j]] never needs wrapping
+export const createPermutation = (seed, step) => {
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  let s = seed;
+  for (let i = 255; i > 0; i--) {
+    s = step(s);
+    const j = s % (i + 1);
+    const tmp = p[i];
+    p[i] = p[j];
+    p[j] = tmp;
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+  return perm;
+};
+
+// glibc-style LCG; the product exceeds 2^53 and rounds, deterministically (05)
+export const lcgStep = (s) => (s * 1103515245 + 12345) >>> 0;
+
+// Same LCG truncated to 31 bits (13)
+export const lcgStep31 = (s) => (s * 1103515245 + 12345) & 0x7fffffff;
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// LATTICE KERNELS
+// The lattice is supplied by the caller: gradientAt / valueAt map integer
+// lattice points to gradients or values. Every generator below, canonical or
+// variant, is one of these kernels plus a lattice.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1.0 / 3.0;
+const G3 = 1.0 / 6.0;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+// Bilinear value noise. valueAt(ix, iy) → corner value.
+export const value2DCore = (x, y, valueAt, fade) => {
+  const xi = Math.floor(x);
+  const yi = Math.floor(y);
+  const u = fade(x - xi);
+  const v = fade(y - yi);
+  const n00 = valueAt(xi, yi);
+  const n10 = valueAt(xi + 1, yi);
+  const n01 = valueAt(xi, yi + 1);
+  const n11 = valueAt(xi + 1, yi + 1);
+  return lerp(lerp(n00, n10, u), lerp(n01, n11, u), v);
+};
+
+// Perlin gradient noise. gradientAt(ix, iy) → [gx, gy].
+// Offsets to the far corners are x - (x0 + 1). With `fromFraction` they are
+// (x - x0) - 1 instead, which loses the low bits for x in [-0.5, 0); 10
+// shipped that way.
+export const perlin2DCore = (x, y, gradientAt, fade, fromFraction = false) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const fx1 = fromFraction ? fx - 1 : x - (x0 + 1);
+  const fy1 = fromFraction ? fy - 1 : y - (y0 + 1);
+  const g00 = gradientAt(x0, y0);
+  const g10 = gradientAt(x0 + 1, y0);
+  const g01 = gradientAt(x0, y0 + 1);
+  const g11 = gradientAt(x0 + 1, y0 + 1);
+  const n00 = g00[0] * fx + g00[1] * fy;
+  const n10 = g10[0] * fx1 + g10[1] * fy;
+  const n01 = g01[0] * fx + g01[1] * fy1;
+  const n11 = g11[0] * fx1 + g11[1] * fy1;
+  const u = fade(fx);
+  return lerp(lerp(n00, n10, u), lerp(n01, n11, u), fade(fy));
+};
+
+// 2D simplex noise, unscaled sum × 70. gradientAt(i, j, di, dj) → [gx, gy]
+// for the corner (i + di, j + dj) of the cell whose origin is (i, j).
+export const simplex2DCore = (x, y, gradientAt) => {
+  const s = (x + y) * F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const t = (i + j) * G2;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+
+  const i1 = x0 > y0 ? 1 : 0;
+  const j1 = x0 > y0 ? 0 : 1;
+
+  const x1 = x0 - i1 + G2;
+  const y1 = y0 - j1 + G2;
+  const x2 = x0 - 1 + 2 * G2;
+  const y2 = y0 - 1 + 2 * G2;
+
+  let n0 = 0, n1 = 0, n2 = 0;
+
+  let t0 = 0.5 - x0 * x0 - y0 * y0;
+  if (t0 >= 0) {
+    const g = gradientAt(i, j, 0, 0);
+    t0 *= t0;
+    n0 = t0 * t0 * (g[0] * x0 + g[1] * y0);
+  }
+
+  let t1 = 0.5 - x1 * x1 - y1 * y1;
+  if (t1 >= 0) {
+    const g = gradientAt(i, j, i1, j1);
+    t1 *= t1;
+    n1 = t1 * t1 * (g[0] * x1 + g[1] * y1);
+  }
+
+  let t2 = 0.5 - x2 * x2 - y2 * y2;
+  if (t2 >= 0) {
+    const g = gradientAt(i, j, 1, 1);
+    t2 *= t2;
+    n2 = t2 * t2 * (g[0] * x2 + g[1] * y2);
+  }
+
+  return 70 * (n0 + n1 + n2);
+};
+
+// 2D SuperSimplex (OpenSimplex2S): the simplex lattice with r² = 2/3, so each
+// sample reaches four corners instead of three and the result is smoother.
+// Same gradientAt convention as simplex2DCore, with di, dj in −1..2. Returns
+// the raw sum; unit gradients give about ±0.055.
+export const superSimplex2DCore = (x, y, gradientAt) => {
+  const s = (x + y) * F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const xi = x + s - i;
+  const yi = y + s - j;
+  const t = (xi + yi) * -G2;
+  const dx0 = xi + t;
+  const dy0 = yi + t;
+
+  // Corner (i + di, j + dj) sits at (di, dj) − (di + dj)·G2 from the cell origin
+  const corner = (di, dj) => {
+    const dx = dx0 - di + (di + dj) * G2;
+    const dy = dy0 - dj + (di + dj) * G2;
+    const a = 2 / 3 - dx * dx - dy * dy;
+    if (a <= 0) return 0;
+    const g = gradientAt(i, j, di, dj);
+    return a * a * a * a * (g[0] * dx + g[1] * dy);
+  };
+
+  let value = corner(0, 0) + corner(1, 1);
+  const xmyi = xi - yi;
+  if (xi + yi > 1) {
+    value += xi + xmyi > 1 ? corner(2, 1) : corner(0, 1);
+    value += yi - xmyi > 1 ? corner(1, 2) : corner(1, 0);
+  } else {
+    value += xi + xmyi < 0 ? corner(-1, 0) : corner(1, 0);
+    value += yi < xmyi ? corner(0, -1) : corner(0, 1);
+  }
+  return value;
+};
+
+// 3D simplex noise, sum × 32. gradientAt(i, j, k, di, dj, dk) → [gx, gy, gz].
+export const simplex3DCore = (x, y, z, gradientAt) => {
+  const s = (x + y + z) * F3;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const k = Math.floor(z + s);
+  const t = (i + j + k) * G3;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+  const z0 = z - (k - t);
+
+  let i1, j1, k1, i2, j2, k2;
+  if (x0 >= y0) {
+    if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+    else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+  } else {
+    if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+    else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+    else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+  }
+
+  const x1 = x0 - i1 + G3;
+  const y1 = y0 - j1 + G3;
+  const z1 = z0 - k1 + G3;
+  const x2 = x0 - i2 + 2.0 * G3;
+  const y2 = y0 - j2 + 2.0 * G3;
+  const z2 = z0 - k2 + 2.0 * G3;
+  const x3 = x0 - 1.0 + 3.0 * G3;
+  const y3 = y0 - 1.0 + 3.0 * G3;
+  const z3 = z0 - 1.0 + 3.0 * G3;
+
+  let n0 = 0, n1 = 0, n2 = 0, n3 = 0;
+
+  let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+  if (t0 > 0) {
+    const g = gradientAt(i, j, k, 0, 0, 0);
+    t0 *= t0;
+    n0 = t0 * t0 * (g[0] * x0 + g[1] * y0 + g[2] * z0);
+  }
+
+  let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+  if (t1 > 0) {
+    const g = gradientAt(i, j, k, i1, j1, k1);
+    t1 *= t1;
+    n1 = t1 * t1 * (g[0] * x1 + g[1] * y1 + g[2] * z1);
+  }
+
+  let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+  if (t2 > 0) {
+    const g = gradientAt(i, j, k, i2, j2, k2);
+    t2 *= t2;
+    n2 = t2 * t2 * (g[0] * x2 + g[1] * y2 + g[2] * z2);
+  }
+
+  let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+  if (t3 > 0) {
+    const g = gradientAt(i, j, k, 1, 1, 1);
+    t3 *= t3;
+    n3 = t3 * t3 * (g[0] * x3 + g[1] * y3 + g[2] * z3);
+  }
+
+  return 32.0 * (n0 + n1 + n2 + n3);
+};
+
+// 4D simplex noise, sum × 27. gradientAt(i, j, k, l, di, dj, dk, dl) → [gx, gy, gz, gw].
+// The simplex is found by ranking the four offsets (Gustavson 2012).
+export const simplex4DCore = (x, y, z, w, gradientAt) => {
+  const s = (x + y + z + w) * F4;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const k = Math.floor(z + s);
+  const l = Math.floor(w + s);
+  const t = (i + j + k + l) * G4;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+  const z0 = z - (k - t);
+  const w0 = w - (l - t);
+
+  let rankx = 0, ranky = 0, rankz = 0, rankw = 0;
+  if (x0 > y0) rankx++; else ranky++;
+  if (x0 > z0) rankx++; else rankz++;
+  if (x0 > w0) rankx++; else rankw++;
+  if (y0 > z0) ranky++; else rankz++;
+  if (y0 > w0) ranky++; else rankw++;
+  if (z0 > w0) rankz++; else rankw++;
+
+  // Corner n steps along every axis whose rank is at least 4 - n
+  const corners = [
+    [0, 0, 0, 0],
+    [rankx >= 3 ? 1 : 0, ranky >= 3 ? 1 : 0, rankz >= 3 ? 1 : 0, rankw >= 3 ? 1 : 0],
+    [rankx >= 2 ? 1 : 0, ranky >= 2 ? 1 : 0, rankz >= 2 ? 1 : 0, rankw >= 2 ? 1 : 0],
+    [rankx >= 1 ? 1 : 0, ranky >= 1 ? 1 : 0, rankz >= 1 ? 1 : 0, rankw >= 1 ? 1 : 0],
+    [1, 1, 1, 1],
+  ];
+
+  let n = 0;
+  for (let c = 0; c < 5; c++) {
+    const [di, dj, dk, dl] = corners[c];
+    const xc = x0 - di + c * G4;
+    const yc = y0 - dj + c * G4;
+    const zc = z0 - dk + c * G4;
+    const wc = w0 - dl + c * G4;
+    let tc = 0.6 - xc * xc - yc * yc - zc * zc - wc * wc;
+    if (tc > 0) {
+      const g = gradientAt(i, j, k, l, di, dj, dk, dl);
+      tc *= tc;
+      n += tc * tc * (g[0] * xc + g[1] * yc + g[2] * zc + g[3] * wc);
+    }
+  }
+
+  return 27.0 * n;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// FRACTAL BROWNIAN MOTION
+// sample(frequency, octave) returns one octave; the caller decides how the
+// frequency scales its coordinates and how each octave is seeded.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Σ amplitudeᵢ · sample(frequencyᵢ, i) / Σ amplitudeᵢ
+export const stackOctaves = (sample, octaves, persistence = 0.5, lacunarity = 2) => {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let maxValue = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    value += amplitude * sample(frequency, i);
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  return value / maxValue;
+};
+
+// stackOctaves plus a record of every octave, for visualising the stack (04).
+// Returns { value, maxValue, contributions: [{ octave, frequency, amplitude,
+// rawNoise, contribution, runningTotal }] }.
+export const traceOctaves = (sample, octaves, persistence = 0.5, lacunarity = 2) => {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let maxValue = 0;
+  const contributions = [];
+
+  for (let i = 0; i < octaves; i++) {
+    const rawNoise = sample(frequency, i);
+    const contribution = amplitude * rawNoise;
+    contributions.push({
+      octave: i + 1,
+      frequency,
+      amplitude,
+      rawNoise,
+      contribution,
+      runningTotal: value + contribution,
+    });
+    value += contribution;
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  return { value: value / maxValue, maxValue, contributions };
+};
+
+// Fractal modes for traceFractal. Each shapes an octave's noise into a signal
+// in [-1, 1], so every mode is still Σ amplitude · signal / Σ amplitude:
+//   fbm     signal = n
+//   billow  2|n| - 1: rounded puffs with sharp creases (clouds)
+//   ridged  (1 - |n|)² (Musgrave's ridged multifractal): sharp crests, with
+//           detail only near them (mountain ranges)
+//   hybrid  (n + 1) / 2 (Musgrave's hybrid multifractal): smooth valleys,
+//           rough peaks
+//   swiss   n / (1 + |Σ∇n|²), damped by the accumulated gradient (Quílez):
+//           detail fades on steep slopes, as erosion would leave it
+// Ridged and hybrid multiply each shaped octave by a weight, the previous
+// octave's weighted signal × FRACTAL_GAIN capped at 1, so high octaves only
+// add detail where the low ones were high.
+export const FRACTAL_MODES = ['fbm', 'billow', 'ridged', 'hybrid', 'swiss'];
+
+// Previous-octave weight multiplier for ridged and hybrid
+const FRACTAL_GAIN = 2;
+
+// traceOctaves with a fractal mode. sample(frequency, octave, out) fills
+// out = [value, ∂/∂x, ∂/∂y] in its own scaled coordinates; only 'swiss' reads
+// the derivatives, so other modes may leave them unset. Records also carry
+// `signal`, the shaped octave before its amplitude; for 'fbm' the result is
+// identical to traceOctaves.
+//
+// `schedule`, an array of { amplitude, frequency } with at least `octaves`
+// entries, replaces the geometric persistence/lacunarity series for spectral
+// synthesis. Amplitudes must be non-negative; if they are all zero the value is 0.
+export const traceFractal = (sample, octaves, persistence = 0.5, lacunarity = 2, mode = 'fbm', schedule = null) => {
+  if (!FRACTAL_MODES.includes(mode)) {
+    throw new RangeError(`Unknown fractal mode "${mode}" (expected ${FRACTAL_MODES.join(', ')})`);
+  }
+  if (schedule && schedule.length < octaves) {
+    throw new RangeError(`Octave schedule has ${schedule.length} entries, ${octaves} needed`);
+  }
+  const octave = [0, 0, 0];
+  let value = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let maxValue = 0;
+  let weight = 1;
+  let dx = 0;
+  let dy = 0;
+  const contributions = [];
+
+  for (let i = 0; i < octaves; i++) {
+    if (schedule) ({ amplitude, frequency } = schedule[i]);
+    sample(frequency, i, octave);
+    const rawNoise = octave[0];
+    let signal = rawNoise;
+    if (mode === 'billow') {
+      signal = 2 * Math.abs(rawNoise) - 1;
+    } else if (mode === 'ridged' || mode === 'hybrid') {
+      const shaped = mode === 'ridged' ? (1 - Math.abs(rawNoise)) ** 2 : (rawNoise + 1) / 2;
+      signal = 2 * weight * shaped - 1;
+      weight = Math.min(1, weight * shaped * FRACTAL_GAIN);
+    } else if (mode === 'swiss') {
+      dx += octave[1];
+      dy += octave[2];
+      signal = rawNoise / (1 + dx * dx + dy * dy);
+    }
+    const contribution = amplitude * signal;
+    contributions.push({
+      octave: i + 1,
+      frequency,
+      amplitude,
+      rawNoise,
+      signal,
+      contribution,
+      runningTotal: value + contribution,
+    });
+    value += contribution;
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  return { value: maxValue > 0 ? value / maxValue : 0, maxValue, contributions };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// DERIVATIVES
+// Simplex noise is a sum of radial falloffs, so its gradient is exact and cheap:
+// for a corner with t = r² − |d|² and n = t⁴ (g · d), ∇n = t⁴ g − 8 t³ (g · d) d.
+// Each function fills out = [value, ∂/∂x, ∂/∂y, …] and returns it, for the cost
+// of one evaluation instead of the three or four finite differencing needs.
+// Values are bit-identical to the plain kernels.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// simplex2DCore with its gradient: out = [value, ∂/∂x, ∂/∂y]
+export const simplex2DDerivCore = (x, y, gradientAt, out = [0, 0, 0]) => {
+  const s = (x + y) * F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const t = (i + j) * G2;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+
+  const i1 = x0 > y0 ? 1 : 0;
+  const j1 = x0 > y0 ? 0 : 1;
+
+  let n = 0, dx = 0, dy = 0;
+  const corner = (xc, yc, di, dj) => {
+    const tc = 0.5 - xc * xc - yc * yc;
+    if (!(tc >= 0)) return;
+    const g = gradientAt(i, j, di, dj);
+    const dot = g[0] * xc + g[1] * yc;
+    const t2 = tc * tc;
+    const t4 = t2 * t2;
+    const falloff = -8 * t2 * tc * dot;
+    n += t4 * dot;
+    dx += falloff * xc + t4 * g[0];
+    dy += falloff * yc + t4 * g[1];
+  };
+
+  corner(x0, y0, 0, 0);
+  corner(x0 - i1 + G2, y0 - j1 + G2, i1, j1);
+  corner(x0 - 1 + 2 * G2, y0 - 1 + 2 * G2, 1, 1);
+
+  out[0] = 70 * n;
+  out[1] = 70 * dx;
+  out[2] = 70 * dy;
+  return out;
+};
+
+// value2DCore (quintic fade) with its gradient: out = [value, ∂/∂x, ∂/∂y]
+export const value2DDerivCore = (x, y, valueAt, out = [0, 0, 0]) => {
+  const xi = Math.floor(x);
+  const yi = Math.floor(y);
+  const u = quinticFade(x - xi);
+  const v = quinticFade(y - yi);
+  const n00 = valueAt(xi, yi);
+  const n10 = valueAt(xi + 1, yi);
+  const n01 = valueAt(xi, yi + 1);
+  const n11 = valueAt(xi + 1, yi + 1);
+  const bottom = lerp(n00, n10, u);
+  const top = lerp(n01, n11, u);
+  const du = quinticFadeDeriv(x - xi);
+  const dv = quinticFadeDeriv(y - yi);
+  out[0] = lerp(bottom, top, v);
+  out[1] = du * lerp(n10 - n00, n11 - n01, v);
+  out[2] = dv * (top - bottom);
+  return out;
+};
+
+// simplex3DCore with its gradient: out = [value, ∂/∂x, ∂/∂y, ∂/∂z]
+export const simplex3DDerivCore = (x, y, z, gradientAt, out = [0, 0, 0, 0]) => {
+  const s = (x + y + z) * F3;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const k = Math.floor(z + s);
+  const t = (i + j + k) * G3;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+  const z0 = z - (k - t);
+
+  let i1, j1, k1, i2, j2, k2;
+  if (x0 >= y0) {
+    if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+    else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+  } else {
+    if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+    else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+    else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+  }
+
+  let n = 0, dx = 0, dy = 0, dz = 0;
+  const corner = (xc, yc, zc, di, dj, dk) => {
+    const tc = 0.6 - xc * xc - yc * yc - zc * zc;
+    if (!(tc > 0)) return;
+    const g = gradientAt(i, j, k, di, dj, dk);
+    const dot = g[0] * xc + g[1] * yc + g[2] * zc;
+    const t2 = tc * tc;
+    const t4 = t2 * t2;
+    const falloff = -8 * t2 * tc * dot;
+    n += t4 * dot;
+    dx += falloff * xc + t4 * g[0];
+    dy += falloff * yc + t4 * g[1];
+    dz += falloff * zc + t4 * g[2];
+  };
+
+  corner(x0, y0, z0, 0, 0, 0);
+  corner(x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1);
+  corner(x0 - i2 + 2.0 * G3, y0 - j2 + 2.0 * G3, z0 - k2 + 2.0 * G3, i2, j2, k2);
+  corner(x0 - 1.0 + 3.0 * G3, y0 - 1.0 + 3.0 * G3, z0 - 1.0 + 3.0 * G3, 1, 1, 1);
+
+  out[0] = 32.0 * n;
+  out[1] = 32.0 * dx;
+  out[2] = 32.0 * dy;
+  out[3] = 32.0 * dz;
+  return out;
+};
+
+// stackOctaves for derivative samplers. sample(frequency, octave, out) fills
+// out = [value, ∂/∂x, …] in its own scaled coordinates; the chain rule
+// multiplies each octave's gradient by its frequency. Returns out, normalised
+// like stackOctaves.
+export const stackOctavesDeriv = (sample, octaves, persistence = 0.5, lacunarity = 2, out = []) => {
+  const octave = [];
+  let amplitude = 1;
+  let frequency = 1;
+  let maxValue = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    sample(frequency, i, octave);
+    if (i === 0) {
+      out.length = octave.length;
+      out.fill(0);
+    }
+    out[0] += amplitude * octave[0];
+    for (let d = 1; d < octave.length; d++) out[d] += amplitude * frequency * octave[d];
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  for (let d = 0; d < out.length; d++) out[d] /= maxValue;
+  return out;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// TILING
+// Two ways to make a texture repeat exactly:
+//   periodic lattice  wrap lattice indices modulo the period. Keeps the look of
+//                     any axis-aligned lattice (value, Perlin), but each octave
+//                     needs a whole number of cells per period.
+//   torus             simplex lattices are skewed, so no square period exists;
+//                     instead the plane is wrapped onto a flat torus in 4D and
+//                     4D noise is sampled there. Any period, any frequency.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const assertPeriod = (period, integer) => {
+  if (!(period > 0) || !Number.isFinite(period) || (integer && !Number.isInteger(period))) {
+    throw new RangeError(`Tiling period must be a positive ${integer ? 'integer' : 'number'}, got ${period}`);
+  }
+};
+
+// Lattice index i wrapped into 0..period-1
+export const wrapIndex = (i, period) => ((i % period) + period) % period;
+
+// Wrap a lattice lookup (ix, iy) so it repeats every periodX × periodY cells
+export const periodicLattice = (lookup, periodX, periodY = periodX) => {
+  assertPeriod(periodX, true);
+  assertPeriod(periodY, true);
+  return (ix, iy) => lookup(wrapIndex(ix, periodX), wrapIndex(iy, periodY));
+};
+
+// Nearest frequency that puts a whole number of cells (at least one) in
+// `period`. fBm on a periodic lattice rounds every octave through this.
+export const periodicFrequency = (frequency, period) => Math.max(1, Math.round(frequency * period)) / period;
+
+// (x, y) on the plane → [x0, x1, y0, y1] on a torus whose circles have
+// circumference periodX and periodY, so distances along each axis are kept.
+export const torusPoint = (x, y, periodX, periodY = periodX, out = [0, 0, 0, 0]) => {
+  assertPeriod(periodX, false);
+  assertPeriod(periodY, false);
+  const ax = x / periodX * 2 * Math.PI;
+  const ay = y / periodY * 2 * Math.PI;
+  const rx = periodX / (2 * Math.PI);
+  const ry = periodY / (2 * Math.PI);
+  out[0] = rx * Math.cos(ax);
+  out[1] = rx * Math.sin(ax);
+  out[2] = ry * Math.cos(ay);
+  out[3] = ry * Math.sin(ay);
+  return out;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// CELLULAR (WORLEY)
+// One feature point per unit cell, placed by hashing the cell's coordinates, so
+// any cell can be evaluated on its own. Distances are measured to the nearest
+// (F1) and second-nearest (F2) points. The search widens ring by ring until no
+// unvisited cell can hold a closer point, so F1 and F2 are exact, not just
+// "nearly always right" as with a fixed 3×3 scan.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const WORLEY_METRICS = {
+  euclidean: (dx, dy) => Math.sqrt(dx * dx + dy * dy),
+  manhattan: (dx, dy) => Math.abs(dx) + Math.abs(dy),
+  chebyshev: (dx, dy) => Math.max(Math.abs(dx), Math.abs(dy)),
+};
+
+export const WORLEY_METRIC_NAMES = Object.keys(WORLEY_METRICS);
+
+// Lattice point (ix, iy) → uint32; Worley cells chain it with pcg32 for a
+// second draw
+const cornerHash = (ix, iy, seed) =>
+  xxHash32((Math.imul(ix, 0x27d4eb2f) ^ Math.imul(iy, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1)) >>> 0);
+
+// Options: { metric = 'euclidean', jitter = 1, period = null }. jitter 0 puts
+// every point at its cell centre, 1 anywhere in the cell; period = [px, py]
+// (integer cells) wraps the cells so the pattern tiles.
+// Fills out = [F1, F2, x − x₁, y − y₁, x − x₂, y − y₂], where (x₁, y₁) and (x₂, y₂)
+// are the nearest and second-nearest feature points.
+export const worleyDistances2D = (x, y, seed = 0, { metric = 'euclidean', jitter = 1, period = null } = {}, out = [0, 0, 0, 0, 0, 0]) => {
+  const distance = WORLEY_METRICS[metric];
+  if (!distance) throw new RangeError(`Unknown Worley metric "${metric}"`);
+  if (period) {
+    assertPeriod(period[0], true);
+    assertPeriod(period[1], true);
+  }
+
+  const cx = Math.floor(x);
+  const cy = Math.floor(y);
+  const margin = (1 - jitter) / 2;
+  let f1 = Infinity;
+  let f2 = Infinity;
+
+  const visit = (ix, iy) => {
+    const h = period ? cornerHash(wrapIndex(ix, period[0]), wrapIndex(iy, period[1]), seed) : cornerHash(ix, iy, seed);
+    const dx = x - (ix + margin + jitter * (h / 4294967296));
+    const dy = y - (iy + margin + jitter * (pcg32(h) / 4294967296));
+    const d = distance(dx, dy);
+    if (d < f1) {
+      f2 = f1; out[4] = out[2]; out[5] = out[3];
+      f1 = d; out[2] = dx; out[3] = dy;
+    } else if (d < f2) {
+      f2 = d; out[4] = dx; out[5] = dy;
+    }
+  };
+
+  // Every point in ring r + 1 is at least r away along some axis, which bounds
+  // its distance below in all three metrics
+  visit(cx, cy);
+  for (let r = 1; ; r++) {
+    for (let i = -r; i <= r; i++) {
+      visit(cx + i, cy - r);
+      visit(cx + i, cy + r);
+    }
+    for (let j = -r + 1; j < r; j++) {
+      visit(cx - r, cy + j);
+      visit(cx + r, cy + j);
+    }
+    if (f2 <= r) break;
+  }
+
+  out[0] = f1;
+  out[1] = f2;
+  return out;
+};
+
+// Feature distances picked out of worleyDistances2D's output
+const WORLEY_FEATURES = {
+  F1: (d) => d[0],
+  F2: (d) => d[1],
+  'F2-F1': (d) => d[1] - d[0],
+};
+
+export const WORLEY_FEATURE_NAMES = Object.keys(WORLEY_FEATURES);
+
+// Distance that maps to +1, per metric and feature: the 99.9th percentile at
+// full jitter, so clamping is rare
+const WORLEY_SPANS = {
+  euclidean: { F1: 1, F2: 1.2, 'F2-F1': 1 },
+  manhattan: { F1: 1.3, F2: 1.55, 'F2-F1': 1.25 },
+  chebyshev: { F1: 0.9, F2: 1.1, 'F2-F1': 0.9 },
+};
+
+const worleyFeature = (feature) => {
+  const select = WORLEY_FEATURES[feature];
+  if (!select) throw new RangeError(`Unknown Worley feature "${feature}"`);
+  return select;
+};
+
+// Worley noise in [-1, 1]: options as worleyDistances2D plus feature = 'F1' |
+// 'F2' | 'F2-F1'. 0 distance maps to -1.
+export const worley2D = (x, y, seed = 0, options = {}) => {
+  const { feature = 'F1', metric = 'euclidean' } = options;
+  const select = worleyFeature(feature);
+  const d = worleyDistances2D(x, y, seed, options);
+  return clampUnit(select(d) / WORLEY_SPANS[metric][feature] * 2 - 1);
+};
+
+// ∇ of one metric's distance, given sample − point
+const METRIC_GRADIENTS = {
+  euclidean: (dx, dy, d, out, k) => {
+    out[0] = d > 0 ? k * dx / d : 0;
+    out[1] = d > 0 ? k * dy / d : 0;
+  },
+  manhattan: (dx, dy, d, out, k) => {
+    out[0] = k * Math.sign(dx);
+    out[1] = k * Math.sign(dy);
+  },
+  chebyshev: (dx, dy, d, out, k) => {
+    const alongX = Math.abs(dx) >= Math.abs(dy);
+    out[0] = alongX ? k * Math.sign(dx) : 0;
+    out[1] = alongX ? 0 : k * Math.sign(dy);
+  },
+};
+
+// worley2D plus its gradient, [value, ∂/∂x, ∂/∂y]. Exact away from cell
+// borders, where Worley noise has creases; clamped samples are flat.
+export const worley2DDeriv = (x, y, seed = 0, options = {}, out = [0, 0, 0]) => {
+  const { feature = 'F1', metric = 'euclidean' } = options;
+  const select = worleyFeature(feature);
+  const d = worleyDistances2D(x, y, seed, options);
+  const span = WORLEY_SPANS[metric][feature];
+  const raw = select(d) / span * 2 - 1;
+  const scale = 2 / span;
+  const g1 = [0, 0];
+  const g2 = [0, 0];
+  METRIC_GRADIENTS[metric](d[2], d[3], d[0], g1, 1);
+  METRIC_GRADIENTS[metric](d[4], d[5], d[1], g2, 1);
+  const [w1, w2] = feature === 'F1' ? [1, 0] : feature === 'F2' ? [0, 1] : [-1, 1];
+  const flat = raw < -1 || raw > 1;
+  out[0] = clampUnit(raw);
+  out[1] = flat ? 0 : scale * (w1 * g1[0] + w2 * g2[0]);
+  out[2] = flat ? 0 : scale * (w1 * g1[1] + w2 * g2[1]);
+  return out;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// OPENSIMPLEX2
+// The patent-free pair from K.jpg's OpenSimplex2: OpenSimplex2 (fast) is the 2D
+// simplex lattice with 24 gradient directions, OpenSimplex2S the smoother
+// four-corner SuperSimplex. Geometry, gradient set and normalisation follow
+// the reference; corners are hashed with xxHash32 rather than its 64-bit
+// primes, so a given seed does not reproduce the reference's pattern.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// 22.5° + 45°k, and 45°k ± 7.5°
+const OPENSIMPLEX_GRAD24 = [
+  ...Array.from({ length: 8 }, (_, k) => 22.5 + 45 * k),
+  ...Array.from({ length: 16 }, (_, k) => 45 * (k >> 1) + (k & 1 ? 7.5 : -7.5)),
+].map((degrees) => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)]);
+
+const OPENSIMPLEX2_NORMALIZER = 0.01001634121365712;
+const OPENSIMPLEX2S_NORMALIZER = 0.05481866495625118;
+
+const openSimplexGradient = (seed) => (i, j, di, dj) =>
+  OPENSIMPLEX_GRAD24[cornerHash(i + di, j + dj, seed) % 24];
+
+// ≈ [-1, 1]
+export const openSimplex2 = (x, y, seed = 0) =>
+  clampUnit(simplex2DCore(x, y, openSimplexGradient(seed)) / (70 * OPENSIMPLEX2_NORMALIZER));
+
+// ≈ [-1, 1]
+export const openSimplex2S = (x, y, seed = 0) =>
+  clampUnit(superSimplex2DCore(x, y, openSimplexGradient(seed)) / OPENSIMPLEX2S_NORMALIZER);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// CANONICAL GENERATORS
+// Use these for new code. Every output is in [-1, 1].
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Unit gradients: 8 directions for Perlin, 12 for 2D simplex
+const unitCircle = (count) => Array.from({ length: count }, (_, k) => [Math.cos(k * 2 * Math.PI / count), Math.sin(k * 2 * Math.PI / count)]);
+const UNIT_GRAD8 = unitCircle(8);
+const UNIT_GRAD12 = unitCircle(12);
+
+// Cube edge midpoints for 3D simplex
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+];
+
+// Tesseract edge midpoints for 4D simplex: one zero, three ±1
+const GRAD4 = [];
+for (let zero = 0; zero < 4; zero++) {
+  for (let signs = 0; signs < 8; signs++) {
+    const g = [];
+    let bit = 0;
+    for (let axis = 0; axis < 4; axis++) {
+      g.push(axis === zero ? 0 : ((signs >> bit++) & 1) ? -1 : 1);
+    }
+    GRAD4.push(g);
+  }
+}
+
+// Perlin 2D with unit gradients peaks at √½ and 2D simplex with 12 unit
+// gradients at ≈0.689; both are scaled up to span [-1, 1]
+const PERLIN2D_SCALE = Math.SQRT2;
+const SIMPLEX2D_SCALE = 1.45;
+
+// Build the seeded generator set. Options for the fBm methods:
+//   { octaves = 4, persistence = 0.5, lacunarity = 2, basis = 'simplex' }
+// where basis is 'value', 'perlin' or 'simplex' in 2D; 3D and 4D are simplex.
+export const createNoise = (seed = 0) => {
+  const perm = createPermutation(xxHash32(seed >>> 0), (s) => pcg32((s + 0x9e3779b9) >>> 0));
+
+  const hash2 = (i, j) => perm[(i & 255) + perm[j & 255]];
+  const hash3 = (i, j, k) => perm[(i & 255) + perm[(j & 255) + perm[k & 255]]];
+  const hash4 = (i, j, k, l) => perm[(i & 255) + perm[(j & 255) + perm[(k & 255) + perm[l & 255]]]];
+
+  const valueAt = (ix, iy) => hash2(ix, iy) / 255 * 2 - 1;
+  const perlinGradient = (ix, iy) => UNIT_GRAD8[hash2(ix, iy) & 7];
+  const simplexGradient2 = (i, j, di, dj) => UNIT_GRAD12[hash2(i + di, j + dj) % 12];
+  const simplexGradient3 = (i, j, k, di, dj, dk) => GRAD3[hash3(i + di, j + dj, k + dk) % 12];
+  const simplexGradient4 = (i, j, k, l, di, dj, dk, dl) => GRAD4[hash4(i + di, j + dj, k + dk, l + dl) & 31];
+
+  const value2D = (x, y) => value2DCore(x, y, valueAt, quinticFade);
+  const perlin2D = (x, y) => clampUnit(perlin2DCore(x, y, perlinGradient, quinticFade) * PERLIN2D_SCALE);
+  const simplex2D = (x, y) => clampUnit(simplex2DCore(x, y, simplexGradient2) * SIMPLEX2D_SCALE);
+  const simplex3D = (x, y, z) => clampUnit(simplex3DCore(x, y, z, simplexGradient3));
+  const simplex4D = (x, y, z, w) => clampUnit(simplex4DCore(x, y, z, w, simplexGradient4));
+
+  const BASES_2D = { value: value2D, perlin: perlin2D, simplex: simplex2D };
+
+  const fbm2D = (x, y, { octaves = 4, persistence = 0.5, lacunarity = 2, basis = 'simplex' } = {}) => {
+    const noise = BASES_2D[basis];
+    if (!noise) throw new RangeError(`Unknown 2D noise basis "${basis}"`);
+    return stackOctaves((f) => noise(x * f, y * f), octaves, persistence, lacunarity);
+  };
+
+  const fbm3D = (x, y, z, { octaves = 4, persistence = 0.5, lacunarity = 2 } = {}) =>
+    stackOctaves((f) => simplex3D(x * f, y * f, z * f), octaves, persistence, lacunarity);
+
+  const fbm4D = (x, y, z, w, { octaves = 4, persistence = 0.5, lacunarity = 2 } = {}) =>
+    stackOctaves((f) => simplex4D(x * f, y * f, z * f, w * f), octaves, persistence, lacunarity);
+
+  // [value, ∂/∂x, ∂/∂y(, ∂/∂z)]; the value matches simplex2D / simplex3D
+  const simplex2DDeriv = (x, y, out = [0, 0, 0]) => {
+    simplex2DDerivCore(x, y, simplexGradient2, out);
+    out[0] = clampUnit(out[0] * SIMPLEX2D_SCALE);
+    out[1] *= SIMPLEX2D_SCALE;
+    out[2] *= SIMPLEX2D_SCALE;
+    return out;
+  };
+
+  const simplex3DDeriv = (x, y, z, out = [0, 0, 0, 0]) => {
+    simplex3DDerivCore(x, y, z, simplexGradient3, out);
+    out[0] = clampUnit(out[0]);
+    return out;
+  };
+
+  // Derivatives exist for the simplex basis only
+  const fbm2DDeriv = (x, y, { octaves = 4, persistence = 0.5, lacunarity = 2, basis = 'simplex' } = {}, out = []) => {
+    if (basis !== 'simplex') throw new RangeError(`No derivative for 2D noise basis "${basis}"`);
+    return stackOctavesDeriv((f, i, o) => simplex2DDeriv(x * f, y * f, o), octaves, persistence, lacunarity, out);
+  };
+
+  const fbm3DDeriv = (x, y, z, { octaves = 4, persistence = 0.5, lacunarity = 2 } = {}, out = []) =>
+    stackOctavesDeriv((f, i, o) => simplex3DDeriv(x * f, y * f, z * f, o), octaves, persistence, lacunarity, out);
+
+  // 2D noise that repeats every periodX along x and periodY along y: simplex4D
+  // on the torus. Octaves scale the torus point, so every lacunarity tiles.
+  const tileable2D = (x, y, periodX, periodY = periodX) => {
+    const [a, b, c, d] = torusPoint(x, y, periodX, periodY);
+    return simplex4D(a, b, c, d);
+  };
+
+  const tileableFbm2D = (x, y, periodX, periodY, { octaves = 4, persistence = 0.5, lacunarity = 2 } = {}) => {
+    const [a, b, c, d] = torusPoint(x, y, periodX, periodY);
+    return stackOctaves((f) => simplex4D(a * f, b * f, c * f, d * f), octaves, persistence, lacunarity);
+  };
+
+  return {
+    seed, value2D, perlin2D, simplex2D, simplex3D, simplex4D, fbm2D, fbm3D, fbm4D,
+    simplex2DDeriv, simplex3DDeriv, fbm2DDeriv, fbm3DDeriv, tileable2D, tileableFbm2D,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// DEMO VARIANTS
+// The demos each shipped their own noise before this module existed. These
+// reproduce them bit-for-bit on the shared kernels, so every demo renders
+// exactly as before; noise-vectors.json pins them.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// ── 03: Perlin with axis-aligned gradients and simplex with 12 angles ──
+
+const AXIS_GRAD8 = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+];
+const ANGLE_GRAD12 = Array.from({ length: 12 }, (_, k) => {
+  const angle = k * Math.PI / 6;
+  return [Math.cos(angle), Math.sin(angle)];
+});
+
+// Quintic Perlin on xxUnit2D, ≈ [-1, 1]. The axis-heavy gradient set is
+// what 03's artifact overlay is built to expose.
+export const axisPerlin2D = (x, y, seed) =>
+  perlin2DCore(x, y, (ix, iy) => AXIS_GRAD8[Math.floor(xxUnit2D(ix, iy, seed) * 8) % 8], quinticFade);
+
+// Simplex on xxUnit2D with cell origins wrapped to 0..255, ≈ [-1, 1]
+export const angleSimplex2D = (x, y, seed) =>
+  simplex2DCore(x, y, (i, j, di, dj) =>
+    ANGLE_GRAD12[Math.floor(xxUnit2D((i & 255) + di, (j & 255) + dj, seed) * 12) % 12]);
+
+// ── 04: quintic value noise on mulXorHash2D, [-1, 1] ──
+
+const hashedValue = (seed) => (ix, iy) => (mulXorHash2D(ix, iy, seed) & 0x7FFFFFFF) / 0x7FFFFFFF * 2 - 1;
+
+export const hashedValue2D = (x, y, seed = 0) => value2DCore(x, y, hashedValue(seed), quinticFade);
+
+// hashedValue2D repeating every periodX × periodY lattice cells (integers)
+export const periodicHashedValue2D = (x, y, seed, periodX, periodY = periodX) =>
+  value2DCore(x, y, periodicLattice(hashedValue(seed), periodX, periodY), quinticFade);
+
+// hashedValue2D and periodicHashedValue2D with gradients: out = [value, ∂/∂x, ∂/∂y]
+export const hashedValue2DDeriv = (x, y, seed = 0, out = [0, 0, 0]) =>
+  value2DDerivCore(x, y, hashedValue(seed), out);
+
+export const periodicHashedValue2DDeriv = (x, y, seed, periodX, periodY = periodX, out = [0, 0, 0]) =>
+  value2DDerivCore(x, y, periodicLattice(hashedValue(seed), periodX, periodY), out);
+
+// ── 05: simplex on an LCG-shuffled permutation table, ≈ [-1, 1] ──
+
+export const createLcgSimplex2D = (seed) => {
+  const perm = createPermutation(seed >>> 0, lcgStep);
+  const gradientAt = (i, j, di, dj) => GRAD3[perm[(i & 255) + di + perm[(j & 255) + dj]] % 12];
+  return (x, y) => simplex2DCore(x, y, gradientAt);
+};
+
+// ── 06: simplex on mulXorHash2DSigned with 8 gradients, ≈ [-1, 1] ──
+
+const GRAD2 = [
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+];
+
+const hashedGradient2 = (seed) => (i, j, di, dj) => GRAD2[mulXorHash2DSigned(i + di, j + dj, seed) & 7];
+
+export const hashedSimplex2D = (x, y, seed) => simplex2DCore(x, y, hashedGradient2(seed));
+
+export const hashedSimplex2DDeriv = (x, y, seed, out) => simplex2DDerivCore(x, y, hashedGradient2(seed), out);
+
+// ── 07: simplex on a fixed splitmix64 table, seed shifts the row lookup ──
+
+const SPLITMIX_TABLE = Array.from({ length: 512 }, (_, i) => Math.floor(splitmix64UnitFast(i * 12345) * 256));
+
+// ≈ [-1, 1]. The seed is added to a table index, so it must be a
+// non-negative integer.
+export const tableSimplex2D = (x, y, seed = 0) =>
+  simplex2DCore(x, y, (i, j, di, dj) => {
+    const ii = ((i % 256) + 256) % 256;
+    const jj = ((j % 256) + 256) % 256;
+    return GRAD2[SPLITMIX_TABLE[(ii + di + SPLITMIX_TABLE[(jj + dj + seed) % 512]) % 512] % 8];
+  });
+
+// ── 09: simplex on a pcgStep32-shuffled table, remapped to [0, 1] ──
+
+const GRAD2_12 = [...GRAD2, [1, 1], [-1, 1], [1, -1], [-1, -1]];
+
+export const createPcgSimplex2D = (seed) => {
+  const perm = createPermutation(seed >>> 0, pcgStep32);
+  const gradientAt = (i, j, di, dj) => {
+    const ii = ((i % 256) + 256) % 256;
+    const jj = ((j % 256) + 256) % 256;
+    return GRAD2_12[perm[ii + di + perm[jj + dj]] % 12];
+  };
+  return (x, y) => (simplex2DCore(x, y, gradientAt) + 1) / 2;
+};
+
+// ── 10: cubic value and gradient noise on mulXorUnit3D, both [0, 1] ──
+
+const ZOOM_GRAD12 = [
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [0.7071, 0.7071], [-0.7071, 0.7071], [0.7071, -0.7071], [-0.7071, -0.7071],
+];
+
+export const unitValue2D = (x, y, seed) =>
+  value2DCore(x, y, (ix, iy) => mulXorUnit3D(ix, iy, 0, seed), cubicFade);
+
+export const unitGradient2D = (x, y, seed) =>
+  perlin2DCore(x, y, (ix, iy) => ZOOM_GRAD12[Math.floor(mulXorUnit3D(ix, iy, 0, seed) * 12)], cubicFade, true) * 0.5 + 0.5;
+
+// ── 13: 3D simplex on a fixed LCG table, seed offsets the domain, ≈ [-1, 1] ──
+
+const LCG_TABLE = createPermutation(12345, lcgStep31);
+
+const lcgGradient3 = (i, j, k, di, dj, dk) =>
+  GRAD3[LCG_TABLE[(i & 255) + di + LCG_TABLE[(j & 255) + dj + LCG_TABLE[(k & 255) + dk]]] % 12];
+
+export const offsetSimplex3D = (x, y, z, seed = 0) =>
+  simplex3DCore(x + (seed % 1000) * 17.31, y + (seed % 777) * 23.47, z + (seed % 523) * 29.53, lcgGradient3);
+
+// The offset is constant, so the gradient is the kernel's
+export const offsetSimplex3DDeriv = (x, y, z, seed = 0, out) =>
+  simplex3DDerivCore(x + (seed % 1000) * 17.31, y + (seed % 777) * 23.47, z + (seed % 523) * 29.53, lcgGradient3, out);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SNAPSHOTS
+// noise-vectors.json stores { fn, args, out } samples. The variant outputs were
+// taken from each demo's own implementation before it moved here. Seeded
+// factories (createNoise and the 05/09 variants) take the seed first.
+// ─────────────────────────────────────────────────────────────────────────────────
+
+const VECTOR_FUNCTIONS = {
+  axisPerlin2D, angleSimplex2D, hashedValue2D, hashedSimplex2D, tableSimplex2D,
+  unitValue2D, unitGradient2D, offsetSimplex3D, hashedSimplex2DDeriv, offsetSimplex3DDeriv,
+  lcgSimplex2D: (seed, x, y) => createLcgSimplex2D(seed)(x, y),
+  pcgSimplex2D: (seed, x, y) => createPcgSimplex2D(seed)(x, y),
+  value2D: (seed, x, y) => createNoise(seed).value2D(x, y),
+  perlin2D: (seed, x, y) => createNoise(seed).perlin2D(x, y),
+  simplex2D: (seed, x, y) => createNoise(seed).simplex2D(x, y),
+  simplex3D: (seed, x, y, z) => createNoise(seed).simplex3D(x, y, z),
+  simplex4D: (seed, x, y, z, w) => createNoise(seed).simplex4D(x, y, z, w),
+  fbm2D: (seed, x, y, options) => createNoise(seed).fbm2D(x, y, options),
+  fbm3D: (seed, x, y, z, options) => createNoise(seed).fbm3D(x, y, z, options),
+  fbm4D: (seed, x, y, z, w, options) => createNoise(seed).fbm4D(x, y, z, w, options),
+  simplex2DDeriv: (seed, x, y) => createNoise(seed).simplex2DDeriv(x, y),
+  simplex3DDeriv: (seed, x, y, z) => createNoise(seed).simplex3DDeriv(x, y, z),
+  fbm2DDeriv: (seed, x, y, options) => createNoise(seed).fbm2DDeriv(x, y, options),
+  fbm3DDeriv: (seed, x, y, z, options) => createNoise(seed).fbm3DDeriv(x, y, z, options),
+  periodicHashedValue2D, worleyDistances2D, worley2D, worley2DDeriv, openSimplex2, openSimplex2S,
+  hashedValue2DDeriv, periodicHashedValue2DDeriv,
+  tileable2D: (seed, x, y, periodX, periodY) => createNoise(seed).tileable2D(x, y, periodX, periodY),
+  tileableFbm2D: (seed, x, y, periodX, periodY, options) => createNoise(seed).tileableFbm2D(x, y, periodX, periodY, options),
+};
+
+// Derivative functions return arrays
+const sameOutput = (actual, expected) => Array.isArray(expected)
+  ? Array.isArray(actual) && actual.length === expected.length && actual.every((v, i) => v === expected[i])
+  : actual === expected;
+
+// Re-run every snapshot; returns the mismatches (empty array = bit-identical)
+export const verifyNoiseVectors = (vectors) => {
+  const failures = [];
+  for (const { fn, args, out } of vectors.vectors) {
+    const impl = VECTOR_FUNCTIONS[fn];
+    if (!impl) {
+      failures.push({ fn, args, expected: out, actual: 'unknown function' });
+      continue;
+    }
+    const actual = impl(...args);
+    if (!sameOutput(actual, out)) failures.push({ fn, args, expected: out, actual });
+  }
+  return failures;
+};
@@ -0,0 +1,81 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BEYOND TRIBONACCI — SALT REGISTRY
+// Every property stream is a (coordinate, salt) pair, so two properties that
+// share a salt are the same random stream. Each generator declares its salts
+// here by name; the registry derives them from the name, refuses duplicates and
+// can list everything a generator consumes for an independence audit.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { nameToSalt } from './hash.js';
+
+// Dotted lower-camel names: "star.mass", "planet.orbitalRadius"
+const SALT_NAME = /^[a-z][A-Za-z0-9]*(\.[a-z][A-Za-z0-9]*)*$/;
+
+// Fixed-width hex for display and error messages
+export const formatSalt = (salt) => `0x${(salt >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+
+// Create the registry for one generator. `pinned` maps names to the salts a
+// generator shipped with before the registry existed, so its worlds keep their
+// bits; every other name is derived with nameToSalt.
+//
+//   const SALTS = createSaltRegistry('galaxy-to-grain', { 'star.mass': 13 });
+//   SALTS.get('star.mass');   // 13
+//   SALTS.define('star.spin'); // nameToSalt('star.spin')
+//
+// define() throws when a name is registered twice or when two names resolve
+// to the same salt; get() throws for names that were never defined.
+export const createSaltRegistry = (generator, pinned = {}) => {
+  const byName = new Map();
+  const bySalt = new Map();
+
+  const register = (name, salt, source) => {
+    if (!SALT_NAME.test(name)) {
+      throw new Error(`${generator}: invalid salt name "${name}" (expected dotted lower-camel, e.g. "star.mass")`);
+    }
+    if (byName.has(name)) {
+      throw new Error(`${generator}: salt "${name}" is already defined`);
+    }
+    if (!Number.isSafeInteger(salt) || salt < 0) {
+      throw new Error(`${generator}: salt "${name}" must be a non-negative integer, got ${salt}`);
+    }
+    const owner = bySalt.get(salt);
+    if (owner !== undefined) {
+      throw new Error(`${generator}: "${name}" and "${owner}" both resolve to salt ${formatSalt(salt)}`);
+    }
+    byName.set(name, { name, salt, source });
+    bySalt.set(salt, name);
+    return salt;
+  };
+
+  for (const [name, salt] of Object.entries(pinned)) register(name, salt, 'pinned');
+
+  return {
+    generator,
+    define: (name) => register(name, nameToSalt(name), 'derived'),
+    get: (name) => {
+      const entry = byName.get(name);
+      if (!entry) throw new Error(`${generator}: unknown salt "${name}"`);
+      return entry.salt;
+    },
+    has: (name) => byName.has(name),
+    // [{ name, salt, source: 'pinned' | 'derived' }] in definition order
+    list: () => [...byName.values()].map((entry) => ({ ...entry })),
+  };
+};
+
+// Salts shared between registries. Within one generator the registry already
+// refuses reuse; across generators it is only a problem when their streams
+// meet (same coordinates, same hash), so this reports rather than throws.
+// Returns [{ salt, uses: [{ generator, name, source }] }].
+export const findSaltConflicts = (registries) => {
+  const uses = new Map();
+  for (const registry of registries) {
+    for (const { name, salt, source } of registry.list()) {
+      if (!uses.has(salt)) uses.set(salt, []);
+      uses.get(salt).push({ generator: registry.generator, name, source });
+    }
+  }
+  return [...uses.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([salt, list]) => ({ salt, uses: list }));
+};
@@ -0,0 +1,64 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BEYOND TRIBONACCI — SHARED VERIFICATION
+// Runs the hash and noise vectors, the cross-generator salt audit and the
+// fast-path parity check, prints what it checked and exits 1 on any mismatch,
+// so a port or a refactor can be gated on a single command:
+//
+//   node shared/verify.mjs            # 5,000,000 fast-path inputs
+//   node shared/verify.mjs 100000     # a quicker fast-path run
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'node:fs';
+import { HASH_VERSION, verifyFastPath, verifyHashVectors } from './hash.js';
+import { NOISE_VERSION, verifyNoiseVectors } from './noise.js';
+import { findSaltConflicts, formatSalt } from './salts.js';
+import { GENERATOR_SALTS } from './generator-salts.js';
+
+const FAST_PATH_COUNT = 5000000;
+
+const readVectors = (name) => JSON.parse(readFileSync(new URL(name, import.meta.url), 'utf8'));
+
+const count = process.argv[2] === undefined ? FAST_PATH_COUNT : Number(process.argv[2]);
+if (!Number.isSafeInteger(count) || count < 1) {
+  console.error(`verify: fast-path count must be a positive integer, got ${process.argv[2]}`);
+  process.exit(2);
+}
+
+let failed = false;
+
+// Print one check's result and at most five of its mismatches
+const report = (name, checked, mismatches) => {
+  console.log(`${mismatches.length === 0 ? 'ok  ' : 'FAIL'} ${name}: ${checked} checked, ${mismatches.length} mismatched`);
+  for (const mismatch of mismatches.slice(0, 5)) {
+    console.log(`       ${JSON.stringify(mismatch, (key, value) => typeof value === 'bigint' ? `${value}n` : value)}`);
+  }
+  if (mismatches.length > 0) failed = true;
+};
+
+const hashVectors = readVectors('./hash-vectors.json');
+if (hashVectors.version !== HASH_VERSION) {
+  console.log(`note hash-vectors.json is ${hashVectors.version}, hash.js is ${HASH_VERSION}`);
+}
+report('hash-vectors.json', hashVectors.vectors.length, verifyHashVectors(hashVectors));
+
+const noiseVectors = readVectors('./noise-vectors.json');
+if (noiseVectors.version !== NOISE_VERSION) {
+  console.log(`note noise-vectors.json is ${noiseVectors.version}, noise.js is ${NOISE_VERSION}`);
+}
+report('noise-vectors.json', noiseVectors.vectors.length, verifyNoiseVectors(noiseVectors));
+
+// Legacy pinned salts already overlap across generators (01's 0..6 and 07's
+// 1..22) and are listed as notes; an overlap involving a derived salt is a new
+// collision and fails
+const conflicts = findSaltConflicts(GENERATOR_SALTS);
+const legacyOverlap = (conflict) => conflict.uses.every((use) => use.source === 'pinned');
+const saltCount = GENERATOR_SALTS.reduce((sum, registry) => sum + registry.list().length, 0);
+report('generator-salts.js', saltCount, conflicts.filter((conflict) => !legacyOverlap(conflict)));
+for (const { salt, uses } of conflicts.filter(legacyOverlap)) {
+  console.log(`note legacy salt ${formatSalt(salt)} shared by ${uses.map((use) => `${use.generator}:${use.name}`).join(', ')}`);
+}
+
+const { checked, mismatches } = verifyFastPath(count);
+report('hash.js fast path', checked, mismatches);
+
+process.exit(failed ? 1 : 0);